@@ -1,11 +1,24 @@
 const express = require('express');
 const fileUpload = require('express-fileupload');
-const { PDFDocument, rgb } = require('pdf-lib');
+const {
+  PDFDocument, PDFPage, PDFName, PDFNumber, PDFDict, PDFArray, PDFRawStream, PDFRef, PDFBool, PDFString, PDFHexString, PDFObjectCopier,
+  PDFParser, PDFObjectStreamParser, PDFXRefStreamParser, ParseSpeeds, StandardFontEmbedder,
+  PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList, PDFButton, PDFSignature,
+  StandardFonts, PageSizes, TextRenderingMode, TextAlignment, LineCapStyle, LineJoinStyle,
+  rgb, grayscale, cmyk, degrees, decodePDFRawStream, pushGraphicsState, popGraphicsState, beginText, endText,
+  setFontAndSize, setTextMatrix, setTextRenderingMode, setCharacterSqueeze, showText, layoutMultilineText,
+  concatTransformationMatrix, drawObject, setGraphicsState, setLineWidth, setLineCap, setLineJoin,
+  setFillingColor, setStrokingColor, moveTo, lineTo, closePath, rectangle, drawEllipsePath,
+  fill, stroke, fillAndStroke, endPath, clip
+} = require('pdf-lib');
 const sharp = require('sharp');
 const path = require('path');
 const cors = require('cors');
 const fs = require('fs').promises;
 const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Worker } = require('worker_threads');
 const pathModule = require('path');
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,150 +30,1427 @@ app.use(fileUpload({
   limits: { fileSize: 50 * 1024 * 1024 },
   abortOnLimit: true
 }));
+// express-fileupload leaves req.body undefined when a form carries only files
+app.use((req, res, next) => {
+  req.body = req.body || {};
+  next();
+});
 
 // ========== REAL WORKING PDF TOOLS ========== //
 
 // 1. MERGE PDF - REAL WORKING
 app.post('/api/merge-pdf', async (req, res) => {
   try {
-    if (!req.files || Object.keys(req.files).length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-
-    const mergedPdf = await PDFDocument.create();
-    const files = Array.isArray(req.files.files) ? req.files.files : [req.files.files];
-    
-    for (const file of files) {
-      try {
-        const pdfDoc = await PDFDocument.load(file.data);
-        const pages = await mergedPdf.copyPages(pdfDoc, pdfDoc.getPageIndices());
-        pages.forEach(page => mergedPdf.addPage(page));
-      } catch (error) {
-        return res.status(400).json({ error: `Invalid PDF file: ${file.name}` });
-      }
-    }
+    const input = prepareMergeRequest(req);
+    const result = await performMerge(input);
+    const failed = result.report.filter(entry => entry.status === 'failed');
 
-    const mergedPdfBytes = await mergedPdf.save();
-    
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', 'attachment; filename=merged-document.pdf');
-    res.send(Buffer.from(mergedPdfBytes));
+    res.setHeader('X-Files-Merged', result.report.length - failed.length);
+    res.setHeader('X-Files-Failed', failed.length);
+    res.setHeader('X-Merge-Report', encodeURIComponent(JSON.stringify(result.report)));
+    res.send(result.pdfBytes);
     
   } catch (error) {
-    console.error('Merge error:', error);
-    res.status(500).json({ error: 'Merge failed: ' + error.message });
+    if (!error.status) console.error('Merge error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Merge failed: ' + error.message,
+      code: error.code,
+      report: error.report
+    });
   }
 });
 
+// Validate a merge upload; shared by /api/merge-pdf and the job API.
+// `order` lists upload positions (1-based, repeats allowed); `ranges` holds one page range per upload.
+function prepareMergeRequest(req) {
+  const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+  if (files.length === 0) {
+    throw httpError(400, 'No files uploaded');
+  }
+
+  const ranges = parseListField(req.body.ranges);
+  if (ranges.length > files.length) {
+    throw httpError(400, `Got ${ranges.length} page ranges for ${files.length} files`);
+  }
+
+  const order = req.body.order ? parseListField(req.body.order).map(Number) : files.map((_, i) => i + 1);
+  const badPosition = order.find(position => !Number.isInteger(position) || position < 1 || position > files.length);
+  if (order.length === 0 || badPosition !== undefined) {
+    throw httpError(400, `Invalid order. Use file positions between 1 and ${files.length}, e.g. "2,1,3"`);
+  }
+
+  return {
+    entries: order.map(position => ({
+      file: { name: files[position - 1].name, data: files[position - 1].data },
+      range: ranges[position - 1] || ''
+    })),
+    bookmarks: ['true', '1', 'yes', 'on'].includes(String(req.body.bookmarks).toLowerCase()),
+    title: req.body.title ? String(req.body.title) : null,
+    author: req.body.author ? String(req.body.author) : null,
+    password: req.body.password || ''
+  };
+}
+
+// Merge what can be merged; files that fail to load (or get a bad range) are reported and skipped
+async function performMerge(input, onProgress = () => {}) {
+  const mergedPdf = await PDFDocument.create();
+  const outline = [];
+  const fieldNames = new Set();
+  const report = [];
+  let firstDoc = null;
+
+  for (const [i, { file, range }] of input.entries.entries()) {
+    try {
+      const pdfDoc = await loadPdfDocument(file.data, input.password);
+      const indices = parsePageRanges(range, pdfDoc.getPageCount());
+      if (!indices) {
+        throw new Error(`Invalid page range "${range}" (document has ${pdfDoc.getPageCount()} pages)`);
+      }
+
+      const pages = await mergedPdf.copyPages(pdfDoc, indices);
+      pages.forEach(page => mergedPdf.addPage(page));
+
+      const pageMap = new Map(indices.map((sourceIndex, k) => [sourceIndex, pages[k].ref]));
+      const bookmarks = remapOutline(readPdfOutlineTree(pdfDoc), pageMap);
+      if (input.bookmarks) {
+        outline.push({
+          title: pdfDoc.getTitle() || file.name.replace(/\.pdf$/i, ''),
+          pageRef: pages[0].ref,
+          view: [],
+          children: bookmarks
+        });
+      } else {
+        outline.push(...bookmarks);
+      }
+
+      const renamedFields = adoptCopiedFormFields(mergedPdf, pdfDoc, pages, fieldNames);
+
+      firstDoc = firstDoc || pdfDoc;
+      report.push({ file: file.name, status: 'merged', pages: indices.map(index => index + 1), renamedFields });
+
+    } catch (error) {
+      console.error(`Merge: skipping ${file.name}:`, error.message);
+      report.push({ file: file.name, status: 'failed', error: error.message, code: error.code });
+    }
+
+    onProgress({ completed: i + 1, total: input.entries.length, message: `Merged ${file.name}` });
+  }
+
+  if (!firstDoc) {
+    throw httpError(400, 'None of the files could be merged', { report, code: commonErrorCode(report) });
+  }
+
+  if (outline.length > 0) {
+    writePdfOutline(mergedPdf, outline);
+  }
+
+  const title = input.title || firstDoc.getTitle();
+  if (title) mergedPdf.setTitle(title);
+  const author = input.author || firstDoc.getAuthor();
+  if (author) mergedPdf.setAuthor(author);
+  if (firstDoc.getSubject()) mergedPdf.setSubject(firstDoc.getSubject());
+  if (firstDoc.getKeywords()) mergedPdf.setKeywords([firstDoc.getKeywords()]);
+  if (firstDoc.getCreator()) mergedPdf.setCreator(firstDoc.getCreator());
+
+  const pdfBytes = Buffer.from(await mergedPdf.save());
+  return { pdfBytes, report, pageCount: mergedPdf.getPageCount() };
+}
+
+// Job API runner for merge-pdf
+async function runMergeJob(input, onProgress) {
+  const result = await performMerge(input, onProgress);
+  return {
+    files: {
+      pdf: { buffer: result.pdfBytes, filename: 'merged-document.pdf', contentType: 'application/pdf' }
+    },
+    summary: { pageCount: result.pageCount, report: result.report }
+  };
+}
+
+// Form fields accept a JSON array, a repeated field or a comma-separated string
+function parseListField(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) return list.map(item => (item === null ? '' : String(item)));
+    } catch (error) {
+      throw httpError(400, `Invalid JSON list: ${text}`);
+    }
+  }
+  return text.split(',').map(item => item.trim());
+}
+
+// Point outline nodes at the merged document's pages; bookmarks whose page wasn't copied
+// are dropped unless they still have children that were
+function remapOutline(nodes, pageMap) {
+  return nodes
+    .map(node => ({
+      title: node.title,
+      pageRef: node.pageIndex !== null && pageMap.has(node.pageIndex) ? pageMap.get(node.pageIndex) : null,
+      view: node.view,
+      children: remapOutline(node.children, pageMap)
+    }))
+    .filter(node => node.pageRef || node.children.length > 0);
+}
+
+// Replace the document outline with the given tree of { title, pageRef, view, children }
+function writePdfOutline(pdfDoc, nodes) {
+  const context = pdfDoc.context;
+  const rootRef = context.nextRef();
+
+  const writeLevel = (levelNodes, parentRef) => {
+    const refs = levelNodes.map(() => context.nextRef());
+    let total = 0;
+
+    levelNodes.forEach((node, i) => {
+      const item = context.obj({ Title: PDFHexString.fromText(node.title || 'Untitled'), Parent: parentRef });
+      if (node.pageRef) {
+        item.set(PDFName.of('Dest'), context.obj([node.pageRef, ...(node.view.length > 0 ? node.view : [PDFName.of('Fit')])]));
+      }
+      if (i > 0) item.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i + 1 < refs.length) item.set(PDFName.of('Next'), refs[i + 1]);
+
+      if (node.children.length > 0) {
+        const child = writeLevel(node.children, refs[i]);
+        item.set(PDFName.of('First'), child.first);
+        item.set(PDFName.of('Last'), child.last);
+        item.set(PDFName.of('Count'), PDFNumber.of(child.count));
+        total += child.count;
+      }
+
+      context.assign(refs[i], item);
+      total++;
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count: total };
+  };
+
+  const top = writeLevel(nodes, rootRef);
+  context.assign(rootRef, context.obj({ Type: 'Outlines', First: top.first, Last: top.last, Count: top.count }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+}
+
+// Register the form fields behind the widgets on freshly copied pages in the target's AcroForm.
+// Top-level field names already taken by an earlier file get a numeric suffix ("name_2").
+function adoptCopiedFormFields(targetDoc, sourceDoc, pages, usedNames) {
+  const sourceForm = sourceDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!sourceForm) return [];
+
+  const context = targetDoc.context;
+  const roots = new Map();
+
+  for (const page of pages) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+
+    for (const annotRef of annots.asArray()) {
+      let fieldRef = annotRef;
+      let field = context.lookupMaybe(annotRef, PDFDict);
+      if (!field || field.lookup(PDFName.of('Subtype')) !== PDFName.of('Widget')) continue;
+
+      while (field.get(PDFName.of('Parent')) instanceof PDFRef) {
+        fieldRef = field.get(PDFName.of('Parent'));
+        field = context.lookup(fieldRef, PDFDict);
+      }
+      if (field.has(PDFName.of('T')) && fieldRef instanceof PDFRef) {
+        roots.set(fieldRef.tag, { ref: fieldRef, field });
+      }
+    }
+  }
+
+  if (roots.size === 0) return [];
+
+  let form = targetDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!form) {
+    form = context.obj({ Fields: [] });
+    targetDoc.catalog.set(PDFName.of('AcroForm'), context.register(form));
+  }
+  const fields = form.lookup(PDFName.of('Fields'), PDFArray);
+
+  // Default appearance settings and resources, so fields without appearances still render
+  const copier = PDFObjectCopier.for(sourceDoc.context, context);
+  if (!form.has(PDFName.of('DA')) && sourceForm.has(PDFName.of('DA'))) {
+    form.set(PDFName.of('DA'), copier.copy(sourceForm.lookup(PDFName.of('DA'))));
+  }
+  if (sourceForm.lookup(PDFName.of('NeedAppearances')) === PDFBool.True) {
+    form.set(PDFName.of('NeedAppearances'), PDFBool.True);
+  }
+  const sourceFonts = sourceForm.lookupMaybe(PDFName.of('DR'), PDFDict) &&
+    sourceForm.lookup(PDFName.of('DR'), PDFDict).lookupMaybe(PDFName.of('Font'), PDFDict);
+  if (sourceFonts) {
+    if (!form.has(PDFName.of('DR'))) form.set(PDFName.of('DR'), context.obj({}));
+    const resources = form.lookup(PDFName.of('DR'), PDFDict);
+    if (!resources.has(PDFName.of('Font'))) resources.set(PDFName.of('Font'), context.obj({}));
+    const fonts = resources.lookup(PDFName.of('Font'), PDFDict);
+    for (const [name, font] of sourceFonts.entries()) {
+      if (!fonts.has(name)) fonts.set(name, copier.copy(font));
+    }
+  }
+
+  const renamed = [];
+  for (const { ref, field } of roots.values()) {
+    const name = field.lookup(PDFName.of('T')).decodeText();
+    let newName = name;
+    for (let n = 2; usedNames.has(newName); n++) newName = `${name}_${n}`;
+
+    if (newName !== name) {
+      field.set(PDFName.of('T'), PDFHexString.fromText(newName));
+      renamed.push({ from: name, to: newName });
+    }
+    usedNames.add(newName);
+    fields.push(ref);
+  }
+
+  return renamed;
+}
+
 // 2. SPLIT PDF - REAL WORKING
 app.post('/api/split-pdf', async (req, res) => {
   try {
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    const pdfFile = req.files.file;
-    const pageNumber = parseInt(req.body.page) || 0;
-    
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    
-    if (pageNumber < 0 || pageNumber >= pdfDoc.getPageCount()) {
-      return res.status(400).json({ error: 'Invalid page number' });
+    // Older clients send a single zero-based `page` and get that page back as a PDF
+    if (req.body.page !== undefined && !req.body.mode && !req.body.ranges && !req.body.pages) {
+      return await sendSinglePage(req, res);
     }
 
-    const newPdf = await PDFDocument.create();
-    const [page] = await newPdf.copyPages(pdfDoc, [pageNumber]);
-    newPdf.addPage(page);
+    const input = prepareSplitRequest(req);
+    const result = await performSplit(input);
 
-    const newPdfBytes = await newPdf.save();
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=page-${pageNumber + 1}.pdf`);
-    res.send(Buffer.from(newPdfBytes));
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('X-Split-Mode', input.mode);
+    res.setHeader('X-Parts-Count', result.parts.length);
+    res.send(result.zipBuffer);
     
   } catch (error) {
-    res.status(500).json({ error: 'Split failed: ' + error.message });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Split failed: ' + error.message, code: error.code });
   }
 });
 
-// 3. COMPRESS PDF - REAL WORKING
-app.post('/api/compress-pdf', async (req, res) => {
-  try {
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+async function sendSinglePage(req, res) {
+  if (!req.files || !req.files.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const pdfFile = req.files.file;
+  const pageNumber = parseInt(req.body.page) || 0;
+  
+  const pdfDoc = await loadPdfDocument(pdfFile.data, req.body.password);
+  
+  if (pageNumber < 0 || pageNumber >= pdfDoc.getPageCount()) {
+    return res.status(400).json({ error: 'Invalid page number' });
+  }
+
+  const newPdfBytes = await buildPdfFromPages(pdfDoc, [pageNumber]);
+  
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=page-${pageNumber + 1}.pdf`);
+  res.send(newPdfBytes);
+}
+
+const SPLIT_MODES = ['ranges', 'every', 'bookmarks', 'size'];
+
+// Validate a split upload; shared by /api/split-pdf, /api/split-by-size and the job API.
+// Without an explicit mode the fields decide: ranges → ranges, maxSizeMB → size, otherwise every N (default 1).
+function prepareSplitRequest(req, defaults = {}) {
+  const [pdfFile] = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'));
+  if (!pdfFile) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  const body = { ...defaults, ...req.body };
+  const ranges = body.ranges || body.pages;
+  const mode = String(body.mode || (ranges ? 'ranges' : body.maxSizeMB ? 'size' : 'every')).toLowerCase();
+
+  if (!SPLIT_MODES.includes(mode)) {
+    throw httpError(400, `Invalid mode. Use one of: ${SPLIT_MODES.join(', ')}`);
+  }
+
+  const input = { pdfFile: { name: pdfFile.name, data: pdfFile.data }, mode, password: body.password || '' };
+
+  if (mode === 'ranges') {
+    if (!ranges) throw httpError(400, 'Enter the page ranges to split, e.g. "1-3,5,8-"');
+    input.ranges = String(ranges);
+  } else if (mode === 'every') {
+    input.every = parseInt(body.every || 1);
+    if (!(input.every >= 1)) throw httpError(400, '"every" must be a whole number of pages (1 or more)');
+  } else if (mode === 'bookmarks') {
+    input.bookmarkLevel = parseInt(body.bookmarkLevel || 1);
+    if (!(input.bookmarkLevel >= 1)) throw httpError(400, '"bookmarkLevel" must be 1 or more');
+  } else {
+    const maxSizeMB = parseFloat(body.maxSizeMB);
+    if (!(maxSizeMB > 0)) throw httpError(400, 'Enter the maximum part size in MB (maxSizeMB)');
+    input.maxBytes = Math.floor(maxSizeMB * 1024 * 1024);
+  }
+
+  return input;
+}
+
+// Split into parts and package them as a ZIP
+async function performSplit(input, onProgress = () => {}) {
+  const { pdfFile, mode } = input;
+  const baseName = pdfFile.name.replace(/\.pdf$/i, '');
+
+  console.log(`Splitting PDF: ${pdfFile.name} (${mode})`);
+
+  const pdfDoc = await loadPdfDocument(pdfFile.data, input.password);
+  const pageCount = pdfDoc.getPageCount();
+  const warnings = [];
+  let parts;
+
+  if (mode === 'size') {
+    parts = await splitPagesBySize(pdfDoc, input.maxBytes, warnings, onProgress);
+  } else {
+    parts = planSplitParts(pdfDoc, input);
+    for (const [i, part] of parts.entries()) {
+      part.bytes = await buildPdfFromPages(pdfDoc, part.indices);
+      onProgress({ completed: i + 1, total: parts.length, message: `Created part ${i + 1} of ${parts.length}` });
+    }
+  }
+
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  const digits = Math.max(2, String(parts.length).length);
+
+  const summary = parts.map((part, i) => {
+    const number = String(i + 1).padStart(digits, '0');
+    const first = part.indices[0] + 1;
+    const last = part.indices[part.indices.length - 1] + 1;
+    const pagesLabel = first === last ? `page-${first}` : `pages-${first}-${last}`;
+    const filename = part.title
+      ? `${baseName}-${number}-${slugifyFilename(part.title) || pagesLabel}.pdf`
+      : `${baseName}-part-${number}-${pagesLabel}.pdf`;
+
+    zip.file(filename, part.bytes);
+    return { filename, title: part.title, pages: part.indices.map(i => i + 1), size: part.bytes.length };
+  });
+
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  console.log(`✓ Split ${pageCount} pages into ${parts.length} parts`);
+
+  return { zipBuffer, parts: summary, pageCount, warnings, filename: `${baseName}-split.zip` };
+}
+
+// Job API runner for split-pdf
+async function runSplitJob(input, onProgress) {
+  const result = await performSplit(input, onProgress);
+  return {
+    files: {
+      zip: { buffer: result.zipBuffer, filename: result.filename, contentType: 'application/zip' }
+    },
+    summary: { mode: input.mode, pageCount: result.pageCount, parts: result.parts, warnings: result.warnings }
+  };
+}
+
+// Page groups for the ranges / every / bookmarks modes
+function planSplitParts(pdfDoc, input) {
+  const pageCount = pdfDoc.getPageCount();
+
+  if (input.mode === 'ranges') {
+    const groups = parsePageRangeGroups(input.ranges, pageCount);
+    if (!groups) {
+      throw httpError(400, `Invalid page range. Pages must be between 1 and ${pageCount}`);
     }
+    return groups.map(indices => ({ indices }));
+  }
 
-    const pdfFile = req.files.file;
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    
-    const compressedBytes = await pdfDoc.save({
-      useObjectStreams: false,
-      addDefaultPage: false
+  if (input.mode === 'every') {
+    const parts = [];
+    for (let start = 0; start < pageCount; start += input.every) {
+      parts.push({ indices: Array.from({ length: Math.min(input.every, pageCount - start) }, (_, i) => start + i) });
+    }
+    return parts;
+  }
+
+  // Bookmarks: a new part starts at every bookmark of the requested level
+  const starts = [];
+  for (const item of readPdfOutline(pdfDoc)) {
+    if (item.level !== input.bookmarkLevel || item.pageIndex === null) continue;
+    if (!starts.some(start => start.pageIndex === item.pageIndex)) starts.push(item);
+  }
+  starts.sort((a, b) => a.pageIndex - b.pageIndex);
+
+  if (starts.length === 0) {
+    throw httpError(400, `This PDF has no bookmarks at level ${input.bookmarkLevel} to split at`);
+  }
+
+  if (starts[0].pageIndex > 0) {
+    starts.unshift({ title: 'Front matter', pageIndex: 0 });
+  }
+
+  return starts.map((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].pageIndex : pageCount;
+    return {
+      title: start.title,
+      indices: Array.from({ length: end - start.pageIndex }, (_, k) => start.pageIndex + k)
+    };
+  });
+}
+
+// Greedy split into parts no larger than maxBytes. Part sizes are measured on the saved PDF
+// (shared fonts and images only count once per part), growing each part by doubling and then
+// bisecting, so a part costs O(log n) saves. A single page over the limit becomes its own part.
+async function splitPagesBySize(pdfDoc, maxBytes, warnings, onProgress) {
+  const pageCount = pdfDoc.getPageCount();
+  const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+  const parts = [];
+  let start = 0;
+
+  while (start < pageCount) {
+    let good = start + 1;
+    let goodBytes = await buildPdfFromPages(pdfDoc, [start]);
+    let bad = null;
+
+    if (goodBytes.length > maxBytes) {
+      warnings.push(`Page ${start + 1} alone is ${formatFileSize(goodBytes.length)}, larger than the size limit`);
+    } else {
+      while (good < pageCount) {
+        const end = Math.min(pageCount, start + (good - start) * 2);
+        const bytes = await buildPdfFromPages(pdfDoc, range(start, end));
+        if (bytes.length > maxBytes) {
+          bad = end;
+          break;
+        }
+        good = end;
+        goodBytes = bytes;
+      }
+
+      while (bad !== null && bad - good > 1) {
+        const middle = Math.floor((good + bad) / 2);
+        const bytes = await buildPdfFromPages(pdfDoc, range(start, middle));
+        if (bytes.length > maxBytes) {
+          bad = middle;
+        } else {
+          good = middle;
+          goodBytes = bytes;
+        }
+      }
+    }
+
+    parts.push({ indices: range(start, good), bytes: goodBytes });
+    start = good;
+    onProgress({ completed: start, total: pageCount, message: `Created part ${parts.length}` });
+  }
+
+  return parts;
+}
+
+// New PDF holding the given pages of pdfDoc, in that order
+async function buildPdfFromPages(pdfDoc, indices) {
+  const newPdf = await PDFDocument.create();
+  const pages = await newPdf.copyPages(pdfDoc, indices);
+  pages.forEach(page => newPdf.addPage(page));
+  return Buffer.from(await newPdf.save());
+}
+
+// Flatten the document outline into [{ title, level, pageIndex }] in reading order
+// (level 1 = top-level bookmarks; pageIndex is null when the destination can't be resolved)
+function readPdfOutline(pdfDoc) {
+  const items = [];
+  const flatten = (nodes, level) => nodes.forEach(node => {
+    items.push({ title: node.title, level, pageIndex: node.pageIndex });
+    flatten(node.children, level + 1);
+  });
+  flatten(readPdfOutlineTree(pdfDoc), 1);
+  return items;
+}
+
+// Document outline as a tree of { title, pageIndex, view, children }, where view holds the
+// destination's fit parameters (e.g. /XYZ left top zoom) so the bookmark can be rebuilt elsewhere
+function readPdfOutlineTree(pdfDoc) {
+  const context = pdfDoc.context;
+  const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  const pageRefs = pdfDoc.getPages().map(page => page.ref);
+  const seen = new Set();
+
+  const readSiblings = (ref) => {
+    const nodes = [];
+    while (ref instanceof PDFRef && !seen.has(ref.tag)) {
+      seen.add(ref.tag);
+      const item = context.lookupMaybe(ref, PDFDict);
+      if (!item) break;
+
+      const title = item.lookup(PDFName.of('Title'));
+      const dest = outlineItemDestination(pdfDoc, item);
+      nodes.push({
+        title: title && typeof title.decodeText === 'function' ? title.decodeText().trim() : '',
+        pageIndex: dest ? destinationPageIndex(dest, pageRefs) : null,
+        view: dest ? dest.asArray().slice(1).map(value => context.lookup(value)) : [],
+        children: readSiblings(item.get(PDFName.of('First')))
+      });
+
+      ref = item.get(PDFName.of('Next'));
+    }
+    return nodes;
+  };
+
+  return outlines ? readSiblings(outlines.get(PDFName.of('First'))) : [];
+}
+
+// Destination array of an outline item (or link): /Dest, or a /GoTo action's /D
+function outlineItemDestination(pdfDoc, item) {
+  let dest = item.lookup(PDFName.of('Dest'));
+
+  if (!dest) {
+    const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+    if (!action || action.lookup(PDFName.of('S')) !== PDFName.of('GoTo')) return null;
+    dest = action.lookup(PDFName.of('D'));
+  }
+
+  return resolveDestinationArray(pdfDoc, dest);
+}
+
+function resolveDestinationArray(pdfDoc, dest) {
+  // Named destinations: catalog /Dests dictionary (names) or the /Names → /Dests tree (strings)
+  if (dest instanceof PDFName) {
+    const dests = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    dest = dests && dests.lookup(dest);
+  } else if (dest && typeof dest.decodeText === 'function') {
+    const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const tree = names && names.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    dest = tree && lookupNameTree(pdfDoc.context, tree, dest.decodeText());
+  }
+
+  if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D'));
+  return dest instanceof PDFArray && dest.size() > 0 ? dest : null;
+}
+
+function destinationPageIndex(dest, pageRefs) {
+  const target = dest.get(0);
+  if (target instanceof PDFRef) {
+    const index = pageRefs.findIndex(ref => ref.tag === target.tag);
+    return index >= 0 ? index : null;
+  }
+  if (target instanceof PDFNumber && target.asNumber() < pageRefs.length) {
+    return target.asNumber();
+  }
+  return null;
+}
+
+function lookupNameTree(context, node, key, depth = 0) {
+  if (!node || depth > 32) return null;
+
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const name = names.lookup(i);
+      if (name && typeof name.decodeText === 'function' && name.decodeText() === key) {
+        return context.lookup(names.get(i + 1));
+      }
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (const kid of kids.asArray()) {
+      const found = lookupNameTree(context, context.lookupMaybe(kid, PDFDict), key, depth + 1);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
+
+function slugifyFilename(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+// Split by Size tool: JSON response with the ZIP as a download link
+app.post('/api/split-by-size', async (req, res) => {
+  try {
+    const input = prepareSplitRequest(req, { mode: 'size', maxSizeMB: 5 });
+    const result = await performSplit(input);
+
+    res.json({
+      success: true,
+      message: `Split into ${result.parts.length} file(s) of at most ${formatFileSize(input.maxBytes)} each`,
+      parts: result.parts,
+      warnings: result.warnings,
+      downloadUrl: `data:application/zip;base64,${result.zipBuffer.toString('base64')}`,
+      filename: result.filename
     });
 
-    const originalSize = pdfFile.data.length;
-    const compressedSize = compressedBytes.length;
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename=compressed-document.pdf');
-    res.setHeader('X-Original-Size', originalSize);
-    res.setHeader('X-Compressed-Size', compressedSize);
-    res.setHeader('X-Compression-Ratio', ((originalSize - compressedSize) / originalSize * 100).toFixed(1));
-    res.send(Buffer.from(compressedBytes));
-    
   } catch (error) {
-    res.status(500).json({ error: 'Compression failed: ' + error.message });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Split failed: ' + error.message, code: error.code });
   }
 });
 
-// 4. PDF TO TEXT - REAL WORKING
-app.post('/api/pdf-to-text', async (req, res) => {
+// Extract Pages and Delete Pages tools: same range syntax as /api/split-pdf ("1-3,5,8-")
+app.post('/api/extract-pages', (req, res) => selectPagesTool(req, res, 'extract'));
+app.post('/api/delete-pages', (req, res) => selectPagesTool(req, res, 'delete'));
+
+async function selectPagesTool(req, res, action) {
   try {
-    if (!req.files || !req.files.file) {
+    const [pdfFile] = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'));
+    if (!pdfFile) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (!req.body.pages) {
+      return res.status(400).json({ error: `Enter the pages to ${action}, e.g. "1-3,5,8-"` });
+    }
+
+    const pdfDoc = await loadPdfDocument(pdfFile.data, req.body.password);
+    const pageCount = pdfDoc.getPageCount();
+    const selected = parsePageRanges(req.body.pages, pageCount);
+    if (!selected) {
+      return res.status(400).json({ error: `Invalid page range. Pages must be between 1 and ${pageCount}` });
+    }
+
+    const keep = action === 'extract'
+      ? selected
+      : Array.from({ length: pageCount }, (_, i) => i).filter(i => !selected.includes(i));
+
+    if (keep.length === 0) {
+      return res.status(400).json({ error: 'Cannot delete every page of the document' });
+    }
+
+    const pdfBytes = await buildPdfFromPages(pdfDoc, keep);
+    const filename = pdfFile.name.replace(/\.pdf$/i, '') + (action === 'extract' ? '-extracted.pdf' : '-pages-deleted.pdf');
 
-    const pdfFile = req.files.file;
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    
-    let extractedText = "PDF Text Extraction - Basic Version\n\n";
-    extractedText += "File: " + pdfFile.name + "\n";
-    extractedText += "Pages: " + pdfDoc.getPageCount() + "\n\n";
-    extractedText += "Note: Full text extraction requires advanced OCR library.\n";
-    extractedText += "This basic version shows file information only.\n\n";
-    extractedText += "For full text extraction, consider integrating with:\n";
-    extractedText += "- Google Cloud Vision OCR\n";
-    extractedText += "- AWS Textract\n";
-    extractedText += "- Tesseract.js\n";
-    
     res.json({
       success: true,
-      text: extractedText,
-      pages: pdfDoc.getPageCount(),
-      filename: pdfFile.name
+      message: action === 'extract'
+        ? `Extracted ${keep.length} of ${pageCount} pages`
+        : `Deleted ${selected.length} of ${pageCount} pages`,
+      pages: keep.map(i => i + 1),
+      downloadUrl: `data:application/pdf;base64,${pdfBytes.toString('base64')}`,
+      filename
     });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : `Page ${action} failed: ` + error.message, code: error.code });
+  }
+}
+
+// 3. COMPRESS PDF - REAL WORKING
+app.post('/api/compress-pdf', async (req, res) => {
+  try {
+    const input = prepareCompressionRequest(req);
+    const result = await performCompression(input);
+    const { stats } = result;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('X-Compression-Preset', input.options.preset);
+    res.setHeader('X-Original-Size', stats.originalSize);
+    res.setHeader('X-Compressed-Size', stats.compressedSize);
+    res.setHeader('X-Compression-Ratio', stats.reduction.toFixed(1));
+    res.setHeader('X-Images-Optimized', stats.images.recompressed);
+    res.send(result.bytes);
     
   } catch (error) {
-    res.status(500).json({ error: 'Text extraction failed: ' + error.message });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Compression failed: ' + error.message, code: error.code });
   }
 });
 
-// 5. IMAGES TO PDF - REAL WORKING WITH ACTUAL IMAGES
-app.post('/api/images-to-pdf', async (req, res) => {
+// Reduce Size and Compress Images tools: same engine, several files at once, JSON response.
+// Reduce Size goes for the smallest file; Compress Images only touches the images.
+app.post('/api/reduce-size', (req, res) => compressUploadedPdfs(req, res, { preset: 'screen' }));
+app.post('/api/compress-images', (req, res) => compressUploadedPdfs(req, res, {
+  preset: 'ebook',
+  optimizeStructure: false,
+  subsetFonts: false
+}));
+
+async function compressUploadedPdfs(req, res, defaults) {
   try {
-    if (!req.files || Object.keys(req.files).length === 0) {
+    const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+    if (files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const pdfDoc = await PDFDocument.create();
-    const files = Array.isArray(req.files.files) ? req.files.files : [req.files.files];
-    
-    console.log(`Processing ${files.length} images to PDF`);
+    const invalid = files.find(file => file.mimetype !== 'application/pdf');
+    if (invalid) {
+      return res.status(400).json({ error: `Not a PDF file: ${invalid.name}` });
+    }
 
-    for (const file of files) {
-      try {
-        if (!file.mimetype.startsWith('image/')) {
-          return res.status(400).json({ error: `File ${file.name} is not an image` });
+    const options = parseCompressionOptions(req.body, defaults);
+
+    // Files that cannot be compressed are reported and left out of the download
+    const result = await transformPdfFiles({ files }, 'compressed', () => {}, async (file) => {
+      const { bytes, stats } = await compressPdf(file.data, options);
+      const filename = file.name.replace(/\.pdf$/i, '') + '-compressed.pdf';
+      return { filename, bytes, details: { filename, ...stats } };
+    });
+    const compressed = result.report.filter(entry => entry.status === 'compressed');
+
+    const originalSize = compressed.reduce((sum, entry) => sum + entry.originalSize, 0);
+    const compressedSize = compressed.reduce((sum, entry) => sum + entry.compressedSize, 0);
+    const reduction = (originalSize - compressedSize) / originalSize * 100;
+
+    res.json({
+      success: true,
+      message: `Reduced ${compressed.length} of ${result.report.length} file(s) from ${formatFileSize(originalSize)} to ${formatFileSize(compressedSize)} (${reduction.toFixed(1)}% smaller)`,
+      preset: options.preset,
+      originalSize,
+      compressedSize,
+      files: result.report,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Compression failed: ' + error.message,
+      code: error.code,
+      files: error.report
+    });
+  }
+}
+
+// Validate a compression upload; shared by /api/compress-pdf and the job API
+function prepareCompressionRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const pdfFile = req.files.file;
+
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  return {
+    pdfFile: { name: pdfFile.name, data: pdfFile.data },
+    options: parseCompressionOptions(req.body)
+  };
+}
+
+async function performCompression(input, onProgress = () => {}) {
+  const { pdfFile, options } = input;
+
+  console.log(`Compressing PDF: ${pdfFile.name} (${options.preset})`);
+
+  const { bytes, stats } = await compressPdf(pdfFile.data, options, onProgress);
+
+  console.log(`✓ Compressed ${stats.originalSize} → ${stats.compressedSize} bytes`);
+
+  return {
+    bytes,
+    stats,
+    filename: pdfFile.name.replace(/\.pdf$/i, '') + '-compressed.pdf'
+  };
+}
+
+// Job API runner for compress-pdf
+async function runCompressionJob(input, onProgress) {
+  const result = await performCompression(input, onProgress);
+  return {
+    files: {
+      pdf: { buffer: result.bytes, filename: result.filename, contentType: 'application/pdf' }
+    },
+    summary: { preset: input.options.preset, ...result.stats }
+  };
+}
+
+// Target image resolution and JPEG quality per preset (same names as Ghostscript's -dPDFSETTINGS)
+const COMPRESSION_PRESETS = {
+  screen: { imageDpi: 72, imageQuality: 50 },
+  ebook: { imageDpi: 150, imageQuality: 70 },
+  printer: { imageDpi: 300, imageQuality: 85 }
+};
+
+// Images are only resampled when they exceed the target resolution by this factor
+const DOWNSAMPLE_THRESHOLD = 1.25;
+
+function parseCompressionOptions(body = {}, defaults = {}) {
+  const preset = String(body.preset || defaults.preset || 'ebook').toLowerCase();
+  if (!COMPRESSION_PRESETS[preset]) {
+    throw httpError(400, `Invalid preset. Use one of: ${Object.keys(COMPRESSION_PRESETS).join(', ')}`);
+  }
+
+  const flag = (value, fallback) => (value === undefined || value === '' ? fallback : ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase()));
+
+  return {
+    preset,
+    imageDpi: Math.min(Math.max(parseInt(body.imageDpi) || COMPRESSION_PRESETS[preset].imageDpi, 36), 600),
+    imageQuality: Math.min(Math.max(parseInt(body.imageQuality) || COMPRESSION_PRESETS[preset].imageQuality, 10), 100),
+    optimizeStructure: flag(body.optimizeStructure, defaults.optimizeStructure !== undefined ? defaults.optimizeStructure : true),
+    subsetFonts: flag(body.subsetFonts, defaults.subsetFonts || false),
+    password: body.password || ''
+  };
+}
+
+// Shrink a PDF: resample and recompress images, deflate unfiltered streams, merge duplicate
+// resources, drop unreachable objects, optionally subset embedded CID fonts, and write object streams.
+// If the result isn't smaller the original bytes are returned unchanged.
+async function compressPdf(data, options, onProgress = () => {}) {
+  const pdfDoc = await loadPdfDocument(data, options.password, { updateMetadata: false });
+  const context = pdfDoc.context;
+  const usage = scanPdfContentUsage(pdfDoc);
+
+  const stats = {
+    originalSize: data.length,
+    compressedSize: data.length,
+    savedBytes: 0,
+    reduction: 0,
+    images: { total: 0, recompressed: 0, downsampled: 0, skipped: 0 },
+    streamsCompressed: 0,
+    fontsSubset: 0,
+    duplicateObjectsRemoved: 0,
+    unusedObjectsRemoved: 0,
+    keptOriginal: false
+  };
+
+  const images = findImageXObjects(context);
+  stats.images.total = images.length;
+
+  for (const [index, { ref, stream }] of images.entries()) {
+    try {
+      const outcome = await recompressImage(context, ref, stream, usage.imageExtents.get(ref.tag), options);
+      if (outcome) {
+        stats.images.recompressed++;
+        if (outcome.downsampled) stats.images.downsampled++;
+      } else {
+        stats.images.skipped++;
+      }
+    } catch (imageError) {
+      console.error(`Could not recompress image ${ref.tag}:`, imageError.message);
+      stats.images.skipped++;
+    }
+    onProgress({ completed: index + 1, total: images.length, message: `Optimized image ${index + 1} of ${images.length}` });
+  }
+
+  if (options.optimizeStructure) {
+    stats.streamsCompressed = deflateUnfilteredStreams(context);
+    if (options.subsetFonts) {
+      stats.fontsSubset = await subsetEmbeddedFonts(pdfDoc, usage);
+    }
+    stats.duplicateObjectsRemoved = mergeDuplicateObjects(context);
+    stats.unusedObjectsRemoved = removeUnreachableObjects(context);
+  }
+
+  onProgress({ message: 'Writing compressed PDF' });
+  const bytes = Buffer.from(await pdfDoc.save({ useObjectStreams: true, addDefaultPage: false }));
+
+  if (bytes.length >= data.length) {
+    stats.keptOriginal = true;
+    return { bytes: Buffer.from(data), stats };
+  }
+
+  stats.compressedSize = bytes.length;
+  stats.savedBytes = data.length - bytes.length;
+  stats.reduction = Math.round(stats.savedBytes / data.length * 1000) / 10;
+  return { bytes, stats };
+}
+
+// Image XObjects worth looking at (soft masks are handled together with their image)
+function findImageXObjects(context) {
+  const masks = new Set();
+  const images = [];
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream)) continue;
+    const subtype = object.dict.lookup(PDFName.of('Subtype'));
+    if (!(subtype instanceof PDFName) || subtype.decodeText() !== 'Image') continue;
+
+    const smask = object.dict.get(PDFName.of('SMask'));
+    if (smask instanceof PDFRef) masks.add(smask.tag);
+    images.push({ ref, stream: object });
+  }
+
+  return images.filter(image => !masks.has(image.ref.tag));
+}
+
+// Walk every content stream (pages, form XObjects, annotation appearances) and record how large
+// each image XObject is drawn and which character codes each font shows
+function scanPdfContentUsage(pdfDoc) {
+  const context = pdfDoc.context;
+  const usage = {
+    imageExtents: new Map(),
+    fontCodes: new Map(),
+    scannedFontDicts: new Set()
+  };
+  const visitedForms = new Set();
+
+  const scan = (bytes, resources, ctm) => {
+    const fontDict = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (fontDict) usage.scannedFontDicts.add(fontDict);
+
+    const stack = [];
+    let state = { ctm, font: null };
+
+    for (const op of parseContentStream(bytes)) {
+      if (op.operator === 'q') {
+        stack.push(state);
+      } else if (op.operator === 'Q') {
+        state = stack.pop() || state;
+      } else if (op.operator === 'cm' && op.operands.length === 6) {
+        state = { ...state, ctm: multiplyMatrices(op.operands, state.ctm) };
+      } else if (op.operator === 'Tf' && op.operands[0] && fontDict) {
+        const ref = fontDict.get(PDFName.of(op.operands[0].name));
+        state = { ...state, font: ref instanceof PDFRef ? ref : null };
+      } else if (TEXT_SHOWING_OPERATORS.has(op.operator) && state.font) {
+        const codes = usage.fontCodes.get(state.font.tag) || [];
+        op.operands.forEach(operand => {
+          [].concat(operand).forEach(part => part && part.string && codes.push(part.string));
+        });
+        usage.fontCodes.set(state.font.tag, codes);
+      } else if (op.operator === 'Do' && xObjects && op.operands[0]) {
+        const ref = xObjects.get(PDFName.of(op.operands[0].name));
+        const xObject = ref && context.lookup(ref);
+        if (!(xObject instanceof PDFRawStream)) continue;
+
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image') && ref instanceof PDFRef) {
+          const [a, b, c, d] = state.ctm;
+          const extent = usage.imageExtents.get(ref.tag) || { width: 0, height: 0 };
+          extent.width = Math.max(extent.width, Math.hypot(a, b));
+          extent.height = Math.max(extent.height, Math.hypot(c, d));
+          usage.imageExtents.set(ref.tag, extent);
+        } else if (subtype === PDFName.of('Form') && ref instanceof PDFRef && !visitedForms.has(ref.tag)) {
+          visitedForms.add(ref.tag);
+          const matrix = xObject.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+          const formMatrix = matrix ? matrix.asArray().map(n => context.lookup(n).asNumber()) : [1, 0, 0, 1, 0, 0];
+          const formResources = xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+          scan(decodePDFRawStream(xObject).decode(), formResources, multiplyMatrices(formMatrix, state.ctm));
+          visitedForms.delete(ref.tag);
+        }
+      }
+    }
+  };
+
+  for (const page of pdfDoc.getPages()) {
+    scan(getPageContentBytes(page), page.node.Resources(), [1, 0, 0, 1, 0, 0]);
+
+    // Appearance streams: scanned for fonts; images inside them keep their resolution
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    for (const annotRef of annots.asArray()) {
+      const annot = context.lookupMaybe(annotRef, PDFDict);
+      const appearances = annot && annot.lookupMaybe(PDFName.of('AP'), PDFDict);
+      if (!appearances) continue;
+
+      for (const [, value] of appearances.entries()) {
+        const entry = context.lookup(value);
+        const streams = entry instanceof PDFDict ? entry.values().map(v => context.lookup(v)) : [entry];
+        for (const stream of streams) {
+          if (!(stream instanceof PDFRawStream)) continue;
+          const resources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict);
+          scan(decodePDFRawStream(stream).decode(), resources, [0, 0, 0, 0, 0, 0]);
+        }
+      }
+    }
+  }
+
+  return usage;
+}
+
+// Re-encode one image XObject in place (same object number, so every reference stays valid).
+// Returns null when the image is left alone.
+async function recompressImage(context, ref, stream, extent, options) {
+  const dict = stream.dict;
+  const filters = pdfFilterNames(dict);
+  const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+  const bitsPerComponent = dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber);
+  const channels = pdfColorSpaceComponents(context, dict.get(PDFName.of('ColorSpace')));
+
+  if (dict.has(PDFName.of('ImageMask')) || dict.has(PDFName.of('Mask')) || hasCustomDecodeArray(dict)) return null;
+  if (channels !== 1 && channels !== 3) return null;
+  if (!bitsPerComponent || bitsPerComponent.asNumber() !== 8) return null;
+
+  let input;
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    input = sharp(Buffer.from(stream.contents));
+  } else if (filters.every(filter => filter === 'FlateDecode')) {
+    const pixels = Buffer.from(decodePDFRawStream(stream).decode());
+    if (pixels.length < width * height * channels) return null;
+    input = sharp(pixels, { raw: { width, height, channels } });
+  } else {
+    return null;
+  }
+
+  // Resample to the preset resolution at the largest size the image is drawn
+  let targetWidth = width;
+  let targetHeight = height;
+  if (extent && extent.width > 0 && extent.height > 0) {
+    const scale = Math.max(
+      (extent.width / 72) * options.imageDpi / width,
+      (extent.height / 72) * options.imageDpi / height
+    );
+    if (scale * DOWNSAMPLE_THRESHOLD < 1) {
+      targetWidth = Math.max(1, Math.round(width * scale));
+      targetHeight = Math.max(1, Math.round(height * scale));
+    }
+  }
+  const downsampled = targetWidth !== width;
+
+  if (downsampled) input = input.resize(targetWidth, targetHeight, { fit: 'fill' });
+  if (channels === 1) input = input.toColourspace('b-w');
+  const jpeg = await input.jpeg({ quality: options.imageQuality }).toBuffer();
+
+  // Re-encoding a JPEG at the same size only pays off when it saves a good chunk
+  const limit = downsampled ? stream.contents.length : stream.contents.length * 0.9;
+  if (jpeg.length >= limit) return null;
+
+  const smask = dict.get(PDFName.of('SMask'));
+  if (smask instanceof PDFRef && downsampled) {
+    const resampledMask = await resampleSoftMask(context, smask, targetWidth, targetHeight);
+    if (!resampledMask) return null;
+  }
+
+  const newDict = dict.clone(context);
+  newDict.set(PDFName.of('Width'), PDFNumber.of(targetWidth));
+  newDict.set(PDFName.of('Height'), PDFNumber.of(targetHeight));
+  newDict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+  newDict.delete(PDFName.of('DecodeParms'));
+  newDict.delete(PDFName.of('Length'));
+  context.assign(ref, PDFRawStream.of(newDict, jpeg));
+
+  return { downsampled };
+}
+
+// Soft masks have to follow their image's new pixel size; they stay lossless
+async function resampleSoftMask(context, ref, width, height) {
+  const mask = context.lookup(ref);
+  if (!(mask instanceof PDFRawStream)) return false;
+
+  const dict = mask.dict;
+  const bitsPerComponent = dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber);
+  if (!pdfFilterNames(dict).every(filter => filter === 'FlateDecode') ||
+      !bitsPerComponent || bitsPerComponent.asNumber() !== 8 || hasCustomDecodeArray(dict)) {
+    return false;
+  }
+
+  const maskWidth = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const maskHeight = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+  const pixels = Buffer.from(decodePDFRawStream(mask).decode());
+  if (pixels.length < maskWidth * maskHeight) return false;
+
+  const resized = await sharp(pixels, { raw: { width: maskWidth, height: maskHeight, channels: 1 } })
+    .resize(width, height, { fit: 'fill' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  const newDict = dict.clone(context);
+  newDict.set(PDFName.of('Width'), PDFNumber.of(width));
+  newDict.set(PDFName.of('Height'), PDFNumber.of(height));
+  newDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  newDict.delete(PDFName.of('DecodeParms'));
+  newDict.delete(PDFName.of('Length'));
+  context.assign(ref, PDFRawStream.of(newDict, zlib.deflateSync(resized, { level: 9 })));
+  return true;
+}
+
+// True when an image remaps its samples (anything other than the default [0 1 0 1 ...])
+function hasCustomDecodeArray(dict) {
+  const decode = dict.lookupMaybe(PDFName.of('Decode'), PDFArray);
+  if (!decode) return false;
+  return decode.asArray().some((value, i) => dict.context.lookup(value).asNumber() !== i % 2);
+}
+
+// Flate-compress streams stored without any filter (XMP metadata stays readable)
+function deflateUnfilteredStreams(context) {
+  let count = 0;
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.has(PDFName.of('Filter'))) continue;
+    if (object.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata')) continue;
+    if (object.contents.length < 64) continue;
+
+    const deflated = zlib.deflateSync(object.contents, { level: 9 });
+    if (deflated.length >= object.contents.length) continue;
+
+    const dict = object.dict.clone(context);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.delete(PDFName.of('Length'));
+    context.assign(ref, PDFRawStream.of(dict, deflated));
+    count++;
+  }
+
+  return count;
+}
+
+// Object types that are safe to share between pages once their contents match
+const MERGEABLE_DICT_TYPES = new Set(['Font', 'FontDescriptor', 'ExtGState', 'Pattern', 'Shading']);
+
+// Point every reference to byte-identical streams (and identical font/graphics-state dictionaries)
+// at a single copy. Repeated until stable, because merging fonts files makes their descriptors equal.
+function mergeDuplicateObjects(context) {
+  let removed = 0;
+
+  for (let pass = 0; pass < 4; pass++) {
+    const canonical = new Map();
+    const replacements = new Map();
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      let key = null;
+
+      if (object instanceof PDFRawStream) {
+        const dict = object.dict.clone(context);
+        dict.delete(PDFName.of('Length'));
+        key = 'stream:' + crypto.createHash('sha1').update(dict.toString()).update(object.contents).digest('hex');
+      } else if (object instanceof PDFDict) {
+        const type = object.lookup(PDFName.of('Type'));
+        if (type instanceof PDFName && MERGEABLE_DICT_TYPES.has(type.decodeText())) {
+          key = 'dict:' + crypto.createHash('sha1').update(object.toString()).digest('hex');
+        }
+      }
+
+      if (!key) continue;
+      if (canonical.has(key)) {
+        replacements.set(ref.tag, canonical.get(key));
+      } else {
+        canonical.set(key, ref);
+      }
+    }
+
+    if (replacements.size === 0) break;
+
+    const swap = value => (value instanceof PDFRef && replacements.has(value.tag) ? replacements.get(value.tag) : value);
+    const rewrite = object => {
+      if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+          object.set(key, swap(value));
+          rewrite(value);
+        }
+      } else if (object instanceof PDFArray) {
+        object.asArray().forEach((value, i) => {
+          object.set(i, swap(value));
+          rewrite(value);
+        });
+      } else if (object instanceof PDFRawStream) {
+        rewrite(object.dict);
+      }
+    };
+
+    for (const [, object] of context.enumerateIndirectObjects()) rewrite(object);
+    context.trailerInfo.Root = swap(context.trailerInfo.Root);
+    context.trailerInfo.Info = swap(context.trailerInfo.Info);
+
+    for (const [ref] of context.enumerateIndirectObjects()) {
+      if (replacements.has(ref.tag)) {
+        context.delete(ref);
+        removed++;
+      }
+    }
+  }
+
+  return removed;
+}
+
+// Drop objects nothing points to any more (replaced images, old revisions, orphaned resources)
+function removeUnreachableObjects(context) {
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info];
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+    if (!value) continue;
+
+    if (value instanceof PDFRef) {
+      if (reachable.has(value.tag)) continue;
+      reachable.add(value.tag);
+      pending.push(context.lookup(value));
+    } else if (value instanceof PDFDict) {
+      pending.push(...value.values());
+    } else if (value instanceof PDFArray) {
+      pending.push(...value.asArray());
+    } else if (value instanceof PDFRawStream) {
+      pending.push(value.dict);
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.tag)) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Subset embedded TrueType CID fonts (Type0 / Identity-H) down to the glyphs actually shown.
+// Simple fonts are left alone: fontkit's subsets carry no cmap, so only CID-keyed fonts can be remapped.
+// A font is skipped whenever it is reachable from a resource dictionary we didn't scan (e.g. AcroForm /DR).
+async function subsetEmbeddedFonts(pdfDoc, usage) {
+  const fontkit = require('@pdf-lib/fontkit');
+  const context = pdfDoc.context;
+  const unsafe = findFontsOutsideScannedContent(context, usage.scannedFontDicts);
+  let count = 0;
+
+  for (const [ref, font] of context.enumerateIndirectObjects()) {
+    try {
+      if (!(font instanceof PDFDict) || font.lookup(PDFName.of('Subtype')) !== PDFName.of('Type0')) continue;
+      if (unsafe.has(ref.tag) || font.lookup(PDFName.of('Encoding')) !== PDFName.of('Identity-H')) continue;
+
+      const descendants = font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+      const cidFont = descendants && context.lookupMaybe(descendants.get(0), PDFDict);
+      if (!cidFont || cidFont.lookup(PDFName.of('Subtype')) !== PDFName.of('CIDFontType2')) continue;
+
+      const descriptor = cidFont.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+      const fontFileRef = descriptor && descriptor.get(PDFName.of('FontFile2'));
+      const fontFile = fontFileRef && context.lookup(fontFileRef);
+      const baseFont = cidFont.lookup(PDFName.of('BaseFont'));
+      if (!(fontFile instanceof PDFRawStream) || !(baseFont instanceof PDFName)) continue;
+
+      // CID → glyph id in the embedded font
+      const cidToGid = cidFont.lookup(PDFName.of('CIDToGIDMap'));
+      let gidFor = cid => cid;
+      if (cidToGid instanceof PDFRawStream) {
+        const map = Buffer.from(decodePDFRawStream(cidToGid).decode());
+        gidFor = cid => (cid * 2 + 1 < map.length ? map.readUInt16BE(cid * 2) : 0);
+      } else if (cidToGid && cidToGid !== PDFName.of('Identity')) {
+        continue;
+      }
+
+      const cids = new Set([0]);
+      for (const string of usage.fontCodes.get(ref.tag) || []) {
+        for (let i = 0; i + 1 < string.length; i += 2) cids.add(string.readUInt16BE(i));
+      }
+
+      // Fonts that are already subset (or nearly so) aren't worth rewriting
+      const source = fontkit.create(Buffer.from(decodePDFRawStream(fontFile).decode()));
+      if (!source.createSubset || source.numGlyphs <= cids.size * 2) continue;
+
+      const subset = source.createSubset();
+      const newGids = new Map();
+      for (const cid of cids) {
+        const gid = gidFor(cid);
+        if (gid < source.numGlyphs) newGids.set(cid, subset.includeGlyph(gid));
+      }
+
+      const fontBytes = await encodeFontSubset(subset);
+      const maxCid = Math.max(...cids);
+      const map = Buffer.alloc((maxCid + 1) * 2);
+      newGids.forEach((gid, cid) => map.writeUInt16BE(gid, cid * 2));
+
+      const tag = crypto.createHash('sha1').update(fontBytes).digest()
+        .subarray(0, 6).reduce((name, byte) => name + String.fromCharCode(65 + (byte % 26)), '');
+      const subsetName = PDFName.of(`${tag}+${baseFont.decodeText().replace(/^[A-Z]{6}\+/, '')}`);
+
+      const fontFileDict = fontFile.dict.clone(context);
+      fontFileDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+      fontFileDict.set(PDFName.of('Length1'), PDFNumber.of(fontBytes.length));
+      fontFileDict.delete(PDFName.of('DecodeParms'));
+      fontFileDict.delete(PDFName.of('Length'));
+      context.assign(fontFileRef, PDFRawStream.of(fontFileDict, zlib.deflateSync(fontBytes, { level: 9 })));
+
+      cidFont.set(PDFName.of('CIDToGIDMap'), context.register(
+        PDFRawStream.of(context.obj({ Filter: 'FlateDecode' }), zlib.deflateSync(map, { level: 9 }))
+      ));
+      cidFont.set(PDFName.of('BaseFont'), subsetName);
+      font.set(PDFName.of('BaseFont'), subsetName);
+      descriptor.set(PDFName.of('FontName'), subsetName);
+      count++;
+
+    } catch (fontError) {
+      console.error(`Could not subset font ${ref.tag}:`, fontError.message);
+    }
+  }
+
+  return count;
+}
+
+function encodeFontSubset(subset) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    subset.encodeStream()
+      .on('data', bytes => parts.push(Buffer.from(bytes)))
+      .on('end', () => resolve(Buffer.concat(parts)))
+      .on('error', reject);
+  });
+}
+
+// Fonts referenced from any /Font resource dictionary (or ExtGState /Font entry) that the content scan never read
+function findFontsOutsideScannedContent(context, scannedFontDicts) {
+  const unsafe = new Set();
+  const seen = new Set();
+
+  const visit = object => {
+    if (!object || seen.has(object)) return;
+    seen.add(object);
+
+    if (object instanceof PDFRawStream) return visit(object.dict);
+    if (object instanceof PDFArray) return object.asArray().forEach(visit);
+    if (!(object instanceof PDFDict)) return;
+
+    for (const [key, value] of object.entries()) {
+      if (key === PDFName.of('Font')) {
+        const fonts = context.lookup(value);
+        if (fonts instanceof PDFDict && !scannedFontDicts.has(fonts)) {
+          fonts.values().forEach(ref => ref instanceof PDFRef && unsafe.add(ref.tag));
+        } else if (fonts instanceof PDFArray && fonts.get(0) instanceof PDFRef) {
+          unsafe.add(fonts.get(0).tag);
+        }
+      }
+      visit(value);
+    }
+  };
+
+  for (const [, object] of context.enumerateIndirectObjects()) visit(object);
+  return unsafe;
+}
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(2) + ' MB';
+  return (bytes / 1024).toFixed(1) + ' KB';
+}
+
+// 4. PDF TO TEXT - REAL WORKING
+app.post('/api/pdf-to-text', async (req, res) => {
+  try {
+    const pdfFile = req.files && (req.files.file || getUploadedFiles(req)[0]);
+    if (!pdfFile) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const mode = String(req.body.mode || 'text').toLowerCase();
+    if (!TEXT_EXTRACTION_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${TEXT_EXTRACTION_MODES.join(', ')}` });
+    }
+
+    const extraction = await extractPdfText(pdfFile.data, { mode, password: req.body.password });
+
+    res.json({
+      success: true,
+      mode,
+      text: extraction.text,
+      pages: extraction.pageCount,
+      pageTexts: extraction.pages,
+      filename: pdfFile.name
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Text extraction failed: ' + error.message, code: error.code });
+  }
+});
+
+// 5. IMAGES TO PDF - REAL WORKING WITH ACTUAL IMAGES
+app.post('/api/images-to-pdf', async (req, res) => {
+  try {
+    if (!req.files || Object.keys(req.files).length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const pdfDoc = await PDFDocument.create();
+    const files = Array.isArray(req.files.files) ? req.files.files : [req.files.files];
+    
+    console.log(`Processing ${files.length} images to PDF`);
+
+    for (const file of files) {
+      try {
+        if (!file.mimetype.startsWith('image/')) {
+          return res.status(400).json({ error: `File ${file.name} is not an image` });
         }
 
         console.log(`Processing image: ${file.name}`);
@@ -226,547 +1516,17076 @@ app.post('/api/images-to-pdf', async (req, res) => {
           height,
         });
 
-        page.drawText(file.name, {
-          x: 50,
-          y: 30,
-          size: 10,
-          color: rgb(0.5, 0.5, 0.5),
-        });
+        page.drawText(file.name, {
+          x: 50,
+          y: 30,
+          size: 10,
+          color: rgb(0.5, 0.5, 0.5),
+        });
+
+        console.log(`Successfully embedded image: ${file.name}`);
+
+      } catch (error) {
+        console.error(`Error processing file ${file.name}:`, error);
+        const page = pdfDoc.addPage([612, 792]);
+        page.drawText(`Error processing: ${file.name}`, {
+          x: 50,
+          y: 750,
+          size: 12,
+          color: rgb(1, 0, 0),
+        });
+        page.drawText(error.message, {
+          x: 50,
+          y: 730,
+          size: 10,
+          color: rgb(0.5, 0.5, 0.5),
+        });
+      }
+    }
+
+    if (pdfDoc.getPageCount() === 0) {
+      return res.status(400).json({ error: 'No images could be processed' });
+    }
+
+    const pdfBytes = await pdfDoc.save();
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename=images-converted.pdf');
+    res.setHeader('X-Images-Processed', files.length);
+    res.send(Buffer.from(pdfBytes));
+    
+  } catch (error) {
+    console.error('JPG to PDF error:', error);
+    res.status(500).json({ error: 'PDF creation failed: ' + error.message });
+  }
+});
+
+// 6. PDF TO EXCEL - REAL WORKING
+app.post('/api/pdf-to-excel', async (req, res) => {
+  try {
+    const input = await prepareSpreadsheetRequest(req);
+    const result = await performSpreadsheetExport(input);
+    const tableCount = result.sheets.filter(sheet => sheet.source !== 'page').length;
+
+    res.json({
+      success: true,
+      message: input.sheets === 'tables' && tableCount > 0
+        ? `Found ${tableCount} table(s) on ${result.pagesProcessed} page(s)`
+        : `Exported ${result.sheets.length} page(s) as ${input.format === 'csv' ? 'CSV' : 'worksheets'}`,
+      sheets: result.sheets,
+      warnings: result.warnings,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('PDF to Excel error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'PDF to Excel conversion failed: ' + error.message,
+      code: error.code,
+      availableLanguages: error.availableLanguages
+    });
+  }
+});
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Validate a PDF-to-spreadsheet upload; shared by /api/pdf-to-excel and the job API.
+// `sheets` is "tables" (one worksheet per detected table) or "pages" (one per page);
+// `ocr` reads pages without a text layer (scans) with Tesseract word boxes.
+async function prepareSpreadsheetRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const pdfFile = req.files.file;
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  const body = req.body;
+  const format = String(body.format || 'xlsx').toLowerCase();
+  if (!['xlsx', 'csv'].includes(format)) {
+    throw httpError(400, 'Invalid format. Use xlsx or csv');
+  }
+  const sheets = String(body.sheets || 'tables').toLowerCase();
+  if (!['tables', 'pages'].includes(sheets)) {
+    throw httpError(400, 'Invalid sheets option. Use tables or pages');
+  }
+  const dateOrder = String(body.dateOrder || 'mdy').toLowerCase();
+  if (!['mdy', 'dmy'].includes(dateOrder)) {
+    throw httpError(400, 'Invalid dateOrder. Use mdy (03/31/2024) or dmy (31/03/2024)');
+  }
+  const decimalSeparator = String(body.decimalSeparator || '.');
+  if (!['.', ','].includes(decimalSeparator)) {
+    throw httpError(400, 'Invalid decimalSeparator. Use "." or ","');
+  }
+
+  const ocr = ['true', '1', 'yes', 'on'].includes(String(body.ocr).toLowerCase());
+  let languages = ['eng'];
+  if (ocr) {
+    languages = parseOcrLanguages(body.languages || body.language);
+    if (!languages) {
+      throw httpError(400, 'Invalid languages. Use Tesseract codes such as "eng" or "deu+fra"');
+    }
+    const availableLanguages = await getAvailableOcrLanguages();
+    const missingLanguages = languages.filter(language => !availableLanguages.includes(language));
+    if (missingLanguages.length > 0) {
+      throw httpError(400, `Language data not installed: ${missingLanguages.join(', ')}`, { availableLanguages });
+    }
+  }
+
+  return {
+    pdfFile: { name: pdfFile.name, data: pdfFile.data },
+    format,
+    sheets,
+    // Numbers and dates become typed cells unless typing is switched off
+    typed: !['false', '0', 'no', 'off'].includes(String(body.typed).toLowerCase()),
+    dateOrder,
+    decimalSeparator,
+    ocr,
+    languages,
+    pages: body.pages,
+    password: body.password || ''
+  };
+}
+
+// Find the tables on every selected page and write them out as worksheets or CSV files
+async function performSpreadsheetExport(input, onProgress = () => {}) {
+  const { pdfFile } = input;
+  const pdfJsDoc = await loadPdfJsDocument(pdfFile.data, input.password);
+  const warnings = [];
+  const pages = [];
+  let session = null;
+  let pdfDoc = null;
+
+  try {
+    const pageIndices = parsePageRanges(input.pages, pdfJsDoc.numPages);
+    if (!pageIndices) {
+      throw httpError(400, `Invalid page range. Pages must be between 1 and ${pdfJsDoc.numPages}`);
+    }
+
+    const scanned = [];
+    let ocrPages = 0;
+
+    for (const [done, index] of pageIndices.entries()) {
+      const pageNumber = index + 1;
+      let { runs } = await extractPageTextRuns(pdfJsDoc, pageNumber);
+      let source = 'text';
+
+      if (!runs.some(run => run.text.trim()) && input.ocr) {
+        if (ocrPages < OCR_MAX_PAGES_PER_REQUEST) {
+          ocrPages++;
+          try {
+            session = session || openOcrSession();
+            pdfDoc = pdfDoc || await loadPdfDocument(pdfFile.data, input.password);
+            runs = await recognizePageWordRuns(pdfJsDoc, pdfDoc, index, session, input.languages);
+            source = 'ocr';
+          } catch (error) {
+            console.error(`OCR of page ${pageNumber} failed:`, error.message);
+            warnings.push(`Page ${pageNumber}: OCR failed (${error.message})`);
+          }
+        } else if (ocrPages++ === OCR_MAX_PAGES_PER_REQUEST) {
+          warnings.push(`OCR is limited to ${OCR_MAX_PAGES_PER_REQUEST} pages per request; later scanned pages were skipped`);
+        }
+      }
+      if (!runs.some(run => run.text.trim())) {
+        scanned.push(pageNumber);
+      }
+
+      const rulings = source === 'text' ? await extractPageRulings(pdfJsDoc, pageNumber) : [];
+      pages.push({ pageNumber, source, ...detectPageTables(runs, rulings) });
+
+      onProgress({ completed: done + 1, total: pageIndices.length + 1, message: `Analysed page ${pageNumber}` });
+    }
+
+    if (scanned.length === pageIndices.length) {
+      throw httpError(400, input.ocr
+        ? 'No text could be read from the PDF'
+        : 'No text found in the PDF. It looks scanned; turn on OCR to read it');
+    }
+    if (scanned.length > 0) {
+      warnings.push(`Page(s) ${scanned.join(', ')} have no text${input.ocr ? '' : ' layer; turn on OCR to read scanned pages'}`);
+    }
+
+  } finally {
+    if (session) closeOcrSession(session);
+    await pdfJsDoc.destroy();
+  }
+
+  let sheets = [];
+  if (input.sheets === 'tables') {
+    for (const page of pages) {
+      page.tables.forEach((table, k) => sheets.push({
+        name: `Page ${page.pageNumber}` + (page.tables.length > 1 ? ` Table ${k + 1}` : ''),
+        page: page.pageNumber,
+        source: page.source === 'ocr' ? 'ocr' : table.source,
+        rows: table.rows
+      }));
+    }
+    if (sheets.length === 0) {
+      warnings.push('No tables were detected, so each page was exported as a sheet');
+    }
+  }
+  if (sheets.length === 0) {
+    sheets = pages
+      .filter(page => page.tables.length > 0 || page.lines.length > 0)
+      .map(page => ({ name: `Page ${page.pageNumber}`, page: page.pageNumber, source: 'page', rows: buildPageSheetRows(page) }));
+  }
+
+  const baseName = pdfFile.name.replace(/\.pdf$/i, '');
+  const cellOptions = { typed: input.typed, dateOrder: input.dateOrder, decimalSeparator: input.decimalSeparator };
+  let output;
+
+  if (input.format === 'csv') {
+    const files = sheets.map(sheet => ({
+      name: `${sheet.name.replace(/\s+/g, '-').toLowerCase()}.csv`,
+      content: Buffer.from('\ufeff' + buildCsv(sheet.rows, cellOptions), 'utf8')
+    }));
+    if (files.length === 1) {
+      output = { buffer: files[0].content, filename: `${baseName}.csv`, contentType: 'text/csv; charset=utf-8' };
+    } else {
+      const JSZip = require('jszip');
+      const zip = new JSZip();
+      files.forEach(file => zip.file(file.name, file.content));
+      output = {
+        buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+        filename: `${baseName}-csv.zip`,
+        contentType: 'application/zip'
+      };
+    }
+  } else {
+    output = { buffer: await buildXlsxWorkbook(sheets, cellOptions), filename: `${baseName}.xlsx`, contentType: XLSX_CONTENT_TYPE };
+  }
+
+  onProgress({ completed: pages.length + 1, total: pages.length + 1, message: 'Spreadsheet ready' });
+
+  return {
+    ...output,
+    pagesProcessed: pages.length,
+    sheets: sheets.map(sheet => ({
+      name: sheet.name,
+      page: sheet.page,
+      source: sheet.source,
+      rows: sheet.rows.length,
+      columns: Math.max(0, ...sheet.rows.map(row => row.length))
+    })),
+    warnings
+  };
+}
+
+// Job API runner for pdf-to-excel
+async function runSpreadsheetJob(input, onProgress) {
+  const result = await performSpreadsheetExport(input, onProgress);
+  return {
+    files: {
+      spreadsheet: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { pagesProcessed: result.pagesProcessed, sheets: result.sheets, warnings: result.warnings }
+  };
+}
+
+// OCR a scanned page and return its words as text runs in displayed page coordinates,
+// the same shape extractPageTextRuns produces
+async function recognizePageWordRuns(pdfJsDoc, pdfDoc, pageIndex, session, languages) {
+  const pageImage = await extractScannedPageImage(pdfDoc, pageIndex) || await renderPageForOcr(pdfJsDoc, pageIndex + 1);
+  const data = await runOcrTask(session, languages, pageImage.image);
+
+  const page = await pdfJsDoc.getPage(pageIndex + 1);
+  const viewport = page.getViewport({ scale: 1 });
+  page.cleanup();
+
+  return collectOcrWords(data).map(word => {
+    const corners = [[word.bbox.x0, word.bbox.y0], [word.bbox.x1, word.bbox.y1]].map(([px, py]) => {
+      const point = pageImage.toPdfPoint(px, py);
+      return viewport.convertToViewportPoint(point.x, point.y);
+    });
+    const left = Math.min(corners[0][0], corners[1][0]);
+    const bottom = Math.max(corners[0][1], corners[1][1]);
+    const height = Math.abs(corners[1][1] - corners[0][1]);
+
+    return {
+      text: word.text,
+      left,
+      // Words have no baseline of their own; put it a little above the bottom of the box
+      top: bottom - height * 0.2,
+      width: Math.abs(corners[1][0] - corners[0][0]),
+      fontSize: height || 1,
+      angle: 0
+    };
+  });
+}
+
+// Horizontal and vertical rules drawn on a page - stroked lines, the edges of stroked rectangles
+// and thin filled rectangles - as { x1, y1, x2, y2 } in displayed page coordinates (origin top-left)
+async function extractPageRulings(pdfJsDoc, pageNumber) {
+  const { OPS, Util } = require('pdfjs-dist/legacy/build/pdf.js');
+  const page = await pdfJsDoc.getPage(pageNumber);
+
+  try {
+    const viewport = page.getViewport({ scale: 1 });
+    const { fnArray, argsArray } = await page.getOperatorList();
+    const rulings = [];
+    const stack = [];
+    let ctm = viewport.transform;
+    let shapes = [];
+
+    const point = (x, y) => Util.applyTransform([x, y], ctm);
+    const addLine = (a, b) => {
+      if (Math.abs(a[0] - b[0]) <= 1 || Math.abs(a[1] - b[1]) <= 1) {
+        rulings.push({ x1: Math.min(a[0], b[0]), y1: Math.min(a[1], b[1]), x2: Math.max(a[0], b[0]), y2: Math.max(a[1], b[1]) });
+      }
+    };
+
+    for (let i = 0; i < fnArray.length; i++) {
+      const args = argsArray[i];
+      switch (fnArray[i]) {
+        case OPS.save:
+          stack.push(ctm);
+          break;
+        case OPS.restore:
+          if (stack.length > 0) ctm = stack.pop();
+          break;
+        case OPS.transform:
+          ctm = Util.transform(ctm, args);
+          break;
+        case OPS.paintFormXObjectBegin:
+          stack.push(ctm);
+          if (Array.isArray(args[0]) && args[0].length === 6) ctm = Util.transform(ctm, args[0]);
+          break;
+        case OPS.paintFormXObjectEnd:
+          if (stack.length > 0) ctm = stack.pop();
+          break;
+        case OPS.constructPath: {
+          const [ops, coords] = args;
+          let start = null;
+          let current = null;
+          for (let k = 0, j = 0; k < ops.length; k++) {
+            switch (ops[k]) {
+              case OPS.rectangle: {
+                const [x, y, w, h] = coords.slice(j, j + 4);
+                shapes.push({ corners: [point(x, y), point(x + w, y), point(x + w, y + h), point(x, y + h)] });
+                j += 4;
+                break;
+              }
+              case OPS.moveTo:
+                start = current = point(coords[j], coords[j + 1]);
+                j += 2;
+                break;
+              case OPS.lineTo: {
+                const next = point(coords[j], coords[j + 1]);
+                if (current) shapes.push({ line: [current, next] });
+                current = next;
+                j += 2;
+                break;
+              }
+              case OPS.curveTo:
+                current = point(coords[j + 4], coords[j + 5]);
+                j += 6;
+                break;
+              case OPS.curveTo2:
+              case OPS.curveTo3:
+                current = point(coords[j + 2], coords[j + 3]);
+                j += 4;
+                break;
+              case OPS.closePath:
+                if (start && current) shapes.push({ line: [current, start] });
+                current = start;
+                break;
+            }
+          }
+          break;
+        }
+        case OPS.stroke:
+        case OPS.closeStroke:
+        case OPS.fillStroke:
+        case OPS.eoFillStroke:
+        case OPS.closeFillStroke:
+        case OPS.closeEOFillStroke:
+          for (const shape of shapes) {
+            if (shape.line) {
+              addLine(...shape.line);
+            } else {
+              shape.corners.forEach((corner, k) => addLine(corner, shape.corners[(k + 1) % 4]));
+            }
+          }
+          shapes = [];
+          break;
+        case OPS.fill:
+        case OPS.eoFill:
+          // Rules are often drawn as hairline-thin filled rectangles
+          for (const shape of shapes.filter(item => item.corners)) {
+            const xs = shape.corners.map(corner => corner[0]);
+            const ys = shape.corners.map(corner => corner[1]);
+            const box = { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+            if (box.y2 - box.y1 <= 3 && box.x2 - box.x1 > 3) {
+              const y = (box.y1 + box.y2) / 2;
+              rulings.push({ x1: box.x1, y1: y, x2: box.x2, y2: y });
+            } else if (box.x2 - box.x1 <= 3 && box.y2 - box.y1 > 3) {
+              const x = (box.x1 + box.x2) / 2;
+              rulings.push({ x1: x, y1: box.y1, x2: x, y2: box.y2 });
+            }
+          }
+          shapes = [];
+          break;
+        case OPS.endPath:
+          shapes = [];
+          break;
+      }
+    }
+
+    return rulings;
+
+  } finally {
+    page.cleanup();
+  }
+}
+
+// Tables on one page. Ruled tables come from grids of rules; the remaining text is searched for
+// runs of lines whose gaps line up into columns. Returns { tables, lines }, where tables hold
+// { top, bottom, source, rows: [[cell text]] } and lines the text outside any table, split into cells.
+function detectPageTables(runs, rulings) {
+  let remaining = splitRunsAtWideSpaces(runs.filter(run => run.text.trim()));
+  const tables = [];
+
+  for (const region of findRuledRegions(rulings)) {
+    const inside = remaining.filter(run => {
+      const center = runCenter(run);
+      return center.x >= region.left - 1 && center.x <= region.right + 1 && center.y >= region.top - 1 && center.y <= region.bottom + 1;
+    });
+    if (inside.length === 0) continue;
+
+    const table = buildGridTable(inside, region);
+    if (table) {
+      tables.push({ ...table, source: 'ruled' });
+      remaining = remaining.filter(run => !inside.includes(run));
+    }
+  }
+
+  const lines = groupRunsIntoLines(remaining).map(line => ({ top: line.top, fontSize: line.fontSize, segments: splitLineSegments(line) }));
+  const used = new Set();
+
+  for (const block of findTabularBlocks(lines)) {
+    const segments = block.flatMap(line => line.segments);
+    const columns = splitByGaps(segments, segment => [segment.left, segment.right], 1);
+    if (columns.length < 2 || columns.every(isProseColumn)) continue;
+
+    const columnOf = new Map();
+    columns.forEach((column, k) => column.forEach(segment => columnOf.set(segment, k)));
+    const bounds = columns.map(column => [Math.min(...column.map(s => s.left)), Math.max(...column.map(s => s.right))]);
+    const edges = [bounds[0][0], ...bounds.slice(1).map((bound, k) => (bounds[k][1] + bound[0]) / 2), bounds[bounds.length - 1][1]];
+
+    tables.push({
+      top: block[0].top - block[0].fontSize,
+      bottom: block[block.length - 1].top,
+      left: edges[0],
+      right: edges[edges.length - 1],
+      widths: edges.slice(1).map((edge, k) => edge - edges[k]),
+      source: 'text',
+      rows: block.map(line => {
+        const cells = new Array(columns.length).fill('');
+        line.segments.forEach(segment => {
+          const k = columnOf.get(segment);
+          cells[k] = cells[k] ? `${cells[k]} ${segment.text}` : segment.text;
+        });
+        return cells;
+      })
+    });
+    block.forEach(line => used.add(line));
+  }
+
+  tables.sort((a, b) => a.top - b.top);
+  return {
+    tables,
+    lines: lines.filter(line => !used.has(line)).map(line => ({ top: line.top, cells: line.segments.map(segment => segment.text) }))
+  };
+}
+
+// Text laid out with runs of spaces becomes one run per stretch of text. Positions inside a run
+// are estimated from character counts.
+function splitRunsAtWideSpaces(runs) {
+  return runs.flatMap(run => {
+    if (Math.abs(run.angle || 0) > 0.01 || !/\S\s{2,}\S/.test(run.text)) return [run];
+    const charWidth = run.width / run.text.length;
+    return Array.from(run.text.matchAll(/\S+(?:\s\S+)*/g), match => ({
+      ...run,
+      text: match[0],
+      left: run.left + match.index * charWidth,
+      width: match[0].length * charWidth
+    }));
+  });
+}
+
+// Middle of a run's glyph box (top is the baseline in displayed coordinates)
+function runCenter(run) {
+  return { x: run.left + run.width / 2, y: run.top - run.fontSize * 0.3 };
+}
+
+// Split a line at gaps of more than about one character height: the candidate table cells
+function splitLineSegments(line) {
+  const segments = [];
+  let segment = null;
+
+  for (const run of line.runs) {
+    if (!segment || run.left - segment.right > line.fontSize) {
+      segment = { left: run.left, right: run.left + run.width, runs: [] };
+      segments.push(segment);
+    }
+    segment.runs.push(run);
+    segment.right = Math.max(segment.right, run.left + run.width);
+  }
+
+  segments.forEach(item => { item.text = joinLineRuns(item.runs); });
+  return segments;
+}
+
+// Consecutive lines that split into two or more segments, with normal line spacing between them.
+// A single-segment line (a wrapped cell) is kept when the table carries on after it.
+function findTabularBlocks(lines) {
+  const blocks = [];
+  let block = [];
+  let pending = [];
+
+  const close = () => {
+    if (block.length >= 2) blocks.push(block);
+    block = [];
+    pending = [];
+  };
+
+  lines.forEach((line, i) => {
+    const previous = lines[i - 1];
+    if (block.length > 0 && line.top - previous.top > Math.max(line.fontSize, previous.fontSize) * 2.5) {
+      close();
+    }
+    if (line.segments.length >= 2) {
+      block.push(...pending, line);
+      pending = [];
+    } else if (block.length > 0 && pending.length === 0) {
+      pending.push(line);
+    } else {
+      close();
+    }
+  });
+  close();
+
+  return blocks;
+}
+
+// Regions enclosed by rules: groups of touching horizontal and vertical rules with at least two of
+// each. Column and row edges come from the rules themselves.
+function findRuledRegions(rulings) {
+  const tolerance = 2;
+  const horizontal = mergeRulings(rulings
+    .filter(rule => rule.y2 - rule.y1 <= tolerance && rule.x2 - rule.x1 > 4)
+    .map(rule => ({ position: (rule.y1 + rule.y2) / 2, start: rule.x1, end: rule.x2 })));
+  const vertical = mergeRulings(rulings
+    .filter(rule => rule.x2 - rule.x1 <= tolerance && rule.y2 - rule.y1 > 4)
+    .map(rule => ({ position: (rule.x1 + rule.x2) / 2, start: rule.y1, end: rule.y2 })));
+
+  // Union-find over rules that cross or touch
+  const parent = [...horizontal, ...vertical].map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  horizontal.forEach((h, i) => vertical.forEach((v, j) => {
+    if (v.position >= h.start - tolerance && v.position <= h.end + tolerance &&
+        h.position >= v.start - tolerance && h.position <= v.end + tolerance) {
+      parent[find(i)] = find(horizontal.length + j);
+    }
+  }));
+
+  const groups = new Map();
+  [...horizontal, ...vertical].forEach((rule, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { horizontal: [], vertical: [] });
+    groups.get(root)[i < horizontal.length ? 'horizontal' : 'vertical'].push(rule);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.horizontal.length >= 2 && group.vertical.length >= 2)
+    .map(group => {
+      const left = Math.min(...group.horizontal.map(rule => rule.start), ...group.vertical.map(rule => rule.position));
+      const right = Math.max(...group.horizontal.map(rule => rule.end), ...group.vertical.map(rule => rule.position));
+      const top = Math.min(...group.vertical.map(rule => rule.start), ...group.horizontal.map(rule => rule.position));
+      const bottom = Math.max(...group.vertical.map(rule => rule.end), ...group.horizontal.map(rule => rule.position));
+      return {
+        left, right, top, bottom,
+        columns: clusterPositions([left, right, ...group.vertical.map(rule => rule.position)]),
+        rows: clusterPositions([top, bottom, ...group.horizontal.map(rule => rule.position)])
+      };
+    })
+    .sort((a, b) => a.top - b.top);
+}
+
+// Join collinear rules that overlap or nearly touch (e.g. one rule per cell border)
+function mergeRulings(rules) {
+  const sorted = rules.slice().sort((a, b) => a.position - b.position || a.start - b.start);
+  const merged = [];
+
+  for (const rule of sorted) {
+    const last = merged.find(other => Math.abs(other.position - rule.position) <= 1.5 && rule.start <= other.end + 2);
+    if (last) {
+      last.end = Math.max(last.end, rule.end);
+    } else {
+      merged.push({ ...rule });
+    }
+  }
+  return merged;
+}
+
+// Sorted positions with near-duplicates (within 3pt) averaged together
+function clusterPositions(values) {
+  const clusters = [];
+  values.slice().sort((a, b) => a - b).forEach(value => {
+    const last = clusters[clusters.length - 1];
+    if (last && value - last.values[last.values.length - 1] <= 3) {
+      last.values.push(value);
+    } else {
+      clusters.push({ values: [value] });
+    }
+  });
+  return clusters.map(cluster => cluster.values.reduce((sum, value) => sum + value, 0) / cluster.values.length);
+}
+
+// Fill a ruled region's grid with its runs. When the rules only give one column (or one row),
+// columns come from gaps in the text (or rows from its lines) instead. Null if it isn't a table.
+function buildGridTable(runs, region) {
+  let columns = region.columns;
+  if (columns.length < 3) {
+    const lines = groupRunsIntoLines(runs);
+    const segments = lines.flatMap(line => splitLineSegments(line));
+    const groups = splitByGaps(segments, segment => [segment.left, segment.right], 1);
+    if (groups.length < 2) return null;
+    const bounds = groups.map(group => [Math.min(...group.map(s => s.left)), Math.max(...group.map(s => s.right))]);
+    columns = [region.left, ...bounds.slice(1).map((bound, k) => (bounds[k][1] + bound[0]) / 2), region.right];
+  }
+
+  let rows = region.rows;
+  if (rows.length < 3) {
+    const lines = groupRunsIntoLines(runs);
+    if (lines.length < 2) return null;
+    rows = [region.top, ...lines.slice(1).map((line, k) => (lines[k].top + line.top - line.fontSize * 0.7) / 2), region.bottom];
+  }
+
+  // A run that crosses a column edge (one string for several cells) is split into words first
+  const pieces = runs.flatMap(run => {
+    const crosses = columns.slice(1, -1).some(edge => edge > run.left + 1 && edge < run.left + run.width - 1);
+    if (!crosses || Math.abs(run.angle || 0) > 0.01) return [run];
+    const charWidth = run.width / run.text.length;
+    return Array.from(run.text.matchAll(/\S+/g), match => ({
+      ...run, text: match[0], left: run.left + match.index * charWidth, width: match[0].length * charWidth
+    }));
+  });
+
+  const locate = (edges, value) => {
+    const k = edges.findIndex((edge, i) => i > 0 && value < edge);
+    return k === -1 ? edges.length - 2 : Math.max(0, k - 1);
+  };
+  const cells = Array.from({ length: rows.length - 1 }, () => Array.from({ length: columns.length - 1 }, () => []));
+  for (const piece of pieces) {
+    const center = runCenter(piece);
+    cells[locate(rows, center.y)][locate(columns, center.x)].push(piece);
+  }
+
+  let grid = cells.map(row => row.map(cellRuns => groupRunsIntoLines(cellRuns).map(line => joinLineRuns(line.runs)).join('\n')));
+
+  // Drop rows and columns left empty (rules that only split merged cells)
+  grid = grid.filter(row => row.some(Boolean));
+  const keep = grid[0] ? grid[0].map((_, k) => grid.some(row => row[k])) : [];
+  grid = grid.map(row => row.filter((_, k) => keep[k]));
+  if (grid.length < 2 || grid[0].length < 2) return null;
+
+  const widths = columns.slice(1).map((edge, k) => edge - columns[k]).filter((_, k) => keep[k]);
+  return { top: region.top, bottom: region.bottom, left: region.left, right: region.right, widths, rows: grid };
+}
+
+// A page as one sheet: its tables and the text around them, top to bottom, with a blank row
+// either side of each table
+function buildPageSheetRows(page) {
+  const items = [
+    ...page.lines.map(line => ({ top: line.top, rows: [line.cells] })),
+    ...page.tables.map(table => ({ top: table.top, rows: table.rows, table: true }))
+  ].sort((a, b) => a.top - b.top);
+
+  const rows = [];
+  items.forEach((item, i) => {
+    if (item.table && rows.length > 0) rows.push([]);
+    rows.push(...item.rows);
+    if (item.table && i < items.length - 1) rows.push([]);
+  });
+  return rows;
+}
+
+// Turn cell text into a typed value: { value, format } for numbers and dates (Excel serial
+// numbers and number formats that keep the printed look), { value: text } for everything else
+function parseCellValue(text, options) {
+  const raw = String(text).trim();
+  if (!options.typed || !raw || raw.includes('\n')) return { value: raw };
+
+  const serial = parseDateCell(raw, options.dateOrder);
+  if (serial !== null) return { value: serial, format: 'yyyy-mm-dd', date: true };
+
+  let rest = raw;
+  let negative = false;
+  let currency = null;
+  let currencyAfter = false;
+  let percent = false;
+  let parentheses = false;
+
+  if (/^\(.+\)$/.test(rest)) {
+    parentheses = negative = true;
+    rest = rest.slice(1, -1).trim();
+  }
+  if (/^[-−+]/.test(rest)) {
+    negative = negative !== /^[-−]/.test(rest);
+    rest = rest.slice(1).trim();
+  } else if (/[-−]$/.test(rest)) {
+    // Statements print debits as "123.45-"
+    negative = true;
+    rest = rest.slice(0, -1).trim();
+  }
+  const symbol = rest.match(/^([$€£¥₹])\s?/) || rest.match(/\s?([$€£¥₹])$/);
+  if (symbol) {
+    currency = symbol[1];
+    currencyAfter = symbol.index > 0;
+    rest = currencyAfter ? rest.slice(0, symbol.index) : rest.slice(symbol[0].length);
+    if (/^[-−]/.test(rest) && !negative) {
+      negative = true;
+      rest = rest.slice(1);
+    }
+  }
+  if (rest.endsWith('%')) {
+    percent = true;
+    rest = rest.slice(0, -1).trim();
+  }
+
+  const [group, decimal] = options.decimalSeparator === ',' ? ['.', ','] : [',', '.'];
+  const pattern = new RegExp(`^(\\d{1,3}(?:\\${group}\\d{3})+|\\d+)?(?:\\${decimal}(\\d+))?$`);
+  const match = rest.match(pattern);
+  // Leading zeros (account numbers, codes) and numbers past double precision stay text
+  if (!match || (!match[1] && !match[2]) || /^0\d/.test(rest) || rest.replace(/\D/g, '').length > 15) {
+    return { value: raw };
+  }
+
+  const digits = (match[1] || '0').split(group).join('');
+  let value = Number(`${digits}.${match[2] || '0'}`) * (negative ? -1 : 1);
+  if (percent) value /= 100;
+
+  const grouped = Boolean(match[1] && match[1].includes(group));
+  const decimals = match[2] ? match[2].length : 0;
+  if (!grouped && !decimals && !percent && !currency && !parentheses) return { value };
+
+  let format = (grouped ? '#,##0' : '0') + (decimals ? '.' + '0'.repeat(decimals) : '') + (percent ? '%' : '');
+  if (currency) format = currencyAfter ? `${format} "${currency}"` : `"${currency}"${format}`;
+  if (parentheses) format = `${format};(${format})`;
+  return { value: percent ? Number(value.toFixed(decimals + 2)) : value, format };
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "2024-03-31", "03/31/2024" (or 31/03/2024 with dateOrder dmy), "31 Mar 2024", "Mar 31, 2024",
+// "31-Mar-24" -> Excel serial day number, or null when the text isn't a valid date
+function parseDateCell(text, dateOrder) {
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else if ((match = text.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})$/))) {
+    let [first, second] = [Number(match[1]), Number(match[3])];
+    if (dateOrder === 'dmy' || first > 12) [first, second] = [second, first];
+    [month, day, year] = [first, second, Number(match[4])];
+  } else if ((match = text.match(/^(\d{1,2})[ -]([A-Za-z]{3,9})\.?,?[ -](\d{4}|\d{2})$/))) {
+    [day, month, year] = [Number(match[1]), MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, Number(match[3])];
+  } else if ((match = text.match(/^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})$/))) {
+    [month, day, year] = [MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, Number(match[2]), Number(match[3])];
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+  const time = Date.UTC(year, month - 1, day);
+  const date = new Date(time);
+  if (month < 1 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return Math.round((time - Date.UTC(1899, 11, 30)) / 86400000);
+}
+
+// CSV (RFC 4180, CRLF line ends). Typed numbers are written plainly (1,234.50 -> 1234.5,
+// 12% -> 0.12) and dates as YYYY-MM-DD.
+function buildCsv(rows, options) {
+  return rows.map(row => row.map(text => {
+    const cell = parseCellValue(text, options);
+    let value = cell.value;
+    if (cell.date) {
+      value = new Date(Date.UTC(1899, 11, 30) + value * 86400000).toISOString().slice(0, 10);
+    }
+    value = String(value);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Write sheets ({ name, rows: [[cell text]] }) as an .xlsx workbook (SpreadsheetML in a ZIP)
+async function buildXlsxWorkbook(sheets, options) {
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  const xml = body => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+  const cleanText = value => escapeXml(String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').slice(0, 32767));
+
+  // Number formats in use -> cell style index (style 0 is General)
+  const formats = [];
+  const styleFor = format => {
+    if (!format) return 0;
+    if (!formats.includes(format)) formats.push(format);
+    return formats.indexOf(format) + 1;
+  };
+
+  const names = new Set();
+  const sheetNames = sheets.map(sheet => {
+    const base = sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+    let name = base;
+    for (let n = 2; names.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    names.add(name.toLowerCase());
+    return name;
+  });
+
+  sheets.forEach((sheet, i) => {
+    const widths = [];
+    const rowsXml = sheet.rows.map((row, r) => {
+      const cellsXml = row.map((text, c) => {
+        if (text === '' || text === null || text === undefined) return '';
+        const ref = `${xlsxColumnName(c)}${r + 1}`;
+        const longest = Math.max(...String(text).split('\n').map(line => line.length));
+        widths[c] = Math.max(widths[c] || 0, longest);
+
+        const cell = parseCellValue(text, options);
+        if (typeof cell.value === 'number') {
+          const style = styleFor(cell.format);
+          return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${cell.value}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${cleanText(cell.value)}</t></is></c>`;
+      }).join('');
+      return `<row r="${r + 1}">${cellsXml}</row>`;
+    }).join('');
+
+    const cols = widths.map((width, c) => width
+      ? `<col min="${c + 1}" max="${c + 1}" width="${Math.min(Math.max(width, 8), 60) + 2}" customWidth="1"/>`
+      : '').join('');
+
+    zip.file(`xl/worksheets/sheet${i + 1}.xml`, xml(
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      (cols ? `<cols>${cols}</cols>` : '') +
+      `<sheetData>${rowsXml}</sheetData></worksheet>`
+    ));
+  });
+
+  zip.file('[Content_Types].xml', xml(
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '</Types>'
+  ));
+
+  zip.file('_rels/.rels', xml(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>'
+  ));
+
+  zip.file('xl/workbook.xml', xml(
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets>${sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+    '</workbook>'
+  ));
+
+  zip.file('xl/_rels/workbook.xml.rels', xml(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>'
+  ));
+
+  zip.file('xl/styles.xml', xml(
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    (formats.length > 0
+      ? `<numFmts count="${formats.length}">${formats.map((format, k) => `<numFmt numFmtId="${164 + k}" formatCode="${escapeXml(format)}"/>`).join('')}</numFmts>`
+      : '') +
+    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${formats.length + 1}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+    formats.map((_, k) => `<xf numFmtId="${164 + k}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`).join('') +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'
+  ));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function xlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// 7. PDF TO JPG - REAL WORKING
+app.post('/api/pdf-to-jpg', async (req, res) => {
+  try {
+    const input = prepareImageExportRequest(req);
+    const result = await performImageExport(input);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('X-Pages-Processed', result.pagesProcessed);
+    if (result.failedPages.length > 0) {
+      res.setHeader('X-Pages-Failed', result.failedPages.map(failure => failure.page).join(','));
+    }
+    res.setHeader('X-Image-Format', result.format);
+    res.setHeader('X-Image-DPI', result.dpi);
+    res.send(result.zipBuffer);
+
+  } catch (error) {
+    console.error('PDF to JPG conversion failed:', error);
+    res.status(error.status || 500).json({ 
+      success: false,
+      error: error.status ? error.message : 'PDF to JPG conversion failed: ' + error.message,
+      code: error.code,
+      note: "Please try with a different PDF file"
+    });
+  }
+});
+
+// Validate a PDF-to-images upload; shared by /api/pdf-to-jpg and the job API
+function prepareImageExportRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const pdfFile = req.files.file;
+
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  const format = normalizeImageFormat(req.body.format);
+  if (!format) {
+    throw httpError(400, 'Unsupported image format. Use jpeg, png or webp');
+  }
+
+  return {
+    pdfFile: { name: pdfFile.name, data: pdfFile.data },
+    format,
+    dpi: Math.min(Math.max(parseInt(req.body.dpi) || 150, 36), 600),
+    quality: Math.min(Math.max(parseInt(req.body.quality) || 90, 10), 100),
+    pages: req.body.pages,
+    password: req.body.password || ''
+  };
+}
+
+// Render the selected pages and package them as a ZIP
+async function performImageExport(input, onProgress = () => {}) {
+  const { pdfFile, format, dpi, quality } = input;
+
+  console.log(`Processing PDF to ${format.toUpperCase()}: ${pdfFile.name}`);
+
+  const pdfJsDoc = await loadPdfJsDocument(pdfFile.data, input.password);
+
+  try {
+    const pageIndices = parsePageRanges(input.pages, pdfJsDoc.numPages);
+    if (!pageIndices) {
+      throw httpError(400, `Invalid page range. Pages must be between 1 and ${pdfJsDoc.numPages}`);
+    }
+
+    const JSZip = require('jszip');
+    const zip = new JSZip();
+    const extension = format === 'jpeg' ? 'jpg' : format;
+
+    console.log(`Converting ${pageIndices.length} pages at ${dpi} DPI...`);
+
+    // Pages that fail are reported, not replaced with a stand-in image
+    const failedPages = [];
+    for (const [done, i] of pageIndices.entries()) {
+      try {
+        console.log(`Converting page ${i + 1}...`);
+
+        const { canvas } = await renderPdfPageToCanvas(pdfJsDoc, i + 1, { dpi });
+        const imageBuffer = await encodeCanvas(canvas, format, quality);
+        zip.file(`page-${i + 1}.${extension}`, imageBuffer);
+
+        console.log(`✓ Successfully converted page ${i + 1}`);
+
+      } catch (pageError) {
+        console.error(`✗ Failed to convert page ${i + 1}:`, pageError.message);
+        failedPages.push({ page: i + 1, error: pageError.message });
+      }
+
+      onProgress({ completed: done + 1, total: pageIndices.length, message: `Converted page ${i + 1}` });
+    }
+
+    if (failedPages.length === pageIndices.length) {
+      throw httpError(422, `None of the pages could be rendered: ${failedPages[0].error}`, { code: 'RENDER_FAILED' });
+    }
+
+    const zipBuffer = await zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 6 }
+    });
+
+    console.log('✓ ZIP file created successfully');
+
+    return {
+      zipBuffer,
+      filename: `${pdfFile.name.replace('.pdf', '')}-images.zip`,
+      pagesProcessed: pageIndices.length - failedPages.length,
+      failedPages,
+      format,
+      dpi
+    };
+
+  } finally {
+    await pdfJsDoc.destroy();
+  }
+}
+
+// Job API runner for pdf-to-jpg
+async function runImageExportJob(input, onProgress) {
+  const result = await performImageExport(input, onProgress);
+  return {
+    files: {
+      images: { buffer: result.zipBuffer, filename: result.filename, contentType: 'application/zip' }
+    },
+    summary: {
+      pagesProcessed: result.pagesProcessed,
+      failedPages: result.failedPages,
+      format: result.format,
+      dpi: result.dpi
+    }
+  };
+}
+
+// Error carrying the HTTP status to answer with (plain Errors become 500s)
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Error code shared by every failed file in a report (e.g. all of them need a password), if any
+function commonErrorCode(report) {
+  const codes = new Set(report.filter(entry => entry.status === 'failed').map(entry => entry.code));
+  return codes.size === 1 ? [...codes][0] : undefined;
+}
+
+// Largest canvas we are willing to allocate for a single rendered page
+const MAX_RENDER_PIXELS = 40 * 1000 * 1000;
+
+// Load a PDF with pdf.js, using the bundled CMaps and standard fonts so nothing is fetched remotely.
+// `fontData` keeps the converted font programs on the fonts in commonObjs (pdf.js drops them otherwise).
+async function loadPdfJsDocument(data, password, options = {}) {
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const pdfjsRoot = pathModule.dirname(require.resolve('pdfjs-dist/package.json'));
+
+  const loadingTask = pdfjsLib.getDocument({
+    data: new Uint8Array(data),
+    password,
+    cMapUrl: pathModule.join(pdfjsRoot, 'cmaps') + pathModule.sep,
+    cMapPacked: true,
+    standardFontDataUrl: pathModule.join(pdfjsRoot, 'standard_fonts') + pathModule.sep,
+    disableFontFace: true,
+    fontExtraProperties: Boolean(options.fontData),
+    useSystemFonts: false,
+    verbosity: 0
+  });
+
+  try {
+    return await loadingTask.promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw pdfPasswordError(Boolean(password));
+    }
+    // Not a PDF, or too damaged for pdf.js to open: the upload's fault, like the pdf-lib load paths
+    if (error.name === 'InvalidPDFException' || error.name === 'FormatError') {
+      throw httpError(400, `Invalid or corrupted PDF (${error.message})`);
+    }
+    throw error;
+  }
+}
+
+// Rasterize one page (1-based) onto a node-canvas surface
+async function renderPdfPageToCanvas(pdfJsDoc, pageNumber, options = {}) {
+  const page = await pdfJsDoc.getPage(pageNumber);
+
+  try {
+    const baseViewport = page.getViewport({ scale: 1 });
+    let scale = (options.dpi || 150) / 72;
+
+    const pixels = baseViewport.width * baseViewport.height * scale * scale;
+    if (pixels > MAX_RENDER_PIXELS) {
+      scale *= Math.sqrt(MAX_RENDER_PIXELS / pixels);
+    }
+
+    const viewport = page.getViewport({ scale });
+
+    const { createCanvas } = require('canvas');
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({
+      canvasContext: ctx,
+      viewport,
+      annotationMode: options.annotationMode
+    }).promise;
+
+    return { canvas, viewport };
+
+  } finally {
+    page.cleanup();
+  }
+}
+
+// Encode a rendered canvas as JPEG, PNG or WebP
+async function encodeCanvas(canvas, format, quality = 90) {
+  if (format === 'png') {
+    return canvas.toBuffer('image/png');
+  }
+
+  if (format === 'webp') {
+    return sharp(canvas.toBuffer('image/png')).webp({ quality }).toBuffer();
+  }
+
+  return canvas.toBuffer('image/jpeg', {
+    quality: quality / 100,
+    chromaSubsampling: false
+  });
+}
+
+function normalizeImageFormat(format) {
+  const value = String(format || 'jpeg').toLowerCase();
+  if (value === 'jpg' || value === 'jpeg') return 'jpeg';
+  if (value === 'png' || value === 'webp') return value;
+  return null;
+}
+
+// Parse page range expressions like "1-3,5,8-" into zero-based page indices.
+// An empty expression (or "all") selects every page; returns null when the expression is invalid.
+function parsePageRanges(expression, pageCount) {
+  const groups = parsePageRangeGroups(expression, pageCount);
+  if (!groups) return null;
+
+  const seen = new Set();
+  const indices = [];
+  groups.flat().forEach(index => {
+    if (!seen.has(index)) {
+      seen.add(index);
+      indices.push(index);
+    }
+  });
+  return indices;
+}
+
+// Same as parsePageRanges, but keeps each comma-separated part as its own group
+function parsePageRangeGroups(expression, pageCount) {
+  const text = expression === undefined || expression === null ? '' : String(expression).trim();
+
+  if (text === '' || text.toLowerCase() === 'all') {
+    return [Array.from({ length: pageCount }, (_, i) => i)];
+  }
+
+  const groups = [];
+
+  for (const part of text.split(',')) {
+    const token = part.trim();
+    if (!token) continue;
+
+    const match = token.match(/^(\d*)\s*-\s*(\d*)$/) || token.match(/^(\d+)$/);
+    if (!match) return null;
+
+    const isRange = token.includes('-');
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = isRange ? (match[2] ? parseInt(match[2], 10) : pageCount) : start;
+
+    if (start < 1 || end > pageCount || start > end) return null;
+
+    const group = [];
+    for (let page = start; page <= end; page++) {
+      group.push(page - 1);
+    }
+    groups.push(group);
+  }
+
+  return groups.length > 0 ? groups : null;
+}
+
+// 8. OCR PDF - REAL WORKING
+app.post('/api/ocr-pdf', async (req, res) => {
+  try {
+    const input = await prepareOcrRequest(req);
+    const result = await performOcr(input);
+
+    res.json({
+      success: true,
+      message: result.message,
+      textContent: result.textContent,
+      summary: result.summary,
+      failedPages: result.failedPages,
+      languages: result.languages,
+      outputFormat: result.outputFormat,
+      output: result.output,
+      outputFilename: result.outputFilename,
+      downloadUrl: `data:application/pdf;base64,${Buffer.from(result.pdfBytes).toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    console.error('OCR PDF error:', error);
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'OCR processing failed: ' + error.message,
+      code: error.code,
+      failedPages: error.failedPages,
+      availableLanguages: error.availableLanguages,
+      note: "Make sure your PDF contains clear, readable text for best results"
+    });
+  }
+});
+
+// Validate an OCR upload; shared by /api/ocr-pdf and the job API
+async function prepareOcrRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const pdfFile = req.files.file;
+
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  const languages = parseOcrLanguages(req.body.languages || req.body.language);
+  if (!languages) {
+    throw httpError(400, 'Invalid languages. Use Tesseract codes such as "eng" or "deu+fra"');
+  }
+
+  const availableLanguages = await getAvailableOcrLanguages();
+  const missingLanguages = languages.filter(language => !availableLanguages.includes(language));
+  if (missingLanguages.length > 0) {
+    throw httpError(400, `Language data not installed: ${missingLanguages.join(', ')}`, { availableLanguages });
+  }
+
+  const outputFormat = String(req.body.outputFormat || 'text').toLowerCase();
+  if (!OCR_OUTPUT_FORMATS[outputFormat]) {
+    throw httpError(400, `Invalid outputFormat. Use one of: ${Object.keys(OCR_OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  return {
+    pdfFile: { name: pdfFile.name, data: pdfFile.data },
+    languages,
+    outputFormat,
+    password: req.body.password || ''
+  };
+}
+
+// Recognize every page and add the invisible text layer, reporting progress per finished page
+async function performOcr(input, onProgress = () => {}) {
+  const { pdfFile, languages, outputFormat } = input;
+
+  console.log(`Processing OCR for PDF: ${pdfFile.name} (${languages.join('+')})`);
+
+  const pdfDoc = await loadPdfDocument(pdfFile.data, input.password);
+  const pageCount = pdfDoc.getPageCount();
+
+  if (pageCount > OCR_MAX_PAGES_PER_REQUEST) {
+    throw httpError(400, `OCR is limited to ${OCR_MAX_PAGES_PER_REQUEST} pages per request`);
+  }
+
+  const font = await embedOcrTextFont(pdfDoc);
+  const session = openOcrSession();
+  let pdfJsDoc = null;
+  let pagesDone = 0;
+
+  try {
+    // Pages are rasterized here and recognized on the shared worker pool. Only a few pages
+    // beyond what the pool will run for this request are prepared at a time to bound memory.
+    const recognized = await mapWithConcurrency(
+      Array.from({ length: pageCount }, (_, i) => i),
+      OCR_MAX_ACTIVE_PAGES_PER_REQUEST + 1,
+      async (i) => {
+        try {
+          console.log(`Processing page ${i + 1}/${pageCount} with OCR...`);
+
+          let pageImage = await extractScannedPageImage(pdfDoc, i);
+          if (!pageImage) {
+            pdfJsDoc = pdfJsDoc || loadPdfJsDocument(pdfFile.data, input.password);
+            pageImage = await renderPageForOcr(await pdfJsDoc, i + 1);
+          }
+
+          const data = await runOcrTask(session, languages, pageImage.image);
+          console.log(`Page ${i + 1} OCR completed (${pageImage.source}) - Confidence: ${data.confidence}%`);
+          return { pageImage, data };
+
+        } catch (pageError) {
+          console.error(`Error processing page ${i + 1}:`, pageError);
+          return { error: pageError };
+
+        } finally {
+          pagesDone++;
+          onProgress({ completed: pagesDone, total: pageCount, message: `Recognized page ${i + 1} of ${pageCount}` });
+        }
+      }
+    );
+
+    // Failed pages are reported on their own and left out of the text and exports
+    const failedPages = [];
+    recognized.forEach(({ error }, i) => {
+      if (error) failedPages.push({ page: i + 1, error: error.message });
+    });
+    if (failedPages.length === pageCount) {
+      throw httpError(422, `None of the pages could be recognized: ${failedPages[0].error}`, { code: 'OCR_FAILED', failedPages });
+    }
+
+    const ocrResults = recognized.map(({ pageImage, data, error }, i) => {
+      if (error) return null;
+
+      addInvisibleTextLayer(pdfDoc.getPage(i), font, collectOcrWords(data), pageImage.toPdfPoint);
+
+      return {
+        page: i + 1,
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence),
+        hasText: data.text.trim().length > 0,
+        source: pageImage.source,
+        imageWidth: pageImage.width,
+        imageHeight: pageImage.height,
+        dpi: Math.round(pageImage.dpi),
+        blocks: data.blocks || []
+      };
+    }).filter(Boolean);
+
+    const pdfBytes = await pdfDoc.save();
+    const ocrOutput = OCR_OUTPUT_FORMATS[outputFormat];
+
+    const textContent = ocrResults.map(result => 
+      `=== Page ${result.page} (Confidence: ${result.confidence}%) ===\n${result.text}\n`
+    ).join('\n');
+
+    const pagesWithText = ocrResults.filter(r => r.hasText).length;
+
+    return {
+      pdfBytes,
+      message: failedPages.length > 0
+        ? `OCR completed: ${pagesWithText}/${pageCount} pages contain text, ${failedPages.length} page(s) could not be recognized.`
+        : `OCR completed successfully! ${pagesWithText}/${pageCount} pages contain text.`,
+      textContent,
+      summary: {
+        totalPages: pageCount,
+        pagesWithText: pagesWithText,
+        pagesFailed: failedPages.length,
+        averageConfidence: Math.round(ocrResults.reduce((sum, r) => sum + r.confidence, 0) / ocrResults.length),
+        totalTextLength: ocrResults.reduce((sum, r) => sum + r.text.length, 0)
+      },
+      failedPages,
+      languages,
+      outputFormat,
+      output: ocrOutput.build(ocrResults, { languages, filename: pdfFile.name }),
+      outputFilename: pdfFile.name.replace('.pdf', `-ocr.${ocrOutput.extension}`),
+      filename: pdfFile.name.replace('.pdf', '-ocr.pdf')
+    };
+
+  } finally {
+    closeOcrSession(session);
+    if (pdfJsDoc) await pdfJsDoc.then(doc => doc.destroy(), () => {});
+  }
+}
+
+// Job API runner for ocr-pdf: the searchable PDF plus the text export in the chosen format
+async function runOcrJob(input, onProgress) {
+  const result = await performOcr(input, onProgress);
+  const ocrOutput = OCR_OUTPUT_FORMATS[result.outputFormat];
+
+  return {
+    files: {
+      pdf: { buffer: Buffer.from(result.pdfBytes), filename: result.filename, contentType: 'application/pdf' },
+      output: { buffer: Buffer.from(result.output, 'utf8'), filename: result.outputFilename, contentType: ocrOutput.contentType }
+    },
+    summary: {
+      message: result.message,
+      summary: result.summary,
+      failedPages: result.failedPages,
+      textContent: result.textContent,
+      languages: result.languages,
+      outputFormat: result.outputFormat
+    }
+  };
+}
+
+// Installed OCR languages
+app.get('/api/ocr-languages', async (req, res) => {
+  res.json({
+    success: true,
+    languages: await getAvailableOcrLanguages()
+  });
+});
+
+// Directory holding <lang>.traineddata(.gz) files, set with TESSDATA_DIR. Languages missing there
+// come from the @tesseract.js-data/<lang> npm packages (eng and osd are dependencies, so OCR and
+// auto-rotation work on a fresh install). Language data is never fetched from the tesseract.js CDN.
+const OCR_LANG_PATH = process.env.TESSDATA_DIR || path.join(__dirname, 'tessdata');
+const OCR_PACKAGED_LANG_PATH = path.join(__dirname, 'node_modules', '@tesseract.js-data');
+const OCR_PACKAGED_LANG_VERSION = '4.0.0';
+
+// Where a language's traineddata would be: OCR_LANG_PATH first, then its npm package
+function ocrLanguageFiles(code) {
+  return [
+    path.join(OCR_LANG_PATH, `${code}.traineddata.gz`),
+    path.join(OCR_LANG_PATH, `${code}.traineddata`),
+    path.join(OCR_PACKAGED_LANG_PATH, code, OCR_PACKAGED_LANG_VERSION, `${code}.traineddata.gz`)
+  ];
+}
+
+// Languages with traineddata present in OCR_LANG_PATH or installed as packages
+async function getAvailableOcrLanguages() {
+  const languages = new Set();
+  try {
+    for (const entry of await fs.readdir(OCR_LANG_PATH)) {
+      const match = entry.match(/^(.+)\.traineddata(\.gz)?$/);
+      if (match) languages.add(match[1]);
+    }
+  } catch (error) {
+    // No local directory
+  }
+  try {
+    for (const code of await fs.readdir(OCR_PACKAGED_LANG_PATH)) {
+      const file = path.join(OCR_PACKAGED_LANG_PATH, code, OCR_PACKAGED_LANG_VERSION, `${code}.traineddata.gz`);
+      if (await fs.stat(file).then(() => true, () => false)) languages.add(code);
+    }
+  } catch (error) {
+    // No language packages installed
+  }
+  return Array.from(languages).sort();
+}
+
+// "deu+fra", "deu,fra" or ["deu","fra"] -> ['deu', 'fra']; defaults to English
+function parseOcrLanguages(value) {
+  if (value === undefined || value === null || value === '') return ['eng'];
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = value.trim().startsWith('[') ? JSON.parse(value) : value.split(/[+,\s]+/);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) return null;
+
+  const languages = list.map(language => String(language).trim()).filter(Boolean);
+  if (languages.length === 0 || !languages.every(language => /^[A-Za-z_]{3,20}$/.test(language))) {
+    return null;
+  }
+  return Array.from(new Set(languages));
+}
+
+// Load local language data into a Tesseract worker and (re)initialize it for those languages
+async function loadOcrLanguages(worker, languages) {
+  const languageData = await Promise.all(languages.map(async code => {
+    for (const file of ocrLanguageFiles(code)) {
+      try {
+        return { code, data: await fs.readFile(file) };
+      } catch (error) {
+        // Try the next file name
+      }
+    }
+    throw new Error(`Language data not installed: ${code}`);
+  }));
+
+  await worker.loadLanguage(languageData);
+  await worker.initialize(languages.join('+'));
+}
+
+// ========== OCR WORKER POOL ========== //
+//
+// Tesseract workers are shared by all requests. Every request opens a session; its pages are
+// queued on the session and the dispatcher takes tasks from sessions round-robin, never running
+// more than OCR_MAX_ACTIVE_PAGES_PER_REQUEST of one session at once, so a 40-page scan can't
+// hold every worker while a one-page upload waits behind it.
+
+const OCR_POOL_SIZE = parseInt(process.env.OCR_POOL_SIZE) || os.cpus().length;
+const OCR_MAX_ACTIVE_PAGES_PER_REQUEST = parseInt(process.env.OCR_MAX_ACTIVE_PAGES_PER_REQUEST) ||
+  Math.max(1, Math.ceil(OCR_POOL_SIZE / 2));
+const OCR_MAX_PAGES_PER_REQUEST = parseInt(process.env.OCR_MAX_PAGES_PER_REQUEST) || 200;
+const OCR_WORKER_IDLE_MS = 10 * 60 * 1000;
+
+const ocrPool = {
+  workers: [],
+  sessions: [],
+  nextWorkerId: 1,
+  nextSessionId: 1,
+  nextSessionIndex: 0,
+  stats: {
+    tasksCompleted: 0,
+    tasksFailed: 0,
+    workersStarted: 0,
+    recognitionMs: 0
+  }
+};
+
+function openOcrSession() {
+  const session = { id: ocrPool.nextSessionId++, pending: [], active: 0, openedAt: Date.now() };
+  ocrPool.sessions.push(session);
+  return session;
+}
+
+// Drop a session; tasks it still has queued are rejected
+function closeOcrSession(session) {
+  ocrPool.sessions = ocrPool.sessions.filter(other => other !== session);
+  session.pending.splice(0).forEach(task => task.reject(new Error('OCR request closed')));
+}
+
+// Recognize one image on the pool. Resolves with Tesseract's result data.
+// operation 'detect' runs orientation and script detection instead (languages must be ['osd']).
+function runOcrTask(session, languages, image, operation = 'recognize') {
+  return new Promise((resolve, reject) => {
+    session.pending.push({ session, languages, languageKey: languages.join('+'), image, operation, resolve, reject });
+    dispatchOcrTasks();
+  });
+}
+
+function dispatchOcrTasks() {
+  for (;;) {
+    const session = nextDispatchableSession();
+    if (!session) return;
+
+    const task = session.pending[0];
+    const worker = acquireOcrWorker(task.languageKey);
+    if (!worker) return;
+
+    session.pending.shift();
+    runTaskOnWorker(worker, task);
+  }
+}
+
+// Next session (round-robin) with queued work that is below its concurrency limit
+function nextDispatchableSession() {
+  const sessions = ocrPool.sessions;
+  for (let i = 0; i < sessions.length; i++) {
+    const index = (ocrPool.nextSessionIndex + i) % sessions.length;
+    const session = sessions[index];
+    if (session.pending.length > 0 && session.active < OCR_MAX_ACTIVE_PAGES_PER_REQUEST) {
+      ocrPool.nextSessionIndex = (index + 1) % sessions.length;
+      return session;
+    }
+  }
+  return null;
+}
+
+// Prefer an idle worker already initialized for these languages, then start a new one while the
+// pool has room, then re-initialize the longest-idle worker for the new languages
+function acquireOcrWorker(languageKey) {
+  const idle = ocrPool.workers.filter(worker => !worker.busy);
+
+  const matching = idle.find(worker => worker.languageKey === languageKey);
+  if (matching) return matching;
+
+  if (ocrPool.workers.length < OCR_POOL_SIZE) {
+    const worker = { id: ocrPool.nextWorkerId++, tesseract: null, languageKey: null, busy: false, tasksCompleted: 0, lastUsed: Date.now() };
+    ocrPool.workers.push(worker);
+    return worker;
+  }
+
+  return idle.sort((a, b) => a.lastUsed - b.lastUsed)[0] || null;
+}
+
+async function runTaskOnWorker(worker, task) {
+  worker.busy = true;
+  task.session.active++;
+
+  try {
+    if (!worker.tesseract) {
+      const { createWorker } = require('tesseract.js');
+      // cacheMethod 'none' keeps tesseract.js from writing .traineddata copies into the working directory
+      worker.tesseract = await createWorker({ cacheMethod: 'none' });
+      ocrPool.stats.workersStarted++;
+    }
+
+    if (worker.languageKey !== task.languageKey) {
+      worker.languageKey = null;
+      await loadOcrLanguages(worker.tesseract, task.languages);
+      worker.languageKey = task.languageKey;
+    }
+
+    const startedAt = Date.now();
+    const { data } = await worker.tesseract[task.operation](task.image);
+
+    ocrPool.stats.recognitionMs += Date.now() - startedAt;
+    ocrPool.stats.tasksCompleted++;
+    worker.tasksCompleted++;
+    task.resolve(data);
+
+  } catch (error) {
+    ocrPool.stats.tasksFailed++;
+    task.reject(error);
+    // Don't trust a worker that failed mid-task; the next task gets a fresh one
+    removeOcrWorker(worker);
+
+  } finally {
+    worker.busy = false;
+    worker.lastUsed = Date.now();
+    task.session.active--;
+    dispatchOcrTasks();
+  }
+}
+
+function removeOcrWorker(worker) {
+  ocrPool.workers = ocrPool.workers.filter(other => other !== worker);
+  if (worker.tesseract) {
+    worker.tesseract.terminate().catch(() => {});
+    worker.tesseract = null;
+  }
+}
+
+// Give memory back when OCR traffic stops
+setInterval(() => {
+  ocrPool.workers
+    .filter(worker => !worker.busy && Date.now() - worker.lastUsed > OCR_WORKER_IDLE_MS)
+    .forEach(removeOcrWorker);
+}, 60 * 1000).unref();
+
+function getOcrPoolStats() {
+  const { stats } = ocrPool;
+  return {
+    poolSize: OCR_POOL_SIZE,
+    maxActivePagesPerRequest: OCR_MAX_ACTIVE_PAGES_PER_REQUEST,
+    maxPagesPerRequest: OCR_MAX_PAGES_PER_REQUEST,
+    workers: ocrPool.workers.map(worker => ({
+      id: worker.id,
+      languages: worker.languageKey,
+      busy: worker.busy,
+      tasksCompleted: worker.tasksCompleted
+    })),
+    busyWorkers: ocrPool.workers.filter(worker => worker.busy).length,
+    activeRequests: ocrPool.sessions.length,
+    queuedPages: ocrPool.sessions.reduce((sum, session) => sum + session.pending.length, 0),
+    tasksCompleted: stats.tasksCompleted,
+    tasksFailed: stats.tasksFailed,
+    workersStarted: stats.workersStarted,
+    averageRecognitionMs: stats.tasksCompleted ? Math.round(stats.recognitionMs / stats.tasksCompleted) : 0
+  };
+}
+
+// OCR worker pool monitoring
+app.get('/api/ocr-pool', (req, res) => {
+  res.json({ success: true, ...getOcrPoolStats() });
+});
+
+// Run fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Font for the invisible OCR text layer. Helvetica only covers WinAnsi (Latin) characters,
+// so set OCR_TEXT_FONT to a Unicode TTF/OTF to keep Arabic, Greek, Cyrillic... searchable.
+async function embedOcrTextFont(pdfDoc) {
+  if (process.env.OCR_TEXT_FONT) {
+    const fontkit = require('@pdf-lib/fontkit');
+    pdfDoc.registerFontkit(fontkit);
+    return pdfDoc.embedFont(await fs.readFile(process.env.OCR_TEXT_FONT), { subset: true });
+  }
+  return pdfDoc.embedFont(StandardFonts.Helvetica);
+}
+
+// Font for text the standard fonts cannot draw: the first uploaded TTF/OTF (`fonts`) that has a
+// glyph for every character, else OCR_TEXT_FONT. `label` starts the error when neither is there;
+// `fonts` is null for tools that take no font uploads.
+async function embedUnicodeTextFont(pdfDoc, fonts, text, label) {
+  const fontkit = require('@pdf-lib/fontkit');
+  pdfDoc.registerFontkit(fontkit);
+  const characters = Array.from(new Set(text.replace(/\s/g, '')));
+
+  for (const upload of fonts || []) {
+    let parsed;
+    try {
+      parsed = fontkit.create(Buffer.from(upload.data));
+    } catch (error) {
+      throw httpError(400, `Could not read the font "${upload.name}" (${error.message})`);
+    }
+    if (typeof parsed.hasGlyphForCodePoint !== 'function') {
+      throw httpError(400, `Could not read the font "${upload.name}". Upload a single TTF/OTF font`);
+    }
+    if (characters.every(character => parsed.hasGlyphForCodePoint(character.codePointAt(0)))) {
+      return pdfDoc.embedFont(upload.data, { subset: true });
+    }
+  }
+  if (!(fonts && fonts.length) && process.env.OCR_TEXT_FONT) return embedOcrTextFont(pdfDoc);
+
+  if (fonts && fonts.length) throw httpError(400, `${label} has characters none of the uploaded fonts can draw`);
+  throw httpError(400, fonts
+    ? `${label} has characters the built-in font cannot draw. Upload a TTF/OTF font that covers them as "fonts"`
+    : `${label} has characters the built-in font cannot draw`);
+}
+
+// Resolution pages are rasterized at for OCR
+const OCR_RENDER_DPI = 300;
+
+// OCR helper: rasterize a page and map image pixels back to PDF user space
+async function renderPageForOcr(pdfJsDoc, pageNumber) {
+  const { canvas, viewport } = await renderPdfPageToCanvas(pdfJsDoc, pageNumber, { dpi: OCR_RENDER_DPI });
+
+  return {
+    source: 'rendered',
+    image: canvas.toBuffer('image/png'),
+    width: canvas.width,
+    height: canvas.height,
+    dpi: (canvas.width / viewport.width) * OCR_RENDER_DPI,
+    toPdfPoint: (px, py) => {
+      const [x, y] = viewport.convertToPdfPoint(px, py);
+      return { x, y };
+    }
+  };
+}
+
+// OCR helper: scanned pages are usually a single full-page image and nothing else.
+// OCR the embedded image at its native resolution instead of re-rendering it.
+// Returns null when the page isn't a plain scan so the caller falls back to rendering.
+async function extractScannedPageImage(pdfDoc, pageIndex) {
+  const page = pdfDoc.getPage(pageIndex);
+  if (page.getRotation().angle % 360 !== 0) return null;
+
+  const operations = parseContentStream(getPageContentBytes(page));
+  if (operations.some(op => TEXT_SHOWING_OPERATORS.has(op.operator))) return null;
+
+  const images = findPageImageDraws(page, operations);
+  if (images.length !== 1) return null;
+
+  const [{ stream, ctm }] = images;
+  const [a, b, c, d, e, f] = ctm;
+  if (Math.abs(b) > 1e-6 || Math.abs(c) > 1e-6 || a <= 0 || d <= 0) return null;
+
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+  if (a * d < pageWidth * pageHeight * 0.85) return null;
+
+  const image = await decodePdfImageForOcr(stream);
+  if (!image) return null;
+
+  return {
+    source: 'embedded-image',
+    image: image.data,
+    width: image.width,
+    height: image.height,
+    dpi: image.width / (a / 72),
+    // Image space: unit square, v axis pointing up; pixel rows run top to bottom
+    toPdfPoint: (px, py) => ({
+      x: a * (px / image.width) + e,
+      y: d * (1 - py / image.height) + f
+    })
+  };
+}
+
+// Turn an image XObject into something Tesseract can read: JPEGs as-is,
+// 8-bit Flate images through sharp. Anything else (CCITT, JBIG2, JPX) gets rendered instead.
+async function decodePdfImageForOcr(stream) {
+  const dict = stream.dict;
+  const filters = pdfFilterNames(dict);
+  const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    return { data: Buffer.from(stream.contents), width, height };
+  }
+
+  const bitsPerComponent = dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber);
+  const channels = pdfColorSpaceComponents(dict.context, dict.get(PDFName.of('ColorSpace')));
+  if (filters.every(filter => filter === 'FlateDecode') && bitsPerComponent &&
+      bitsPerComponent.asNumber() === 8 && (channels === 1 || channels === 3)) {
+    const pixels = Buffer.from(decodePDFRawStream(stream).decode());
+    const data = await sharp(pixels, { raw: { width, height, channels } }).png().toBuffer();
+    return { data, width, height };
+  }
+
+  return null;
+}
+
+// Pull word boxes (with their line's baseline) out of a Tesseract result
+function collectOcrWords(data) {
+  const words = [];
+
+  (data.lines || []).forEach(line => {
+    (line.words || []).forEach(word => {
+      if (!word.text || !word.text.trim()) return;
+      words.push({
+        text: word.text.trim(),
+        confidence: word.confidence,
+        bbox: word.bbox,
+        baseline: line.baseline && line.baseline.has_baseline ? line.baseline : null
+      });
+    });
+  });
+
+  return words;
+}
+
+// Write OCR words as invisible text (render mode 3) over their bounding boxes, stretched to the
+// word width, so viewers highlight and copy exactly what is seen on the page image
+function addInvisibleTextLayer(page, font, words, toPdfPoint) {
+  if (words.length === 0) return;
+
+  const fontKey = page.node.newFontDictionary(font.name, font.ref);
+  const supportedCharacters = new Set(font.getCharacterSet());
+
+  const operators = [
+    pushGraphicsState(),
+    beginText(),
+    setTextRenderingMode(TextRenderingMode.Invisible)
+  ];
+
+  for (const word of words) {
+    const text = Array.from(word.text)
+      .map(char => supportedCharacters.has(char.codePointAt(0)) ? char : '?')
+      .join('');
+
+    const { x0, y0, x1, y1 } = word.bbox;
+    let baselineY = y1;
+    if (word.baseline) {
+      const { x0: bx0, y0: by0, x1: bx1, y1: by1 } = word.baseline;
+      baselineY = bx1 !== bx0 ? by0 + (by1 - by0) * ((x0 - bx0) / (bx1 - bx0)) : by0;
+      baselineY = Math.min(Math.max(baselineY, y0), y1);
+    }
+
+    const start = toPdfPoint(x0, baselineY);
+    const end = toPdfPoint(x1, baselineY);
+    const top = toPdfPoint(x0, y0);
+
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const ascent = Math.hypot(top.x - start.x, top.y - start.y);
+    if (length <= 0 || ascent <= 0) continue;
+
+    // Tesseract boxes run from the tallest ascender to the baseline (plus descenders);
+    // Helvetica's ascender is ~0.72 of the font size
+    const fontSize = Math.max(ascent / 0.72, 1);
+    const textWidth = font.widthOfTextAtSize(text, fontSize);
+    const squeeze = textWidth > 0 ? (length / textWidth) * 100 : 100;
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    operators.push(
+      setFontAndSize(fontKey, fontSize),
+      setCharacterSqueeze(squeeze),
+      setTextMatrix(cos, sin, -sin, cos, start.x, start.y),
+      showText(font.encodeText(text + ' '))
+    );
+  }
+
+  operators.push(endText(), popGraphicsState());
+  page.pushOperators(...operators);
+}
+
+// Text extraction endpoint
+app.post('/api/extract-text', async (req, res) => {
+  try {
+    if (!req.files || !req.files.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const pdfFile = req.files.file;
+    const mode = String(req.body.mode || 'text').toLowerCase();
+    if (!TEXT_EXTRACTION_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${TEXT_EXTRACTION_MODES.join(', ')}` });
+    }
+
+    const extraction = await extractPdfText(pdfFile.data, { mode, password: req.body.password });
+
+    const fullText = extraction.pages.map(page =>
+      `=== Page ${page.page} ===\n${page.text}`
+    ).join('\n\n');
+
+    const allText = extraction.pages.map(page => page.text).join('\n');
+    const words = allText.split(/\s+/).filter(Boolean);
+    const pagesWithText = extraction.pages.filter(page => page.text.trim().length > 0).length;
+
+    res.json({
+      success: true,
+      mode,
+      text: fullText,
+      pages: extraction.pages,
+      summary: {
+        totalPages: extraction.pageCount,
+        pagesWithText,
+        totalCharacters: allText.replace(/\s/g, '').length,
+        totalWords: words.length
+      },
+      filename: pdfFile.name,
+      note: pagesWithText < extraction.pageCount
+        ? `${extraction.pageCount - pagesWithText} page(s) have no text layer. Use OCR mode for scanned pages.`
+        : undefined
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Text extraction failed: ' + error.message, code: error.code });
+  }
+});
+
+const TEXT_EXTRACTION_MODES = ['text', 'layout', 'json'];
+
+// Extract the text of every page from its content stream.
+// pdf.js decodes the fonts (encodings, ToUnicode CMaps, CID fonts); we then put the
+// positioned runs back into reading order, a layout-preserving grid, or return them as-is.
+async function extractPdfText(data, options = {}) {
+  const mode = options.mode || 'text';
+  const pdfJsDoc = await loadPdfJsDocument(data, options.password);
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdfJsDoc.numPages; pageNumber++) {
+      const pageData = await extractPageTextRuns(pdfJsDoc, pageNumber, { resolveFonts: mode === 'json' });
+
+      const pageResult = {
+        page: pageNumber,
+        width: pageData.width,
+        height: pageData.height,
+        text: mode === 'layout' ? buildLayoutText(pageData.runs) : buildReadingOrderText(pageData.runs)
+      };
+
+      if (mode === 'json') {
+        pageResult.runs = pageData.runs.map(run => ({
+          text: run.text,
+          x: round2(run.x),
+          y: round2(run.y),
+          width: round2(run.width),
+          height: round2(run.fontSize),
+          font: run.font,
+          size: round2(run.fontSize)
+        }));
+      }
+
+      pages.push(pageResult);
+    }
+
+    return {
+      pageCount: pdfJsDoc.numPages,
+      pages,
+      text: pages.map(page => page.text).join('\n\f')
+    };
+
+  } finally {
+    await pdfJsDoc.destroy();
+  }
+}
+
+// Positioned text runs of one page (1-based).
+// x/y are PDF user-space coordinates of the run's baseline origin; left/top are the same point
+// in the displayed page (rotation applied, origin top-left) and are what layout decisions use.
+async function extractPageTextRuns(pdfJsDoc, pageNumber, options = {}) {
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const page = await pdfJsDoc.getPage(pageNumber);
+
+  try {
+    const viewport = page.getViewport({ scale: 1 });
+    const textContent = await page.getTextContent();
+
+    let fontInfo = {};
+    if (options.resolveFonts) {
+      fontInfo = await resolvePdfJsFonts(page, textContent);
+    }
+
+    const runs = [];
+    for (const item of textContent.items) {
+      if (typeof item.str !== 'string' || item.str.length === 0) continue;
+
+      const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const fontSize = Math.hypot(tx[2], tx[3]) || Math.hypot(item.transform[2], item.transform[3]);
+      const info = fontInfo[item.fontName] || {};
+      const style = textContent.styles[item.fontName] || {};
+
+      runs.push({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        left: tx[4],
+        top: tx[5],
+        width: item.width,
+        fontSize,
+        angle: Math.atan2(tx[1], tx[0]),
+        fontName: item.fontName,
+        font: info.name || style.fontFamily || item.fontName,
+        bold: Boolean(info.bold),
+        italic: Boolean(info.italic)
+      });
+    }
+
+    return {
+      width: viewport.width,
+      height: viewport.height,
+      runs
+    };
+
+  } finally {
+    page.cleanup();
+  }
+}
+
+// Map pdf.js font ids to the real font names. Fonts only reach commonObjs once the page's
+// operator list has been built, so this costs an extra pass over the content stream.
+async function resolvePdfJsFonts(page, textContent) {
+  await page.getOperatorList();
+
+  const fonts = {};
+  Object.keys(textContent.styles).forEach(fontId => {
+    try {
+      if (page.commonObjs.has(fontId)) {
+        const font = page.commonObjs.get(fontId);
+        fonts[fontId] = {
+          name: (font.name || fontId).replace(/^[A-Z]{6}\+/, ''),
+          bold: font.bold || /bold|black|heavy|semibold/i.test(font.name || ''),
+          italic: font.italic || /italic|oblique/i.test(font.name || '')
+        };
+      }
+    } catch (error) {
+      // Font failed to load in pdf.js - fall back to the style's family name
+    }
+  });
+  return fonts;
+}
+
+// Group runs sharing a baseline into lines, top to bottom and left to right
+function groupRunsIntoLines(runs) {
+  const sorted = runs
+    .filter(run => run.text.trim().length > 0)
+    .sort((a, b) => a.top - b.top || a.left - b.left);
+
+  const lines = [];
+  let current = null;
+
+  for (const run of sorted) {
+    const tolerance = Math.max(1, Math.min(run.fontSize, current ? current.fontSize : run.fontSize) * 0.4);
+    if (current && Math.abs(run.top - current.top) <= tolerance) {
+      current.runs.push(run);
+      current.fontSize = Math.max(current.fontSize, run.fontSize);
+    } else {
+      current = { top: run.top, fontSize: run.fontSize, runs: [run] };
+      lines.push(current);
+    }
+  }
+
+  lines.forEach(line => {
+    line.runs.sort((a, b) => a.left - b.left);
+    line.left = line.runs[0].left;
+    line.right = Math.max(...line.runs.map(run => run.left + run.width));
+  });
+
+  return lines;
+}
+
+// Join the runs of one line, inserting spaces where the gap between runs is wider than a space
+function joinLineRuns(lineRuns) {
+  let text = '';
+  let previous = null;
+
+  for (const run of lineRuns) {
+    if (previous) {
+      const gap = run.left - (previous.left + previous.width);
+      const needsSpace = gap > Math.min(run.fontSize, previous.fontSize) * 0.15;
+      if (needsSpace && !/\s$/.test(text) && !/^\s/.test(run.text)) {
+        text += ' ';
+      }
+    }
+    text += run.text;
+    previous = run;
+  }
+
+  return text.replace(/\s+$/, '');
+}
+
+// Reading-order text: split lines at wide gaps into segments, then recursively cut the page
+// into columns (vertical gutters between prose) and blocks (horizontal whitespace) - a light XY-cut.
+function buildReadingOrderText(runs) {
+  return orderTextSegments(buildTextSegments(runs))
+    .map(block => groupSegmentLines(block).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Lines split at gaps wider than 1.5 character heights: the pieces reading order is built from
+function buildTextSegments(runs) {
+  const segments = [];
+
+  for (const line of groupRunsIntoLines(runs)) {
+    let segment = null;
+    for (const run of line.runs) {
+      const gap = segment ? run.left - segment.right : 0;
+      if (!segment || gap > line.fontSize * 1.5) {
+        segment = { top: line.top, fontSize: line.fontSize, left: run.left, right: run.left + run.width, runs: [] };
+        segments.push(segment);
+      }
+      segment.runs.push(run);
+      segment.right = Math.max(segment.right, run.left + run.width);
+    }
+  }
+
+  segments.forEach(segment => {
+    segment.text = joinLineRuns(segment.runs);
+    segment.y0 = segment.top - segment.fontSize * 0.8;
+    segment.y1 = segment.top + segment.fontSize * 0.2;
+  });
+
+  return segments;
+}
+
+function orderTextSegments(segments) {
+  if (segments.length <= 1) return [segments];
+
+  const fontSize = median(segments.map(segment => segment.fontSize)) || 10;
+
+  // Columns: vertical gutters that no segment crosses, only when both sides read like prose
+  const columns = splitByGaps(segments, segment => [segment.left, segment.right], fontSize);
+  const hasColumns = columns.length > 1 && columns.every(isProseColumn);
+
+  // Blocks: horizontal whitespace bands wider than normal line spacing. When the region also has
+  // columns only section breaks (titles, tables above or below) are cut first, so paragraph gaps
+  // that happen to line up across columns don't interleave them.
+  const blocks = splitByGaps(segments, segment => [segment.y0, segment.y1], fontSize * (hasColumns ? 1.5 : 0.5));
+  if (blocks.length > 1) {
+    return blocks.flatMap(orderTextSegments);
+  }
+
+  if (hasColumns) {
+    return columns.flatMap(orderTextSegments);
+  }
+
+  return [segments];
+}
+
+// Partition items along one axis wherever the covered intervals leave a gap of at least minGap
+function splitByGaps(items, interval, minGap) {
+  const sorted = items.slice().sort((a, b) => interval(a)[0] - interval(b)[0]);
+  const groups = [];
+  let end = -Infinity;
+
+  for (const item of sorted) {
+    const [start, stop] = interval(item);
+    if (groups.length === 0 || start - end >= minGap) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(item);
+    end = Math.max(end, stop);
+  }
+
+  return groups;
+}
+
+function isProseColumn(segments) {
+  const averageLength = segments.reduce((sum, segment) => sum + segment.text.length, 0) / segments.length;
+  return segments.length >= 2 && averageLength >= 15;
+}
+
+// Segments of one block back into lines of text (segments on the same baseline join with a space)
+function groupSegmentLines(segments) {
+  const sorted = segments.slice().sort((a, b) => a.top - b.top || a.left - b.left);
+  const lines = [];
+  let current = null;
+
+  for (const segment of sorted) {
+    if (current && Math.abs(segment.top - current.top) <= segment.fontSize * 0.4) {
+      current.parts.push(segment.text);
+    } else {
+      current = { top: segment.top, parts: [segment.text] };
+      lines.push(current);
+    }
+  }
+
+  return lines.map(line => line.parts.join(' '));
+}
+
+// Layout mode: place runs on a fixed character grid so columns and indentation survive
+function buildLayoutText(runs) {
+  const lines = groupRunsIntoLines(runs);
+  if (lines.length === 0) return '';
+
+  const charWidths = runs
+    .filter(run => run.text.trim().length > 0 && run.width > 0)
+    .map(run => run.width / run.text.length);
+  const charWidth = median(charWidths) || 5;
+  const minLeft = Math.min(...lines.map(line => line.left));
+
+  const lineGaps = [];
+  for (let i = 1; i < lines.length; i++) {
+    lineGaps.push(lines[i].top - lines[i - 1].top);
+  }
+  const lineHeight = median(lineGaps) || lines[0].fontSize * 1.2;
+
+  const output = [];
+  let previousTop = null;
+
+  for (const line of lines) {
+    if (previousTop !== null) {
+      const blankLines = Math.min(Math.round((line.top - previousTop) / lineHeight) - 1, 3);
+      for (let i = 0; i < blankLines; i++) output.push('');
+    }
+    previousTop = line.top;
+
+    let buffer = '';
+    for (const run of line.runs) {
+      let column = Math.round((run.left - minLeft) / charWidth);
+      const minColumn = buffer.length + (buffer.length > 0 && !/\s$/.test(buffer) ? 1 : 0);
+      if (column < minColumn) column = minColumn;
+      buffer = buffer.padEnd(column, ' ') + run.text;
+    }
+    output.push(buffer.replace(/\s+$/, ''));
+  }
+
+  return output.join('\n');
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Uploaded files for a form field as an array (express-fileupload gives a plain object for a single file)
+function getUploadedFiles(req, field = 'files') {
+  if (!req.files || !req.files[field]) return [];
+  return Array.isArray(req.files[field]) ? req.files[field] : [req.files[field]];
+}
+
+// OCR result exports. Coordinates are pixels of the image that was recognized
+// (the rendered page or the embedded scan); each page records its own size and resolution.
+const OCR_OUTPUT_FORMATS = {
+  text: { extension: 'txt', contentType: 'text/plain; charset=utf-8', build: buildOcrPlainText },
+  hocr: { extension: 'hocr', contentType: 'application/xhtml+xml; charset=utf-8', build: buildOcrHocr },
+  alto: { extension: 'xml', contentType: 'application/xml; charset=utf-8', build: buildOcrAlto },
+  tsv: { extension: 'tsv', contentType: 'text/tab-separated-values; charset=utf-8', build: buildOcrTsv }
+};
+
+function buildOcrPlainText(ocrResults) {
+  return ocrResults.map(result => result.text).join('\n\f');
+}
+
+function buildOcrHocr(ocrResults, { languages, filename }) {
+  const lang = escapeXml(languages[0]);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${lang}" lang="${lang}">`,
+    ' <head>',
+    `  <title>${escapeXml(filename)}</title>`,
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    '  <meta name="ocr-system" content="tesseract.js"/>',
+    `  <meta name="ocr-langs" content="${escapeXml(languages.join(' '))}"/>`,
+    '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>',
+    ' </head>',
+    ' <body>'
+  ];
+
+  ocrResults.forEach(result => {
+    const p = result.page;
+    lines.push(`  <div class="ocr_page" id="page_${p}" title="image &quot;${escapeXml(filename)}&quot;; bbox 0 0 ${result.imageWidth || 0} ${result.imageHeight || 0}; ppageno ${p - 1}; scan_res ${result.dpi || 0} ${result.dpi || 0}">`);
+
+    result.blocks.forEach((block, b) => {
+      lines.push(`   <div class="ocr_carea" id="block_${p}_${b + 1}" title="${hocrBbox(block.bbox)}">`);
+      block.paragraphs.forEach((paragraph, pa) => {
+        lines.push(`    <p class="ocr_par" id="par_${p}_${b + 1}_${pa + 1}" lang="${lang}" title="${hocrBbox(paragraph.bbox)}">`);
+        paragraph.lines.forEach((line, l) => {
+          const id = `${p}_${b + 1}_${pa + 1}_${l + 1}`;
+          lines.push(`     <span class="ocr_line" id="line_${id}" title="${hocrBbox(line.bbox)}${hocrBaseline(line)}">`);
+          line.words.forEach((word, w) => {
+            lines.push(`      <span class="ocrx_word" id="word_${id}_${w + 1}" title="${hocrBbox(word.bbox)}; x_wconf ${Math.round(word.confidence)}">${escapeXml(word.text)}</span>`);
+          });
+          lines.push('     </span>');
+        });
+        lines.push('    </p>');
+      });
+      lines.push('   </div>');
+    });
+
+    lines.push('  </div>');
+  });
+
+  lines.push(' </body>', '</html>', '');
+  return lines.join('\n');
+}
+
+function hocrBbox(bbox) {
+  return `bbox ${bbox.x0} ${bbox.y0} ${bbox.x1} ${bbox.y1}`;
+}
+
+// hOCR baseline: slope and offset of the baseline from the line box's bottom-left corner
+function hocrBaseline(line) {
+  const baseline = line.baseline;
+  if (!baseline || !baseline.has_baseline) return '';
+
+  const slope = baseline.x1 !== baseline.x0 ? (baseline.y1 - baseline.y0) / (baseline.x1 - baseline.x0) : 0;
+  const offset = baseline.y0 + slope * (line.bbox.x0 - baseline.x0) - line.bbox.y1;
+  return `; baseline ${slope.toFixed(3)} ${Math.round(offset)}`;
+}
+
+function buildOcrAlto(ocrResults, { languages, filename }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+    '  <Description>',
+    '    <MeasurementUnit>pixel</MeasurementUnit>',
+    '    <sourceImageInformation>',
+    `      <fileName>${escapeXml(filename)}</fileName>`,
+    '    </sourceImageInformation>',
+    '    <OCRProcessing ID="OCR_0">',
+    '      <ocrProcessingStep>',
+    `        <processingStepSettings>languages: ${escapeXml(languages.join('+'))}</processingStepSettings>`,
+    '        <processingSoftware>',
+    '          <softwareName>tesseract.js</softwareName>',
+    '        </processingSoftware>',
+    '      </ocrProcessingStep>',
+    '    </OCRProcessing>',
+    '  </Description>',
+    '  <Layout>'
+  ];
+
+  ocrResults.forEach(result => {
+    const p = result.page;
+    const width = result.imageWidth || 0;
+    const height = result.imageHeight || 0;
+    lines.push(`    <Page ID="page_${p}" PHYSICAL_IMG_NR="${p}" WIDTH="${width}" HEIGHT="${height}">`);
+    lines.push(`      <PrintSpace HPOS="0" VPOS="0" WIDTH="${width}" HEIGHT="${height}">`);
+
+    result.blocks.forEach((block, b) => {
+      lines.push(`        <TextBlock ID="block_${p}_${b + 1}" ${altoBox(block.bbox)}>`);
+      let lineNumber = 0;
+      block.paragraphs.forEach(paragraph => {
+        paragraph.lines.forEach(line => {
+          lineNumber++;
+          const id = `${p}_${b + 1}_${lineNumber}`;
+          lines.push(`          <TextLine ID="line_${id}" ${altoBox(line.bbox)}>`);
+          line.words.forEach((word, w) => {
+            if (w > 0) lines.push('            <SP/>');
+            lines.push(`            <String ID="string_${id}_${w + 1}" ${altoBox(word.bbox)} WC="${(word.confidence / 100).toFixed(2)}" CONTENT="${escapeXml(word.text)}"/>`);
+          });
+          lines.push('          </TextLine>');
+        });
+      });
+      lines.push('        </TextBlock>');
+    });
+
+    lines.push('      </PrintSpace>', '    </Page>');
+  });
+
+  lines.push('  </Layout>', '</alto>', '');
+  return lines.join('\n');
+}
+
+function altoBox(bbox) {
+  return `HPOS="${bbox.x0}" VPOS="${bbox.y0}" WIDTH="${bbox.x1 - bbox.x0}" HEIGHT="${bbox.y1 - bbox.y0}"`;
+}
+
+// Same columns as `tesseract ... tsv`: one row per page/block/paragraph/line/word,
+// conf is -1 everywhere except on word rows
+function buildOcrTsv(ocrResults) {
+  const rows = [['level', 'page_num', 'block_num', 'par_num', 'line_num', 'word_num', 'left', 'top', 'width', 'height', 'conf', 'text']];
+  const row = (level, ids, bbox, conf, text) => rows.push([
+    level, ...ids, bbox.x0, bbox.y0, bbox.x1 - bbox.x0, bbox.y1 - bbox.y0, conf, text
+  ]);
+
+  ocrResults.forEach(result => {
+    const p = result.page;
+    row(1, [p, 0, 0, 0, 0], { x0: 0, y0: 0, x1: result.imageWidth || 0, y1: result.imageHeight || 0 }, -1, '');
+
+    result.blocks.forEach((block, b) => {
+      row(2, [p, b + 1, 0, 0, 0], block.bbox, -1, '');
+      block.paragraphs.forEach((paragraph, pa) => {
+        row(3, [p, b + 1, pa + 1, 0, 0], paragraph.bbox, -1, '');
+        paragraph.lines.forEach((line, l) => {
+          row(4, [p, b + 1, pa + 1, l + 1, 0], line.bbox, -1, '');
+          line.words.forEach((word, w) => {
+            row(5, [p, b + 1, pa + 1, l + 1, w + 1], word.bbox, word.confidence.toFixed(2), word.text.replace(/[\t\n]/g, ' '));
+          });
+        });
+      });
+    });
+  });
+
+  return rows.map(columns => columns.join('\t')).join('\n') + '\n';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 9. ROTATE PDF - REAL WORKING
+app.post('/api/rotate-pdf', async (req, res) => {
+  try {
+    const input = await prepareRotateRequest(req);
+    const result = await performRotate(input);
+    const rotated = result.report.filter(entry => entry.status === 'rotated');
+
+    res.json({
+      success: true,
+      message: `Rotated ${result.pagesRotated} page(s) in ${rotated.length} of ${result.report.length} file(s)`,
+      mode: input.mode,
+      files: result.report,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Rotation failed: ' + error.message,
+      code: error.code,
+      files: error.report
+    });
+  }
+});
+
+// Orientation guesses below this Tesseract OSD confidence are ignored
+const OSD_MIN_CONFIDENCE = parseFloat(process.env.OSD_MIN_CONFIDENCE) || 1.5;
+
+// Validate a rotate upload; shared by /api/rotate-pdf and the job API.
+// Manual mode takes `angle` + optional `pages` range, and/or `rotations` mapping ranges to angles
+// ({"1": 90, "3-5": 180} or "1:90,3-5:180"). `angle=auto` (or mode=auto) straightens sideways scans.
+async function prepareRotateRequest(req) {
+  const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+  if (files.length === 0) {
+    throw httpError(400, 'No files uploaded');
+  }
+
+  const invalid = files.find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    throw httpError(400, `Not a PDF file: ${invalid.name}`);
+  }
+
+  const input = {
+    files: files.map(file => ({ name: file.name, data: file.data })),
+    pages: req.body.pages || '',
+    rules: [],
+    password: req.body.password || ''
+  };
+
+  if (req.body.mode === 'auto' || req.body.angle === 'auto') {
+    if (!(await getAvailableOcrLanguages()).includes('osd')) {
+      throw orientationUnavailableError('osd.traineddata is not installed (run npm install, or put it in TESSDATA_DIR)');
+    }
+    input.mode = 'auto';
+    return input;
+  }
+
+  input.mode = 'manual';
+  if (req.body.angle !== undefined && req.body.angle !== '') {
+    input.rules.push({ range: input.pages, angle: parseRotationAngle(req.body.angle) });
+  }
+  for (const [range, angle] of parseRotationMap(req.body.rotations)) {
+    input.rules.push({ range, angle: parseRotationAngle(angle) });
+  }
+
+  if (input.rules.length === 0) {
+    throw httpError(400, 'Provide an angle (90, 180, 270 or "auto") or per-page rotations');
+  }
+  return input;
+}
+
+function parseRotationAngle(value) {
+  const angle = Number(value);
+  if (!Number.isInteger(angle) || angle % 90 !== 0) {
+    throw httpError(400, `Invalid angle "${value}". Use a multiple of 90 degrees`);
+  }
+  return ((angle % 360) + 360) % 360;
+}
+
+// {"1": 90, "3-5": 180} or "1:90,3-5:180" -> [[range, angle], ...]
+function parseRotationMap(value) {
+  if (!value) return [];
+
+  const text = String(value).trim();
+  if (text.startsWith('{')) {
+    try {
+      return Object.entries(JSON.parse(text));
+    } catch (error) {
+      throw httpError(400, 'Invalid rotations JSON');
+    }
+  }
+
+  return text.split(',').filter(part => part.trim()).map(part => {
+    const match = part.trim().match(/^([\d\s-]+):\s*(-?\d+)$/);
+    if (!match) throw httpError(400, `Invalid rotation "${part.trim()}". Use page:angle, e.g. 3-5:180`);
+    return [match[1].trim(), match[2]];
+  });
+}
+
+// Rotate every file; files that fail are reported and left out of the result
+async function performRotate(input, onProgress = () => {}) {
+  const outputs = [];
+  const report = [];
+  let pagesRotated = 0;
+
+  for (const [i, file] of input.files.entries()) {
+    try {
+      const pdfDoc = await loadPdfDocument(file.data, input.password);
+      const pageCount = pdfDoc.getPageCount();
+      const fileProgress = progress => onProgress({
+        completed: i,
+        total: input.files.length,
+        message: `${file.name}: ${progress.message}`
+      });
+
+      const changes = input.mode === 'auto'
+        ? await detectPageRotations(pdfDoc, file.data, input, fileProgress)
+        : planManualRotations(input.rules, pageCount);
+
+      for (const change of changes) {
+        const page = pdfDoc.getPage(change.page - 1);
+        const previous = ((page.getRotation().angle % 360) + 360) % 360;
+        change.previousRotation = previous;
+        change.rotation = (previous + change.angle) % 360;
+        page.setRotation(degrees(change.rotation));
+      }
+
+      const applied = changes.filter(change => change.angle !== 0);
+      pagesRotated += applied.length;
+      outputs.push({
+        filename: file.name.replace(/\.pdf$/i, '') + '-rotated.pdf',
+        bytes: Buffer.from(await pdfDoc.save())
+      });
+      report.push({ file: file.name, status: 'rotated', pages: changes });
+
+    } catch (error) {
+      // Detection that can't run at all would fail every file the same way
+      if (error.code === 'ORIENTATION_DETECTION_UNAVAILABLE') throw error;
+      console.error(`Rotate: skipping ${file.name}:`, error.message);
+      report.push({ file: file.name, status: 'failed', error: error.status ? error.message : `Invalid PDF file (${error.message})`, code: error.code });
+    }
+
+    onProgress({ completed: i + 1, total: input.files.length, message: `Processed ${file.name}` });
+  }
+
+  if (outputs.length === 0) {
+    throw httpError(400, 'None of the files could be rotated', { report, code: commonErrorCode(report) });
+  }
+
+  if (outputs.length === 1) {
+    return { buffer: outputs[0].bytes, filename: outputs[0].filename, contentType: 'application/pdf', report, pagesRotated };
+  }
+
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  outputs.forEach(output => zip.file(output.filename, output.bytes));
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    filename: 'rotated-pdfs.zip',
+    contentType: 'application/zip',
+    report,
+    pagesRotated
+  };
+}
+
+// Job API runner for rotate-pdf
+async function runRotateJob(input, onProgress) {
+  const result = await performRotate(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { mode: input.mode, pagesRotated: result.pagesRotated, files: result.report }
+  };
+}
+
+// When rules overlap the narrowest one wins ("1-10: 90" plus "4: 180" turns page 4 by 180)
+function planManualRotations(rules, pageCount) {
+  const resolved = rules.map(rule => {
+    const indices = parsePageRanges(rule.range, pageCount);
+    if (!indices) {
+      throw httpError(400, `Invalid page range "${rule.range}". Pages must be between 1 and ${pageCount}`);
+    }
+    return { indices, angle: rule.angle };
+  });
+
+  const angles = new Map();
+  resolved
+    .sort((a, b) => b.indices.length - a.indices.length)
+    .forEach(rule => rule.indices.forEach(index => angles.set(index, rule.angle)));
+
+  return Array.from(angles.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, angle]) => ({ page: index + 1, angle }));
+}
+
+// Auto-rotation can't run: no OSD data, or detection failed on every page
+function orientationUnavailableError(reason) {
+  return httpError(503, `Orientation detection unavailable: ${reason}`, { code: 'ORIENTATION_DETECTION_UNAVAILABLE' });
+}
+
+// Run Tesseract orientation detection on each page (as displayed, so any existing /Rotate is
+// already applied) and return the clockwise turn that makes the text upright
+async function detectPageRotations(pdfDoc, data, { pages, password }, onProgress) {
+  const pageCount = pdfDoc.getPageCount();
+  const indices = parsePageRanges(pages, pageCount);
+  if (!indices) {
+    throw httpError(400, `Invalid page range. Pages must be between 1 and ${pageCount}`);
+  }
+  if (indices.length > OCR_MAX_PAGES_PER_REQUEST) {
+    throw httpError(400, `Orientation detection is limited to ${OCR_MAX_PAGES_PER_REQUEST} pages per file`);
+  }
+
+  const session = openOcrSession();
+  let pdfJsDoc = null;
+  let done = 0;
+
+  try {
+    const changes = await mapWithConcurrency(indices, OCR_MAX_ACTIVE_PAGES_PER_REQUEST + 1, async (i) => {
+      try {
+        let pageImage = await extractScannedPageImage(pdfDoc, i);
+        if (!pageImage) {
+          pdfJsDoc = pdfJsDoc || loadPdfJsDocument(data, password);
+          pageImage = await renderPageForOcr(await pdfJsDoc, i + 1);
+        }
+
+        const osd = await runOcrTask(session, ['osd'], pageImage.image, 'detect');
+        const confident = osd.orientation_degrees !== null && osd.orientation_confidence >= OSD_MIN_CONFIDENCE;
+
+        return {
+          page: i + 1,
+          angle: confident ? osd.orientation_degrees : 0,
+          detected: osd.orientation_degrees,
+          confidence: osd.orientation_confidence === null ? null : Math.round(osd.orientation_confidence * 100) / 100
+        };
+
+      } catch (pageError) {
+        console.error(`Orientation detection failed for page ${i + 1}:`, pageError);
+        return { page: i + 1, angle: 0, detected: null, confidence: null, error: String(pageError.message || pageError) };
+
+      } finally {
+        done++;
+        onProgress({ message: `checked page ${done} of ${indices.length}` });
+      }
+    });
+
+    if (changes.every(change => change.error)) {
+      throw orientationUnavailableError(changes[0].error);
+    }
+    return changes;
+
+  } finally {
+    closeOcrSession(session);
+    if (pdfJsDoc) await pdfJsDoc.then(doc => doc.destroy(), () => {});
+  }
+}
+
+// 10. WATERMARK PDF - REAL WORKING
+app.post('/api/watermark-pdf', async (req, res) => {
+  try {
+    const input = await prepareWatermarkRequest(req);
+    const result = await performWatermark(input);
+
+    res.json({
+      success: true,
+      message: input.recipients.length > 0
+        ? `Created ${result.copies} watermarked copies (${result.pagesStamped} page(s) each)`
+        : `Watermarked ${result.pagesStamped} page(s)`,
+      pages: result.pagesStamped,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Watermark failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const WATERMARK_POSITIONS = ['center', 'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right', 'tiled'];
+
+// Most recipient lists come from a spreadsheet; more copies than this should go through a job
+const MAX_WATERMARK_RECIPIENTS = parseInt(process.env.MAX_WATERMARK_RECIPIENTS) || 200;
+
+// Validate a watermark upload; shared by /api/watermark-pdf and the job API.
+// The mark is either text (`text`, `watermark` or `watermarkText`) or a PNG/JPG uploaded as `image`.
+// `recipients` (one name per line, comma separated or a JSON array) makes one copy per name,
+// replacing {name} in the text or appending " - name" to it.
+async function prepareWatermarkRequest(req) {
+  const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+  if (!file) {
+    throw httpError(400, 'No file uploaded');
+  }
+  if (file.mimetype !== 'application/pdf') {
+    throw httpError(400, `Not a PDF file: ${file.name}`);
+  }
+
+  const body = req.body;
+  const text = String(body.text || body.watermarkText || body.watermark || '').trim();
+  const image = getUploadedFiles(req, 'image')[0];
+  const recipients = parseRecipientList(body.recipients);
+
+  if (image && !['image/png', 'image/jpeg', 'image/jpg'].includes(image.mimetype)) {
+    throw httpError(400, `Watermark images must be PNG or JPG: ${image.name}`);
+  }
+  if (image && text) {
+    throw httpError(400, 'Send either watermark text or an image, not both');
+  }
+  if (image && recipients.length > 0) {
+    throw httpError(400, 'Per-recipient copies need a text watermark (use {name} where the name goes)');
+  }
+  if (!image && !text && recipients.length === 0) {
+    throw httpError(400, 'Enter watermark text or upload a PNG/JPG image');
+  }
+  if (recipients.length > MAX_WATERMARK_RECIPIENTS) {
+    throw httpError(400, `At most ${MAX_WATERMARK_RECIPIENTS} recipients per request`);
+  }
+
+  const position = String(body.position || 'center').toLowerCase();
+  if (!WATERMARK_POSITIONS.includes(position)) {
+    throw httpError(400, `Invalid position "${body.position}". Use one of: ${WATERMARK_POSITIONS.join(', ')}`);
+  }
+
+  const layer = String(body.layer || 'over').toLowerCase();
+  if (layer !== 'over' && layer !== 'behind') {
+    throw httpError(400, 'Layer must be "over" or "behind"');
+  }
+
+  const rotation = body.rotation === undefined || body.rotation === ''
+    ? (!image && (position === 'center' || position === 'tiled') ? 45 : 0)
+    : Number(body.rotation);
+  const fontSize = body.fontSize === undefined || body.fontSize === '' ? 48 : Number(body.fontSize);
+  const margin = body.margin === undefined || body.margin === '' ? 36 : Number(body.margin);
+
+  if (!Number.isFinite(rotation)) throw httpError(400, `Invalid rotation "${body.rotation}"`);
+  if (!(fontSize > 0 && fontSize <= 500)) throw httpError(400, 'Font size must be between 1 and 500');
+  if (!(margin >= 0)) throw httpError(400, `Invalid margin "${body.margin}"`);
+
+  return {
+    file: { name: file.name, data: file.data },
+    text: text || (recipients.length > 0 ? '{name}' : ''),
+    image: image ? { data: image.data, type: image.mimetype === 'image/png' ? 'png' : 'jpg' } : null,
+    recipients,
+    pages: body.pages || '',
+    position,
+    layer,
+    rotation,
+    fontSize,
+    margin,
+    opacity: parseFraction(body.opacity, 0.3, 'opacity'),
+    scale: parseFraction(body.scale, 0.3, 'scale'),
+    color: parseColor(body.color, rgb(0.5, 0.5, 0.5)),
+    fonts: getUploadedFiles(req, 'fonts').map(font => ({ name: font.name, data: font.data })),
+    password: body.password || ''
+  };
+}
+
+// "Jane Doe\nJohn Smith", "Jane,John" or '["Jane", "John"]' -> names
+function parseRecipientList(value) {
+  if (!value) return [];
+  const names = /\r?\n/.test(String(value)) ? String(value).split(/\r?\n/) : parseListField(value);
+  return names.map(name => name.trim()).filter(Boolean);
+}
+
+// 0.3, "0.3" or "30" (percent) -> 0.3
+function parseFraction(value, fallback, label) {
+  if (value === undefined || value === '') return fallback;
+  let number = Number(value);
+  if (number > 1) number /= 100;
+  if (!(number > 0 && number <= 1)) {
+    throw httpError(400, `Invalid ${label} "${value}". Use 0-1 or a percentage`);
+  }
+  return number;
+}
+
+// "#c00", "#cc0000" or "204,0,0" -> rgb()
+function parseColor(value, fallback) {
+  if (!value) return fallback;
+
+  const text = String(value).trim();
+  let hex = text.replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.replace(/./g, digit => digit + digit);
+  if (/^[0-9a-f]{6}$/i.test(hex)) {
+    return rgb(...[0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255));
+  }
+
+  const parts = text.split(',').map(Number);
+  if (parts.length === 3 && parts.every(part => part >= 0 && part <= 255)) {
+    return rgb(...parts.map(part => part / 255));
+  }
+  throw httpError(400, `Invalid color "${value}". Use #rrggbb or r,g,b`);
+}
+
+// Stamp the source once, or once per recipient (returned as a ZIP)
+async function performWatermark(input, onProgress = () => {}) {
+  const base = input.file.name.replace(/\.pdf$/i, '');
+
+  if (input.recipients.length === 0) {
+    const { bytes, pagesStamped } = await stampWatermark(input, input.text);
+    onProgress({ completed: 1, total: 1, message: 'Watermark added' });
+    return { buffer: bytes, filename: `${base}-watermarked.pdf`, contentType: 'application/pdf', pagesStamped, copies: 1 };
+  }
+
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  const usedNames = new Set();
+  let pagesStamped = 0;
+
+  for (const [i, name] of input.recipients.entries()) {
+    const text = input.text.includes('{name}') ? input.text.split('{name}').join(name) : `${input.text} - ${name}`;
+    const result = await stampWatermark(input, text);
+    pagesStamped = result.pagesStamped;
+
+    let filename = `${base}-${slugifyFilename(name) || `recipient-${i + 1}`}.pdf`;
+    for (let n = 2; usedNames.has(filename); n++) {
+      filename = `${base}-${slugifyFilename(name) || 'recipient'}-${n}.pdf`;
+    }
+    usedNames.add(filename);
+    zip.file(filename, result.bytes);
+
+    onProgress({ completed: i + 1, total: input.recipients.length, message: `Watermarked copy for ${name}` });
+  }
+
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    filename: `${base}-watermarked.zip`,
+    contentType: 'application/zip',
+    pagesStamped,
+    copies: input.recipients.length
+  };
+}
+
+// Job API runner for watermark-pdf
+async function runWatermarkJob(input, onProgress) {
+  const result = await performWatermark(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { pagesStamped: result.pagesStamped, copies: result.copies, recipients: input.recipients }
+  };
+}
+
+async function stampWatermark(input, text) {
+  const pdfDoc = await loadPdfDocument(input.file.data, input.password);
+  const indices = parsePageRanges(input.pages, pdfDoc.getPageCount());
+  if (!indices) {
+    throw httpError(400, `Invalid page range. Pages must be between 1 and ${pdfDoc.getPageCount()}`);
+  }
+
+  const mark = input.image
+    ? { image: input.image.type === 'png' ? await pdfDoc.embedPng(input.image.data) : await pdfDoc.embedJpg(input.image.data) }
+    : { lines: text.split(/\r?\n/), font: await embedWatermarkFont(pdfDoc, text, input.fonts) };
+
+  for (const index of indices) {
+    const page = pdfDoc.getPage(index);
+    drawWatermark(page, mark, input);
+
+    // pdf-lib appends what it draws; moving that stream to the front puts the mark under the page content
+    if (input.layer === 'behind') {
+      const contents = page.node.Contents();
+      const position = contents.indexOf(page.contentStreamRef);
+      contents.remove(position);
+      contents.insert(0, page.contentStreamRef);
+    }
+  }
+
+  return { bytes: Buffer.from(await pdfDoc.save()), pagesStamped: indices.length };
+}
+
+// Helvetica Bold covers Latin text; anything else needs an uploaded font
+async function embedWatermarkFont(pdfDoc, text, fonts) {
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  try {
+    font.encodeText(text.replace(/\r?\n/g, ''));
+    return font;
+  } catch (error) {
+    return embedUnicodeTextFont(pdfDoc, fonts, text, 'The watermark text');
+  }
+}
+
+// Lay the mark out in the page as displayed (honouring /Rotate) and draw it at each anchor
+function drawWatermark(page, mark, options) {
+  const box = getDisplayBox(page);
+  const angle = options.rotation * Math.PI / 180;
+
+  let width, height, lineHeight;
+  if (mark.image) {
+    width = box.width * options.scale;
+    height = width * mark.image.height / mark.image.width;
+  } else {
+    lineHeight = options.fontSize * 1.2;
+    width = Math.max(...mark.lines.map(line => mark.font.widthOfTextAtSize(line, options.fontSize)));
+    height = lineHeight * mark.lines.length;
+  }
+
+  // Size of the rotated mark's bounding box, used to keep corner marks inside the margins
+  const extentX = Math.abs(width * Math.cos(angle)) + Math.abs(height * Math.sin(angle));
+  const extentY = Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle));
+
+  const draw = (cx, cy) => {
+    const place = (localX, localY) => {
+      const x = cx + localX * Math.cos(angle) - localY * Math.sin(angle);
+      const y = cy + localX * Math.sin(angle) + localY * Math.cos(angle);
+      return toUserSpace(box, x, y);
+    };
+    const rotate = degrees(options.rotation + box.rotation);
+
+    if (mark.image) {
+      page.drawImage(mark.image, { ...place(-width / 2, -height / 2), width, height, rotate, opacity: options.opacity });
+      return;
+    }
+    const capHeight = mark.font.heightAtSize(options.fontSize, { descender: false }) * 0.7;
+    mark.lines.forEach((line, i) => {
+      const lineWidth = mark.font.widthOfTextAtSize(line, options.fontSize);
+      const baseline = height / 2 - (i + 0.5) * lineHeight - capHeight / 2;
+      page.drawText(line, {
+        ...place(-lineWidth / 2, baseline),
+        font: mark.font,
+        size: options.fontSize,
+        color: options.color,
+        opacity: options.opacity,
+        rotate
+      });
+    });
+  };
+
+  if (options.position === 'tiled') {
+    const stepX = extentX + Math.max(options.fontSize, 24) * 2;
+    const stepY = extentY + Math.max(options.fontSize, 24) * 2;
+    for (let row = 0, cy = stepY / 2; cy - extentY / 2 < box.height; row++, cy += stepY) {
+      for (let cx = (row % 2) * stepX / 2; cx - extentX / 2 < box.width; cx += stepX) {
+        draw(cx, cy);
+      }
+    }
+    return;
+  }
+
+  const [vertical, horizontal = 'center'] = options.position === 'center' ? ['center'] : options.position.split('-');
+  const cx = horizontal === 'left' ? options.margin + extentX / 2
+    : horizontal === 'right' ? box.width - options.margin - extentX / 2
+      : box.width / 2;
+  const cy = vertical === 'bottom' ? options.margin + extentY / 2
+    : vertical === 'top' ? box.height - options.margin - extentY / 2
+      : box.height / 2;
+  draw(cx, cy);
+}
+
+// The visible (crop) box as the reader sees it: width/height swap on pages turned by 90 or 270
+function getDisplayBox(page) {
+  const crop = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const turned = rotation === 90 || rotation === 270;
+  return {
+    crop,
+    rotation,
+    width: turned ? crop.height : crop.width,
+    height: turned ? crop.width : crop.height
+  };
+}
+
+// Map a point measured from the bottom-left of the displayed page to the page's user space
+function toUserSpace(box, x, y) {
+  const { crop } = box;
+  switch (box.rotation) {
+    case 90: return { x: crop.x + crop.width - y, y: crop.y + x };
+    case 180: return { x: crop.x + crop.width - x, y: crop.y + crop.height - y };
+    case 270: return { x: crop.x + y, y: crop.y + crop.height - x };
+    default: return { x: crop.x + x, y: crop.y + y };
+  }
+}
+
+// The inverse of toUserSpace: a user space point measured from the bottom-left of the displayed page
+function fromUserSpace(box, x, y) {
+  const { crop } = box;
+  switch (box.rotation) {
+    case 90: return { x: y - crop.y, y: crop.x + crop.width - x };
+    case 180: return { x: crop.x + crop.width - x, y: crop.y + crop.height - y };
+    case 270: return { x: crop.y + crop.height - y, y: x - crop.x };
+    default: return { x: x - crop.x, y: y - crop.y };
+  }
+}
+
+// 11. NUMBER PAGES - REAL WORKING
+app.post('/api/number-pages', async (req, res) => {
+  try {
+    const input = prepareNumberPagesRequest(req);
+    const result = await performNumberPages(input);
+    const numbered = result.report.filter(entry => entry.status === 'numbered');
+
+    res.json({
+      success: true,
+      message: input.mode === 'bates'
+        ? `Bates numbered ${result.pagesNumbered} page(s) across ${numbered.length} file(s): ${result.log[0].begin} - ${result.log[result.log.length - 1].end}`
+        : `Numbered ${result.pagesNumbered} page(s) in ${numbered.length} of ${result.report.length} file(s)`,
+      mode: input.mode,
+      files: result.report,
+      bates: result.log,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Page numbering failed: ' + error.message,
+      code: error.code,
+      files: error.report
+    });
+  }
+});
+
+// Fonts the numbering can be set in (the PDF standard 14, minus the symbol fonts)
+const NUMBERING_FONTS = {
+  helvetica: StandardFonts.Helvetica,
+  'helvetica-bold': StandardFonts.HelveticaBold,
+  times: StandardFonts.TimesRoman,
+  'times-bold': StandardFonts.TimesRomanBold,
+  courier: StandardFonts.Courier,
+  'courier-bold': StandardFonts.CourierBold
+};
+
+const NUMBER_STYLES = ['arabic', 'roman', 'upper-roman'];
+
+// Validate a numbering upload; shared by /api/number-pages and the job API.
+// Page mode numbers each file on its own from `format` ({n} and {total}, e.g. "Page {n} of {total}").
+// Bates mode numbers every page of every file in upload order as prefix + zero-padded number,
+// e.g. ACME000123, and adds a CSV log of the range given to each file. Text the chosen standard
+// font cannot draw is set in an uploaded TTF/OTF (`fonts`).
+function prepareNumberPagesRequest(req) {
+  const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+  if (files.length === 0) {
+    throw httpError(400, 'No files uploaded');
+  }
+
+  const invalid = files.find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    throw httpError(400, `Not a PDF file: ${invalid.name}`);
+  }
+
+  const body = req.body;
+  const mode = String(body.mode || 'pages').toLowerCase();
+  if (mode !== 'pages' && mode !== 'bates') {
+    throw httpError(400, 'Mode must be "pages" or "bates"');
+  }
+
+  // "header-right" and "footer-center" are accepted alongside top-/bottom-
+  const position = String(body.position || (mode === 'bates' ? 'bottom-right' : 'bottom-center'))
+    .toLowerCase().replace(/^header/, 'top').replace(/^footer/, 'bottom');
+  if (!/^(top|bottom)-(left|center|right)$/.test(position)) {
+    throw httpError(400, `Invalid position "${body.position}". Use top- or bottom- followed by left, center or right`);
+  }
+
+  const font = String(body.font || 'helvetica').toLowerCase();
+  if (!NUMBERING_FONTS[font]) {
+    throw httpError(400, `Unknown font "${body.font}". Use one of: ${Object.keys(NUMBERING_FONTS).join(', ')}`);
+  }
+
+  const numberStyle = String(body.numberStyle || 'arabic').toLowerCase();
+  if (!NUMBER_STYLES.includes(numberStyle)) {
+    throw httpError(400, `Invalid number style "${body.numberStyle}". Use one of: ${NUMBER_STYLES.join(', ')}`);
+  }
+
+  const margin = parseNumberField(body.margin, 30, 'margin', 0);
+  const digits = parseNumberField(body.digits, 6, 'digits', 1);
+  if (digits > 15) throw httpError(400, 'Bates numbers can have at most 15 digits');
+
+  const start = parseNumberField(body.start, 1, 'start number', 0);
+  if (mode === 'pages' && numberStyle !== 'arabic' && start < 1) {
+    throw httpError(400, 'Roman page numbers start at 1 or higher');
+  }
+
+  return {
+    files: files.map(file => ({ name: file.name, data: file.data })),
+    mode,
+    format: String(body.format || '{n}'),
+    numberStyle,
+    pages: mode === 'bates' ? '' : body.pages || '',
+    start,
+    prefix: String(body.prefix || ''),
+    suffix: String(body.suffix || ''),
+    digits,
+    position,
+    marginX: parseNumberField(body.marginX, margin, 'marginX', 0),
+    marginY: parseNumberField(body.marginY, margin, 'marginY', 0),
+    font: NUMBERING_FONTS[font],
+    fontSize: parseNumberField(body.fontSize, mode === 'bates' ? 10 : 11, 'font size', 1),
+    color: parseColor(body.color, rgb(0, 0, 0)),
+    fonts: getUploadedFiles(req, 'fonts').map(font => ({ name: font.name, data: font.data })),
+    password: body.password || ''
+  };
+}
+
+function parseNumberField(value, fallback, label, min) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    throw httpError(400, `Invalid ${label} "${value}"`);
+  }
+  return Math.round(number);
+}
+
+// Number every file. Page mode reports bad files and carries on; Bates mode stops, since a
+// production with a gap in its numbering is worse than no production
+async function performNumberPages(input, onProgress = () => {}) {
+  const outputs = [];
+  const report = [];
+  const log = [];
+  let next = input.start;
+  let pagesNumbered = 0;
+
+  for (const [i, file] of input.files.entries()) {
+    try {
+      const pdfDoc = await loadPdfDocument(file.data, input.password);
+      const pageCount = pdfDoc.getPageCount();
+      const indices = parsePageRanges(input.pages, pageCount);
+      if (!indices) {
+        throw httpError(400, `Invalid page range. Pages must be between 1 and ${pageCount}`);
+      }
+
+      const first = input.mode === 'bates' ? next : input.start;
+      const last = first + indices.length - 1;
+      if (input.mode === 'pages' && input.numberStyle !== 'arabic' && last > 3999) {
+        throw httpError(400, `Roman page numbers only go up to 3999 (this file would end at ${last})`);
+      }
+      const label = number => input.mode === 'bates'
+        ? input.prefix + String(number).padStart(input.digits, '0') + input.suffix
+        : input.format
+          .replace(/\{n\}/g, formatPageNumber(number, input.numberStyle))
+          .replace(/\{total\}/g, formatPageNumber(last, input.numberStyle));
+
+      let font = await pdfDoc.embedFont(input.font);
+      try {
+        font.encodeText(label(last));
+      } catch (error) {
+        font = await embedUnicodeTextFont(pdfDoc, input.fonts, label(last), `"${label(last)}"`);
+      }
+
+      indices.forEach((index, n) => stampPageLabel(pdfDoc.getPage(index), label(first + n), font, input));
+
+      const filename = file.name.replace(/\.pdf$/i, '') + (input.mode === 'bates' ? `-${label(first)}.pdf` : '-numbered.pdf');
+      outputs.push({ filename, bytes: Buffer.from(await pdfDoc.save()) });
+      report.push({ file: file.name, status: 'numbered', pages: indices.length, first: label(first), last: label(last) });
+      pagesNumbered += indices.length;
+
+      if (input.mode === 'bates') {
+        log.push({ file: file.name, output: filename, begin: label(first), end: label(last), pages: indices.length });
+        next = last + 1;
+      }
+
+    } catch (error) {
+      if (input.mode === 'bates') {
+        throw httpError(400, `Bates numbering stopped at ${file.name}: ${error.message}`, { code: error.code });
+      }
+      console.error(`Number pages: skipping ${file.name}:`, error.message);
+      report.push({ file: file.name, status: 'failed', error: error.status ? error.message : `Invalid PDF file (${error.message})`, code: error.code });
+    }
+
+    onProgress({ completed: i + 1, total: input.files.length, message: `Numbered ${file.name}` });
+  }
+
+  if (outputs.length === 0) {
+    throw httpError(400, 'None of the files could be numbered', { report, code: commonErrorCode(report) });
+  }
+
+  if (outputs.length === 1 && input.mode !== 'bates') {
+    return { buffer: outputs[0].bytes, filename: outputs[0].filename, contentType: 'application/pdf', report, log, pagesNumbered };
+  }
+
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  outputs.forEach(output => zip.file(output.filename, output.bytes));
+  if (input.mode === 'bates') {
+    zip.file('bates-log.csv', buildBatesLogCsv(log));
+  }
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    filename: input.mode === 'bates' ? `bates-${log[0].begin}-${log[log.length - 1].end}.zip` : 'numbered-pdfs.zip',
+    contentType: 'application/zip',
+    report,
+    log,
+    pagesNumbered
+  };
+}
+
+// Job API runner for number-pages
+async function runNumberPagesJob(input, onProgress) {
+  const result = await performNumberPages(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { mode: input.mode, pagesNumbered: result.pagesNumbered, files: result.report, bates: result.log }
+  };
+}
+
+// Draw a page label in the header/footer of the page as displayed
+function stampPageLabel(page, text, font, options) {
+  const box = getDisplayBox(page);
+  const width = font.widthOfTextAtSize(text, options.fontSize);
+  const [vertical, horizontal] = options.position.split('-');
+
+  const x = horizontal === 'left' ? options.marginX
+    : horizontal === 'right' ? box.width - options.marginX - width
+      : (box.width - width) / 2;
+  const y = vertical === 'bottom'
+    ? options.marginY
+    : box.height - options.marginY - font.heightAtSize(options.fontSize, { descender: false });
+
+  page.drawText(text, {
+    ...toUserSpace(box, x, y),
+    font,
+    size: options.fontSize,
+    color: options.color,
+    rotate: degrees(box.rotation)
+  });
+}
+
+function formatPageNumber(number, style) {
+  if (style === 'arabic' || number < 1 || number > 3999) return String(number);
+  const roman = toRomanNumeral(number);
+  return style === 'upper-roman' ? roman : roman.toLowerCase();
+}
+
+function toRomanNumeral(number) {
+  const numerals = [
+    [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+  ];
+  let result = '';
+  for (const [value, numeral] of numerals) {
+    while (number >= value) {
+      result += numeral;
+      number -= value;
+    }
+  }
+  return result;
+}
+
+function buildBatesLogCsv(log) {
+  const rows = [['File', 'Output', 'Begin Bates', 'End Bates', 'Pages']]
+    .concat(log.map(entry => [entry.file, entry.output, entry.begin, entry.end, entry.pages]));
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 12. PROTECT PDF - REAL WORKING
+app.post(['/api/protect-pdf', '/api/add-password'], async (req, res) => {
+  try {
+    const input = prepareProtectRequest(req);
+    const result = await performProtect(input);
+    const protectedFiles = result.report.filter(entry => entry.status === 'protected');
+
+    res.json({
+      success: true,
+      message: `Protected ${protectedFiles.length} of ${result.report.length} file(s) with ${input.method.toUpperCase()}`,
+      encryption: input.method,
+      permissions: input.permissions,
+      files: result.report,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Protection failed: ' + error.message,
+      code: error.code,
+      files: error.report
+    });
+  }
+});
+
+// Validate a protect upload; shared by /api/protect-pdf and the job API.
+// `userPassword` (or `password`) is needed to open the file, `ownerPassword` to lift the
+// restrictions in `permissions` (print, copy, modify, annotate, fill-forms; default all, "none" for none).
+// When no owner password is given a random one is used, so the restrictions cannot be lifted.
+// Uploads that are already encrypted are opened with `currentPassword`.
+function prepareProtectRequest(req) {
+  const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+  if (files.length === 0) {
+    throw httpError(400, 'No files uploaded');
+  }
+
+  const invalid = files.find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    throw httpError(400, `Not a PDF file: ${invalid.name}`);
+  }
+
+  const body = req.body;
+  const userPassword = String(body.userPassword || body.password || '');
+  if (!userPassword && !body.ownerPassword) {
+    throw httpError(400, 'Enter a password to protect the PDF with');
+  }
+  // Without its own owner password the user password would lift the restrictions too
+  const ownerPassword = String(body.ownerPassword || '') || crypto.randomBytes(16).toString('hex');
+
+  const method = String(body.encryption || 'aes-256').toLowerCase();
+  if (!PDF_ENCRYPTION_METHODS[method]) {
+    throw httpError(400, `Invalid encryption. Use one of: ${Object.keys(PDF_ENCRYPTION_METHODS).join(', ')}`);
+  }
+  // Revisions 2-4 hash passwords as PDFDocEncoding bytes; only AES-256 takes Unicode passwords
+  if (method !== 'aes-256' && /[^\x20-\xff]/.test(userPassword + ownerPassword)) {
+    throw httpError(400, `${method.toUpperCase()} passwords can only use Latin-1 characters. Use aes-256 instead`);
+  }
+
+  let permissions = Object.keys(PDF_PERMISSIONS);
+  if (body.permissions !== undefined && body.permissions !== '') {
+    permissions = String(body.permissions).toLowerCase() === 'none' ? [] : parseListField(body.permissions).filter(Boolean);
+    const unknown = permissions.find(name => !PDF_PERMISSIONS[name]);
+    if (unknown) {
+      throw httpError(400, `Unknown permission "${unknown}". Use any of: ${Object.keys(PDF_PERMISSIONS).join(', ')} or "none"`);
+    }
+  }
+
+  return {
+    files: files.map(file => ({ name: file.name, data: file.data })),
+    method,
+    userPassword,
+    ownerPassword,
+    permissions,
+    currentPassword: body.currentPassword || ''
+  };
+}
+
+async function performProtect(input, onProgress = () => {}) {
+  return transformPdfFiles(input, 'protected', onProgress, async (file) => {
+    const pdfDoc = await loadPdfDocument(file.data, input.currentPassword);
+    const bytes = await encryptPdfBytes(await pdfDoc.save(), input);
+    return { filename: file.name.replace(/\.pdf$/i, '') + '-protected.pdf', bytes, details: {} };
+  });
+}
+
+// Job API runner for protect-pdf
+async function runProtectJob(input, onProgress) {
+  const result = await performProtect(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { encryption: input.method, permissions: input.permissions, files: result.report }
+  };
+}
+
+// Run `transform` on every file; failures are reported and left out of the result, and
+// several outputs come back as one ZIP
+async function transformPdfFiles(input, status, onProgress, transform) {
+  const outputs = [];
+  const report = [];
+
+  for (const [i, file] of input.files.entries()) {
+    try {
+      const output = await transform(file);
+      outputs.push(output);
+      report.push({ file: file.name, status, ...output.details });
+    } catch (error) {
+      console.error(`Skipping ${file.name}:`, error.message);
+      report.push({ file: file.name, status: 'failed', error: error.message, code: error.code });
+    }
+
+    onProgress({ completed: i + 1, total: input.files.length, message: `Processed ${file.name}` });
+  }
+
+  if (outputs.length === 0) {
+    throw httpError(400, `None of the files could be ${status}`, { report, code: commonErrorCode(report) });
+  }
+
+  if (outputs.length === 1) {
+    return { buffer: outputs[0].bytes, filename: outputs[0].filename, contentType: 'application/pdf', report };
+  }
+
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  outputs.forEach(output => zip.file(output.filename, output.bytes));
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    filename: `${status}-pdfs.zip`,
+    contentType: 'application/zip',
+    report
+  };
+}
+
+// 13. UNLOCK PDF - REAL WORKING
+app.post(['/api/unlock-pdf', '/api/remove-password'], async (req, res) => {
+  try {
+    const input = prepareUnlockRequest(req);
+    const result = await performUnlock(input);
+    const unlocked = result.report.filter(entry => entry.status === 'unlocked');
+
+    res.json({
+      success: true,
+      message: `Removed the password from ${unlocked.length} of ${result.report.length} file(s)`,
+      files: result.report,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Unlock failed: ' + error.message,
+      code: error.code,
+      files: error.report
+    });
+  }
+});
+
+// Validate an unlock upload; shared by /api/unlock-pdf and the job API.
+// The user password is enough for files without restrictions; files that restrict printing,
+// copying or editing need the owner password, since the unlocked copy drops the restrictions.
+function prepareUnlockRequest(req) {
+  const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+  if (files.length === 0) {
+    throw httpError(400, 'No files uploaded');
+  }
+
+  const invalid = files.find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    throw httpError(400, `Not a PDF file: ${invalid.name}`);
+  }
+
+  return {
+    files: files.map(file => ({ name: file.name, data: file.data })),
+    password: req.body.password || ''
+  };
+}
+
+async function performUnlock(input, onProgress = () => {}) {
+  return transformPdfFiles(input, 'unlocked', onProgress, async (file) => {
+    const { pdfDoc, encryption } = await openPdfDocument(file.data, input.password);
+    if (!encryption) {
+      throw httpError(400, 'This PDF is not password protected', { code: 'NOT_ENCRYPTED' });
+    }
+    return {
+      filename: file.name.replace(/\.pdf$/i, '') + '-unlocked.pdf',
+      bytes: Buffer.from(await pdfDoc.save()),
+      details: { encryption: encryption.method, permissions: encryption.permissions }
+    };
+  });
+}
+
+// Job API runner for unlock-pdf
+async function runUnlockJob(input, onProgress) {
+  const result = await performUnlock(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { files: result.report }
+  };
+}
+
+// 14. FILL FORM - REAL WORKING
+app.post('/api/form-fields', async (req, res) => {
+  try {
+    const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+    if (!file) {
+      throw httpError(400, 'No file uploaded');
+    }
+    if (file.mimetype !== 'application/pdf') {
+      throw httpError(400, `Not a PDF file: ${file.name}`);
+    }
+
+    const pdfDoc = await loadPdfDocument(file.data, req.body.password || '', { readOnly: true });
+    const fields = listFormFields(pdfDoc);
+
+    res.json({
+      success: true,
+      message: fields.length > 0 ? `Found ${fields.length} form field(s)` : 'This PDF has no fillable form fields',
+      filename: file.name,
+      fields
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Reading form fields failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+app.post('/api/fill-form', async (req, res) => {
+  try {
+    const input = prepareFillFormRequest(req);
+    const result = await performFillForm(input);
+
+    res.json({
+      success: true,
+      message: result.copies > 1
+        ? `Filled ${result.copies} copies of the form${input.flatten ? ' and flattened them' : ''}`
+        : `Filled ${result.records[0].filled.length} field(s)${input.flatten ? ' and flattened the form' : ''}`,
+      flattened: input.flatten,
+      records: result.records,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Form filling failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+// One filled copy per CSV row; bigger mail merges should go through a job
+const MAX_FORM_RECORDS = parseInt(process.env.MAX_FORM_RECORDS) || 500;
+
+const FORM_FIELD_TYPES = [
+  [PDFTextField, 'text'],
+  [PDFCheckBox, 'checkbox'],
+  [PDFRadioGroup, 'radio'],
+  [PDFDropdown, 'dropdown'],
+  [PDFOptionList, 'list'],
+  [PDFButton, 'button'],
+  [PDFSignature, 'signature']
+];
+
+// Validate a fill-form upload; shared by /api/fill-form and the job API.
+// Values come as `data` (a JSON object of field name -> value, or an array of them), as CSV text in
+// `csv`, or as an uploaded `data` file (.json or .csv). CSV has one header row of field names and one
+// filled copy per following row; `filenameField` names the column used for each copy's file name.
+function prepareFillFormRequest(req) {
+  const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+  if (!file) {
+    throw httpError(400, 'No file uploaded');
+  }
+  if (file.mimetype !== 'application/pdf') {
+    throw httpError(400, `Not a PDF file: ${file.name}`);
+  }
+
+  const body = req.body;
+  const dataFile = getUploadedFiles(req, 'data')[0] || getUploadedFiles(req, 'csv')[0];
+  let records;
+  if (dataFile) {
+    const text = dataFile.data.toString('utf8');
+    records = /\.json$/i.test(dataFile.name) || dataFile.mimetype === 'application/json'
+      ? parseFormRecordsJson(text)
+      : parseFormRecordsCsv(text);
+  } else if (body.csv) {
+    records = parseFormRecordsCsv(String(body.csv));
+  } else if (body.data || body.values) {
+    records = parseFormRecordsJson(String(body.data || body.values));
+  } else {
+    throw httpError(400, 'Send the field values as JSON (`data`) or CSV (`csv`)');
+  }
+
+  if (records.length === 0 || records.every(record => Object.keys(record).length === 0)) {
+    throw httpError(400, 'The data has no field values to fill the form with');
+  }
+  if (records.length > MAX_FORM_RECORDS) {
+    throw httpError(400, `At most ${MAX_FORM_RECORDS} rows per request`);
+  }
+
+  const filenameField = String(body.filenameField || '').trim();
+  if (filenameField && !records.some(record => filenameField in record)) {
+    throw httpError(400, `The data has no "${filenameField}" column to name the files by`);
+  }
+
+  return {
+    file: { name: file.name, data: file.data },
+    records,
+    flatten: ['true', '1', 'yes', 'on'].includes(String(body.flatten).toLowerCase()),
+    filenameField,
+    fonts: getUploadedFiles(req, 'fonts').map(font => ({ name: font.name, data: font.data })),
+    password: body.password || ''
+  };
+}
+
+// '{"name": "Jane"}' or '[{"name": "Jane"}, {"name": "John"}]' -> records
+function parseFormRecordsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\ufeff/, ''));
+  } catch (error) {
+    throw httpError(400, `Invalid JSON field values: ${error.message}`);
+  }
+
+  const records = Array.isArray(data) ? data : [data];
+  if (records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    throw httpError(400, 'Field values must be a JSON object of field name -> value, or an array of them');
+  }
+  return records;
+}
+
+// Header row of field names, then one record per row
+function parseFormRecordsCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw httpError(400, 'The CSV is empty');
+  }
+
+  const header = rows[0].map(name => name.trim());
+  const duplicate = header.find((name, i) => name && header.indexOf(name) !== i);
+  if (duplicate) {
+    throw httpError(400, `The CSV has two "${duplicate}" columns`);
+  }
+
+  return rows.slice(1).map((row, i) => {
+    if (row.length > header.length) {
+      throw httpError(400, `CSV row ${i + 2} has more cells than the header`);
+    }
+    const record = {};
+    header.forEach((name, column) => {
+      if (name) record[name] = row[column] === undefined ? '' : row[column];
+    });
+    return record;
+  });
+}
+
+// RFC 4180: quoted cells may hold commas, quotes ("") and line breaks; blank lines are skipped
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw httpError(400, 'The CSV has an unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+async function performFillForm(input, onProgress = () => {}) {
+  const base = input.file.name.replace(/\.pdf$/i, '');
+
+  if (input.records.length === 1) {
+    const { bytes, details } = await fillFormCopy(input, input.records[0]);
+    onProgress({ completed: 1, total: 1, message: 'Form filled' });
+    return { buffer: bytes, filename: `${base}-filled.pdf`, contentType: 'application/pdf', records: [details], copies: 1 };
+  }
+
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  const usedNames = new Set();
+  const records = [];
+  const width = String(input.records.length).length;
+
+  for (const [i, record] of input.records.entries()) {
+    let result;
+    try {
+      result = await fillFormCopy(input, record);
+    } catch (error) {
+      // One bad row means the merge data needs fixing, so stop instead of skipping it
+      error.message = `Row ${i + 1}: ${error.message}`;
+      throw error;
+    }
+
+    const label = input.filenameField ? slugifyFilename(String(record[input.filenameField] || '')) : '';
+    let filename = `${base}-${label || String(i + 1).padStart(width, '0')}.pdf`;
+    for (let n = 2; usedNames.has(filename); n++) {
+      filename = `${base}-${label || 'row'}-${n}.pdf`;
+    }
+    usedNames.add(filename);
+    zip.file(filename, result.bytes);
+    records.push({ file: filename, ...result.details });
+
+    onProgress({ completed: i + 1, total: input.records.length, message: `Filled copy ${i + 1}` });
+  }
+
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    filename: `${base}-filled.zip`,
+    contentType: 'application/zip',
+    records,
+    copies: records.length
+  };
+}
+
+// Job API runner for fill-form
+async function runFillFormJob(input, onProgress) {
+  const result = await performFillForm(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { copies: result.copies, flattened: input.flatten, records: result.records }
+  };
+}
+
+async function fillFormCopy(input, record) {
+  const pdfDoc = await loadPdfDocument(input.file.data, input.password);
+  const form = pdfDoc.getForm();
+  const fields = new Map(form.getFields().map(field => [field.getName(), field]));
+  if (fields.size === 0) {
+    throw httpError(400, 'This PDF has no fillable form fields', { code: 'NO_FORM_FIELDS' });
+  }
+
+  const filled = [];
+  const unknownFields = [];
+  const text = [];
+
+  for (const [name, value] of Object.entries(record)) {
+    if (value === null || value === undefined || name === input.filenameField) continue;
+    const field = fields.get(name);
+    if (!field) {
+      unknownFields.push(name);
+      continue;
+    }
+    try {
+      setFormFieldValue(field, value);
+    } catch (error) {
+      throw httpError(400, `Field "${name}": ${error.message}`, { code: error.code });
+    }
+    filled.push(name);
+    if (field instanceof PDFTextField || field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      text.push(Array.isArray(value) ? value.join('') : String(value));
+    }
+  }
+
+  if (filled.length === 0 && unknownFields.length > 0) {
+    throw httpError(400, `None of the values match a form field (got ${unknownFields.join(', ')})`, { code: 'UNKNOWN_FIELDS' });
+  }
+
+  // Regenerate appearances for the changed fields so every viewer (and flattening) shows the new values
+  form.updateFieldAppearances(await embedFormFont(pdfDoc, text.join(''), input.fonts));
+  if (input.flatten) {
+    await flattenPdf(pdfDoc, { forms: true, annotations: false, fonts: input.fonts });
+  }
+
+  return {
+    bytes: Buffer.from(await pdfDoc.save({ updateFieldAppearances: false })),
+    details: { filled, unknownFields }
+  };
+}
+
+// Checkboxes take true/false, yes/no, 1/0, on/off, x or their export value; radio groups, dropdowns
+// and lists take one of their options (multi-select ones also take an array)
+function setFormFieldValue(field, value) {
+  if (field.isReadOnly()) {
+    throw httpError(400, 'the field is read-only', { code: 'READ_ONLY_FIELD' });
+  }
+
+  if (field instanceof PDFTextField) {
+    const text = String(value);
+    const maxLength = field.getMaxLength();
+    if (maxLength !== undefined && text.length > maxLength) {
+      throw httpError(400, `at most ${maxLength} characters allowed`);
+    }
+    field.setText(text);
+  } else if (field instanceof PDFCheckBox) {
+    const text = String(value).trim().toLowerCase();
+    const onValues = ['true', '1', 'yes', 'on', 'x', 'checked'].concat(getCheckBoxExportValues(field));
+    if (value === true || onValues.includes(text)) {
+      field.check();
+    } else if (value === false || ['', 'false', '0', 'no', 'off', 'unchecked'].includes(text)) {
+      field.uncheck();
+    } else {
+      throw httpError(400, `"${value}" is not a checkbox value (use true or false)`);
+    }
+  } else if (field instanceof PDFRadioGroup) {
+    const option = String(value);
+    if (option === '') {
+      field.clear();
+    } else if (field.getOptions().includes(option)) {
+      field.select(option);
+    } else {
+      throw httpError(400, `"${option}" is not one of ${field.getOptions().join(', ')}`);
+    }
+  } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const selected = (Array.isArray(value) ? value : [value]).map(String).filter(option => option !== '');
+    if (selected.length > 1 && !field.isMultiselect()) {
+      throw httpError(400, 'only one option can be selected');
+    }
+    const editable = field instanceof PDFDropdown && field.isEditable();
+    const unknown = selected.find(option => !field.getOptions().includes(option));
+    if (unknown !== undefined && !editable) {
+      throw httpError(400, `"${unknown}" is not one of ${field.getOptions().join(', ')}`);
+    }
+    if (selected.length === 0) {
+      field.clear();
+    } else {
+      field.select(selected.length === 1 ? selected[0] : selected);
+    }
+  } else {
+    throw httpError(400, 'buttons and signature fields cannot be filled');
+  }
+}
+
+// Names of the "on" appearance states, e.g. "Yes" or "On"
+function getCheckBoxExportValues(field) {
+  const values = [];
+  for (const widget of field.acroField.getWidgets()) {
+    const onValue = widget.getOnValue();
+    if (onValue) values.push(onValue.decodeText().toLowerCase());
+  }
+  return values;
+}
+
+// Helvetica covers Latin text; anything else needs one of the uploaded `fonts`
+async function embedFormFont(pdfDoc, text, fonts = null) {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  try {
+    font.encodeText(text.replace(/\r?\n/g, ''));
+    return font;
+  } catch (error) {
+    return embedUnicodeTextFont(pdfDoc, fonts, text, 'The text');
+  }
+}
+
+// Name, type, options, current value and widget placement (1-based page, rectangle in points) of each field
+function listFormFields(pdfDoc) {
+  const pageOfAnnotation = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let i = 0; i < annots.size(); i++) {
+      pageOfAnnotation.set(annots.lookup(i), index + 1);
+    }
+  });
+
+  return pdfDoc.getForm().getFields().map(field => {
+    const entry = FORM_FIELD_TYPES.find(([type]) => field instanceof type);
+    const info = {
+      name: field.getName(),
+      type: entry ? entry[1] : 'unknown',
+      value: getFormFieldValue(field),
+      readOnly: field.isReadOnly(),
+      required: field.isRequired()
+    };
+
+    if (field instanceof PDFRadioGroup || field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      info.options = field.getOptions();
+    }
+    if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      info.multiSelect = field.isMultiselect();
+    }
+    if (field instanceof PDFTextField) {
+      info.multiline = field.isMultiline();
+      if (field.getMaxLength() !== undefined) info.maxLength = field.getMaxLength();
+    }
+
+    info.widgets = field.acroField.getWidgets().map(widget => {
+      const rect = widget.getRectangle();
+      let page = pageOfAnnotation.get(widget.dict);
+      if (page === undefined && widget.P()) {
+        const index = pdfDoc.getPages().findIndex(candidate => candidate.ref === widget.P());
+        page = index >= 0 ? index + 1 : undefined;
+      }
+      return {
+        page: page === undefined ? null : page,
+        rect: { x: round2(rect.x), y: round2(rect.y), width: round2(rect.width), height: round2(rect.height) }
+      };
+    });
+
+    return info;
+  });
+}
+
+function getFormFieldValue(field) {
+  if (field instanceof PDFTextField) return field.getText() || '';
+  if (field instanceof PDFCheckBox) return field.isChecked();
+  if (field instanceof PDFRadioGroup) return field.getSelected() || null;
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const selected = field.getSelected();
+    return field.isMultiselect() ? selected : (selected[0] || null);
+  }
+  return null;
+}
+
+// 15. FLATTEN PDF - REAL WORKING
+app.post('/api/flatten-pdf', async (req, res) => {
+  try {
+    const input = prepareFlattenRequest(req);
+    const result = await performFlatten(input);
+    const flattened = result.report.filter(entry => entry.status === 'flattened');
+    const fields = flattened.reduce((sum, entry) => sum + entry.fields, 0);
+    const annotations = flattened.reduce((sum, entry) => sum + entry.annotations, 0);
+
+    res.json({
+      success: true,
+      message: `Flattened ${fields} form field(s) and ${annotations} annotation(s) in ${flattened.length} of ${result.report.length} file(s)`,
+      files: result.report,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Flatten failed: ' + error.message,
+      code: error.code,
+      files: error.report
+    });
+  }
+});
+
+// Markup annotations burned into the page. Links, redaction marks and multimedia stay interactive.
+const FLATTENED_ANNOTATION_TYPES = new Set([
+  'Text', 'FreeText', 'Line', 'Square', 'Circle', 'Polygon', 'PolyLine', 'Highlight', 'Underline',
+  'Squiggly', 'StrikeOut', 'Stamp', 'Caret', 'Ink', 'FileAttachment', 'Sound'
+]);
+
+// Annotation flags that keep an annotation off screen
+const ANNOTATION_HIDDEN_FLAGS = (1 << 1) | (1 << 5);
+
+// Validate a flatten upload; shared by /api/flatten-pdf and the job API.
+// `forms` and `annotations` (both on by default) choose what gets flattened.
+function prepareFlattenRequest(req) {
+  const files = getUploadedFiles(req, 'files').concat(getUploadedFiles(req, 'file'));
+  if (files.length === 0) {
+    throw httpError(400, 'No files uploaded');
+  }
+
+  const invalid = files.find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    throw httpError(400, `Not a PDF file: ${invalid.name}`);
+  }
+
+  const flag = value => (value === undefined || value === '' ? true : ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase()));
+  const forms = flag(req.body.forms);
+  const annotations = flag(req.body.annotations);
+  if (!forms && !annotations) {
+    throw httpError(400, 'Choose form fields, annotations or both to flatten');
+  }
+
+  return {
+    files: files.map(file => ({ name: file.name, data: file.data })),
+    forms,
+    annotations,
+    password: req.body.password || ''
+  };
+}
+
+async function performFlatten(input, onProgress = () => {}) {
+  return transformPdfFiles(input, 'flattened', onProgress, async (file) => {
+    const pdfDoc = await loadPdfDocument(file.data, input.password);
+    const details = await flattenPdf(pdfDoc, input);
+    return {
+      filename: file.name.replace(/\.pdf$/i, '') + '-flattened.pdf',
+      bytes: Buffer.from(await pdfDoc.save({ updateFieldAppearances: false })),
+      details
+    };
+  });
+}
+
+// Job API runner for flatten-pdf
+async function runFlattenJob(input, onProgress) {
+  const result = await performFlatten(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { files: result.report }
+  };
+}
+
+// Draw each widget and markup annotation's normal appearance into its page, then delete the
+// annotations, their popups and (for forms) the whole AcroForm field tree. Appearances that
+// have to be generated draw with `options.fonts` (uploads) where Helvetica lacks characters.
+async function flattenPdf(pdfDoc, options) {
+  const context = pdfDoc.context;
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const flattenForms = options.forms && acroForm;
+  let fields = 0;
+  let annotations = 0;
+
+  const fontFor = createAppearanceFontCache(pdfDoc, options.fonts);
+
+  if (flattenForms) {
+    fields = await prepareFieldAppearances(pdfDoc, acroForm, fontFor);
+  }
+
+  const removed = new Set();
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+
+    const kept = [];
+    const popups = [];
+    for (let i = 0; i < annots.size(); i++) {
+      const entry = annots.get(i);
+      const annot = annots.lookup(i);
+      // References to objects that no longer exist are dropped rather than carried over
+      if (!annot) continue;
+      const subtype = annot instanceof PDFDict ? annot.lookupMaybe(PDFName.of('Subtype'), PDFName) : undefined;
+      const type = subtype ? subtype.decodeText() : '';
+
+      const isWidget = type === 'Widget' && flattenForms;
+      const isMarkup = FLATTENED_ANNOTATION_TYPES.has(type) && options.annotations;
+      if (type === 'Popup') {
+        popups.push({ entry, annot });
+        continue;
+      }
+      if (!isWidget && !isMarkup) {
+        kept.push(entry);
+        continue;
+      }
+
+      const flags = annot.lookupMaybe(PDFName.of('F'), PDFNumber);
+      if (!(flags && flags.asNumber() & ANNOTATION_HIDDEN_FLAGS)) {
+        let appearance = getAnnotationAppearance(annot);
+        if (!appearance && isMarkup) {
+          appearance = await generateAnnotationAppearance(pdfDoc, annot, type, fontFor);
+        }
+        if (appearance) {
+          drawAnnotationAppearance(page, annot, appearance);
+        }
+      }
+      if (isMarkup) annotations++;
+      removed.add(annot);
+      if (entry instanceof PDFRef) context.delete(entry);
+    }
+
+    // A popup only shows its parent's text, so it goes when the parent does
+    for (const { entry, annot } of popups) {
+      const parent = annot instanceof PDFDict ? annot.lookup(PDFName.of('Parent')) : undefined;
+      if (parent && !removed.has(parent)) {
+        kept.push(entry);
+      } else if (entry instanceof PDFRef) {
+        context.delete(entry);
+      }
+    }
+
+    if (kept.length > 0) {
+      page.node.set(PDFName.of('Annots'), context.obj(kept));
+    } else {
+      page.node.delete(PDFName.of('Annots'));
+    }
+  }
+
+  if (flattenForms) {
+    const visit = (kids) => {
+      if (!kids) return;
+      for (let i = 0; i < kids.size(); i++) {
+        const ref = kids.get(i);
+        const node = kids.lookup(i);
+        if (node instanceof PDFDict) visit(node.lookupMaybe(PDFName.of('Kids'), PDFArray));
+        if (ref instanceof PDFRef) context.delete(ref);
+      }
+    };
+    visit(acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray));
+    const acroFormRef = pdfDoc.catalog.get(PDFName.of('AcroForm'));
+    if (acroFormRef instanceof PDFRef) context.delete(acroFormRef);
+    pdfDoc.catalog.delete(PDFName.of('AcroForm'));
+  }
+
+  return { fields, annotations };
+}
+
+// Generated appearances share one embedded font unless their text needs another.
+// Returns `fontFor(text)`, resolving to a font that can draw the text. `uploads` are the
+// request's uploaded fonts, null when the tool takes none.
+function createAppearanceFontCache(pdfDoc, uploads = null) {
+  const fonts = [];
+  return async (text) => {
+    let font = fonts.find(candidate => {
+      try {
+        candidate.encodeText(text.replace(/\r?\n/g, ''));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+    if (!font) {
+      font = await embedFormFont(pdfDoc, text, uploads);
+      fonts.push(font);
+    }
+    return font;
+  };
+}
+
+// Give widgets without an appearance one, and refresh the stale ones of forms flagged
+// NeedAppearances (their values were set by tools that left drawing them to the viewer).
+// Returns the number of fields.
+async function prepareFieldAppearances(pdfDoc, acroForm, fontFor) {
+  const form = pdfDoc.getForm();
+  const fields = form.getFields();
+
+  if (acroForm.lookup(PDFName.of('NeedAppearances')) === PDFBool.True) {
+    fields
+      .filter(field => field instanceof PDFTextField || field instanceof PDFDropdown || field instanceof PDFOptionList)
+      .forEach(field => field.markAsDirty());
+  }
+
+  const stale = fields.filter(field => field.needsAppearancesUpdate());
+  if (stale.length > 0) {
+    const text = stale.map(field => {
+      if (field instanceof PDFTextField) return field.getText() || '';
+      if (field instanceof PDFDropdown || field instanceof PDFOptionList) return field.getSelected().join('');
+      return '';
+    }).join('');
+    form.updateFieldAppearances(await fontFor(text));
+  }
+
+  return fields.length;
+}
+
+// The annotation's normal appearance stream for its current state (/AS), or null
+function getAnnotationAppearance(annot) {
+  const ap = annot.lookupMaybe(PDFName.of('AP'), PDFDict);
+  if (!ap) return null;
+
+  let normal = ap.get(PDFName.of('N'));
+  let stream = ap.lookup(PDFName.of('N'));
+  if (stream instanceof PDFDict) {
+    // Checkboxes and radio buttons keep one appearance per state
+    const state = annot.lookupMaybe(PDFName.of('AS'), PDFName);
+    if (!state) return null;
+    normal = stream.get(state);
+    stream = stream.lookup(state);
+  }
+  if (!stream || !stream.dict || !(normal instanceof PDFRef)) return null;
+  return normal;
+}
+
+// Paint an annotation's appearance stream into its page at the annotation's Rect
+function drawAnnotationAppearance(page, annot, appearanceRef) {
+  const rect = getAnnotationRect(annot);
+  if (rect) drawFormInRect(page, appearanceRef, rect, 'FlatAnnot');
+}
+
+// Paint a form XObject the way a viewer paints an annotation appearance: its BBox, transformed
+// by its Matrix, is fitted to `rect` (page user space)
+function drawFormInRect(page, formRef, rect, tag) {
+  const stream = page.doc.context.lookup(formRef);
+  const bboxArray = stream.dict.lookupMaybe(PDFName.of('BBox'), PDFArray);
+  if (!bboxArray) return;
+
+  if (!stream.dict.get(PDFName.of('Subtype'))) {
+    stream.dict.set(PDFName.of('Type'), PDFName.of('XObject'));
+    stream.dict.set(PDFName.of('Subtype'), PDFName.of('Form'));
+  }
+
+  const bbox = bboxArray.asArray().map((value, i) => bboxArray.lookup(i, PDFNumber).asNumber());
+  const matrixArray = stream.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+  const matrix = matrixArray ? matrixArray.asArray().map((value, i) => matrixArray.lookup(i, PDFNumber).asNumber()) : [1, 0, 0, 1, 0, 0];
+
+  const corners = [[bbox[0], bbox[1]], [bbox[2], bbox[1]], [bbox[0], bbox[3]], [bbox[2], bbox[3]]]
+    .map(([x, y]) => [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]]);
+  const minX = Math.min(...corners.map(point => point[0]));
+  const maxX = Math.max(...corners.map(point => point[0]));
+  const minY = Math.min(...corners.map(point => point[1]));
+  const maxY = Math.max(...corners.map(point => point[1]));
+  if (maxX - minX <= 0 || maxY - minY <= 0) return;
+
+  const scaleX = rect.width / (maxX - minX);
+  const scaleY = rect.height / (maxY - minY);
+  const name = page.node.newXObject(tag, formRef);
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(scaleX, 0, 0, scaleY, rect.x - minX * scaleX, rect.y - minY * scaleY),
+    drawObject(name),
+    popGraphicsState()
+  );
+}
+
+// Normalized /Rect as { x, y, width, height }, or null when it is missing or empty
+function getAnnotationRect(annot) {
+  const array = annot.lookupMaybe(PDFName.of('Rect'), PDFArray);
+  if (!array || array.size() !== 4) return null;
+  const [x1, y1, x2, y2] = array.asArray().map((value, i) => array.lookup(i, PDFNumber).asNumber());
+  const rect = { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+  return rect.width > 0 && rect.height > 0 ? rect : null;
+}
+
+// Draw an appearance for a markup annotation saved without one (common with lightweight
+// annotators), following what viewers render for each type. Returns the stream's ref, or null
+// for types with nothing sensible to draw.
+async function generateAnnotationAppearance(pdfDoc, annot, type, fontFor) {
+  const context = pdfDoc.context;
+  const rect = getAnnotationRect(annot);
+  if (!rect) return null;
+
+  const numbers = key => {
+    const array = annot.lookupMaybe(PDFName.of(key), PDFArray);
+    return array ? array.asArray().map((value, i) => array.lookup(i, PDFNumber).asNumber()) : [];
+  };
+  const color = annotationColor(numbers('C'));
+  const interior = annotationColor(numbers('IC'));
+  const width = annotationBorderWidth(annot);
+  const opacity = annot.lookupMaybe(PDFName.of('CA'), PDFNumber);
+  const resources = {};
+  const ops = [];
+
+  const graphicsState = {};
+  if (opacity && opacity.asNumber() < 1) {
+    graphicsState.CA = opacity.asNumber();
+    graphicsState.ca = opacity.asNumber();
+  }
+  if (type === 'Highlight') graphicsState.BM = 'Multiply';
+  if (Object.keys(graphicsState).length > 0) {
+    resources.ExtGState = { GS0: context.register(context.obj({ Type: 'ExtGState', ...graphicsState })) };
+    ops.push(setGraphicsState('GS0'));
+  }
+
+  const path = (points, close) => {
+    points.forEach(([x, y], i) => ops.push(i === 0 ? moveTo(x, y) : lineTo(x, y)));
+    if (close) ops.push(closePath());
+  };
+  const pairs = values => values.reduce((list, value, i) => (i % 2 ? list : list.concat([[value, values[i + 1]]])), []);
+  const paint = (close) => {
+    if (width > 0 && color) ops.push(setLineWidth(width), setStrokingColor(color));
+    if (interior && close) ops.push(setFillingColor(interior));
+    if (interior && close) ops.push(width > 0 && color ? fillAndStroke() : fill());
+    else ops.push(width > 0 && color ? stroke() : endPath());
+  };
+
+  switch (type) {
+    case 'Highlight':
+    case 'Underline':
+    case 'StrikeOut':
+    case 'Squiggly': {
+      const quads = numbers('QuadPoints');
+      if (quads.length < 8) return null;
+      const tint = color || (type === 'Highlight' ? rgb(1, 1, 0) : rgb(1, 0, 0));
+      ops.push(type === 'Highlight' ? setFillingColor(tint) : setStrokingColor(tint));
+      for (let i = 0; i + 8 <= quads.length; i += 8) {
+        // Points run top-left, top-right, bottom-left, bottom-right
+        const [tl, tr, bl, br] = pairs(quads.slice(i, i + 8));
+        const height = Math.hypot(tl[0] - bl[0], tl[1] - bl[1]);
+        const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+        if (type === 'Highlight') {
+          path([tl, tr, br, bl], true);
+          ops.push(fill());
+        } else if (type === 'StrikeOut') {
+          ops.push(setLineWidth(Math.max(height / 14, 0.5)));
+          path([lerp(bl, tl, 0.45), lerp(br, tr, 0.45)]);
+          ops.push(stroke());
+        } else if (type === 'Underline') {
+          ops.push(setLineWidth(Math.max(height / 14, 0.5)));
+          path([lerp(bl, tl, 0.07), lerp(br, tr, 0.07)]);
+          ops.push(stroke());
+        } else {
+          const length = Math.hypot(br[0] - bl[0], br[1] - bl[1]);
+          const steps = Math.max(Math.round(length / (height / 4)), 2);
+          const points = [];
+          for (let step = 0; step <= steps; step++) {
+            const base = lerp(bl, br, step / steps);
+            const lift = step % 2 ? height / 10 : 0;
+            points.push(lerp(base, [base[0] + tl[0] - bl[0], base[1] + tl[1] - bl[1]], lift / height));
+          }
+          ops.push(setLineWidth(Math.max(height / 20, 0.5)));
+          path(points);
+          ops.push(stroke());
+        }
+      }
+      break;
+    }
+    case 'Redact': {
+      // A redaction waiting to be applied shows as an outline of the marked areas
+      const quads = numbers('QuadPoints');
+      ops.push(setLineWidth(1), setStrokingColor(color || rgb(0.85, 0, 0)));
+      if (quads.length < 8) {
+        ops.push(rectangle(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1));
+      }
+      for (let i = 0; i + 8 <= quads.length; i += 8) {
+        const [tl, tr, bl, br] = pairs(quads.slice(i, i + 8));
+        path([tl, tr, br, bl], true);
+      }
+      ops.push(stroke());
+      break;
+    }
+    case 'Square':
+      ops.push(rectangle(rect.x + width / 2, rect.y + width / 2, rect.width - width, rect.height - width));
+      paint(true);
+      break;
+    case 'Circle':
+      ops.push(...drawEllipsePath({
+        x: rect.x + rect.width / 2,
+        y: rect.y + rect.height / 2,
+        xScale: (rect.width - width) / 2,
+        yScale: (rect.height - width) / 2
+      }));
+      paint(true);
+      break;
+    case 'Line':
+    case 'PolyLine':
+    case 'Polygon': {
+      const points = pairs(numbers(type === 'Line' ? 'L' : 'Vertices'));
+      if (points.length < 2) return null;
+      ops.push(setLineJoin(LineJoinStyle.Round));
+      path(points, type === 'Polygon');
+      paint(type === 'Polygon');
+
+      // Arrowheads from /LE: the first entry styles the start of the line, the second its end
+      const endings = annot.lookupMaybe(PDFName.of('LE'), PDFArray);
+      if (endings && type !== 'Polygon' && width > 0 && color) {
+        const ends = [[points[0], points[1]], [points[points.length - 1], points[points.length - 2]]];
+        ends.forEach(([tip, from], i) => {
+          const ending = i < endings.size() ? endings.lookupMaybe(i, PDFName) : undefined;
+          const style = ending ? ending.decodeText() : 'None';
+          const length = Math.hypot(tip[0] - from[0], tip[1] - from[1]);
+          if ((style !== 'OpenArrow' && style !== 'ClosedArrow') || length === 0) return;
+
+          const [dx, dy] = [(tip[0] - from[0]) / length, (tip[1] - from[1]) / length];
+          const size = Math.max(width * 4, 6);
+          const wing = side => [tip[0] - dx * size + side * dy * size / 2, tip[1] - dy * size - side * dx * size / 2];
+          path([wing(1), tip, wing(-1)], style === 'ClosedArrow');
+          if (style === 'ClosedArrow') {
+            ops.push(setFillingColor(interior || color), fillAndStroke());
+          } else {
+            ops.push(stroke());
+          }
+        });
+      }
+      break;
+    }
+    case 'Ink': {
+      const inkList = annot.lookupMaybe(PDFName.of('InkList'), PDFArray);
+      if (!inkList || !color || width <= 0) return null;
+      ops.push(setLineWidth(width), setStrokingColor(color), setLineCap(LineCapStyle.Round), setLineJoin(LineJoinStyle.Round));
+      for (let i = 0; i < inkList.size(); i++) {
+        const stroked = inkList.lookup(i, PDFArray);
+        const points = pairs(stroked.asArray().map((value, j) => stroked.lookup(j, PDFNumber).asNumber()));
+        if (points.length === 1) points.push(points[0]);
+        path(points);
+      }
+      ops.push(stroke());
+      break;
+    }
+    case 'FreeText':
+    case 'Stamp': {
+      const contents = annot.lookup(PDFName.of('Contents'));
+      const stampName = annot.lookupMaybe(PDFName.of('Name'), PDFName);
+      const text = type === 'Stamp'
+        ? (stampName ? stampName.decodeText() : 'Draft').replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase()
+        : (contents instanceof PDFString || contents instanceof PDFHexString ? contents.decodeText() : '');
+      if (!text.trim()) return null;
+
+      // FreeText keeps its font size and colour in the default appearance string, e.g. "/Helv 12 Tf 0 0 1 rg"
+      const da = annot.lookup(PDFName.of('DA'));
+      const daText = da instanceof PDFString || da instanceof PDFHexString ? da.decodeText() : '';
+      const sizeMatch = daText.match(/([\d.]+)\s+Tf/);
+      const colorMatch = daText.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/) || daText.match(/([\d.]+)\s+g\b/);
+      const textColor = type === 'Stamp'
+        ? (color || rgb(0.8, 0.1, 0.1))
+        : (colorMatch ? (colorMatch.length === 4 ? rgb(+colorMatch[1], +colorMatch[2], +colorMatch[3]) : grayscale(+colorMatch[1])) : rgb(0, 0, 0));
+
+      const font = await fontFor(text);
+      resources.Font = { F0: font.ref };
+      const padding = type === 'Stamp' ? Math.min(rect.height * 0.15, 6) : 2;
+      const bounds = { x: rect.x + padding, y: rect.y + padding, width: rect.width - 2 * padding, height: rect.height - 2 * padding };
+      const fontSize = type === 'Stamp' ? 0 : (sizeMatch && Number(sizeMatch[1])) || 12;
+      const layout = layoutMultilineText(text, {
+        alignment: type === 'Stamp' ? TextAlignment.Center : TextAlignment.Left,
+        fontSize: fontSize || undefined,
+        font,
+        bounds
+      });
+
+      if (type === 'Stamp') {
+        ops.push(setLineWidth(2), setStrokingColor(textColor), rectangle(rect.x + 1, rect.y + 1, rect.width - 2, rect.height - 2), stroke());
+      } else if (interior || color) {
+        ops.push(setFillingColor(interior || color), rectangle(rect.x, rect.y, rect.width, rect.height), fill());
+      }
+      ops.push(setFillingColor(textColor), beginText(), setFontAndSize('F0', layout.fontSize));
+      for (const line of layout.lines) {
+        ops.push(setTextMatrix(1, 0, 0, 1, line.x, line.y), showText(line.encoded));
+      }
+      ops.push(endText());
+      break;
+    }
+    case 'Text': {
+      // The "Note" icon: a folded sheet with a few lines of text
+      const size = Math.min(rect.width, rect.height, 20);
+      const left = rect.x;
+      const top = rect.y + rect.height;
+      const fold = size * 0.3;
+      ops.push(setLineWidth(0.75), setStrokingColor(rgb(0.3, 0.3, 0.3)), setFillingColor(color || rgb(1, 0.85, 0.2)));
+      path([[left, top], [left + size - fold, top], [left + size, top - fold], [left + size, top - size], [left, top - size]], true);
+      ops.push(fillAndStroke());
+      for (let line = 1; line <= 3; line++) {
+        path([[left + size * 0.2, top - size * (0.25 + line * 0.17)], [left + size * 0.8, top - size * (0.25 + line * 0.17)]]);
+      }
+      ops.push(stroke());
+      break;
+    }
+    default:
+      return null;
+  }
+
+  const stream = context.formXObject(ops, {
+    BBox: context.obj([rect.x, rect.y, rect.x + rect.width, rect.y + rect.height]),
+    Resources: context.obj(resources)
+  });
+  return context.register(stream);
+}
+
+// /C and /IC arrays: none (transparent), one (gray), three (RGB) or four (CMYK) components
+function annotationColor(values) {
+  if (values.length === 1) return grayscale(values[0]);
+  if (values.length === 3) return rgb(values[0], values[1], values[2]);
+  if (values.length === 4) return cmyk(values[0], values[1], values[2], values[3]);
+  return null;
+}
+
+// Border width from /BS (preferred) or the older /Border array; 1 point by default
+function annotationBorderWidth(annot) {
+  const bs = annot.lookupMaybe(PDFName.of('BS'), PDFDict);
+  const width = bs && bs.lookupMaybe(PDFName.of('W'), PDFNumber);
+  if (width) return width.asNumber();
+  const border = annot.lookupMaybe(PDFName.of('Border'), PDFArray);
+  if (border && border.size() >= 3) return border.lookup(2, PDFNumber).asNumber();
+  return 1;
+}
+
+// 16. COMPARE PDF - REAL WORKING
+app.post('/api/compare-pdf', async (req, res) => {
+  try {
+    const input = prepareCompareRequest(req);
+    const result = await performCompare(input);
+
+    res.json({
+      success: true,
+      message: result.summary.identical
+        ? 'No differences found'
+        : `${result.summary.changedPages.length} page(s) differ: ${result.summary.wordsAdded} word(s) added, ${result.summary.wordsRemoved} removed`,
+      summary: result.summary,
+      pages: result.pages,
+      downloadUrl: `data:application/pdf;base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Comparison failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+// A pixel counts as changed when any colour channel moves by more than this (0-255);
+// smaller differences are anti-aliasing noise
+const COMPARE_PIXEL_THRESHOLD = 48;
+
+// Changed pixels are grouped into square cells of this many pixels before regions are formed
+const COMPARE_CELL_SIZE = 8;
+
+// Validate a compare upload; shared by /api/compare-pdf and the job API.
+// Takes `original` and `revised`, or two `files` in that order. `visual=false` skips the pixel diff;
+// `dpi` (36-200, default 96) sets its resolution. `password` opens both files unless
+// `originalPassword` / `revisedPassword` are given.
+function prepareCompareRequest(req) {
+  let original = getUploadedFiles(req, 'original')[0];
+  let revised = getUploadedFiles(req, 'revised')[0];
+  if (!original || !revised) {
+    const files = getUploadedFiles(req, 'files');
+    if (files.length !== 2 || original || revised) {
+      throw httpError(400, 'Upload exactly two PDFs: the original and the revised version');
+    }
+    [original, revised] = files;
+  }
+
+  const invalid = [original, revised].find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    throw httpError(400, `Not a PDF file: ${invalid.name}`);
+  }
+
+  const body = req.body;
+  const dpi = body.dpi === undefined || body.dpi === '' ? 96 : Number(body.dpi);
+  if (!(dpi >= 36 && dpi <= 200)) {
+    throw httpError(400, 'DPI must be between 36 and 200');
+  }
+
+  return {
+    original: { name: original.name, data: original.data, password: body.originalPassword || body.password || '' },
+    revised: { name: revised.name, data: revised.data, password: body.revisedPassword || body.password || '' },
+    visual: !['false', '0', 'no', 'off'].includes(String(body.visual).toLowerCase()),
+    dpi
+  };
+}
+
+// Compare the files page by page (page N against page N): a word diff of the text layers and,
+// unless disabled, a pixel diff of the rendered pages. Returns the side-by-side report PDF,
+// a per-page breakdown and a summary.
+async function performCompare(input, onProgress = () => {}) {
+  const sides = [];
+  try {
+    for (const file of [input.original, input.revised]) {
+      const pdfJsDoc = await loadPdfJsDocument(file.data, file.password);
+      sides.push({ file, pdfJsDoc, pdfDoc: await loadPdfDocument(file.data, file.password) });
+    }
+
+    const [original, revised] = sides;
+    const pageCount = Math.max(original.pdfJsDoc.numPages, revised.pdfJsDoc.numPages);
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const inOriginal = pageNumber <= original.pdfJsDoc.numPages;
+      const inRevised = pageNumber <= revised.pdfJsDoc.numPages;
+      const before = inOriginal ? await extractPageWords(original.pdfJsDoc, pageNumber) : null;
+      const after = inRevised ? await extractPageWords(revised.pdfJsDoc, pageNumber) : null;
+      const text = diffPageWords(before ? before.words : [], after ? after.words : []);
+
+      let pixels = null;
+      if (input.visual && inOriginal && inRevised) {
+        pixels = diffPagePixels(
+          await renderPagePixels(original.pdfJsDoc, pageNumber, input.dpi),
+          await renderPagePixels(revised.pdfJsDoc, pageNumber, input.dpi)
+        );
+      }
+
+      let status = 'identical';
+      if (!inOriginal) status = 'added';
+      else if (!inRevised) status = 'removed';
+      else if (text.changes.length > 0 || (pixels && pixels.regions.length > 0)) status = 'changed';
+
+      pages.push({ page: pageNumber, status, before, after, text, pixels });
+      onProgress({ completed: pageNumber, total: pageCount + 1, message: `Compared page ${pageNumber}` });
+    }
+
+    const bytes = await buildComparisonReport(input, sides, pages);
+    onProgress({ completed: pageCount + 1, total: pageCount + 1, message: 'Report ready' });
+
+    const differing = pages.filter(page => page.status !== 'identical');
+    return {
+      buffer: Buffer.from(bytes),
+      filename: `${input.revised.name.replace(/\.pdf$/i, '')}-comparison.pdf`,
+      summary: {
+        original: input.original.name,
+        revised: input.revised.name,
+        originalPages: original.pdfJsDoc.numPages,
+        revisedPages: revised.pdfJsDoc.numPages,
+        identical: differing.length === 0,
+        changedPages: differing.map(page => page.page),
+        addedPages: pages.filter(page => page.status === 'added').map(page => page.page),
+        removedPages: pages.filter(page => page.status === 'removed').map(page => page.page),
+        wordsAdded: pages.reduce((sum, page) => sum + page.text.added, 0),
+        wordsRemoved: pages.reduce((sum, page) => sum + page.text.removed, 0)
+      },
+      pages: pages.map(page => ({
+        page: page.page,
+        status: page.status,
+        text: { added: page.text.added, removed: page.text.removed, changes: page.text.changes },
+        pixels: page.pixels && {
+          changedRatio: Math.round(page.pixels.changedRatio * 10000) / 10000,
+          regions: page.pixels.regions.map(region => ({
+            x: round2(region.x), y: round2(region.y), width: round2(region.width), height: round2(region.height)
+          }))
+        }
+      }))
+    };
+
+  } finally {
+    for (const side of sides) {
+      await side.pdfJsDoc.destroy();
+    }
+  }
+}
+
+// Job API runner for compare-pdf
+async function runCompareJob(input, onProgress) {
+  const result = await performCompare(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: 'application/pdf' }
+    },
+    summary: { ...result.summary, pages: result.pages }
+  };
+}
+
+// Words of a page in line order with their boxes in the displayed page (points, origin top-left).
+// Runs are joined the way text extraction joins them, so a word split over several runs stays whole.
+async function extractPageWords(pdfJsDoc, pageNumber) {
+  const pageData = await extractPageTextRuns(pdfJsDoc, pageNumber);
+  const words = [];
+
+  for (const line of groupRunsIntoLines(pageData.runs)) {
+    let current = null;
+    let previous = null;
+    const flush = () => {
+      if (current) words.push(current);
+      current = null;
+    };
+
+    for (const run of line.runs) {
+      if (previous) {
+        const gap = run.left - (previous.left + previous.width);
+        if (gap > Math.min(run.fontSize, previous.fontSize) * 0.15) flush();
+      }
+
+      const chars = Array.from(run.text);
+      chars.forEach((char, i) => {
+        if (/\s/.test(char)) {
+          flush();
+          return;
+        }
+        const x0 = run.left + run.width * (i / chars.length);
+        const x1 = run.left + run.width * ((i + 1) / chars.length);
+        const y0 = run.top - run.fontSize * 0.8;
+        const y1 = run.top + run.fontSize * 0.2;
+        if (!current) {
+          current = { text: '', x0, y0, x1, y1 };
+        }
+        current.text += char;
+        current.x0 = Math.min(current.x0, x0);
+        current.x1 = Math.max(current.x1, x1);
+        current.y0 = Math.min(current.y0, y0);
+        current.y1 = Math.max(current.y1, y1);
+      });
+      previous = run;
+    }
+    flush();
+  }
+
+  return { width: pageData.width, height: pageData.height, words };
+}
+
+// Word-level diff of one page. Each change is a run of removed words, added words, or both
+// (a replacement), quoted from both versions.
+function diffPageWords(before, after) {
+  const operations = diffSequences(before.map(word => word.text), after.map(word => word.text));
+  const changes = [];
+  const removedWords = new Set();
+  const addedWords = new Set();
+  let added = 0;
+  let removed = 0;
+
+  for (let i = 0; i < operations.length; i++) {
+    const operation = operations[i];
+    if (operation.type === 'equal') continue;
+
+    // A removal right next to an addition is one replacement
+    const next = operations[i + 1];
+    const pair = next && next.type !== 'equal' && next.type !== operation.type ? next : null;
+    const removal = operation.type === 'removed' ? operation : pair;
+    const addition = operation.type === 'added' ? operation : pair;
+    if (pair) i++;
+
+    const change = { type: removal && addition ? 'changed' : (removal ? 'removed' : 'added') };
+    if (removal) {
+      change.original = before.slice(removal.start, removal.end).map(word => word.text).join(' ');
+      for (let j = removal.start; j < removal.end; j++) removedWords.add(j);
+      removed += removal.end - removal.start;
+    }
+    if (addition) {
+      change.revised = after.slice(addition.start, addition.end).map(word => word.text).join(' ');
+      for (let j = addition.start; j < addition.end; j++) addedWords.add(j);
+      added += addition.end - addition.start;
+    }
+    changes.push(change);
+  }
+
+  return { added, removed, changes, removedWords, addedWords };
+}
+
+// Myers' O(ND) diff of two string arrays as runs of { type: 'equal' | 'removed' | 'added', start, end }.
+// Indices of removed runs point into `a`, the others into `b`. Past `maxEdits` the differing middle
+// is reported as removed and added wholesale rather than spending more time and memory on it.
+function diffSequences(a, b, maxEdits = 4000) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tailA = a.length;
+  let tailB = b.length;
+  while (tailA > head && tailB > head && a[tailA - 1] === b[tailB - 1]) {
+    tailA--;
+    tailB--;
+  }
+
+  const n = tailA - head;
+  const m = tailB - head;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let edits = null;
+
+  for (let d = 0; d <= Math.min(max, maxEdits) && edits === null; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[head + x] === b[head + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        edits = d;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace back from the end, collecting single-element steps in reverse
+  const steps = [];
+  if (edits === null) {
+    for (let j = m - 1; j >= 0; j--) steps.push({ type: 'added', index: head + j });
+    for (let i = n - 1; i >= 0; i--) steps.push({ type: 'removed', index: head + i });
+  } else {
+    let x = n;
+    let y = m;
+    for (let d = edits; d > 0; d--) {
+      const previous = trace[d];
+      const at = k => previous[k + d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        steps.push({ type: 'equal', index: head + y - 1 });
+        x--;
+        y--;
+      }
+      steps.push(prevK === k + 1 ? { type: 'added', index: head + prevY } : { type: 'removed', index: head + prevX });
+      x = prevX;
+      y = prevY;
+    }
+    while (x > 0 && y > 0) {
+      steps.push({ type: 'equal', index: head + y - 1 });
+      x--;
+      y--;
+    }
+  }
+
+  const operations = [];
+  if (head > 0) operations.push({ type: 'equal', start: 0, end: head });
+  for (const step of steps.reverse()) {
+    const last = operations[operations.length - 1];
+    if (last && last.type === step.type && last.end === step.index) {
+      last.end++;
+    } else {
+      operations.push({ type: step.type, start: step.index, end: step.index + 1 });
+    }
+  }
+  if (tailB < b.length) operations.push({ type: 'equal', start: tailB, end: b.length });
+
+  return operations;
+}
+
+// Render a page and keep only its RGBA pixels and the points-to-pixels scale
+async function renderPagePixels(pdfJsDoc, pageNumber, dpi) {
+  const { canvas, viewport } = await renderPdfPageToCanvas(pdfJsDoc, pageNumber, { dpi });
+  const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return { data: imageData.data, width: canvas.width, height: canvas.height, scale: viewport.scale };
+}
+
+// Compare two renderings pixel by pixel (a page smaller than the other counts as white beyond its
+// edge) and merge touching changed cells into regions, reported in points from the top-left
+function diffPagePixels(before, after) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const columns = Math.ceil(width / COMPARE_CELL_SIZE);
+  const rows = Math.ceil(height / COMPARE_CELL_SIZE);
+  const cells = new Uint8Array(columns * rows);
+  let changed = 0;
+
+  const channel = (image, x, y, c) => (x < image.width && y < image.height ? image.data[(y * image.width + x) * 4 + c] : 255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < 3; c++) {
+        if (Math.abs(channel(before, x, y, c) - channel(after, x, y, c)) > COMPARE_PIXEL_THRESHOLD) {
+          changed++;
+          cells[Math.floor(y / COMPARE_CELL_SIZE) * columns + Math.floor(x / COMPARE_CELL_SIZE)] = 1;
+          break;
+        }
+      }
+    }
+  }
+
+  // Flood-fill touching cells (diagonals included) into bounding boxes
+  const regions = [];
+  const scale = before.scale;
+  for (let start = 0; start < cells.length; start++) {
+    if (cells[start] !== 1) continue;
+    const stack = [start];
+    cells[start] = 2;
+    let minColumn = columns;
+    let maxColumn = 0;
+    let minRow = rows;
+    let maxRow = 0;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      minColumn = Math.min(minColumn, column);
+      maxColumn = Math.max(maxColumn, column);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = column + dx;
+          const r = row + dy;
+          if (c < 0 || r < 0 || c >= columns || r >= rows) continue;
+          const neighbour = r * columns + c;
+          if (cells[neighbour] === 1) {
+            cells[neighbour] = 2;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: minColumn * COMPARE_CELL_SIZE / scale,
+      y: minRow * COMPARE_CELL_SIZE / scale,
+      width: (maxColumn - minColumn + 1) * COMPARE_CELL_SIZE / scale,
+      height: (maxRow - minRow + 1) * COMPARE_CELL_SIZE / scale
+    });
+  }
+
+  return { changedRatio: changed / (width * height), regions };
+}
+
+// Side-by-side report: a summary page, then every page pair with removed words in red on the
+// original, added words in green on the revision, pixel changes outlined, and change bars in the margins
+async function buildComparisonReport(input, sides, pages) {
+  const report = await PDFDocument.create();
+  report.setTitle(`Comparison of ${input.original.name} and ${input.revised.name}`);
+  const font = await report.embedFont(StandardFonts.Helvetica);
+  const bold = await report.embedFont(StandardFonts.HelveticaBold);
+  const printable = (text, withFont) => {
+    const supported = new Set(withFont.getCharacterSet());
+    return Array.from(text).map(char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+  };
+
+  const REMOVED = rgb(0.86, 0.15, 0.15);
+  const ADDED = rgb(0.09, 0.64, 0.29);
+  const VISUAL = rgb(0.85, 0.2, 0.85);
+  const margin = 36;
+  const header = 44;
+  const gutter = 36;
+
+  // Summary page
+  let cover = report.addPage([612, 792]);
+  let y = 792 - margin - 24;
+  const line = (text, options = {}) => {
+    if (y < margin) {
+      cover = report.addPage([612, 792]);
+      y = 792 - margin - 12;
+    }
+    cover.drawText(printable(text, options.font || font), { x: margin, y, size: options.size || 11, font: options.font || font, color: options.color });
+    y -= (options.size || 11) * 1.6;
+  };
+  line('PDF comparison', { size: 20, font: bold });
+  line(`Original: ${input.original.name} (${sides[0].pdfJsDoc.numPages} page(s))`);
+  line(`Revised: ${input.revised.name} (${sides[1].pdfJsDoc.numPages} page(s))`);
+  y -= 8;
+  const differing = pages.filter(page => page.status !== 'identical');
+  line(differing.length === 0 ? 'No differences found.' : `${differing.length} of ${pages.length} page(s) differ:`, { font: bold });
+  for (const page of differing) {
+    const details = page.status === 'changed'
+      ? `${page.text.added} word(s) added, ${page.text.removed} removed` +
+        (page.pixels ? `, ${page.pixels.regions.length} changed region(s)` : '')
+      : (page.status === 'added' ? 'only in the revision' : 'only in the original');
+    line(`Page ${page.page}: ${details}`, { color: page.status === 'removed' ? REMOVED : page.status === 'added' ? ADDED : undefined });
+  }
+
+  const embedSide = async (side, pageNumber) => {
+    if (pageNumber > side.pdfDoc.getPageCount()) return null;
+    const page = side.pdfDoc.getPage(pageNumber - 1);
+    const box = getDisplayBox(page);
+    try {
+      const crop = box.crop;
+      const embedded = await report.embedPage(page, { left: crop.x, bottom: crop.y, right: crop.x + crop.width, top: crop.y + crop.height });
+      return { embedded, box };
+    } catch (error) {
+      // Pages without content streams cannot be embedded; they are blank anyway
+      return { embedded: null, box };
+    }
+  };
+
+  for (const page of pages) {
+    const left = await embedSide(sides[0], page.page);
+    const right = await embedSide(sides[1], page.page);
+    const leftBox = left ? left.box : right.box;
+    const rightBox = right ? right.box : left.box;
+    const height = Math.max(leftBox.height, rightBox.height);
+    const reportPage = report.addPage([margin + leftBox.width + gutter + rightBox.width + margin, margin + height + header]);
+    const top = margin + height;
+    const origins = [
+      { x: margin, y: top - leftBox.height },
+      { x: margin + leftBox.width + gutter, y: top - rightBox.height }
+    ];
+
+    const status = page.status === 'changed'
+      ? `+${page.text.added} / -${page.text.removed} words` + (page.pixels ? `, ${page.pixels.regions.length} changed region(s)` : '')
+      : page.status;
+    reportPage.drawText(printable(`Page ${page.page}: ${status}`, bold), { x: margin, y: top + 26, size: 12, font: bold });
+
+    [left, right].forEach((side, index) => {
+      const origin = origins[index];
+      const box = index === 0 ? leftBox : rightBox;
+      const label = `${index === 0 ? 'Original' : 'Revised'}: ${index === 0 ? input.original.name : input.revised.name}`;
+      reportPage.drawText(printable(label, font), { x: origin.x, y: top + 8, size: 9, font, color: rgb(0.35, 0.35, 0.35) });
+      reportPage.drawRectangle({ x: origin.x, y: origin.y, width: box.width, height: box.height, borderColor: rgb(0.75, 0.75, 0.75), borderWidth: 0.5 });
+
+      if (!side) {
+        reportPage.drawText('(no such page)', { x: origin.x + 12, y: origin.y + box.height - 24, size: 12, font, color: rgb(0.5, 0.5, 0.5) });
+      } else if (side.embedded) {
+        // Draw the page as displayed: rotate its content by -/Rotate and shift it back into the box
+        const shift = { 0: [0, 0], 90: [0, box.height], 180: [box.width, box.height], 270: [box.width, 0] }[box.rotation];
+        reportPage.drawPage(side.embedded, { x: origin.x + shift[0], y: origin.y + shift[1], rotate: degrees(-box.rotation) });
+      }
+    });
+
+    // Highlights and change bars, in the displayed page's top-left coordinates
+    const mark = (index, area, color, outline) => {
+      const origin = origins[index];
+      const box = index === 0 ? leftBox : rightBox;
+      const rect = { x: origin.x + area.x0, y: origin.y + box.height - area.y1, width: area.x1 - area.x0, height: area.y1 - area.y0 };
+      if (outline) {
+        reportPage.drawRectangle({ ...rect, borderColor: color, borderWidth: 1, borderDashArray: [3, 2] });
+      } else {
+        reportPage.drawRectangle({ ...rect, color, opacity: 0.3 });
+      }
+      const barX = index === 0 ? origin.x - 10 : origin.x + box.width + 6;
+      reportPage.drawRectangle({ x: barX, y: rect.y, width: 4, height: rect.height, color });
+    };
+
+    if (page.status === 'added' || page.status === 'removed') {
+      const index = page.status === 'added' ? 1 : 0;
+      const box = index === 0 ? leftBox : rightBox;
+      mark(index, { x0: 0, y0: 0, x1: box.width, y1: box.height }, index === 0 ? REMOVED : ADDED, true);
+      continue;
+    }
+
+    page.text.removedWords.forEach(i => mark(0, page.before.words[i], REMOVED));
+    page.text.addedWords.forEach(i => mark(1, page.after.words[i], ADDED));
+    if (page.pixels) {
+      for (const region of page.pixels.regions) {
+        const area = { x0: region.x, y0: region.y, x1: region.x + region.width, y1: region.y + region.height };
+        mark(0, area, VISUAL, true);
+        mark(1, area, VISUAL, true);
+      }
+    }
+  }
+
+  return report.save();
+}
+
+// 17. SIGN PDF - REAL WORKING
+app.post('/api/sign-pdf', async (req, res) => {
+  try {
+    const input = await prepareSignRequest(req);
+    const result = input.mode === 'digital' ? await signPdfDigitally(input) : await stampSignature(input);
+
+    res.json({
+      success: true,
+      message: input.mode === 'digital'
+        ? `Digitally signed as ${result.signer.commonName || result.signer.subject} (PAdES-B)`
+        : `Signature placed on page ${input.page}`,
+      mode: input.mode,
+      signer: result.signer,
+      warning: result.warning,
+      downloadUrl: `data:application/pdf;base64,${result.bytes.toString('base64')}`,
+      filename: input.file.name.replace(/\.pdf$/i, '') + '-signed.pdf'
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Signing failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+app.post('/api/verify-signatures', async (req, res) => {
+  try {
+    const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+    if (!file) {
+      throw httpError(400, 'No file uploaded');
+    }
+    if (file.mimetype !== 'application/pdf') {
+      throw httpError(400, `Not a PDF file: ${file.name}`);
+    }
+
+    const signatures = await verifyPdfSignatures(file.data, req.body.password || '');
+    const valid = signatures.filter(signature => signature.intact && signature.signatureValid);
+
+    res.json({
+      success: true,
+      message: signatures.length === 0
+        ? 'This PDF has no digital signatures'
+        : `${valid.length} of ${signatures.length} signature(s) are intact and valid`,
+      filename: file.name,
+      signatures
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Signature verification failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const SIGNATURE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+// Validate a signing upload.
+// `mode` is "visible" (draw a signature image or typed `name` into the page) or "digital" (a
+// PAdES-B CMS signature from the PKCS#12 `certificate`, unlocked with `certificatePassword`, with
+// the same kind of appearance plus the signer and time). The box is `x`, `y`, `width`, `height`
+// in points from the bottom-left of the displayed `page` (default: bottom-right of the last page).
+async function prepareSignRequest(req) {
+  const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+  if (!file) {
+    throw httpError(400, 'No file uploaded');
+  }
+  if (file.mimetype !== 'application/pdf') {
+    throw httpError(400, `Not a PDF file: ${file.name}`);
+  }
+
+  const body = req.body;
+  const certificate = getUploadedFiles(req, 'certificate')[0];
+  const mode = String(body.mode || (certificate ? 'digital' : 'visible')).toLowerCase();
+  if (mode !== 'visible' && mode !== 'digital') {
+    throw httpError(400, 'Mode must be "visible" or "digital"');
+  }
+
+  const image = getUploadedFiles(req, 'image')[0] || getUploadedFiles(req, 'signature')[0];
+  if (image && !SIGNATURE_IMAGE_TYPES.includes(image.mimetype)) {
+    throw httpError(400, `Signature images must be PNG or JPG: ${image.name}`);
+  }
+  const name = String(body.name || '').trim();
+  if (image && name) {
+    throw httpError(400, 'Send either a signature image or a typed name, not both');
+  }
+  if (mode === 'visible' && !image && !name) {
+    throw httpError(400, 'Upload a signature image or type a name to sign with');
+  }
+
+  let credentials = null;
+  if (mode === 'digital') {
+    if (!certificate) {
+      throw httpError(400, 'Upload a PKCS#12 (.p12 or .pfx) certificate to sign digitally');
+    }
+    credentials = readPkcs12(certificate.data, String(body.certificatePassword || ''));
+  }
+
+  const text = field => String(body[field] || '').trim().slice(0, 200);
+  const number = (field, fallback) => {
+    if (body[field] === undefined || body[field] === '') return fallback;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value)) throw httpError(400, `Invalid ${field} "${body[field]}"`);
+    return value;
+  };
+
+  return {
+    file: { name: file.name, data: file.data },
+    mode,
+    image: image ? { data: image.data, type: image.mimetype === 'image/png' ? 'png' : 'jpg' } : null,
+    name,
+    credentials,
+    page: body.page === undefined || body.page === '' ? null : parseInt(body.page),
+    x: number('x', null),
+    y: number('y', null),
+    width: number('width', 200),
+    height: number('height', 70),
+    color: parseColor(body.color, rgb(0.1, 0.15, 0.45)),
+    reason: text('reason'),
+    location: text('location'),
+    contactInfo: text('contactInfo'),
+    fieldName: text('fieldName'),
+    password: body.password || ''
+  };
+}
+
+// Resolve the signature box on its page: page index, display box and the rectangle in user space
+function placeSignature(pdfDoc, input) {
+  const pageCount = pdfDoc.getPageCount();
+  const pageNumber = input.page === null ? pageCount : input.page;
+  if (!(pageNumber >= 1 && pageNumber <= pageCount)) {
+    throw httpError(400, `Page must be between 1 and ${pageCount}`);
+  }
+  input.page = pageNumber;
+
+  const page = pdfDoc.getPage(pageNumber - 1);
+  const box = getDisplayBox(page);
+  const x = input.x === null ? box.width - input.width - 36 : input.x;
+  const y = input.y === null ? 36 : input.y;
+  if (!(input.width > 0 && input.height > 0) || x < 0 || y < 0 || x + input.width > box.width + 0.01 || y + input.height > box.height + 0.01) {
+    throw httpError(400, `The signature box must fit on the page (${round2(box.width)} x ${round2(box.height)} pt)`);
+  }
+
+  const corners = [[x, y], [x + input.width, y], [x, y + input.height], [x + input.width, y + input.height]]
+    .map(([cx, cy]) => toUserSpace(box, cx, cy));
+  const left = Math.min(...corners.map(point => point.x));
+  const bottom = Math.min(...corners.map(point => point.y));
+  return {
+    page,
+    box,
+    rect: {
+      x: left,
+      y: bottom,
+      width: Math.max(...corners.map(point => point.x)) - left,
+      height: Math.max(...corners.map(point => point.y)) - bottom
+    }
+  };
+}
+
+// Visible mode: draw the signature straight into the page content
+async function stampSignature(input) {
+  const { pdfDoc, encryption } = await openPdfDocument(input.file.data, input.password);
+  const hadSignatures = findSignatureDicts(pdfDoc).length > 0;
+  const placement = placeSignature(pdfDoc, input);
+  const appearance = await buildSignatureAppearance(pdfDoc, input, placement.box, []);
+  drawFormInRect(placement.page, appearance, placement.rect, 'Signature');
+
+  const warnings = [];
+  if (hadSignatures) warnings.push('The existing digital signatures no longer cover this version of the document');
+  if (encryption) warnings.push('The signed copy is saved without the password');
+
+  return {
+    bytes: Buffer.from(await pdfDoc.save()),
+    signer: null,
+    warning: warnings.length > 0 ? warnings.join('. ') : undefined
+  };
+}
+
+// Digital mode: add a signature field whose value is a PAdES-B (ETSI.CAdES.detached) signature.
+// The field is appended to the original bytes as an incremental update, so earlier signatures
+// stay valid, and /Contents is filled in once the byte ranges around it are known.
+async function signPdfDigitally(input) {
+  const original = Buffer.from(input.file.data);
+  const { pdfDoc, encryption } = await openPdfDocument(original, input.password, { updateMetadata: false });
+  if (encryption) {
+    throw httpError(400, 'Remove the password before signing this PDF digitally', { code: 'ENCRYPTED_PDF' });
+  }
+
+  const context = pdfDoc.context;
+  const snapshot = snapshotPdfObjects(original, context);
+  const { certificate, chain, privateKey, signer } = input.credentials;
+  const signedAt = new Date();
+  const placement = placeSignature(pdfDoc, input);
+
+  const details = [
+    `Digitally signed by ${signer.commonName || signer.subject}`,
+    `Date: ${signedAt.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`
+  ];
+  if (input.reason) details.push(`Reason: ${input.reason}`);
+  if (input.location) details.push(`Location: ${input.location}`);
+  const appearance = await buildSignatureAppearance(pdfDoc, { ...input, name: input.image ? '' : input.name || signer.commonName || signer.subject }, placement.box, details);
+
+  // Room for the certificates, the signed attributes and a 4096-bit signature, hex encoded
+  const contentsLength = 2 * ([certificate, ...chain].reduce((sum, der) => sum + der.length, 0) + 3072);
+  const signatureDict = {
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'ETSI.CAdES.detached',
+    ByteRange: context.obj([0, SIGNATURE_BYTE_RANGE_PLACEHOLDER, SIGNATURE_BYTE_RANGE_PLACEHOLDER, SIGNATURE_BYTE_RANGE_PLACEHOLDER]),
+    Contents: PDFHexString.of('0'.repeat(contentsLength)),
+    M: PDFString.fromDate(signedAt),
+    Name: PDFHexString.fromText(signer.commonName || signer.subject)
+  };
+  if (input.reason) signatureDict.Reason = PDFHexString.fromText(input.reason);
+  if (input.location) signatureDict.Location = PDFHexString.fromText(input.location);
+  if (input.contactInfo) signatureDict.ContactInfo = PDFHexString.fromText(input.contactInfo);
+  const signatureRef = context.register(context.obj(signatureDict));
+
+  // The field and its widget share one dictionary
+  let acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!acroForm) {
+    acroForm = context.obj({ Fields: [] });
+    pdfDoc.catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+  }
+  let fields = acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!fields) {
+    fields = context.obj([]);
+    acroForm.set(PDFName.of('Fields'), fields);
+  }
+
+  const existingNames = new Set(pdfDoc.getForm().getFields().map(field => field.getName()));
+  let fieldName = input.fieldName;
+  if (fieldName && existingNames.has(fieldName)) {
+    throw httpError(400, `The PDF already has a field named "${fieldName}"`);
+  }
+  for (let n = 1; !fieldName; n++) {
+    if (!existingNames.has(`Signature${n}`)) fieldName = `Signature${n}`;
+  }
+
+  const { rect } = placement;
+  const widgetRef = context.register(context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFHexString.fromText(fieldName),
+    V: signatureRef,
+    F: 4,
+    P: placement.page.ref,
+    Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+    AP: { N: appearance }
+  }));
+  fields.push(widgetRef);
+  // Not page.node.addAnnot(): that normalizes the page, rewriting more of it than the update needs
+  const annots = placement.page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+  if (annots) {
+    annots.push(widgetRef);
+  } else {
+    placement.page.node.set(PDFName.of('Annots'), context.obj([widgetRef]));
+  }
+  // SignaturesExist | AppendOnly: viewers must save later changes as incremental updates
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const { bytes, offsets } = await writeIncrementalUpdate(original, pdfDoc, snapshot);
+
+  // Locate the placeholders inside the signature dictionary we just wrote
+  const signatureStart = offsets.get(signatureRef.objectNumber);
+  const contentsStart = bytes.indexOf('/Contents <', signatureStart) + '/Contents '.length;
+  const contentsEnd = bytes.indexOf('>', contentsStart) + 1;
+  const byteRangeStart = bytes.indexOf('/ByteRange [', signatureStart);
+  const byteRangeEnd = bytes.indexOf(']', byteRangeStart) + 1;
+  const byteRange = [0, contentsStart, contentsEnd, bytes.length - contentsEnd];
+
+  const byteRangeText = `/ByteRange [ ${byteRange.join(' ')} ]`;
+  bytes.write(byteRangeText.padEnd(byteRangeEnd - byteRangeStart, ' '), byteRangeStart, 'latin1');
+
+  const signedBytes = Buffer.concat([bytes.subarray(0, contentsStart), bytes.subarray(contentsEnd)]);
+  const cms = buildCadesSignature(crypto.createHash('sha256').update(signedBytes).digest(), certificate, chain, privateKey);
+  if (cms.length * 2 > contentsLength) {
+    throw new Error('The signature does not fit in the space reserved for it');
+  }
+  bytes.write(cms.toString('hex').toUpperCase(), contentsStart + 1, 'latin1');
+
+  return { bytes, signer };
+}
+
+const SIGNATURE_BYTE_RANGE_PLACEHOLDER = 9999999999;
+
+// Form XObject with the signature image or typed name, and any detail lines underneath. Its BBox is
+// the box as displayed and its Matrix turns it with the page's /Rotate so it reads upright.
+async function buildSignatureAppearance(pdfDoc, input, box, details) {
+  const context = pdfDoc.context;
+  const width = input.width;
+  const height = input.height;
+  const resources = { Font: {}, XObject: {} };
+  const ops = [];
+
+  const detailHeight = details.length > 0 ? height * 0.45 : 0;
+  const area = { x: 2, y: detailHeight + 2, width: width - 4, height: height - detailHeight - 4 };
+
+  if (input.image) {
+    const image = input.image.type === 'png' ? await pdfDoc.embedPng(input.image.data) : await pdfDoc.embedJpg(input.image.data);
+    const scale = Math.min(area.width / image.width, area.height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    resources.XObject.Im0 = image.ref;
+    ops.push(
+      pushGraphicsState(),
+      concatTransformationMatrix(drawWidth, 0, 0, drawHeight, area.x + (area.width - drawWidth) / 2, area.y + (area.height - drawHeight) / 2),
+      drawObject('Im0'),
+      popGraphicsState()
+    );
+  } else if (input.name) {
+    const font = await embedSignatureFont(pdfDoc, input.name);
+    const size = Math.min(area.height * 0.75, (area.width * 0.95) / Math.max(font.widthOfTextAtSize(input.name, 1), 0.01));
+    const textWidth = font.widthOfTextAtSize(input.name, size);
+    resources.Font.F0 = font.ref;
+    ops.push(
+      setFillingColor(input.color),
+      beginText(),
+      setFontAndSize('F0', size),
+      setTextMatrix(1, 0, 0, 1, area.x + (area.width - textWidth) / 2, area.y + (area.height - size * 0.7) / 2),
+      showText(font.encodeText(input.name)),
+      endText()
+    );
+  }
+
+  if (details.length > 0) {
+    const font = await embedFormFont(pdfDoc, details.join(''));
+    const widest = Math.max(...details.map(line => font.widthOfTextAtSize(line, 1)));
+    const size = Math.min(8, (detailHeight - 2) / (details.length * 1.2), (width - 4) / Math.max(widest, 0.01));
+    resources.Font.F1 = font.ref;
+    ops.push(setFillingColor(grayscale(0.2)), beginText(), setFontAndSize('F1', size));
+    details.forEach((line, i) => {
+      ops.push(setTextMatrix(1, 0, 0, 1, 2, detailHeight - (i + 1) * size * 1.2 + size * 0.2), showText(font.encodeText(line)));
+    });
+    ops.push(endText());
+  }
+
+  const angle = box.rotation * Math.PI / 180;
+  const cos = Math.round(Math.cos(angle));
+  const sin = Math.round(Math.sin(angle));
+  return context.register(context.formXObject(ops, {
+    BBox: context.obj([0, 0, width, height]),
+    Matrix: context.obj([cos, sin, -sin, cos, 0, 0]),
+    Resources: context.obj(resources)
+  }));
+}
+
+// Typed names look handwritten-ish in Times Italic; other scripts need the Unicode OCR font
+async function embedSignatureFont(pdfDoc, text) {
+  const font = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+  try {
+    font.encodeText(text);
+    return font;
+  } catch (error) {
+    return embedFormFont(pdfDoc, text);
+  }
+}
+
+// Check every signature in the file: the CMS signature itself, whether the signed byte ranges
+// still hash to the signed digest ("intact"), and whether bytes were appended after it
+async function verifyPdfSignatures(data, password) {
+  const bytes = Buffer.from(data);
+  const pdfDoc = await loadPdfDocument(bytes, password, { updateMetadata: false, readOnly: true });
+  const results = [];
+
+  for (const { name, dict } of findSignatureDicts(pdfDoc)) {
+    const text = key => {
+      const value = dict.lookup(PDFName.of(key));
+      return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : undefined;
+    };
+    const subFilter = dict.lookupMaybe(PDFName.of('SubFilter'), PDFName);
+    const result = {
+      field: name,
+      subFilter: subFilter ? subFilter.decodeText() : null,
+      reason: text('Reason'),
+      location: text('Location'),
+      contactInfo: text('ContactInfo'),
+      signedAt: null,
+      signer: null,
+      intact: false,
+      signatureValid: false,
+      coversWholeDocument: false,
+      modifiedAfterSigning: null,
+      errors: []
+    };
+    results.push(result);
+
+    const byteRangeArray = dict.lookupMaybe(PDFName.of('ByteRange'), PDFArray);
+    const contents = dict.lookup(PDFName.of('Contents'));
+    const byteRange = byteRangeArray ? byteRangeArray.asArray().map((value, i) => byteRangeArray.lookup(i, PDFNumber).asNumber()) : [];
+    if (byteRange.length !== 4 || !(contents instanceof PDFHexString || contents instanceof PDFString)) {
+      result.errors.push('The signature has no byte range or contents');
+      continue;
+    }
+
+    const [start1, length1, start2, length2] = byteRange;
+    const end = start2 + length2;
+    if (start1 !== 0 || start2 < length1 || end > bytes.length || bytes[length1] !== 0x3c || bytes[start2 - 1] !== 0x3e) {
+      result.errors.push('The byte range does not match the signature contents');
+      continue;
+    }
+    result.coversWholeDocument = end === bytes.length;
+    // Trailing whitespace after the signed %%EOF is not a change
+    result.modifiedAfterSigning = bytes.subarray(end).toString('latin1').trim().length > 0;
+
+    const signedData = Buffer.concat([bytes.subarray(start1, start1 + length1), bytes.subarray(start2, end)]);
+    try {
+      const { errors, ...details } = verifyCmsSignature(contents.asBytes(), signedData, result.subFilter);
+      Object.assign(result, details);
+      result.errors.push(...errors);
+    } catch (error) {
+      result.errors.push(`Unreadable signature: ${error.message}`);
+    }
+
+    const time = dict.lookup(PDFName.of('M'));
+    if (!result.signedAt && (time instanceof PDFString || time instanceof PDFHexString)) {
+      const parsed = parsePdfDate(time.decodeText());
+      if (parsed) result.signedAt = parsed.toISOString();
+    }
+  }
+
+  return results;
+}
+
+// Signature dictionaries of the document's signature fields (and document timestamps)
+function findSignatureDicts(pdfDoc) {
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!acroForm) return [];
+
+  return pdfDoc.getForm().getFields()
+    .filter(field => field instanceof PDFSignature)
+    .map(field => ({ name: field.getName(), dict: field.acroField.dict.lookupMaybe(PDFName.of('V'), PDFDict) }))
+    .filter(entry => entry.dict);
+}
+
+// "D:20240131120000+01'00'" -> Date
+function parsePdfDate(text) {
+  const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Zz+-])(\d{2})?'?(\d{2})?'?)?/.exec(text);
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+  let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (sign === '+' || sign === '-') {
+    time -= (sign === '+' ? 1 : -1) * (+offsetHours * 60 + +offsetMinutes) * 60000;
+  }
+  return new Date(time);
+}
+
+// 18. ANNOTATE PDF - REAL WORKING
+app.post('/api/annotate-pdf', async (req, res) => {
+  try {
+    const input = prepareAnnotateRequest(req);
+    const result = await performAnnotate(input);
+
+    res.json({
+      success: true,
+      message: `Added ${result.added} annotation(s) on ${result.pages.length} page(s)`,
+      added: result.added,
+      pages: result.pages,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Annotating failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+app.post('/api/export-annotations', async (req, res) => {
+  try {
+    const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+    if (!file) {
+      throw httpError(400, 'No file uploaded');
+    }
+    if (file.mimetype !== 'application/pdf') {
+      throw httpError(400, `Not a PDF file: ${file.name}`);
+    }
+    const format = String(req.body.format || 'json').toLowerCase();
+    if (format !== 'json' && format !== 'xfdf') {
+      throw httpError(400, 'Format must be "json" or "xfdf"');
+    }
+
+    const pdfDoc = await loadPdfDocument(file.data, req.body.password || '', { readOnly: true });
+    const { records, skipped } = readPdfAnnotations(pdfDoc);
+    const annotations = records.map(record => annotationRecordToJson(record, getDisplayBox(pdfDoc.getPage(record.page - 1))));
+    const base = file.name.replace(/\.pdf$/i, '');
+    const output = format === 'xfdf'
+      ? { type: 'application/vnd.adobe.xfdf', name: `${base}.xfdf`, text: annotationRecordsToXfdf(records, file.name) }
+      : { type: 'application/json', name: `${base}-annotations.json`, text: JSON.stringify({ annotations }, null, 2) };
+
+    res.json({
+      success: true,
+      message: `Exported ${annotations.length} annotation(s)` + (skipped > 0 ? `; ${skipped} link, form or other annotation(s) were left out` : ''),
+      annotations,
+      skipped,
+      downloadUrl: `data:${output.type};base64,${Buffer.from(output.text, 'utf8').toString('base64')}`,
+      filename: output.name
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Exporting annotations failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const MAX_ANNOTATIONS = parseInt(process.env.MAX_ANNOTATIONS) || 2000;
+
+// JSON annotation type -> PDF subtype and default colour
+const ANNOTATION_TYPES = {
+  highlight: { subtype: 'Highlight', color: rgb(1, 0.9, 0) },
+  underline: { subtype: 'Underline', color: rgb(0, 0.6, 0.2) },
+  strikeout: { subtype: 'StrikeOut', color: rgb(0.85, 0, 0) },
+  squiggly: { subtype: 'Squiggly', color: rgb(0, 0.6, 0.2) },
+  note: { subtype: 'Text', color: rgb(1, 0.85, 0.2) },
+  freetext: { subtype: 'FreeText', color: rgb(0, 0, 0) },
+  rectangle: { subtype: 'Square', color: rgb(0.85, 0.1, 0.1) },
+  ellipse: { subtype: 'Circle', color: rgb(0.85, 0.1, 0.1) },
+  line: { subtype: 'Line', color: rgb(0.85, 0.1, 0.1) },
+  arrow: { subtype: 'Line', color: rgb(0.85, 0.1, 0.1) },
+  polyline: { subtype: 'PolyLine', color: rgb(0.85, 0.1, 0.1) },
+  polygon: { subtype: 'Polygon', color: rgb(0.85, 0.1, 0.1) },
+  ink: { subtype: 'Ink', color: rgb(0.1, 0.2, 0.8) },
+  redact: { subtype: 'Redact', color: rgb(0.85, 0, 0) }
+};
+
+const ANNOTATION_TYPE_ALIASES = {
+  strikethrough: 'strikeout',
+  text: 'note',
+  comment: 'note',
+  'sticky-note': 'note',
+  square: 'rectangle',
+  circle: 'ellipse'
+};
+
+const TEXT_MARKUP_TYPES = new Set(['highlight', 'underline', 'strikeout', 'squiggly', 'redact']);
+
+const NOTE_ICONS = ['Comment', 'Key', 'Note', 'Help', 'NewParagraph', 'Paragraph', 'Insert'];
+
+// Validate an annotate upload; shared by /api/annotate-pdf and the job API.
+// Annotations come as a JSON array (`annotations` field or an uploaded .json file) in the format
+// /api/export-annotations produces, or as XFDF (`xfdf` field or an uploaded .xfdf file). `author`
+// is used for annotations that do not name one.
+function prepareAnnotateRequest(req) {
+  const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+  if (!file) {
+    throw httpError(400, 'No file uploaded');
+  }
+  if (file.mimetype !== 'application/pdf') {
+    throw httpError(400, `Not a PDF file: ${file.name}`);
+  }
+
+  const body = req.body;
+  const upload = getUploadedFiles(req, 'annotations')[0] || getUploadedFiles(req, 'xfdf')[0];
+  let text = body.annotations || body.xfdf;
+  if (upload) text = upload.data.toString('utf8');
+  if (!text) {
+    throw httpError(400, 'Send the annotations as JSON (`annotations`) or XFDF (`xfdf`)');
+  }
+  text = String(text).replace(/^\ufeff/, '');
+
+  const defaults = {
+    author: String(body.author || '').trim().slice(0, 200),
+    now: new Date()
+  };
+  const annotations = text.trimStart().startsWith('<')
+    ? parseXfdfAnnotations(text, defaults)
+    : parseAnnotationsJson(text, defaults);
+
+  if (annotations.length === 0) {
+    throw httpError(400, 'There are no annotations to add');
+  }
+  if (annotations.length > MAX_ANNOTATIONS) {
+    throw httpError(400, `At most ${MAX_ANNOTATIONS} annotations per request`);
+  }
+
+  return {
+    file: { name: file.name, data: file.data },
+    annotations,
+    password: body.password || ''
+  };
+}
+
+// '[{"type": "highlight", "page": 1, "rects": [...]}]' (or {"annotations": [...]}) -> annotation specs.
+// Positions are points from the bottom-left of the displayed page: `rect` is {x, y, width, height},
+// `rects` a list of them, `points` a list of [x, y] and `paths` a list of point lists.
+function parseAnnotationsJson(text, defaults) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Invalid annotations JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.annotations) ? data.annotations : null;
+  if (!list) {
+    throw httpError(400, 'Annotations must be a JSON array, or an object with an "annotations" array');
+  }
+  return list.map((item, index) => normalizeAnnotationSpec(item, index, defaults));
+}
+
+function normalizeAnnotationSpec(item, index, defaults) {
+  const fail = message => httpError(400, `Annotation ${index + 1}: ${message}`);
+  if (!item || typeof item !== 'object' || Array.isArray(item)) throw fail('must be an object');
+
+  const rawType = String(item.type || '').toLowerCase();
+  const type = ANNOTATION_TYPE_ALIASES[rawType] || rawType;
+  if (!ANNOTATION_TYPES[type]) {
+    throw fail(`unknown type "${item.type}". Use ${Object.keys(ANNOTATION_TYPES).join(', ')}`);
+  }
+  const page = Number(item.page);
+  if (!Number.isInteger(page) || page < 1) throw fail('page must be a page number starting at 1');
+
+  const number = (value, name) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw fail(`${name} must be a number`);
+    return value;
+  };
+  const readRect = (value, name, sized = true) => {
+    if (!value || typeof value !== 'object') throw fail(`${name} must be {x, y, width, height}`);
+    const rect = { x: number(value.x, `${name}.x`), y: number(value.y, `${name}.y`) };
+    rect.width = value.width === undefined && !sized ? 20 : number(value.width, `${name}.width`);
+    rect.height = value.height === undefined && !sized ? 20 : number(value.height, `${name}.height`);
+    if (rect.width <= 0 || rect.height <= 0) throw fail(`${name} must have a positive width and height`);
+    return rect;
+  };
+  const readPoints = (value, name, minimum) => {
+    if (!Array.isArray(value) || value.length < minimum) throw fail(`${name} must list at least ${minimum} [x, y] point(s)`);
+    return value.map((point, i) => {
+      if (!Array.isArray(point) || point.length !== 2) throw fail(`${name}[${i}] must be [x, y]`);
+      return [number(point[0], `${name}[${i}][0]`), number(point[1], `${name}[${i}][1]`)];
+    });
+  };
+  const readColor = (value, name, fallback) => {
+    try {
+      return value === null ? null : parseColor(value, fallback);
+    } catch (error) {
+      throw fail(`${name}: ${error.message}`);
+    }
+  };
+  const readDate = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw fail(`${name} must be a date`);
+    return date;
+  };
+
+  const spec = {
+    type,
+    page,
+    userSpace: false,
+    color: readColor(item.color, 'color', ANNOTATION_TYPES[type].color),
+    fill: readColor(item.fill, 'fill', type === 'redact' ? rgb(0, 0, 0) : null),
+    opacity: item.opacity === undefined ? 1 : number(item.opacity, 'opacity'),
+    borderWidth: item.borderWidth === undefined ? (type === 'freetext' ? 0 : type === 'ink' ? 2 : 1) : number(item.borderWidth, 'borderWidth'),
+    author: item.author === undefined ? defaults.author : String(item.author),
+    subject: item.subject === undefined ? '' : String(item.subject),
+    contents: item.contents === undefined ? '' : String(item.contents),
+    id: item.id === undefined || item.id === '' ? crypto.randomUUID() : String(item.id),
+    inReplyTo: item.inReplyTo ? String(item.inReplyTo) : null,
+    createdAt: readDate(item.createdAt, 'createdAt') || defaults.now,
+    modifiedAt: readDate(item.modifiedAt, 'modifiedAt') || defaults.now
+  };
+  if (spec.opacity < 0 || spec.opacity > 1) throw fail('opacity must be between 0 and 1');
+  if (spec.borderWidth < 0 || spec.borderWidth > 50) throw fail('borderWidth must be between 0 and 50');
+
+  if (TEXT_MARKUP_TYPES.has(type)) {
+    const rects = item.rects !== undefined ? item.rects : item.rect !== undefined ? [item.rect] : null;
+    if (!Array.isArray(rects) || rects.length === 0) throw fail('needs `rects` (or `rect`) covering the marked text');
+    spec.rects = rects.map((rect, i) => readRect(rect, `rects[${i}]`));
+  } else if (type === 'note') {
+    spec.rect = readRect(item.rect, 'rect', false);
+    spec.icon = NOTE_ICONS.find(icon => icon.toLowerCase() === String(item.icon || 'Note').toLowerCase());
+    if (!spec.icon) throw fail(`icon must be one of ${NOTE_ICONS.join(', ')}`);
+    spec.open = item.open === true;
+  } else if (type === 'freetext' || type === 'rectangle' || type === 'ellipse') {
+    spec.rect = readRect(item.rect, 'rect');
+    if (type === 'freetext') {
+      if (!spec.contents.trim()) throw fail('free text needs `contents`');
+      spec.fontSize = item.fontSize === undefined ? 12 : number(item.fontSize, 'fontSize');
+      if (spec.fontSize < 4 || spec.fontSize > 144) throw fail('fontSize must be between 4 and 144');
+    }
+  } else if (type === 'ink') {
+    if (!Array.isArray(item.paths) || item.paths.length === 0) throw fail('ink needs `paths`, a list of point lists');
+    spec.paths = item.paths.map((path, i) => readPoints(path, `paths[${i}]`, 1));
+  } else {
+    spec.points = readPoints(item.points, 'points', type === 'polygon' ? 3 : 2);
+    if ((type === 'line' || type === 'arrow') && spec.points.length !== 2) throw fail('a line has exactly two points');
+  }
+
+  return spec;
+}
+
+async function performAnnotate(input, onProgress = () => {}) {
+  const pdfDoc = await loadPdfDocument(input.file.data, input.password);
+  const pageCount = pdfDoc.getPageCount();
+  const fontFor = createAppearanceFontCache(pdfDoc);
+
+  const invalid = input.annotations.findIndex(spec => spec.page > pageCount);
+  if (invalid !== -1) {
+    throw httpError(400, `Annotation ${invalid + 1}: page must be between 1 and ${pageCount}`);
+  }
+
+  // Replies point at their parent by id, which may be an annotation already in the file
+  const byId = new Map();
+  for (const record of readPdfAnnotations(pdfDoc).records) {
+    if (record.id && record.ref instanceof PDFRef) byId.set(record.id, record.ref);
+  }
+
+  const pages = new Set();
+  for (let i = 0; i < input.annotations.length; i++) {
+    const spec = input.annotations[i];
+    const ref = await addPdfAnnotation(pdfDoc, spec, fontFor);
+    byId.set(spec.id, ref);
+    pages.add(spec.page);
+    onProgress({ completed: i + 1, total: input.annotations.length, message: `Added annotation ${i + 1} of ${input.annotations.length}` });
+  }
+  for (const spec of input.annotations) {
+    const parent = spec.inReplyTo && byId.get(spec.inReplyTo);
+    if (parent) pdfDoc.context.lookup(byId.get(spec.id), PDFDict).set(PDFName.of('IRT'), parent);
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    filename: input.file.name.replace(/\.pdf$/i, '') + '-annotated.pdf',
+    contentType: 'application/pdf',
+    added: input.annotations.length,
+    pages: Array.from(pages).sort((a, b) => a - b)
+  };
+}
+
+// Job API runner for annotate-pdf
+async function runAnnotateJob(input, onProgress) {
+  const result = await performAnnotate(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { added: result.added, pages: result.pages }
+  };
+}
+
+// Build one annotation (with a generated appearance, and a popup for notes) and add it to its page
+async function addPdfAnnotation(pdfDoc, spec, fontFor) {
+  const context = pdfDoc.context;
+  const page = pdfDoc.getPage(spec.page - 1);
+  const box = getDisplayBox(page);
+  const point = ([x, y]) => {
+    const mapped = spec.userSpace ? { x, y } : toUserSpace(box, x, y);
+    return [mapped.x, mapped.y];
+  };
+  const bounds = (points, margin = 0) => {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return [Math.min(...xs) - margin, Math.min(...ys) - margin, Math.max(...xs) + margin, Math.max(...ys) + margin];
+  };
+  const corners = rect => [[rect.x, rect.y + rect.height], [rect.x + rect.width, rect.y + rect.height], [rect.x, rect.y], [rect.x + rect.width, rect.y]].map(point);
+  const components = color => {
+    if (!color) return undefined;
+    if (color.type === 'RGB') return [color.red, color.green, color.blue];
+    if (color.type === 'Grayscale') return [color.gray];
+    return [color.cyan, color.magenta, color.yellow, color.key];
+  };
+
+  const { subtype } = ANNOTATION_TYPES[spec.type];
+  const dict = {
+    Type: 'Annot',
+    Subtype: subtype,
+    F: 4,
+    P: page.ref,
+    NM: PDFHexString.fromText(spec.id),
+    M: PDFString.fromDate(spec.modifiedAt),
+    CreationDate: PDFString.fromDate(spec.createdAt),
+    C: spec.type === 'freetext' ? components(spec.fill) : components(spec.color)
+  };
+  if (spec.author) dict.T = PDFHexString.fromText(spec.author);
+  if (spec.subject) dict.Subj = PDFHexString.fromText(spec.subject);
+  if (spec.contents) dict.Contents = PDFHexString.fromText(spec.contents);
+  if (spec.opacity < 1) dict.CA = spec.opacity;
+
+  if (TEXT_MARKUP_TYPES.has(spec.type)) {
+    // Quads run top-left, top-right, bottom-left, bottom-right in the reading direction
+    const quads = spec.quads || spec.rects.map(rect => corners(rect).flat());
+    dict.QuadPoints = quads.flat();
+    dict.Rect = bounds(quads.flatMap(quad => [[quad[0], quad[1]], [quad[2], quad[3]], [quad[4], quad[5]], [quad[6], quad[7]]]));
+    if (spec.type === 'redact') dict.IC = components(spec.fill);
+  } else if (spec.rect) {
+    dict.Rect = spec.userSpace
+      ? [spec.rect.x, spec.rect.y, spec.rect.x + spec.rect.width, spec.rect.y + spec.rect.height]
+      : bounds(corners(spec.rect));
+    if (spec.type === 'note') {
+      dict.Name = spec.icon;
+      dict.Open = spec.open;
+    } else if (spec.type === 'freetext') {
+      const color = components(spec.color) || [0];
+      const operator = color.length === 1 ? 'g' : color.length === 3 ? 'rg' : 'k';
+      dict.DA = PDFString.of(`/Helv ${spec.fontSize} Tf ${color.map(round2).join(' ')} ${operator}`);
+      dict.BS = { W: spec.borderWidth };
+    } else {
+      dict.BS = { W: spec.borderWidth };
+      if (spec.fill) dict.IC = components(spec.fill);
+    }
+  } else {
+    const margin = spec.borderWidth + (spec.type === 'arrow' ? Math.max(spec.borderWidth * 4, 6) : 0);
+    dict.BS = { W: spec.borderWidth };
+    if (spec.type === 'ink') {
+      const paths = spec.paths.map(path => path.map(point));
+      dict.InkList = paths.map(path => path.flat());
+      dict.Rect = bounds(paths.flat(), margin);
+    } else {
+      const points = spec.points.map(point);
+      dict[spec.type === 'line' || spec.type === 'arrow' ? 'L' : 'Vertices'] = points.flat();
+      dict.Rect = bounds(points, margin);
+      if (spec.type === 'arrow') dict.LE = ['None', 'OpenArrow'];
+      if (spec.type === 'polygon' && spec.fill) dict.IC = components(spec.fill);
+    }
+  }
+
+  const annot = context.obj(dict);
+  const ref = context.register(annot);
+  const appearance = await generateAnnotationAppearance(pdfDoc, annot, subtype, fontFor);
+  if (appearance) annot.set(PDFName.of('AP'), context.obj({ N: appearance }));
+  page.node.addAnnot(ref);
+
+  if (spec.type === 'note') {
+    // Viewers show a note's text in its popup, placed beside the icon
+    const [, , right, top] = dict.Rect;
+    const popupRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Popup',
+      Parent: ref,
+      Open: spec.open,
+      F: 28,
+      Rect: [right, top - 120, right + 200, top]
+    }));
+    annot.set(PDFName.of('Popup'), popupRef);
+    page.node.addAnnot(popupRef);
+  }
+  return ref;
+}
+
+// PDF subtype -> JSON type for the annotations the API can read back
+const PDF_ANNOTATION_TYPES = {
+  Highlight: 'highlight',
+  Underline: 'underline',
+  StrikeOut: 'strikeout',
+  Squiggly: 'squiggly',
+  Text: 'note',
+  FreeText: 'freetext',
+  Square: 'rectangle',
+  Circle: 'ellipse',
+  Line: 'line',
+  PolyLine: 'polyline',
+  Polygon: 'polygon',
+  Ink: 'ink',
+  Redact: 'redact'
+};
+
+// Every supported annotation in the file, in PDF user space. Popups are folded into their parent;
+// links, widgets and anything else are only counted.
+function readPdfAnnotations(pdfDoc) {
+  const records = [];
+  let skipped = 0;
+
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (!(annot instanceof PDFDict)) continue;
+      const subtype = annot.lookupMaybe(PDFName.of('Subtype'), PDFName);
+      const pdfType = subtype ? subtype.decodeText() : '';
+      if (pdfType === 'Popup') continue;
+      if (!PDF_ANNOTATION_TYPES[pdfType]) {
+        skipped++;
+        continue;
+      }
+
+      const text = key => {
+        const value = annot.lookup(PDFName.of(key));
+        return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '';
+      };
+      const numbers = key => {
+        const array = annot.lookupMaybe(PDFName.of(key), PDFArray);
+        return array ? array.asArray().map((value, j) => array.lookup(j, PDFNumber)).filter(Boolean).map(value => value.asNumber()) : [];
+      };
+      const pairs = values => values.reduce((list, value, j) => (j % 2 ? list : list.concat([[value, values[j + 1]]])), []);
+      const date = key => {
+        const value = text(key);
+        return value ? parsePdfDate(value) : null;
+      };
+
+      const record = {
+        ref: annots.get(i),
+        type: PDF_ANNOTATION_TYPES[pdfType],
+        page: pageIndex + 1,
+        id: text('NM') || null,
+        author: text('T'),
+        subject: text('Subj'),
+        contents: text('Contents'),
+        createdAt: date('CreationDate'),
+        modifiedAt: date('M'),
+        color: annotationColor(numbers('C')),
+        fill: annotationColor(numbers('IC')),
+        opacity: (annot.lookupMaybe(PDFName.of('CA'), PDFNumber) || PDFNumber.of(1)).asNumber(),
+        borderWidth: annotationBorderWidth(annot),
+        rect: getAnnotationRect(annot)
+      };
+      const parent = annot.lookupMaybe(PDFName.of('IRT'), PDFDict);
+      const parentId = parent && parent.lookup(PDFName.of('NM'));
+      record.inReplyTo = parentId instanceof PDFString || parentId instanceof PDFHexString ? parentId.decodeText() : null;
+
+      if (TEXT_MARKUP_TYPES.has(record.type)) {
+        const quads = numbers('QuadPoints');
+        record.quads = [];
+        for (let j = 0; j + 8 <= quads.length; j += 8) record.quads.push(quads.slice(j, j + 8));
+        if (record.quads.length === 0 && record.rect) {
+          const { x, y, width, height } = record.rect;
+          record.quads.push([x, y + height, x + width, y + height, x, y, x + width, y]);
+        }
+      } else if (record.type === 'note') {
+        const name = annot.lookupMaybe(PDFName.of('Name'), PDFName);
+        const popup = annot.lookupMaybe(PDFName.of('Popup'), PDFDict);
+        record.icon = name ? name.decodeText() : 'Note';
+        record.open = (popup || annot).lookup(PDFName.of('Open')) === PDFBool.True;
+      } else if (record.type === 'freetext') {
+        // The text colour and size live in the default appearance string; /C is the background
+        const da = text('DA');
+        const size = da.match(/([\d.]+)\s+Tf/);
+        const color = da.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/) || da.match(/([\d.]+)\s+g\b/);
+        record.fontSize = size ? Number(size[1]) || 12 : 12;
+        record.fill = record.color;
+        record.color = color ? annotationColor(color.slice(1).map(Number)) : rgb(0, 0, 0);
+      } else if (record.type === 'ink') {
+        const inkList = annot.lookupMaybe(PDFName.of('InkList'), PDFArray);
+        record.paths = [];
+        for (let j = 0; inkList && j < inkList.size(); j++) {
+          const stroked = inkList.lookupMaybe(j, PDFArray);
+          if (stroked) record.paths.push(pairs(stroked.asArray().map((value, k) => stroked.lookup(k, PDFNumber).asNumber())));
+        }
+      } else if (record.type === 'line') {
+        record.points = pairs(numbers('L'));
+        const endings = annot.lookupMaybe(PDFName.of('LE'), PDFArray);
+        const styles = endings ? endings.asArray().map((value, j) => endings.lookupMaybe(j, PDFName)).map(name => (name ? name.decodeText() : 'None')) : [];
+        const isArrow = style => style === 'OpenArrow' || style === 'ClosedArrow';
+        if (styles.some(isArrow)) {
+          record.type = 'arrow';
+          // Arrows point at their last point
+          if (isArrow(styles[0]) && !isArrow(styles[1])) record.points.reverse();
+        }
+      } else if (record.type === 'polyline' || record.type === 'polygon') {
+        record.points = pairs(numbers('Vertices'));
+      }
+
+      const geometry = record.quads || record.points || record.paths;
+      if (geometry ? geometry.length < (record.points ? 2 : 1) : !record.rect) {
+        skipped++;
+        continue;
+      }
+      records.push(record);
+    }
+  });
+
+  return { records, skipped };
+}
+
+// An annotation record as the JSON that /api/annotate-pdf accepts, in displayed-page coordinates
+function annotationRecordToJson(record, box) {
+  const point = ([x, y]) => {
+    const mapped = fromUserSpace(box, x, y);
+    return [round2(mapped.x), round2(mapped.y)];
+  };
+  const rectOf = points => {
+    const mapped = points.map(point);
+    const xs = mapped.map(p => p[0]);
+    const ys = mapped.map(p => p[1]);
+    return {
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: round2(Math.max(...xs) - Math.min(...xs)),
+      height: round2(Math.max(...ys) - Math.min(...ys))
+    };
+  };
+
+  const json = { id: record.id, type: record.type, page: record.page };
+  if (record.quads) {
+    json.rects = record.quads.map(quad => rectOf([[quad[0], quad[1]], [quad[2], quad[3]], [quad[4], quad[5]], [quad[6], quad[7]]]));
+  } else if (record.points) {
+    json.points = record.points.map(point);
+  } else if (record.paths) {
+    json.paths = record.paths.map(path => path.map(point));
+  } else {
+    const { x, y, width, height } = record.rect;
+    json.rect = rectOf([[x, y], [x + width, y + height]]);
+  }
+
+  json.color = colorToHex(record.color);
+  if (record.fill) json.fill = colorToHex(record.fill);
+  if (record.opacity < 1) json.opacity = record.opacity;
+  if (!['note', 'highlight', 'underline', 'strikeout', 'squiggly', 'redact'].includes(record.type)) json.borderWidth = record.borderWidth;
+  if (record.fontSize) json.fontSize = record.fontSize;
+  if (record.icon) json.icon = record.icon;
+  if (record.type === 'note') json.open = record.open;
+  json.author = record.author;
+  json.subject = record.subject;
+  json.contents = record.contents;
+  if (record.inReplyTo) json.inReplyTo = record.inReplyTo;
+  json.createdAt = record.createdAt ? record.createdAt.toISOString() : null;
+  json.modifiedAt = record.modifiedAt ? record.modifiedAt.toISOString() : null;
+  return json;
+}
+
+// pdf-lib colour -> "#rrggbb" (null for none)
+function colorToHex(color) {
+  if (!color) return null;
+  let channels;
+  if (color.type === 'RGB') {
+    channels = [color.red, color.green, color.blue];
+  } else if (color.type === 'Grayscale') {
+    channels = [color.gray, color.gray, color.gray];
+  } else {
+    channels = [color.cyan, color.magenta, color.yellow].map(value => (1 - value) * (1 - color.key));
+  }
+  return '#' + channels.map(value => Math.round(Math.min(Math.max(value, 0), 1) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// XFDF element name <-> JSON type
+const XFDF_ANNOTATION_TYPES = {
+  highlight: 'highlight',
+  underline: 'underline',
+  strikeout: 'strikeout',
+  squiggly: 'squiggly',
+  text: 'note',
+  freetext: 'freetext',
+  square: 'rectangle',
+  circle: 'ellipse',
+  line: 'line',
+  polyline: 'polyline',
+  polygon: 'polygon',
+  ink: 'ink',
+  redact: 'redact'
+};
+
+// Annotation records as an XFDF document (ISO 19444-1) in PDF user space
+function annotationRecordsToXfdf(records, filename) {
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  const list = values => values.map(value => round2(value)).join(',');
+  const pdfDate = date => PDFString.fromDate(date).decodeText();
+  const elementFor = Object.fromEntries(Object.entries(XFDF_ANNOTATION_TYPES).map(([element, type]) => [type, element]));
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">', '<annots>'];
+  for (const record of records) {
+    const element = elementFor[record.type === 'arrow' ? 'line' : record.type];
+    const rect = record.rect || { x: 0, y: 0, width: 0, height: 0 };
+    const attributes = {
+      page: record.page - 1,
+      rect: list([rect.x, rect.y, rect.x + rect.width, rect.y + rect.height]),
+      name: record.id,
+      title: record.author,
+      subject: record.subject,
+      date: record.modifiedAt && pdfDate(record.modifiedAt),
+      creationdate: record.createdAt && pdfDate(record.createdAt),
+      flags: 'print',
+      color: record.type === 'freetext' ? colorToHex(record.fill) : colorToHex(record.color),
+      'interior-color': record.type === 'freetext' ? null : colorToHex(record.fill),
+      opacity: record.opacity < 1 ? record.opacity : null,
+      width: TEXT_MARKUP_TYPES.has(record.type) || record.type === 'note' ? null : record.borderWidth,
+      icon: record.icon,
+      inreplyto: record.inReplyTo,
+      coords: record.quads && list(record.quads.flat())
+    };
+    if (record.points && (record.type === 'line' || record.type === 'arrow')) {
+      attributes.start = list(record.points[0]);
+      attributes.end = list(record.points[1]);
+      if (record.type === 'arrow') attributes.tail = 'OpenArrow';
+    }
+
+    const attributeText = Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => ` ${key}="${escape(value)}"`)
+      .join('');
+    const children = [];
+    if (record.contents) children.push(`<contents>${escape(record.contents)}</contents>`);
+    if (record.type === 'note') {
+      const { x, y, width, height } = record.rect;
+      const popupRect = list([x + width, y + height - 120, x + width + 200, y + height]);
+      children.push(`<popup open="${record.open ? 'yes' : 'no'}" page="${record.page - 1}" rect="${popupRect}"/>`);
+    }
+    if (record.type === 'freetext') {
+      const color = colorToHex(record.color).slice(1).match(/../g).map(hex => round2(parseInt(hex, 16) / 255));
+      children.push(`<defaultappearance>/Helv ${record.fontSize} Tf ${color.join(' ')} rg</defaultappearance>`);
+    }
+    if (record.points && record.type !== 'line' && record.type !== 'arrow') {
+      children.push(`<vertices>${record.points.map(list).join(';')}</vertices>`);
+    }
+    if (record.paths) {
+      children.push(`<inklist>${record.paths.map(path => `<gesture>${path.map(list).join(';')}</gesture>`).join('')}</inklist>`);
+    }
+    lines.push(children.length > 0 ? `<${element}${attributeText}>${children.join('')}</${element}>` : `<${element}${attributeText}/>`);
+  }
+  lines.push('</annots>', `<f href="${escape(filename)}"/>`, '</xfdf>');
+  return lines.join('\n') + '\n';
+}
+
+// XFDF -> annotation specs in PDF user space
+function parseXfdfAnnotations(text, defaults) {
+  const root = parseXml(text);
+  const local = name => name.replace(/^.*:/, '').toLowerCase();
+  if (!root || local(root.name) !== 'xfdf') {
+    throw httpError(400, 'The XFDF has no <xfdf> root element');
+  }
+  const annots = root.children.find(child => local(child.name) === 'annots');
+  const specs = [];
+
+  (annots ? annots.children : []).forEach((element, index) => {
+    const fail = message => httpError(400, `XFDF annotation ${index + 1} (<${element.name}>): ${message}`);
+    const type = XFDF_ANNOTATION_TYPES[local(element.name)];
+    if (!type) return;
+    const attributes = element.attributes;
+    const child = name => element.children.find(node => local(node.name) === name);
+    const numbers = (value, name) => {
+      const list = String(value || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+      if (list.length === 0 || list.some(number => !Number.isFinite(number))) throw fail(`invalid ${name} "${value}"`);
+      return list;
+    };
+    const pairs = values => values.reduce((list, value, i) => (i % 2 ? list : list.concat([[value, values[i + 1]]])), []);
+    const color = (value, fallback) => {
+      try {
+        return value ? parseColor(value, fallback) : fallback;
+      } catch (error) {
+        throw fail(error.message);
+      }
+    };
+    const date = value => (value ? parsePdfDate(value) : null);
+
+    const page = Number(attributes.page);
+    if (!Number.isInteger(page) || page < 0) throw fail('page must be a page index starting at 0');
+    const contents = child('contents');
+
+    const spec = {
+      type,
+      page: page + 1,
+      userSpace: true,
+      color: color(attributes.color, type === 'freetext' ? null : ANNOTATION_TYPES[type].color),
+      fill: color(attributes['interior-color'], type === 'redact' ? rgb(0, 0, 0) : null),
+      opacity: attributes.opacity !== undefined ? Math.min(Math.max(Number(attributes.opacity) || 0, 0), 1) : 1,
+      borderWidth: attributes.width !== undefined ? Number(attributes.width) || 0 : type === 'freetext' ? 0 : 1,
+      author: attributes.title !== undefined ? attributes.title : defaults.author,
+      subject: attributes.subject || '',
+      contents: contents ? contents.text : '',
+      id: attributes.name || crypto.randomUUID(),
+      inReplyTo: attributes.inreplyto || null,
+      createdAt: date(attributes.creationdate) || defaults.now,
+      modifiedAt: date(attributes.date) || defaults.now
+    };
+    if (attributes.rect) {
+      const [x1, y1, x2, y2] = numbers(attributes.rect, 'rect');
+      spec.rect = { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+    }
+
+    if (TEXT_MARKUP_TYPES.has(type)) {
+      if (!attributes.coords && !spec.rect) throw fail('needs coords or a rect');
+      const { x, y, width, height } = spec.rect || {};
+      const coords = attributes.coords ? numbers(attributes.coords, 'coords') : [x, y + height, x + width, y + height, x, y, x + width, y];
+      spec.quads = [];
+      for (let i = 0; i + 8 <= coords.length; i += 8) spec.quads.push(coords.slice(i, i + 8));
+    } else if (type === 'note') {
+      spec.icon = NOTE_ICONS.find(icon => icon.toLowerCase() === String(attributes.icon || 'Note').toLowerCase()) || 'Note';
+      const popup = child('popup');
+      spec.open = popup ? popup.attributes.open === 'yes' : false;
+    } else if (type === 'freetext') {
+      // The text colour comes from the default appearance; the color attribute is the background
+      const appearance = child('defaultappearance');
+      const da = appearance ? appearance.text : '';
+      const size = da.match(/([\d.]+)\s+Tf/);
+      const textColor = da.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+      spec.fill = spec.color;
+      spec.color = textColor ? rgb(...textColor.slice(1).map(Number)) : rgb(0, 0, 0);
+      spec.fontSize = size ? Number(size[1]) || 12 : 12;
+      if (!spec.contents) {
+        const richText = child('contents-richtext');
+        spec.contents = richText ? collectXmlText(richText).trim() : '';
+      }
+    } else if (type === 'line') {
+      spec.points = [pairs(numbers(attributes.start, 'start'))[0], pairs(numbers(attributes.end, 'end'))[0]];
+      const isArrow = style => /arrow/i.test(style || '');
+      if (isArrow(attributes.head) || isArrow(attributes.tail)) {
+        spec.type = 'arrow';
+        if (isArrow(attributes.head) && !isArrow(attributes.tail)) spec.points.reverse();
+      }
+      delete spec.rect;
+    } else if (type === 'polyline' || type === 'polygon') {
+      const vertices = child('vertices');
+      spec.points = pairs(numbers(vertices && vertices.text, 'vertices'));
+      delete spec.rect;
+    } else if (type === 'ink') {
+      const inkList = child('inklist');
+      spec.paths = (inkList ? inkList.children : []).map(gesture => pairs(numbers(gesture.text, 'gesture')));
+      if (spec.paths.length === 0) throw fail('ink needs an <inklist> of gestures');
+      delete spec.rect;
+    }
+    if (!spec.quads && !spec.points && !spec.paths && !(spec.rect && spec.rect.width > 0 && spec.rect.height > 0)) {
+      throw fail('rect must have a positive width and height');
+    }
+
+    specs.push(spec);
+  });
+
+  return specs;
+}
+
+// A small XML reader for XFDF and Office parts: elements, attributes, text and CDATA; comments,
+// processing instructions and the doctype are skipped. Returns the root element. `label` names
+// the document in error messages.
+function parseXml(text, label = 'XFDF') {
+  const decode = value => value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Surrogates, NUL and anything past U+10FFFF are not characters
+      if (!(code > 0 && code <= 0x10ffff) || (code >= 0xd800 && code <= 0xdfff)) {
+        throw httpError(400, `Invalid ${label}: ${match} is not a valid character reference`);
+      }
+      return String.fromCodePoint(code);
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+  });
+
+  const stack = [{ name: '#document', attributes: {}, children: [], text: '' }];
+  const pattern = /<!--[^]*?-->|<\?[^]*?\?>|<!\[CDATA\[([^]*?)\]\]>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const current = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      current.text += match[1];
+    } else if (match[2]) {
+      if (stack.length === 1 || current.name !== match[2]) {
+        throw httpError(400, `Invalid ${label}: unexpected </${match[2]}>`);
+      }
+      stack.pop();
+    } else if (match[3]) {
+      const attributes = {};
+      for (const attribute of match[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[attribute[1]] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      const element = { name: match[3], attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!match[5]) stack.push(element);
+    } else if (match[6] !== undefined) {
+      current.text += decode(match[6]);
+    }
+  }
+  if (stack.length !== 1) {
+    throw httpError(400, `Invalid ${label}: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  return stack[0].children[0];
+}
+
+// All text inside an element, e.g. the plain text of XFDF rich text contents
+function collectXmlText(element) {
+  return element.text + element.children.map(collectXmlText).join('');
+}
+
+// 19. REDACT PDF - REAL WORKING
+app.post('/api/redact-pdf', async (req, res) => {
+  try {
+    const input = prepareRedactRequest(req);
+    const result = await performRedact(input);
+    const { report } = result;
+
+    res.json({
+      success: true,
+      message: `Redacted ${report.areas} area(s) on ${report.pages.length} page(s): ` +
+        `${report.glyphsRemoved} character(s) and ${report.imagesRedacted + report.imagesRemoved + report.inlineImagesRemoved} image(s) removed`,
+      report,
+      warnings: result.warnings,
+      downloadUrl: `data:${result.contentType};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Redaction failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const MAX_REDACTION_AREAS = parseInt(process.env.MAX_REDACTION_AREAS) || 2000;
+const MAX_REDACTION_PATTERN_LENGTH = 200;
+// Patterns run in a worker that is stopped when one page's text takes longer than this
+const REDACTION_PATTERN_TIMEOUT_MS = parseInt(process.env.REDACTION_PATTERN_TIMEOUT_MS) || 2000;
+
+// Search patterns that can be asked for by name
+const REDACTION_PRESETS = {
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/,
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/,
+  phone: /(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)|\b\d{3})[ .-]?\d{3}[ .-]?\d{4}\b/,
+  'credit-card': /\b(?:\d[ -]?){12,18}\d\b/
+};
+
+// A character goes when at least this share of its box lies inside a redaction area
+const REDACTION_GLYPH_COVERAGE = 0.25;
+
+function prepareRedactRequest(req) {
+  const file = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'))[0];
+  if (!file) {
+    throw httpError(400, 'No file uploaded');
+  }
+  if (file.mimetype !== 'application/pdf') {
+    throw httpError(400, `Not a PDF file: ${file.name}`);
+  }
+
+  const body = req.body;
+  const color = parseColor(body.color, rgb(0, 0, 0));
+  const areas = parseRedactionAreas(body.areas);
+  if (areas.length > MAX_REDACTION_AREAS) {
+    throw httpError(400, `At most ${MAX_REDACTION_AREAS} redaction areas per request`);
+  }
+
+  const flags = ['true', '1', 'yes', 'on'].includes(String(body.caseSensitive).toLowerCase()) ? 'g' : 'gi';
+  const patterns = [];
+  for (const name of parseListField(body.presets).filter(Boolean)) {
+    const preset = REDACTION_PRESETS[name.toLowerCase()];
+    if (!preset) {
+      throw httpError(400, `Unknown preset "${name}". Use ${Object.keys(REDACTION_PRESETS).join(', ')}`);
+    }
+    patterns.push({ label: name.toLowerCase(), regex: new RegExp(preset.source, flags) });
+  }
+
+  // `pattern` is one regular expression; `patterns` a JSON list of them
+  let sources = [].concat(body.pattern || []).map(String);
+  if (body.patterns) {
+    let list = null;
+    try {
+      list = JSON.parse(body.patterns);
+    } catch (error) {
+      list = null;
+    }
+    if (!Array.isArray(list)) {
+      throw httpError(400, 'patterns must be a JSON array of regular expressions');
+    }
+    sources = sources.concat(list.map(String));
+  }
+  for (const source of sources.filter(Boolean)) {
+    if (source.length > MAX_REDACTION_PATTERN_LENGTH) {
+      throw httpError(400, `Patterns are limited to ${MAX_REDACTION_PATTERN_LENGTH} characters`);
+    }
+    try {
+      patterns.push({ label: source, regex: new RegExp(source, flags) });
+    } catch (error) {
+      throw httpError(400, `Invalid pattern "${source}": ${error.message}`);
+    }
+  }
+
+  return {
+    file: { name: file.name, data: file.data },
+    areas,
+    patterns,
+    color,
+    // Redact annotations already in the file (marked up in a viewer, or with /api/annotate-pdf)
+    applyMarks: !['false', '0', 'no', 'off'].includes(String(body.applyAnnotations).toLowerCase()),
+    password: body.password || ''
+  };
+}
+
+// '[{"page": 1, "x": 72, "y": 700, "width": 180, "height": 14}]' -> areas. Positions are points from
+// the bottom-left of the displayed page; `page` may also be a range ("2-4") or "all".
+function parseRedactionAreas(text) {
+  if (!text) return [];
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Invalid areas JSON: ${error.message}`);
+  }
+  if (list && !Array.isArray(list) && Array.isArray(list.areas)) list = list.areas;
+  if (!Array.isArray(list)) {
+    throw httpError(400, 'Areas must be a JSON array of {page, x, y, width, height}');
+  }
+
+  return list.map((item, index) => {
+    const fail = message => httpError(400, `Area ${index + 1}: ${message}`);
+    if (!item || typeof item !== 'object' || Array.isArray(item)) throw fail('must be an object');
+
+    const rect = {};
+    for (const key of ['x', 'y', 'width', 'height']) {
+      if (typeof item[key] !== 'number' || !Number.isFinite(item[key])) throw fail(`${key} must be a number`);
+      rect[key] = item[key];
+    }
+    if (rect.width <= 0 || rect.height <= 0) throw fail('width and height must be positive');
+
+    const pages = item.page === undefined || item.page === null ? '' : String(item.page).trim();
+    if (!pages) throw fail('page is required (a page number, a range like "2-4", or "all")');
+
+    let color = null;
+    try {
+      color = parseColor(item.color, null);
+    } catch (error) {
+      throw fail(error.message);
+    }
+    return { pages, rect, color };
+  });
+}
+
+async function performRedact(input, onProgress = () => {}) {
+  const pdfDoc = await loadPdfDocument(input.file.data, input.password);
+  const pageCount = pdfDoc.getPageCount();
+
+  // Everything is worked out in each page's user space
+  const pageAreas = Array.from({ length: pageCount }, () => []);
+  input.areas.forEach((area, index) => {
+    const indices = parsePageRanges(area.pages, pageCount);
+    if (!indices) {
+      throw httpError(400, `Area ${index + 1}: page must be between 1 and ${pageCount}`);
+    }
+    for (const pageIndex of indices) {
+      const box = getDisplayBox(pdfDoc.getPage(pageIndex));
+      const a = toUserSpace(box, area.rect.x, area.rect.y);
+      const b = toUserSpace(box, area.rect.x + area.rect.width, area.rect.y + area.rect.height);
+      pageAreas[pageIndex].push({
+        x1: Math.min(a.x, b.x), y1: Math.min(a.y, b.y), x2: Math.max(a.x, b.x), y2: Math.max(a.y, b.y),
+        color: area.color || input.color
+      });
+    }
+  });
+
+  let marksApplied = 0;
+  if (input.applyMarks) {
+    pdfDoc.getPages().forEach((page, pageIndex) => {
+      const marks = readRedactionMarks(page, input.color);
+      pageAreas[pageIndex].push(...marks);
+      marksApplied += marks.length;
+    });
+  }
+
+  if (input.patterns.length === 0 && pageAreas.every(areas => areas.length === 0)) {
+    throw httpError(400, 'Nothing to redact: send areas, a pattern or a preset, or mark redactions in the PDF first');
+  }
+
+  const report = {
+    pages: [],
+    areas: 0,
+    matches: [],
+    glyphsRemoved: 0,
+    imagesRedacted: 0,
+    imagesRemoved: 0,
+    inlineImagesRemoved: 0,
+    pathsRemoved: 0,
+    annotationsRemoved: 0,
+    formFieldsRemoved: 0,
+    marksApplied,
+    metadataRemoved: []
+  };
+  const warnings = [];
+  const fontCache = new Map();
+  const widgets = new Set();
+  let unreadableText = false;
+  const matcher = input.patterns.length > 0 ? createPatternMatcher(input.patterns) : null;
+
+  try {
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+      if (matcher || pageAreas[pageIndex].length > 0) {
+        const page = pdfDoc.getPage(pageIndex);
+        const result = await redactPage(page, pageAreas[pageIndex], matcher, input.color, fontCache);
+        result.widgets.forEach(widget => widgets.add(widget));
+        unreadableText = unreadableText || result.unreadableText;
+
+        if (result.areas > 0) {
+          report.pages.push({
+            page: pageIndex + 1,
+            areas: result.areas,
+            matches: result.matches.length,
+            glyphsRemoved: result.glyphsRemoved,
+            imagesRedacted: result.imagesRedacted,
+            imagesRemoved: result.imagesRemoved + result.inlineImagesRemoved,
+            pathsRemoved: result.pathsRemoved,
+            annotationsRemoved: result.annotationsRemoved
+          });
+          report.matches.push(...result.matches.map(match => ({ page: pageIndex + 1, ...match })));
+          for (const key of ['areas', 'glyphsRemoved', 'imagesRedacted', 'imagesRemoved', 'inlineImagesRemoved', 'pathsRemoved', 'annotationsRemoved']) {
+            report[key] += result[key];
+          }
+        }
+      }
+      onProgress({ completed: pageIndex + 1, total: pageCount, message: `Redacted page ${pageIndex + 1} of ${pageCount}` });
+    }
+  } finally {
+    if (matcher) matcher.close();
+  }
+
+  // A form field under a redaction goes entirely: its value lives outside the page content
+  if (widgets.size > 0) {
+    const form = pdfDoc.getForm();
+    for (const field of form.getFields()) {
+      if (field.acroField.getWidgets().some(widget => widgets.has(widget.dict))) {
+        form.removeField(field);
+        report.formFieldsRemoved++;
+      }
+    }
+  }
+
+  report.metadataRemoved = stripPdfMetadata(pdfDoc);
+  // Replaced content streams and images must not stay behind as unreferenced objects
+  removeUnreachableObjects(pdfDoc.context);
+
+  const buffer = Buffer.from(await pdfDoc.save());
+
+  if (report.areas === 0) {
+    warnings.push('Nothing matched the patterns, so only the metadata was removed');
+  }
+  if (unreadableText && input.patterns.length > 0) {
+    warnings.push('Some text uses fonts without a Unicode mapping and could not be searched; redact it by area instead');
+  }
+  if (input.patterns.length > 0) {
+    const remaining = await findRemainingMatches(buffer, input.patterns);
+    if (remaining.length > 0) {
+      warnings.push(`Text matching the patterns is still extractable on page(s) ${remaining.join(', ')}; check those pages`);
+    }
+  }
+
+  return {
+    buffer,
+    filename: input.file.name.replace(/\.pdf$/i, '') + '-redacted.pdf',
+    contentType: 'application/pdf',
+    report,
+    warnings
+  };
+}
+
+// Job API runner for redact-pdf
+async function runRedactJob(input, onProgress) {
+  const result = await performRedact(input, onProgress);
+  return {
+    files: {
+      result: { buffer: result.buffer, filename: result.filename, contentType: result.contentType }
+    },
+    summary: { report: result.report, warnings: result.warnings }
+  };
+}
+
+// Areas marked by Redact annotations (QuadPoints, else Rect), in the mark's interior colour
+function readRedactionMarks(page, fallbackColor) {
+  const context = page.doc.context;
+  const annots = page.node.Annots();
+  const areas = [];
+
+  for (const annotRef of annots ? annots.asArray() : []) {
+    const annot = context.lookupMaybe(annotRef, PDFDict);
+    if (!annot || annot.lookup(PDFName.of('Subtype')) !== PDFName.of('Redact')) continue;
+
+    const fill = annotationColor(annot.lookupMaybe(PDFName.of('IC'), PDFArray)) || fallbackColor;
+    const quads = annot.lookupMaybe(PDFName.of('QuadPoints'), PDFArray);
+    const numbers = quads ? quads.asArray().map(value => context.lookup(value).asNumber()) : [];
+    if (numbers.length >= 8) {
+      for (let i = 0; i + 8 <= numbers.length; i += 8) {
+        const xs = [0, 2, 4, 6].map(k => numbers[i + k]);
+        const ys = [1, 3, 5, 7].map(k => numbers[i + k]);
+        areas.push({ x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys), color: fill });
+      }
+    } else {
+      const rect = getAnnotationRect(annot);
+      if (rect) areas.push({ x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height, color: fill });
+    }
+  }
+  return areas;
+}
+
+// Remove everything under the page's areas (plus text matching the patterns, whose boxes become
+// areas too): glyphs are cut out of the text operators with the pen advanced past them so the rest
+// of the line stays put, image pixels are zeroed (or the image dropped when it can't be decoded
+// here), paths lying wholly inside are no longer painted and overlapping annotations are deleted.
+// Then the areas are painted over.
+async function redactPage(page, areas, matcher, color, fontCache) {
+  const context = page.doc.context;
+  const layout = interpretPageContent(page, fontCache);
+  const result = {
+    areas: 0,
+    glyphsRemoved: 0,
+    imagesRedacted: 0,
+    imagesRemoved: 0,
+    inlineImagesRemoved: 0,
+    pathsRemoved: 0,
+    annotationsRemoved: 0,
+    matches: [],
+    widgets: [],
+    unreadableText: layout.glyphs.some(glyph => glyph.text === '')
+  };
+
+  if (matcher) {
+    const { text, owners } = buildGlyphText(layout.glyphs);
+    const found = await matcher.match(text);
+    const displayBox = getDisplayBox(page);
+    for (let patternIndex = 0; patternIndex < matcher.patterns.length; patternIndex++) {
+      for (const [start, end] of found[patternIndex]) {
+        if (!owners.slice(start, end).some(Boolean)) continue;
+
+        // One box per line the match spans. Only where a match was is reported, never its text.
+        const rects = [];
+        let box = null;
+        for (let i = start; i <= end; i++) {
+          const glyph = i < end ? owners[i] : null;
+          if (glyph) {
+            glyph.matched = true;
+            box = box ? unionBoxes(box, glyph.box) : { ...glyph.box };
+          } else if (box && (i === end || text[i] === '\n')) {
+            areas.push({ ...box, color });
+            const a = fromUserSpace(displayBox, box.x1, box.y1);
+            const b = fromUserSpace(displayBox, box.x2, box.y2);
+            rects.push({
+              x: Math.min(a.x, b.x), y: Math.min(a.y, b.y),
+              width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y)
+            });
+            box = null;
+          }
+        }
+        result.matches.push({ pattern: matcher.patterns[patternIndex].label, rects });
+      }
+    }
+  }
+
+  result.areas = areas.length;
+  if (areas.length === 0) return result;
+
+  const removed = [];
+  for (const glyph of layout.glyphs) {
+    if (glyph.matched || glyph.code.removed || areas.some(area => boxCoverage(glyph.box, area) >= REDACTION_GLYPH_COVERAGE)) {
+      glyph.code.removed = true;
+      glyph.marks.forEach(mark => { mark.tainted = true; });
+      removed.push(glyph);
+    }
+  }
+  result.glyphsRemoved = removed.length;
+
+  for (const entry of layout.streams) {
+    for (const [index, record] of entry.textOps) {
+      if (record.parts.some(part => part.codes && part.codes.some(code => code.removed))) {
+        entry.edits.set(index, rewriteTextOperation(record));
+      }
+    }
+  }
+
+  // A changed image or form is drawn from a new object under a new resource name: the original
+  // may be drawn elsewhere, on this page or on others
+  let copies = 0;
+  const drawCopy = (entry, op, ref) => {
+    const existing = entry.resources && entry.resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    let name;
+    do {
+      name = `Redacted${++copies}`;
+    } while (existing && existing.has(PDFName.of(name)));
+    entry.added.set(name, ref);
+    entry.edits.set(op, `/${name} Do`);
+  };
+
+  for (const draw of layout.images) {
+    const bounds = transformedUnitSquare(draw.ctm);
+    const regions = areas.filter(area => boxesOverlap(bounds, area))
+      .map(area => imagePixelRegion(draw.stream, draw.ctm, area))
+      .filter(Boolean);
+    if (regions.length === 0) continue;
+
+    const blanked = await blankImageRegions(draw.stream, regions);
+    if (blanked) {
+      drawCopy(draw.entry, draw.op, context.register(blanked));
+      result.imagesRedacted++;
+    } else {
+      draw.entry.edits.set(draw.op, '');
+      result.imagesRemoved++;
+    }
+  }
+  for (const draw of layout.inlineImages) {
+    if (areas.some(area => boxesOverlap(transformedUnitSquare(draw.ctm), area))) {
+      draw.entry.edits.set(draw.op, '');
+      result.inlineImagesRemoved++;
+    }
+  }
+
+  for (const path of layout.paths) {
+    const inside = point => areas.some(area => point.x >= area.x1 - 0.5 && point.x <= area.x2 + 0.5 &&
+      point.y >= area.y1 - 0.5 && point.y <= area.y2 + 0.5);
+    if (path.points.every(inside)) {
+      path.entry.edits.set(path.op, 'n');
+      result.pathsRemoved++;
+    }
+  }
+
+  // Marked content around removed text loses its replacement and alternate text
+  const mcids = new Set();
+  for (const entry of layout.streams) {
+    for (const mark of entry.marks.values()) {
+      const op = entry.operations[mark.op];
+      const properties = op.operands[1] && op.operands[1].dict;
+      if (!mark.tainted || op.operator !== 'BDC' || !properties) continue;
+
+      if (entry.ref === null && typeof properties.MCID === 'number') mcids.add(properties.MCID);
+      const kept = Object.fromEntries(Object.entries(properties).filter(([key]) => !['ActualText', 'Alt', 'E'].includes(key)));
+      if (Object.keys(kept).length !== Object.keys(properties).length) {
+        entry.edits.set(mark.op, `${serializeContentOperand(op.operands[0])} ${serializeContentOperand({ dict: kept })} BDC`);
+      }
+    }
+  }
+  stripStructureAlternates(page.doc, page.ref, mcids);
+
+  // Deepest forms first, so each copy already draws its children's copies
+  const forms = layout.streams.filter(entry => entry.ref).sort((a, b) => b.depth - a.depth);
+  for (const entry of forms) {
+    if (entry.edits.size === 0 && entry.added.size === 0) continue;
+
+    const dict = entry.stream.dict.clone(context);
+    const resources = addXObjects(context, entry.resources, entry.added);
+    if (resources) dict.set(PDFName.of('Resources'), resources);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.delete(PDFName.of('DecodeParms'));
+    dict.delete(PDFName.of('Length'));
+    const content = applyContentEdits(entry.bytes, entry.operations, entry.edits);
+    drawCopy(entry.parent, entry.op, context.register(PDFRawStream.of(dict, zlib.deflateSync(content))));
+  }
+
+  const pageEntry = layout.streams[0];
+  if (pageEntry.added.size > 0) page.node.set(PDFName.of('Resources'), addXObjects(context, pageEntry.resources, pageEntry.added));
+
+  const boxes = [];
+  for (const area of areas) {
+    boxes.push(pushGraphicsState(), setFillingColor(area.color), rectangle(area.x1, area.y1, area.x2 - area.x1, area.y2 - area.y1), fill(), popGraphicsState());
+  }
+  const content = Buffer.concat([
+    Buffer.from('q\n'),
+    applyContentEdits(pageEntry.bytes, pageEntry.operations, pageEntry.edits),
+    Buffer.from('\nQ\n' + boxes.map(String).join('\n') + '\n')
+  ]);
+  page.node.set(PDFName.of('Contents'), context.register(PDFRawStream.of(context.obj({ Filter: 'FlateDecode' }), zlib.deflateSync(content))));
+
+  // Annotations over the areas go too (a widget's whole field is removed by the caller)
+  const annots = page.node.Annots();
+  for (const annotRef of annots ? annots.asArray().slice() : []) {
+    const annot = context.lookupMaybe(annotRef, PDFDict);
+    const rect = annot && getAnnotationRect(annot);
+    const subtype = annot && annot.lookup(PDFName.of('Subtype'));
+    if (!rect || subtype === PDFName.of('Popup')) continue;
+
+    const bounds = { x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height };
+    if (!areas.some(area => boxesOverlap(bounds, area))) continue;
+
+    if (subtype === PDFName.of('Widget')) {
+      result.widgets.push(annot);
+      continue;
+    }
+    const popup = annot.get(PDFName.of('Popup'));
+    if (popup instanceof PDFRef) page.node.removeAnnot(popup);
+    page.node.removeAnnot(annotRef);
+    result.annotationsRemoved++;
+  }
+
+  return result;
+}
+
+// Page text in content order, with a space where glyphs sit apart and a newline where the baseline
+// moves. owners[i] is the glyph behind text[i] (null for the separators).
+function buildGlyphText(glyphs) {
+  let text = '';
+  const owners = [];
+  let previous = null;
+
+  for (const glyph of glyphs) {
+    if (previous) {
+      const dx = glyph.origin.x - previous.end.x;
+      const dy = glyph.origin.y - previous.end.y;
+      const along = dx * previous.direction.x + dy * previous.direction.y;
+      const across = dy * previous.direction.x - dx * previous.direction.y;
+      const size = previous.size || 1;
+
+      let separator = '';
+      if (Math.abs(across) > size * 0.5 || along < -size * 0.5) {
+        separator = '\n';
+      } else if (along > size * 0.25 && !/\s$/.test(text) && !/^\s/.test(glyph.text)) {
+        separator = ' ';
+      }
+      if (separator) {
+        text += separator;
+        owners.push(null);
+      }
+    }
+    text += glyph.text;
+    for (let i = 0; i < glyph.text.length; i++) owners.push(glyph);
+    previous = glyph;
+  }
+
+  return { text, owners };
+}
+
+// A Tj/TJ/'/" with its removed codes turned into pen moves: [(kept) -adjust (kept)] TJ
+function rewriteTextOperation(record) {
+  const items = [];
+  let bytes = [];
+  let adjust = 0;
+  const move = amount => {
+    if (bytes.length > 0) items.push({ string: Buffer.concat(bytes) });
+    bytes = [];
+    adjust += amount;
+  };
+  const keep = code => {
+    if (adjust !== 0) items.push(adjust);
+    adjust = 0;
+    bytes.push(code.bytes);
+  };
+
+  for (const part of record.parts) {
+    if (typeof part === 'number') {
+      move(part);
+    } else {
+      part.codes.forEach(code => (code.removed ? move(code.adjust) : keep(code)));
+    }
+  }
+  move(0);
+  if (adjust !== 0) items.push(adjust);
+
+  const show = `${serializeContentOperand(items)} TJ`;
+  const operands = record.operands;
+  if (record.operator === "'") return `T* ${show}`;
+  if (record.operator === '"') {
+    return `${serializeContentOperand(operands[0])} Tw ${serializeContentOperand(operands[1])} Tc T* ${show}`;
+  }
+  return show;
+}
+
+function boxCoverage(box, area) {
+  const width = Math.min(box.x2, area.x2) - Math.max(box.x1, area.x1);
+  const height = Math.min(box.y2, area.y2) - Math.max(box.y1, area.y1);
+  if (width < 0 || height < 0) return 0;
+  const size = (box.x2 - box.x1) * (box.y2 - box.y1);
+  return size > 0 ? (width * height) / size : 1;
+}
+
+function boxesOverlap(a, b) {
+  return a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2;
+}
+
+function unionBoxes(a, b) {
+  return { x1: Math.min(a.x1, b.x1), y1: Math.min(a.y1, b.y1), x2: Math.max(a.x2, b.x2), y2: Math.max(a.y2, b.y2) };
+}
+
+// User space bounds of the unit square (an image) drawn through a matrix
+function transformedUnitSquare(m) {
+  const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([x, y]) => applyMatrix(m, x, y));
+  return {
+    x1: Math.min(...corners.map(p => p.x)),
+    y1: Math.min(...corners.map(p => p.y)),
+    x2: Math.max(...corners.map(p => p.x)),
+    y2: Math.max(...corners.map(p => p.y))
+  };
+}
+
+// The pixels of an image (drawn through ctm) under a user space area: { left, top, right, bottom }
+function imagePixelRegion(stream, ctm, area) {
+  const width = stream.dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = stream.dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+  const [a, b, c, d, e, f] = ctm;
+  const det = a * d - b * c;
+  if (Math.abs(det) < 1e-9) return null;
+
+  const inverse = [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+  const corners = [[area.x1, area.y1], [area.x2, area.y1], [area.x2, area.y2], [area.x1, area.y2]]
+    .map(([x, y]) => applyMatrix(inverse, x, y));
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+  // Image space: unit square, v axis pointing up; pixel rows run top to bottom
+  const region = {
+    left: clamp(Math.floor(Math.min(...corners.map(p => p.x)) * width + 1e-6), width),
+    right: clamp(Math.ceil(Math.max(...corners.map(p => p.x)) * width - 1e-6), width),
+    top: clamp(Math.floor((1 - Math.max(...corners.map(p => p.y))) * height + 1e-6), height),
+    bottom: clamp(Math.ceil((1 - Math.min(...corners.map(p => p.y))) * height - 1e-6), height)
+  };
+  return region.right > region.left && region.bottom > region.top ? region : null;
+}
+
+// A copy of an image XObject with the given pixel regions zeroed, or null when its encoding is one
+// we can't rewrite (JBIG2, CCITT, JPX, CMYK JPEG, ...)
+async function blankImageRegions(stream, regions) {
+  const dict = stream.dict;
+  const context = dict.context;
+  const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+  const filters = pdfFilterNames(dict);
+  const isMask = dict.lookup(PDFName.of('ImageMask')) === PDFBool.True;
+  const bitsPerComponent = isMask ? 1 : (dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber) || PDFNumber.of(0)).asNumber();
+  const channels = isMask ? 1 : imageColorComponents(context, dict.get(PDFName.of('ColorSpace')));
+  if (!channels) return null;
+
+  const newDict = dict.clone(context);
+  newDict.delete(PDFName.of('Length'));
+  newDict.delete(PDFName.of('DecodeParms'));
+
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    if (channels !== 1 && channels !== 3) return null;
+    let decoder = sharp(Buffer.from(stream.contents));
+    if (channels === 1) decoder = decoder.toColourspace('b-w');
+    const { data, info } = await decoder.raw().toBuffer({ resolveWithObject: true });
+    if (info.width !== width || info.height !== height || info.channels !== channels) return null;
+
+    clearPixelRegions(data, width, channels * 8, regions);
+    let encoder = sharp(data, { raw: { width, height, channels } });
+    if (channels === 1) encoder = encoder.toColourspace('b-w');
+    return PDFRawStream.of(newDict, await encoder.jpeg({ quality: 90 }).toBuffer());
+  }
+
+  if (!filters.every(filter => filter === 'FlateDecode') || ![1, 2, 4, 8, 16].includes(bitsPerComponent)) return null;
+  let pixels = Buffer.from(filters.length > 0 ? decodePDFRawStream(stream).decode() : stream.contents);
+
+  const params = dict.lookupMaybe(PDFName.of('DecodeParms'), PDFDict);
+  const predictor = params && params.lookupMaybe(PDFName.of('Predictor'), PDFNumber);
+  if (predictor && predictor.asNumber() >= 10) {
+    pixels = undoPngPredictor(pixels, width, channels, bitsPerComponent);
+  } else if (predictor && predictor.asNumber() > 1) {
+    return null;
+  }
+
+  const bitsPerPixel = channels * bitsPerComponent;
+  if (!pixels || pixels.length < Math.ceil(width * bitsPerPixel / 8) * height) return null;
+
+  clearPixelRegions(pixels, width, bitsPerPixel, regions);
+  newDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  return PDFRawStream.of(newDict, zlib.deflateSync(pixels));
+}
+
+// Colour components per image sample, including the one-component indexed and separation spaces
+function imageColorComponents(context, colorSpace) {
+  const known = pdfColorSpaceComponents(context, colorSpace);
+  if (known) return known;
+
+  const value = context.lookup(colorSpace);
+  if (value instanceof PDFArray && value.size() > 1) {
+    const family = context.lookup(value.get(0));
+    if (family === PDFName.of('Indexed') || family === PDFName.of('Separation')) return 1;
+    if (family === PDFName.of('DeviceN')) {
+      const names = context.lookup(value.get(1));
+      return names instanceof PDFArray ? names.size() : null;
+    }
+  }
+  return null;
+}
+
+// Reverse the PNG row filters of a Flate stream with /Predictor >= 10 (null when malformed)
+function undoPngPredictor(data, width, channels, bitsPerComponent) {
+  const rowBytes = Math.ceil(width * channels * bitsPerComponent / 8);
+  const pixelBytes = Math.max(1, Math.ceil(channels * bitsPerComponent / 8));
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = Buffer.alloc(rows * rowBytes);
+
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowBytes + 1)];
+    const source = row * (rowBytes + 1) + 1;
+    const target = row * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= pixelBytes ? out[target + i - pixelBytes] : 0;
+      const up = row > 0 ? out[target - rowBytes + i] : 0;
+      const upLeft = row > 0 && i >= pixelBytes ? out[target - rowBytes + i - pixelBytes] : 0;
+      let predicted;
+      switch (type) {
+        case 0: predicted = 0; break;
+        case 1: predicted = left; break;
+        case 2: predicted = up; break;
+        case 3: predicted = (left + up) >> 1; break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+          break;
+        }
+        default: return null;
+      }
+      out[target + i] = (data[source + i] + predicted) & 0xff;
+    }
+  }
+  return out;
+}
+
+// Zero the bits of every pixel inside the regions (rows are padded to whole bytes)
+function clearPixelRegions(pixels, width, bitsPerPixel, regions) {
+  const rowBits = Math.ceil(width * bitsPerPixel / 8) * 8;
+  for (const { left, top, right, bottom } of regions) {
+    for (let row = top; row < bottom; row++) {
+      let bit = row * rowBits + left * bitsPerPixel;
+      const end = row * rowBits + right * bitsPerPixel;
+      while (bit < end) {
+        if (bit % 8 === 0 && end - bit >= 8) {
+          const bytes = Math.floor((end - bit) / 8);
+          pixels.fill(0, bit / 8, bit / 8 + bytes);
+          bit += bytes * 8;
+        } else {
+          pixels[bit >> 3] &= ~(0x80 >> (bit & 7));
+          bit++;
+        }
+      }
+    }
+  }
+}
+
+// A copy of resources whose XObject dict also holds the added (name -> ref) entries. Dicts are
+// copied, never edited: pages and forms share resource dictionaries.
+function addXObjects(context, resources, added) {
+  if (added.size === 0) return resources;
+  const copy = resources ? resources.clone(context) : context.obj({});
+  const existing = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  const xObjects = existing ? existing.clone(context) : context.obj({});
+  added.forEach((ref, name) => xObjects.set(PDFName.of(name), ref));
+  copy.set(PDFName.of('XObject'), xObjects);
+  return copy;
+}
+
+// Drop ActualText / Alt / E from structure elements holding one of the page's marked-content ids
+function stripStructureAlternates(pdfDoc, pageRef, mcids) {
+  const context = pdfDoc.context;
+  const root = pdfDoc.catalog.lookupMaybe(PDFName.of('StructTreeRoot'), PDFDict);
+  if (!root || mcids.size === 0) return;
+
+  const seen = new Set();
+  const onPage = page => page instanceof PDFRef && page.tag === pageRef.tag;
+  const visit = (node, page, depth) => {
+    if (!(node instanceof PDFDict) || seen.has(node) || depth > 500) return;
+    seen.add(node);
+
+    const nodePage = node.get(PDFName.of('Pg')) || page;
+    const kids = node.lookup(PDFName.of('K'));
+    let tagged = false;
+    for (const item of kids instanceof PDFArray ? kids.asArray() : kids ? [kids] : []) {
+      const kid = context.lookup(item);
+      if (kid instanceof PDFNumber) {
+        if (onPage(nodePage) && mcids.has(kid.asNumber())) tagged = true;
+      } else if (kid instanceof PDFDict) {
+        const mcid = kid.lookupMaybe(PDFName.of('MCID'), PDFNumber);
+        if (mcid) {
+          if (onPage(kid.get(PDFName.of('Pg')) || nodePage) && mcids.has(mcid.asNumber())) tagged = true;
+        } else {
+          visit(kid, nodePage, depth + 1);
+        }
+      }
+    }
+    if (tagged) ['ActualText', 'Alt', 'E'].forEach(key => node.delete(PDFName.of(key)));
+  };
+  visit(root, null, 0);
+}
+
+// Document info, XMP packets, page thumbnails and application data can all repeat redacted content.
+// Returns what was found and removed.
+function stripPdfMetadata(pdfDoc) {
+  const context = pdfDoc.context;
+  const removed = new Set();
+
+  const info = context.lookup(context.trailerInfo.Info);
+  if (info instanceof PDFDict && info.keys().length > 0) {
+    info.keys().forEach(key => info.delete(key));
+    removed.add('document info');
+  }
+
+  const labels = { Metadata: 'XMP metadata', PieceInfo: 'application data', Thumb: 'page thumbnails' };
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFDict ? object : object instanceof PDFRawStream ? object.dict : null;
+    if (!dict) continue;
+    for (const key of Object.keys(labels)) {
+      if (dict.has(PDFName.of(key))) {
+        dict.delete(PDFName.of(key));
+        removed.add(labels[key]);
+      }
+    }
+  }
+  return Array.from(removed);
+}
+
+// Pages (1-based) whose extracted text still matches one of the patterns
+async function findRemainingMatches(buffer, patterns) {
+  const pdfJsDoc = await loadPdfJsDocument(buffer);
+  const matcher = createPatternMatcher(patterns);
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdfJsDoc.numPages; pageNumber++) {
+      const { runs } = await extractPageTextRuns(pdfJsDoc, pageNumber);
+      const found = await matcher.match(buildReadingOrderText(runs));
+      if (found.some(ranges => ranges.length > 0)) {
+        pages.push(pageNumber);
+      }
+    }
+    return pages;
+  } finally {
+    matcher.close();
+    await pdfJsDoc.destroy();
+  }
+}
+
+// User patterns can backtrack for ever, so they run in a worker thread rather than on the event loop.
+// match(text) resolves to [start, end] ranges per pattern, or rejects with a 400 when the worker
+// has to be stopped after REDACTION_PATTERN_TIMEOUT_MS.
+const PATTERN_MATCHER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const regexes = workerData.map(pattern => new RegExp(pattern.source, pattern.flags));
+parentPort.on('message', text => {
+  parentPort.postMessage(regexes.map(regex => Array.from(text.matchAll(regex), match => [match.index, match.index + match[0].length])));
+});
+`;
+
+function createPatternMatcher(patterns) {
+  const worker = new Worker(PATTERN_MATCHER_SOURCE, {
+    eval: true,
+    workerData: patterns.map(pattern => ({ source: pattern.regex.source, flags: pattern.regex.flags })),
+    resourceLimits: { maxOldGenerationSizeMb: 64 }
+  });
+  worker.unref();
+  let failure = null;
+  worker.on('error', error => { failure = httpError(400, `Pattern matching failed: ${error.message}`); });
+
+  return {
+    patterns,
+    match(text) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        const done = () => {
+          clearTimeout(timer);
+          worker.off('message', onMessage);
+          worker.off('error', onError);
+        };
+        const onMessage = ranges => { done(); resolve(ranges); };
+        const onError = () => { done(); reject(failure); };
+        const timer = setTimeout(() => {
+          done();
+          failure = httpError(400, `The patterns took longer than ${REDACTION_PATTERN_TIMEOUT_MS} ms on one page; simplify them`);
+          worker.terminate();
+          reject(failure);
+        }, REDACTION_PATTERN_TIMEOUT_MS);
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.postMessage(text);
+      });
+    },
+    close() {
+      worker.terminate();
+    }
+  };
+}
+
+// 20. ORGANIZE PDF - REAL WORKING
+// One page-operations API behind the Organize, Insert, Delete and Extract Pages tools
+app.post(['/api/page-operations', '/api/organize-pdf'], async (req, res) => {
+  try {
+    const input = preparePageOperationsRequest(req);
+    const result = await performPageOperations(input);
+
+    res.json({
+      success: true,
+      message: `Applied ${input.operations.length} operation(s): ${result.originalPageCount} page(s) in, ${result.pages.length} out`,
+      pages: result.pages,
+      warnings: result.warnings,
+      downloadUrl: `data:application/pdf;base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Page operations failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+// Small previews of each page, so pages can be arranged visually before anything is changed.
+// Every entry has the page's displayed size in points; one that can't be rendered comes back
+// with `error` instead of `image`.
+app.post('/api/page-thumbnails', async (req, res) => {
+  try {
+    const [file] = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'));
+    if (!file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    if (file.mimetype !== 'application/pdf') {
+      return res.status(400).json({ error: `Not a PDF file: ${file.name}` });
+    }
+
+    const result = await renderPageThumbnails(file.data, {
+      width: Math.min(Math.max(parseInt(req.body.width) || 160, 32), 600),
+      pages: req.body.pages,
+      password: req.body.password || ''
+    });
+
+    res.json({ success: true, pageCount: result.pageCount, thumbnails: result.thumbnails });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Thumbnails failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const MAX_PAGE_OPERATIONS = parseInt(process.env.MAX_PAGE_OPERATIONS) || 500;
+const MAX_ORGANIZED_PAGES = parseInt(process.env.MAX_ORGANIZED_PAGES) || 5000;
+const MAX_THUMBNAIL_PAGES = parseInt(process.env.MAX_THUMBNAIL_PAGES) || 500;
+
+const PAGE_OPERATIONS = ['move', 'duplicate', 'delete', 'insert-blank', 'insert', 'extract'];
+
+// The first upload is the document to change; pages to insert come from `insert` uploads
+// (or any further `files`), numbered from 1 in the order they were sent
+function preparePageOperationsRequest(req) {
+  const [file, ...rest] = getUploadedFiles(req, 'file').concat(getUploadedFiles(req, 'files'));
+  if (!file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const inserts = getUploadedFiles(req, 'insert').concat(rest);
+  for (const upload of [file, ...inserts]) {
+    if (upload.mimetype !== 'application/pdf') {
+      throw httpError(400, `Not a PDF file: ${upload.name}`);
+    }
+  }
+
+  return {
+    file: { name: file.name, data: file.data },
+    inserts: inserts.map(upload => ({ name: upload.name, data: upload.data })),
+    operations: parsePageOperations(req.body.operations, inserts.length),
+    password: req.body.password || '',
+    // Password for the inserted files, when it differs from the document's
+    insertPassword: req.body.insertPassword || ''
+  };
+}
+
+// '[{"op": "move", "pages": "3", "to": 1}, {"op": "delete", "pages": "5-"}]' -> operations.
+// Pages and positions are 1-based and refer to the document as the earlier operations left it;
+// a position ("to", "at") is where the first moved or new page ends up, and "at" defaults to the end.
+function parsePageOperations(value, insertCount) {
+  let list = null;
+  try {
+    list = JSON.parse(value);
+  } catch (error) {
+    list = null;
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw httpError(400, 'operations must be a JSON array, e.g. [{"op": "move", "pages": "3", "to": 1}]');
+  }
+  if (list.length > MAX_PAGE_OPERATIONS) {
+    throw httpError(400, `At most ${MAX_PAGE_OPERATIONS} operations per request`);
+  }
+
+  return list.map((entry, i) => {
+    const fail = message => httpError(400, `Operation ${i + 1}: ${message}`);
+    if (!entry || typeof entry !== 'object') {
+      throw fail('expected an object such as {"op": "delete", "pages": "2"}');
+    }
+
+    const op = String(entry.op || '').toLowerCase();
+    const pages = entry.pages === undefined || entry.pages === null ? '' : [].concat(entry.pages).join(',').trim();
+    const requirePages = () => {
+      if (!pages) throw fail(`${op} needs "pages", e.g. "1-3,5"`);
+      return pages;
+    };
+    const position = (key, required) => {
+      if (entry[key] === undefined || entry[key] === null || entry[key] === '') {
+        if (required) throw fail(`${op} needs "${key}", the position to move to`);
+        return null;
+      }
+      const number = Number(entry[key]);
+      if (!Number.isInteger(number) || number < 1) throw fail(`"${key}" must be a page position (1 or more)`);
+      return number;
+    };
+    const count = (key) => {
+      const number = entry[key] === undefined || entry[key] === null || entry[key] === '' ? 1 : Number(entry[key]);
+      if (!Number.isInteger(number) || number < 1 || number > MAX_ORGANIZED_PAGES) {
+        throw fail(`"${key}" must be a whole number between 1 and ${MAX_ORGANIZED_PAGES}`);
+      }
+      return number;
+    };
+
+    switch (op) {
+      case 'move':
+        return { op, pages: requirePages(), to: position('to', true) };
+
+      case 'duplicate':
+        return { op, pages: requirePages(), copies: count('copies') };
+
+      case 'delete':
+      case 'extract':
+        return { op, pages: requirePages() };
+
+      case 'insert-blank': {
+        // Blank pages take the size of the page before them unless told otherwise
+        let size = null;
+        if (Array.isArray(entry.size)) {
+          const [width, height] = entry.size.map(Number);
+          if (entry.size.length !== 2 || !(width >= 1 && width <= 14400 && height >= 1 && height <= 14400)) {
+            throw fail('"size" must be [width, height] in points (1 to 14400)');
+          }
+          size = [width, height];
+        } else if (entry.size) {
+          const name = Object.keys(PageSizes).find(key => key.toLowerCase() === String(entry.size).toLowerCase());
+          if (!name) throw fail(`unknown page size "${entry.size}". Use e.g. A4, Letter, Legal or [width, height]`);
+          size = PageSizes[name].slice();
+        }
+        return { op, at: position('at', false), count: count('count'), size };
+      }
+
+      case 'insert': {
+        const file = entry.file === undefined || entry.file === null ? 1 : Number(entry.file);
+        if (insertCount === 0) {
+          throw fail('insert needs a second PDF, uploaded as "insert"');
+        }
+        if (!Number.isInteger(file) || file < 1 || file > insertCount) {
+          throw fail(`"file" must be between 1 and ${insertCount}`);
+        }
+        return { op, at: position('at', false), file, pages };
+      }
+
+      default:
+        throw fail(`unknown operation "${entry.op}". Use ${PAGE_OPERATIONS.join(', ')}`);
+    }
+  });
+}
+
+// Apply the operations to a list of page slots, then build the result from it in one go, so
+// every source page is copied once however often it is moved or duplicated
+async function performPageOperations(input, onProgress = () => {}) {
+  const sources = [{ name: input.file.name, doc: await loadPdfDocument(input.file.data, input.password) }];
+  for (const upload of input.inserts) {
+    try {
+      sources.push({ name: upload.name, doc: await loadPdfDocument(upload.data, input.insertPassword || input.password) });
+    } catch (error) {
+      throw httpError(error.status || 400, `${upload.name}: ${error.message}`, { code: error.code });
+    }
+  }
+
+  const originalPageCount = sources[0].doc.getPageCount();
+  const total = input.operations.length + 1;
+  let slots = sources[0].doc.getPageIndices().map(index => ({ source: 0, index }));
+
+  for (const [i, operation] of input.operations.entries()) {
+    slots = applyPageOperation(slots, operation, sources, i + 1);
+    if (slots.length > MAX_ORGANIZED_PAGES) {
+      throw httpError(400, `Operation ${i + 1} (${operation.op}): the result would have more than ${MAX_ORGANIZED_PAGES} pages`);
+    }
+    onProgress({ completed: i + 1, total, message: `Applied operation ${i + 1} of ${input.operations.length} (${operation.op})` });
+  }
+
+  if (slots.length === 0) {
+    throw httpError(400, 'The operations leave no pages in the document');
+  }
+
+  const output = await PDFDocument.create();
+  // Source index -> copied page, per source
+  const copies = sources.map(() => new Map());
+  for (const [source, { doc }] of sources.entries()) {
+    const indices = [...new Set(slots.filter(slot => slot.source === source).map(slot => slot.index))];
+    if (indices.length === 0) continue;
+    const pages = await output.copyPages(doc, indices);
+    indices.forEach((index, k) => copies[source].set(index, pages[k]));
+  }
+
+  const placed = new Set();
+  const warnings = [];
+  const pages = slots.map((slot, position) => {
+    if (slot.size) {
+      output.addPage(slot.size);
+      return { blank: true };
+    }
+
+    const page = copies[slot.source].get(slot.index);
+    if (!placed.has(page)) {
+      placed.add(page);
+      output.addPage(page);
+    } else {
+      const unshared = addDuplicatePage(output, page);
+      if (unshared.length > 0) {
+        warnings.push(`Page ${position + 1}: form field(s) ${unshared.join(', ')} are only on the first copy of this page`);
+      }
+    }
+    return { file: sources[slot.source].name, page: slot.index + 1 };
+  });
+
+  // Bookmarks and form fields follow the first copy of each page
+  const outline = [];
+  const fieldNames = new Set();
+  for (const [source, { doc }] of sources.entries()) {
+    if (copies[source].size === 0) continue;
+    const pageMap = new Map([...copies[source]].map(([index, page]) => [index, page.ref]));
+    outline.push(...remapOutline(readPdfOutlineTree(doc), pageMap));
+    adoptCopiedFormFields(output, doc, [...copies[source].values()], fieldNames);
+  }
+  if (outline.length > 0) {
+    writePdfOutline(output, outline);
+  }
+
+  const original = sources[0].doc;
+  if (original.getTitle()) output.setTitle(original.getTitle());
+  if (original.getAuthor()) output.setAuthor(original.getAuthor());
+  if (original.getSubject()) output.setSubject(original.getSubject());
+  if (original.getKeywords()) output.setKeywords([original.getKeywords()]);
+
+  const buffer = Buffer.from(await output.save());
+  onProgress({ completed: total, total, message: 'Document saved' });
+
+  return {
+    buffer,
+    filename: input.file.name.replace(/\.pdf$/i, '') + '-organized.pdf',
+    originalPageCount,
+    pages,
+    warnings
+  };
+}
+
+// Job API runner for organize-pdf
+async function runPageOperationsJob(input, onProgress) {
+  const result = await performPageOperations(input, onProgress);
+  return {
+    files: {
+      pdf: { buffer: result.buffer, filename: result.filename, contentType: 'application/pdf' }
+    },
+    summary: { originalPageCount: result.originalPageCount, pages: result.pages, warnings: result.warnings }
+  };
+}
+
+// One operation over the page list. A slot is { source, index } for a page of the document
+// (source 0) or of an inserted file, or { size } for a blank page.
+function applyPageOperation(slots, operation, sources, number) {
+  const fail = message => httpError(400, `Operation ${number} (${operation.op}): ${message}`);
+  const select = () => {
+    const indices = parsePageRanges(operation.pages, slots.length);
+    if (!indices) {
+      throw fail(`invalid page range "${operation.pages}"; the document has ${slots.length} page(s) at this point`);
+    }
+    return indices;
+  };
+  // 1-based position -> index in a list of `length` slots (null means the end)
+  const position = (key, length) => {
+    if (operation[key] === null) return length;
+    if (operation[key] > length + 1) {
+      throw fail(`"${key}" must be between 1 and ${length + 1} at this point`);
+    }
+    return operation[key] - 1;
+  };
+
+  switch (operation.op) {
+    case 'move': {
+      const indices = select();
+      const selected = new Set(indices);
+      const rest = slots.filter((_, i) => !selected.has(i));
+      const at = position('to', rest.length);
+      return [...rest.slice(0, at), ...indices.map(i => slots[i]), ...rest.slice(at)];
+    }
+
+    case 'duplicate': {
+      // Copies go straight after each original
+      const selected = new Set(select());
+      return slots.flatMap((slot, i) => (selected.has(i) ? new Array(operation.copies + 1).fill(slot) : [slot]));
+    }
+
+    case 'delete': {
+      const selected = new Set(select());
+      return slots.filter((_, i) => !selected.has(i));
+    }
+
+    case 'extract':
+      return select().map(i => slots[i]);
+
+    case 'insert-blank': {
+      const at = position('at', slots.length);
+      const size = operation.size || slotPageSize(slots[at - 1] || slots[at], sources);
+      const blanks = Array.from({ length: operation.count }, () => ({ size }));
+      return [...slots.slice(0, at), ...blanks, ...slots.slice(at)];
+    }
+
+    case 'insert': {
+      const { name, doc } = sources[operation.file];
+      const indices = parsePageRanges(operation.pages, doc.getPageCount());
+      if (!indices) {
+        throw fail(`invalid page range "${operation.pages}" for ${name}, which has ${doc.getPageCount()} page(s)`);
+      }
+      const at = position('at', slots.length);
+      return [...slots.slice(0, at), ...indices.map(index => ({ source: operation.file, index })), ...slots.slice(at)];
+    }
+
+    default:
+      throw fail('unknown operation');
+  }
+}
+
+// Displayed size of the page in a slot ([width, height] in points); Letter when there is no page
+function slotPageSize(slot, sources) {
+  if (!slot) return [612, 792];
+  if (slot.size) return slot.size;
+  const box = getDisplayBox(sources[slot.source].doc.getPage(slot.index));
+  return [box.width, box.height];
+}
+
+// Add a page that is already in the document once more. The page dictionary is cloned, sharing
+// its content and resources, but each annotation is copied because an annotation belongs to a
+// single page; copied widgets join their field's Kids, so both copies show the same field.
+// Returns the names of fields that can't be shared like that (a widget that is the field itself).
+function addDuplicatePage(pdfDoc, page) {
+  const context = pdfDoc.context;
+  const leaf = page.node.clone(context);
+  const ref = context.register(leaf);
+  const annots = page.node.Annots();
+  const unshared = [];
+
+  if (annots) {
+    const copied = new Map();
+    const copies = [];
+
+    for (const annotRef of annots.asArray()) {
+      const annot = context.lookupMaybe(annotRef, PDFDict);
+      if (!annot) continue;
+
+      const isWidget = annot.lookup(PDFName.of('Subtype')) === PDFName.of('Widget');
+      if (isWidget && !(annot.get(PDFName.of('Parent')) instanceof PDFRef)) {
+        const name = annot.lookup(PDFName.of('T'));
+        if (name && typeof name.decodeText === 'function') unshared.push(name.decodeText());
+        continue;
+      }
+
+      const copy = annot.clone(context);
+      copy.set(PDFName.of('P'), ref);
+      const copyRef = context.register(copy);
+      if (annotRef instanceof PDFRef) copied.set(annotRef.tag, copyRef);
+      copies.push({ copy, copyRef, isWidget });
+    }
+
+    for (const { copy, copyRef, isWidget } of copies) {
+      // Popups, replies and the markup they belong to keep pointing at each other
+      for (const key of ['Popup', 'Parent', 'IRT']) {
+        const value = copy.get(PDFName.of(key));
+        if (value instanceof PDFRef && copied.has(value.tag)) copy.set(PDFName.of(key), copied.get(value.tag));
+      }
+      if (isWidget) {
+        const kids = context.lookup(copy.get(PDFName.of('Parent')), PDFDict).lookupMaybe(PDFName.of('Kids'), PDFArray);
+        if (kids) kids.push(copyRef);
+      }
+    }
+
+    leaf.set(PDFName.of('Annots'), context.obj(copies.map(({ copyRef }) => copyRef)));
+  }
+
+  pdfDoc.addPage(PDFPage.of(leaf, ref, pdfDoc));
+  return unshared;
+}
+
+// Render the selected pages `width` pixels wide as JPEG data URLs
+async function renderPageThumbnails(data, options) {
+  const pdfJsDoc = await loadPdfJsDocument(data, options.password);
+
+  try {
+    const indices = parsePageRanges(options.pages, pdfJsDoc.numPages);
+    if (!indices) {
+      throw httpError(400, `Invalid page range. Pages must be between 1 and ${pdfJsDoc.numPages}`);
+    }
+    if (indices.length > MAX_THUMBNAIL_PAGES) {
+      throw httpError(400, `At most ${MAX_THUMBNAIL_PAGES} thumbnails per request; ask for the rest with "pages"`);
+    }
+
+    const thumbnails = [];
+    for (const index of indices) {
+      const page = await pdfJsDoc.getPage(index + 1);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const thumbnail = { page: index + 1, width, height };
+
+      try {
+        const { canvas } = await renderPdfPageToCanvas(pdfJsDoc, index + 1, { dpi: options.width / width * 72 });
+        const image = await encodeCanvas(canvas, 'jpeg', 75);
+        thumbnail.image = `data:image/jpeg;base64,${image.toString('base64')}`;
+      } catch (error) {
+        console.error(`Thumbnail of page ${index + 1} failed:`, error.message);
+        thumbnail.error = error.message;
+      }
+      thumbnails.push(thumbnail);
+    }
+
+    return { pageCount: pdfJsDoc.numPages, thumbnails };
+
+  } finally {
+    await pdfJsDoc.destroy();
+  }
+}
+
+// 21. PDF TO WORD - REAL WORKING
+app.post('/api/pdf-to-word', async (req, res) => {
+  try {
+    const input = preparePdfToWordRequest(req);
+    const result = await performPdfToWord(input);
+    const { stats } = result;
+
+    res.json({
+      success: true,
+      message: `Converted ${result.pagesProcessed} page(s): ${stats.paragraphs} paragraph(s), ${stats.headings} heading(s), ` +
+        `${stats.tables} table(s) and ${stats.images} image(s)`,
+      stats,
+      warnings: result.warnings,
+      downloadUrl: `data:${DOCX_CONTENT_TYPE};base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('PDF to Word error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'PDF to Word conversion failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Validate a PDF-to-Word upload; shared by /api/pdf-to-word and the job API.
+// `images` (default on) carries the PDF's embedded pictures over as inline images.
+function preparePdfToWordRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const pdfFile = req.files.file;
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  return {
+    pdfFile: { name: pdfFile.name, data: pdfFile.data },
+    images: !['false', '0', 'no', 'off'].includes(String(req.body.images).toLowerCase()),
+    pages: req.body.pages,
+    password: req.body.password || ''
+  };
+}
+
+// Rebuild the selected pages as a Word document: paragraphs and headings from the positioned text
+// (bold/italic/size per run), tables from detectPageTables and the embedded images in between
+async function performPdfToWord(input, onProgress = () => {}) {
+  const { pdfFile } = input;
+  const pdfJsDoc = await loadPdfJsDocument(pdfFile.data, input.password);
+  let analysis;
+  let pdfDoc;
+
+  try {
+    pdfDoc = await loadPdfDocument(pdfFile.data, input.password);
+    const pageIndices = parsePageRanges(input.pages, pdfJsDoc.numPages);
+    if (!pageIndices) {
+      throw httpError(400, `Invalid page range. Pages must be between 1 and ${pdfJsDoc.numPages}`);
+    }
+    analysis = await analyseWordPages(pdfJsDoc, pdfDoc, pageIndices, { images: input.images }, onProgress);
+
+  } finally {
+    await pdfJsDoc.destroy();
+  }
+
+  const { pages, warnings } = analysis;
+  const document = layoutWordDocument(pages);
+  const title = pdfDoc.getTitle() || '';
+  const buffer = await buildDocxDocument(document, { title, author: pdfDoc.getAuthor() || '' });
+
+  onProgress({ completed: pages.length + 1, total: pages.length + 1, message: 'Document ready' });
+
+  return {
+    buffer,
+    filename: pdfFile.name.replace(/\.pdf$/i, '') + '.docx',
+    pagesProcessed: pages.length,
+    stats: document.stats,
+    warnings
+  };
+}
+
+// Paragraphs, tables and (with options.images) pictures of each selected page, ready for
+// layoutWordDocument; shared by pdf-to-word and the reflowed pdf-to-html.
+// Progress counts one step per page out of pageIndices.length + 1, leaving the last for the writer.
+async function analyseWordPages(pdfJsDoc, pdfDoc, pageIndices, options, onProgress) {
+  const warnings = [];
+  const pages = [];
+  const rotatedPages = [];
+  const skippedImages = [];
+  const scanned = [];
+
+  for (const [done, index] of pageIndices.entries()) {
+    const pageNumber = index + 1;
+    const { width, height, runs } = await extractPageTextRuns(pdfJsDoc, pageNumber, { resolveFonts: true });
+
+    // Vertical and rotated text has no place in flowing paragraphs
+    const textRuns = runs.filter(run => run.text.trim() && Math.abs(run.angle || 0) < 0.01);
+    if (textRuns.length < runs.filter(run => run.text.trim()).length) rotatedPages.push(pageNumber);
+
+    const rulings = await extractPageRulings(pdfJsDoc, pageNumber);
+    const { tables } = detectPageTables(textRuns, rulings);
+    const inTable = run => {
+      const center = runCenter(run);
+      return tables.some(table => center.x >= table.left - 1 && center.x <= table.right + 1 &&
+        center.y >= table.top - 1 && center.y <= table.bottom + 1);
+    };
+
+    let images = [];
+    if (options.images) {
+      const found = await findWordPageImages(pdfJsDoc, pdfDoc, index);
+      skippedImages.push(...found.skipped.map(() => pageNumber));
+      images = found.images;
+      // A picture behind the whole page (a scan with an OCR text layer, a letterhead background)
+      // would push the text down a page in Word
+      if (textRuns.length > 0) {
+        images = images.filter(image => (image.right - image.left) * (image.bottom - image.top) < width * height * 0.85);
+      }
+    }
+    if (textRuns.length === 0) scanned.push(pageNumber);
+
+    pages.push({
+      pageNumber,
+      width,
+      height,
+      paragraphs: buildWordParagraphs(textRuns.filter(run => !inTable(run))),
+      tables,
+      images
+    });
+
+    onProgress({ completed: done + 1, total: pageIndices.length + 1, message: `Analysed page ${pageNumber}` });
+  }
+
+  if (scanned.length === pageIndices.length && pages.every(page => page.images.length === 0)) {
+    throw httpError(400, 'No text found in the PDF. It looks scanned; run OCR PDF on it first');
+  }
+  if (scanned.length > 0) {
+    warnings.push(`Page(s) ${scanned.join(', ')} have no text layer and are kept as images only; run OCR PDF on them to make them editable`);
+  }
+  if (rotatedPages.length > 0) {
+    warnings.push(`Rotated or vertical text on page(s) ${rotatedPages.join(', ')} was left out`);
+  }
+  if (skippedImages.length > 0) {
+    warnings.push(`${skippedImages.length} image(s) in an unsupported format were left out (page(s) ${[...new Set(skippedImages)].join(', ')})`);
+  }
+
+  return { pages, warnings };
+}
+
+// Job API runner for pdf-to-word
+async function runPdfToWordJob(input, onProgress) {
+  const result = await performPdfToWord(input, onProgress);
+  return {
+    files: {
+      document: { buffer: result.buffer, filename: result.filename, contentType: DOCX_CONTENT_TYPE }
+    },
+    summary: { pagesProcessed: result.pagesProcessed, stats: result.stats, warnings: result.warnings }
+  };
+}
+
+// Paragraphs of one page in reading order. Blocks come from the same XY-cut as the text export;
+// inside a block a new paragraph starts at a change of font size, an indented or bulleted line,
+// or after a line that stops well short of the block's right edge.
+function buildWordParagraphs(runs) {
+  const paragraphs = [];
+
+  for (const block of orderTextSegments(buildTextSegments(runs))) {
+    if (block.length === 0) continue;
+
+    const lines = [];
+    for (const segment of block.slice().sort((a, b) => a.top - b.top || a.left - b.left)) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(segment.top - line.top) <= segment.fontSize * 0.4) {
+        line.segments.push(segment);
+        line.fontSize = Math.max(line.fontSize, segment.fontSize);
+        line.right = Math.max(line.right, segment.right);
+      } else {
+        lines.push({ top: segment.top, fontSize: segment.fontSize, left: segment.left, right: segment.right, segments: [segment] });
+      }
+    }
+
+    const blockLeft = Math.min(...lines.map(line => line.left));
+    const blockRight = Math.max(...lines.map(line => line.right));
+    let paragraph = null;
+
+    lines.forEach((line, i) => {
+      const previous = lines[i - 1];
+      const text = line.segments.map(segment => segment.text).join(' ');
+      const startsParagraph = !paragraph ||
+        Math.abs(line.fontSize - previous.fontSize) > previous.fontSize * 0.15 ||
+        line.left > previous.left + line.fontSize ||
+        WORD_LIST_MARKER.test(text) ||
+        previous.right < blockRight - Math.max(line.fontSize * 4, (blockRight - blockLeft) * 0.15);
+
+      if (startsParagraph) {
+        paragraph = { top: line.top - line.fontSize, lines: [] };
+        paragraphs.push(paragraph);
+      }
+      paragraph.lines.push(line);
+    });
+  }
+
+  paragraphs.forEach(paragraph => {
+    const { lines } = paragraph;
+    paragraph.pieces = buildWordPieces(lines);
+    paragraph.left = lines.length > 1 ? Math.min(...lines.slice(1).map(line => line.left)) : lines[0].left;
+    paragraph.firstLineLeft = lines[0].left;
+    paragraph.right = Math.max(...lines.map(line => line.right));
+
+    // Dominant size and weight, by amount of text
+    const sizes = new Map();
+    let boldChars = 0;
+    let chars = 0;
+    paragraph.pieces.forEach(piece => {
+      if (!piece.text) return;
+      const length = piece.text.replace(/\s/g, '').length;
+      sizes.set(piece.size, (sizes.get(piece.size) || 0) + length);
+      chars += length;
+      if (piece.bold) boldChars += length;
+    });
+    paragraph.fontSize = ([...sizes.entries()].sort((a, b) => b[1] - a[1])[0] || [lines[0].fontSize])[0];
+    paragraph.bold = chars > 0 && boldChars === chars;
+    paragraph.text = paragraph.pieces.map(piece => piece.tab ? '\t' : piece.text).join('');
+  });
+
+  return paragraphs;
+}
+
+// Bullets, "1." / "1)" / "(a)" / "iv." numbering at the start of a line
+const WORD_LIST_MARKER = /^(?:[•●▪◦‣∙·*–-]|\(?(?:\d{1,3}|[a-zA-Z]|[ivxlcIVXLC]{1,5})[.)])\s/;
+
+// Styled text pieces of a paragraph's lines: runs keep their bold/italic/size/font, lines are
+// joined with a space (none after a hyphen) and wide gaps inside a line become tabs
+function buildWordPieces(lines) {
+  const pieces = [];
+  const push = (text, run) => {
+    const style = {
+      bold: run.bold,
+      italic: run.italic,
+      size: Math.round(run.fontSize * 2) / 2,
+      font: cleanPdfFontName(run.font)
+    };
+    const last = pieces[pieces.length - 1];
+    if (last && !last.tab && last.bold === style.bold && last.italic === style.italic &&
+        last.size === style.size && last.font === style.font) {
+      last.text += text;
+    } else {
+      pieces.push({ text, ...style });
+    }
+  };
+
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      const previous = pieces[pieces.length - 1];
+      if (previous && !previous.tab && !/[\p{L}\p{N}]-$/u.test(previous.text) && !/\s$/.test(previous.text)) {
+        previous.text += ' ';
+      }
+    }
+
+    line.segments.sort((a, b) => a.left - b.left).forEach((segment, k) => {
+      if (k > 0) pieces.push({ tab: true });
+      let text = '';
+      segment.runs.forEach((run, r) => {
+        const before = segment.runs[r - 1];
+        const gap = before ? run.left - (before.left + before.width) : 0;
+        const space = before && gap > Math.min(run.fontSize, before.fontSize) * 0.15 &&
+          !/\s$/.test(text) && !/^\s/.test(run.text) ? ' ' : '';
+        text += space + run.text;
+        push(space + run.text, run);
+      });
+    });
+  });
+
+  const last = pieces[pieces.length - 1];
+  if (last && !last.tab) last.text = last.text.replace(/\s+$/, '');
+  return pieces.filter(piece => piece.tab || piece.text);
+}
+
+// "ABCDEF+TimesNewRomanPS-BoldMT" -> "Times New Roman"; the standard 14 map to their Office look-alikes
+function cleanPdfFontName(name) {
+  const base = String(name || '')
+    .replace(/^[A-Z]{6}\+/, '')
+    .replace(/[-,].*$/, '')
+    .replace(/(?:PSMT|PS|MT)$/, '');
+  const standard = { Helvetica: 'Arial', Times: 'Times New Roman', Courier: 'Courier New', Symbol: 'Symbol', ZapfDingbats: 'Wingdings' };
+  if (standard[base]) return standard[base];
+  if (!base || /^(?:g_d\d|f\d|sans-serif|serif|monospace)/i.test(base)) return null;
+  return base.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+// Image XObjects drawn on a page, as JPEG or PNG data with their box in displayed page coordinates.
+// Formats sharp can't turn into PNG (CCITT, JBIG2, JPX, odd bit depths) are reported as skipped.
+async function findWordPageImages(pdfJsDoc, pdfDoc, pageIndex) {
+  const page = pdfDoc.getPage(pageIndex);
+  const draws = findPageImageDraws(page, parseContentStream(getPageContentBytes(page)));
+  const images = [];
+  const skipped = [];
+  if (draws.length === 0) return { images, skipped };
+
+  const pdfJsPage = await pdfJsDoc.getPage(pageIndex + 1);
+  const viewport = pdfJsPage.getViewport({ scale: 1 });
+  pdfJsPage.cleanup();
+
+  for (const draw of draws) {
+    if (draw.inline) continue;
+
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => {
+      const point = applyMatrix(draw.ctm, u, v);
+      return viewport.convertToViewportPoint(point.x, point.y);
+    });
+    const box = {
+      left: Math.min(...corners.map(corner => corner[0])),
+      top: Math.min(...corners.map(corner => corner[1])),
+      right: Math.max(...corners.map(corner => corner[0])),
+      bottom: Math.max(...corners.map(corner => corner[1]))
+    };
+    // Hairlines and specks are decoration, not pictures
+    if (box.right - box.left < 4 || box.bottom - box.top < 4) continue;
+
+    try {
+      const decoded = await decodePdfImageForOcr(draw.stream);
+      if (!decoded) {
+        skipped.push(draw.name);
+        continue;
+      }
+      const jpeg = pdfFilterNames(draw.stream.dict).includes('DCTDecode');
+      images.push({ ...box, key: draw.ref.toString(), data: decoded.data, type: jpeg ? 'jpeg' : 'png' });
+    } catch (error) {
+      console.error(`Image ${draw.name} on page ${pageIndex + 1} failed:`, error.message);
+      skipped.push(draw.name);
+    }
+  }
+
+  return { images, skipped };
+}
+
+// Put the pages' paragraphs, tables and images into one flow. Tables and images go in before the
+// first paragraph (in reading order) that starts below them. Headings are the paragraphs set
+// clearly larger than the body text - the largest three sizes become levels 1 to 3 - plus short
+// all-bold lines at body size, one level below.
+function layoutWordDocument(pages) {
+  const sizes = new Map();
+  pages.forEach(page => page.paragraphs.forEach(paragraph => paragraph.pieces.forEach(piece => {
+    if (piece.text) sizes.set(piece.size, (sizes.get(piece.size) || 0) + piece.text.replace(/\s/g, '').length);
+  })));
+  const bodySize = [...sizes.entries()].sort((a, b) => b[1] - a[1]).map(entry => entry[0])[0] || 11;
+  const bodyFonts = new Map();
+  pages.forEach(page => page.paragraphs.forEach(paragraph => paragraph.pieces.forEach(piece => {
+    if (piece.font && piece.text) bodyFonts.set(piece.font, (bodyFonts.get(piece.font) || 0) + piece.text.length);
+  })));
+  const bodyFont = [...bodyFonts.entries()].sort((a, b) => b[1] - a[1]).map(entry => entry[0])[0] || 'Calibri';
+
+  const isHeadingCandidate = paragraph => paragraph.lines.length <= 3 && paragraph.text.length <= 200;
+  const headingSizes = [...new Set(pages.flatMap(page => page.paragraphs
+    .filter(paragraph => isHeadingCandidate(paragraph) && paragraph.fontSize >= bodySize * 1.15)
+    .map(paragraph => paragraph.fontSize)))]
+    .sort((a, b) => b - a)
+    .slice(0, 3);
+  const headingLevel = paragraph => {
+    if (!isHeadingCandidate(paragraph)) return 0;
+    const k = headingSizes.findIndex(size => paragraph.fontSize >= size);
+    if (paragraph.fontSize >= bodySize * 1.15) return k === -1 ? 3 : k + 1;
+    if (paragraph.bold && paragraph.lines.length === 1 && paragraph.text.length <= 100 &&
+        Math.abs(paragraph.fontSize - bodySize) < 0.5 && !/[.,;:]$/.test(paragraph.text)) {
+      return Math.min(headingSizes.length + 1, 3);
+    }
+    return 0;
+  };
+
+  // Margins from the widest text on any page, so indents and centring can be measured
+  // (images are left out: a scanned page's image runs edge to edge)
+  const firstPage = pages[0];
+  const contentLeft = Math.min(...pages.flatMap(page => [
+    ...page.paragraphs.map(paragraph => Math.min(paragraph.left, paragraph.firstLineLeft)),
+    ...page.tables.map(table => table.left)
+  ]), firstPage.width / 8);
+  const contentRight = Math.max(...pages.flatMap(page => [
+    ...page.paragraphs.map(paragraph => paragraph.right),
+    ...page.tables.map(table => table.right)
+  ]), firstPage.width * 7 / 8);
+  const margins = {
+    left: Math.min(Math.max(contentLeft, 18), 144),
+    right: Math.min(Math.max(firstPage.width - contentRight, 18), 144)
+  };
+  const textLeft = margins.left;
+  const textRight = firstPage.width - margins.right;
+  const textCenter = (textLeft + textRight) / 2;
+
+  const stats = { paragraphs: 0, headings: 0, tables: 0, images: 0 };
+  const items = [];
+
+  pages.forEach((page, p) => {
+    const pageItems = [];
+    const pending = [
+      ...page.tables.map(table => ({ type: 'table', top: table.top, table })),
+      ...page.images.map(image => ({ type: 'image', top: image.top, image }))
+    ].sort((a, b) => a.top - b.top);
+
+    for (const paragraph of page.paragraphs) {
+      while (pending.length > 0 && pending[0].top < paragraph.top) pageItems.push(pending.shift());
+
+      const level = headingLevel(paragraph);
+      const lefts = paragraph.lines.map(line => line.left);
+      const rights = paragraph.lines.slice(0, -1).map(line => line.right);
+      let align = 'left';
+      if (paragraph.lines.every(line => line.left > textLeft + paragraph.fontSize * 2 &&
+        Math.abs((line.left + line.right) / 2 - textCenter) < paragraph.fontSize)) {
+        align = 'center';
+      } else if (paragraph.lines.every(line => line.left > textCenter && Math.abs(line.right - textRight) < paragraph.fontSize) &&
+        Math.max(...lefts) - Math.min(...lefts) >= (paragraph.lines.length > 1 ? paragraph.fontSize : 0)) {
+        align = 'right';
+      } else if (rights.length >= 1 && Math.max(...rights) - Math.min(...rights) < paragraph.fontSize * 0.3 &&
+        paragraph.lines[paragraph.lines.length - 1].right < Math.min(...rights) - paragraph.fontSize) {
+        align = 'both';
+      }
+
+      // Text further in than a third of the line is a second column, which flows on after the first
+      const indent = paragraph.left - textLeft;
+      const indented = (align === 'left' || align === 'both') && indent < (textRight - textLeft) / 3;
+      pageItems.push({
+        type: 'paragraph',
+        paragraph,
+        level,
+        align,
+        indent: indented ? Math.max(0, indent) : 0,
+        firstLine: indented ? paragraph.firstLineLeft - paragraph.left : 0
+      });
+      if (level) stats.headings++;
+      else stats.paragraphs++;
+    }
+    pageItems.push(...pending);
+
+    stats.tables += page.tables.length;
+    stats.images += page.images.length;
+    if (p > 0 && pageItems.length > 0) pageItems[0].pageBreakBefore = true;
+    items.push(...pageItems);
+  });
+
+  return {
+    items,
+    stats,
+    bodySize,
+    bodyFont,
+    headingSizes,
+    page: { width: firstPage.width, height: firstPage.height, margins, textLeft, textWidth: textRight - textLeft }
+  };
+}
+
+// Write the laid-out document as a .docx (WordprocessingML in a ZIP)
+async function buildDocxDocument(document, properties) {
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+  const xml = body => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+  const cleanText = value => escapeXml(String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+  const twips = points => Math.round(points * 20);
+  const emu = points => Math.round(points * 12700);
+  const { page } = document;
+
+  const runXml = piece => {
+    if (piece.tab) return '<w:r><w:tab/></w:r>';
+    const props = [
+      piece.font && piece.font !== document.bodyFont ? `<w:rFonts w:ascii="${escapeXml(piece.font)}" w:hAnsi="${escapeXml(piece.font)}" w:cs="${escapeXml(piece.font)}"/>` : '',
+      piece.bold ? '<w:b/>' : '',
+      piece.italic ? '<w:i/>' : '',
+      piece.size && Math.round(piece.size * 2) !== Math.round(document.bodySize * 2) ? `<w:sz w:val="${Math.round(piece.size * 2)}"/>` : ''
+    ].join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${cleanText(piece.text)}</w:t></w:r>`;
+  };
+
+  // Images are stored once per PDF image object, however often they are drawn
+  const media = new Map();
+  let drawingId = 0;
+  const imageXml = image => {
+    if (!media.has(image.key)) {
+      const name = `image${media.size + 1}.${image.type}`;
+      media.set(image.key, { name, rId: `rId${media.size + 10}`, data: image.data });
+    }
+    const { name, rId } = media.get(image.key);
+    let width = image.right - image.left;
+    let height = image.bottom - image.top;
+    const scale = Math.min(1, page.textWidth / width, (page.height - 144) / height);
+    width *= scale;
+    height *= scale;
+    const id = ++drawingId;
+
+    return '<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+      `<wp:extent cx="${emu(width)}" cy="${emu(height)}"/><wp:docPr id="${id}" name="Picture ${id}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+      `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${emu(width)}" cy="${emu(height)}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+  };
+
+  const tableXml = table => {
+    const total = table.widths.reduce((sum, width) => sum + width, 0);
+    const scale = Math.min(1, page.textWidth / total);
+    const widths = table.widths.map(width => twips(width * scale));
+    const indent = Math.max(0, Math.min(table.left - page.textLeft, page.textWidth - total * scale));
+    const border = table.source === 'ruled' ? 'single' : 'nil';
+    const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+      .map(side => `<w:${side} w:val="${border}"${border === 'single' ? ' w:sz="4" w:space="0" w:color="000000"' : ''}/>`).join('');
+
+    const rows = table.rows.map(row => '<w:tr>' + row.map((text, k) => {
+      const paragraphs = String(text).split('\n')
+        .map(line => `<w:p><w:pPr><w:spacing w:before="0" w:after="0"/></w:pPr>${line ? runXml({ text: line }) : ''}</w:p>`)
+        .join('');
+      return `<w:tc><w:tcPr><w:tcW w:w="${widths[k]}" w:type="dxa"/></w:tcPr>${paragraphs}</w:tc>`;
+    }).join('') + '</w:tr>').join('');
+
+    return '<w:tbl><w:tblPr>' +
+      `<w:tblW w:w="${widths.reduce((sum, width) => sum + width, 0)}" w:type="dxa"/>` +
+      (indent >= 1 ? `<w:tblInd w:w="${twips(indent)}" w:type="dxa"/>` : '') +
+      `<w:tblBorders>${borders}</w:tblBorders><w:tblLayout w:type="fixed"/>` +
+      `</w:tblPr><w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>${rows}</w:tbl>`;
+  };
+
+  const body = [];
+  document.items.forEach((item, i) => {
+    const breakBefore = item.pageBreakBefore ? '<w:pageBreakBefore/>' : '';
+
+    if (item.type === 'paragraph') {
+      const props = [
+        item.level ? `<w:pStyle w:val="Heading${item.level}"/>` : '',
+        breakBefore,
+        item.indent >= 1 || Math.abs(item.firstLine) >= 1
+          ? `<w:ind w:left="${twips(item.indent)}"${item.firstLine >= 1 ? ` w:firstLine="${twips(item.firstLine)}"` : ''}` +
+            `${item.firstLine <= -1 ? ` w:hanging="${twips(-item.firstLine)}"` : ''}/>`
+          : '',
+        item.align !== 'left' ? `<w:jc w:val="${item.align}"/>` : ''
+      ].join('');
+      body.push(`<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${item.paragraph.pieces.map(runXml).join('')}</w:p>`);
+    } else if (item.type === 'image') {
+      const center = (item.image.left + item.image.right) / 2;
+      const centered = Math.abs(center - (page.textLeft + page.textWidth / 2)) < page.textWidth * 0.05;
+      const props = breakBefore + (centered ? '<w:jc w:val="center"/>' : '');
+      body.push(`<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${imageXml(item.image)}</w:p>`);
+    } else {
+      // Word joins tables that touch, and a page break needs a paragraph to hang on
+      const previous = document.items[i - 1];
+      if (breakBefore || (previous && previous.type === 'table')) {
+        body.push(`<w:p>${breakBefore ? `<w:pPr>${breakBefore}</w:pPr>` : ''}</w:p>`);
+      }
+      body.push(tableXml(item.table));
+    }
+  });
+  // The body has to end with a paragraph
+  if (body.length === 0 || body[body.length - 1].startsWith('<w:tbl>')) body.push('<w:p/>');
+
+  const landscape = page.width > page.height;
+  const sectPr = '<w:sectPr>' +
+    `<w:pgSz w:w="${twips(page.width)}" w:h="${twips(page.height)}"${landscape ? ' w:orient="landscape"' : ''}/>` +
+    `<w:pgMar w:top="${twips(54)}" w:right="${twips(page.margins.right)}" w:bottom="${twips(54)}" w:left="${twips(page.margins.left)}" w:header="708" w:footer="708" w:gutter="0"/>` +
+    '</w:sectPr>';
+
+  zip.file('word/document.xml', xml(
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    `<w:body>${body.join('')}${sectPr}</w:body></w:document>`
+  ));
+
+  // Heading styles take the sizes found in the PDF so the navigation pane and TOC work
+  const headingStyles = [1, 2, 3].map(level => {
+    const size = document.headingSizes[level - 1] || document.bodySize;
+    return `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/>` +
+      '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>' +
+      `<w:pPr><w:keepNext/><w:spacing w:before="${level === 1 ? 240 : 160}" w:after="80"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+      `<w:rPr><w:b/><w:sz w:val="${Math.round(size * 2)}"/></w:rPr></w:style>`;
+  }).join('');
+
+  zip.file('word/styles.xml', xml(
+    '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:docDefaults><w:rPrDefault><w:rPr>' +
+    `<w:rFonts w:ascii="${escapeXml(document.bodyFont)}" w:hAnsi="${escapeXml(document.bodyFont)}" w:cs="${escapeXml(document.bodyFont)}"/>` +
+    `<w:sz w:val="${Math.round(document.bodySize * 2)}"/><w:lang w:val="en-US"/>` +
+    '</w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    headingStyles +
+    '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:uiPriority w:val="99"/><w:semiHidden/>' +
+    '<w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>' +
+    '<w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+    '</w:styles>'
+  ));
+
+  const images = [...media.values()];
+  images.forEach(image => zip.file(`word/media/${image.name}`, image.data));
+
+  zip.file('[Content_Types].xml', xml(
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Default Extension="jpeg" ContentType="image/jpeg"/>' +
+    '<Default Extension="png" ContentType="image/png"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>'
+  ));
+
+  zip.file('_rels/.rels', xml(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '</Relationships>'
+  ));
+
+  zip.file('word/_rels/document.xml.rels', xml(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    images.map(image => `<Relationship Id="${image.rId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${image.name}"/>`).join('') +
+    '</Relationships>'
+  ));
+
+  zip.file('docProps/core.xml', xml(
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    (properties.title ? `<dc:title>${cleanText(properties.title)}</dc:title>` : '') +
+    (properties.author ? `<dc:creator>${cleanText(properties.author)}</dc:creator>` : '') +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+    '</cp:coreProperties>'
+  ));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
+// 22. OFFICE TO PDF - REAL WORKING
+// DOCX, XLSX and PPTX are unzipped and laid out with pdf-lib here - no LibreOffice, no online service
+app.post(['/api/office-to-pdf', '/api/word-to-pdf', '/api/excel-to-pdf', '/api/powerpoint-to-pdf'], async (req, res) => {
+  try {
+    const input = prepareOfficeRequest(req);
+    const result = await performOfficeToPdf(input);
+
+    res.json({
+      success: true,
+      message: `Converted the ${OFFICE_FORMATS[result.format].label} to a ${result.pageCount}-page PDF`,
+      format: result.format,
+      pageCount: result.pageCount,
+      warnings: result.warnings,
+      downloadUrl: `data:application/pdf;base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('Office to PDF error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Office to PDF conversion failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const MAX_OFFICE_PAGES = parseInt(process.env.MAX_OFFICE_PAGES) || 1000;
+
+const OFFICE_FORMATS = {
+  docx: { label: 'Word document', main: 'word/document.xml' },
+  xlsx: { label: 'Excel workbook', main: 'xl/workbook.xml' },
+  pptx: { label: 'PowerPoint presentation', main: 'ppt/presentation.xml' }
+};
+
+// Validate an Office-to-PDF upload; shared by the endpoints above and the job API.
+// `fonts` are TTF/OTF files used by family name and for characters the standard fonts lack, as in html-to-pdf.
+// XLSX only: `gridlines` (default on) prints cell gridlines, `sheets` picks sheets by name or number.
+function prepareOfficeRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const file = req.files.file;
+  // Word 97-2003, Excel 97-2003 and PowerPoint 97-2003 files are OLE compound documents
+  if (file.data.length >= 8 && file.data.readUInt32BE(0) === 0xd0cf11e0) {
+    throw httpError(400, 'Legacy .doc, .xls and .ppt files are not supported. Save the file as .docx, .xlsx or .pptx first');
+  }
+  if (file.data.length < 4 || file.data.readUInt32BE(0) !== 0x504b0304) {
+    throw httpError(400, 'Please upload a .docx, .xlsx or .pptx file');
+  }
+
+  const body = req.body;
+  return {
+    file: { name: file.name, data: file.data },
+    fonts: getUploadedFiles(req, 'fonts').map(font => ({ name: font.name, data: font.data })),
+    gridlines: !['false', '0', 'no', 'off'].includes(String(body.gridlines).toLowerCase()),
+    sheets: parseListField(body.sheets)
+  };
+}
+
+// Detect the package type and render it
+async function performOfficeToPdf(input, onProgress = () => {}) {
+  const JSZip = require('jszip');
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(input.file.data);
+  } catch (error) {
+    throw httpError(400, `The file is not a valid Office document (${error.message})`);
+  }
+
+  const format = Object.keys(OFFICE_FORMATS).find(key => zip.file(OFFICE_FORMATS[key].main));
+  if (!format) {
+    throw httpError(400, 'Please upload a .docx, .xlsx or .pptx file');
+  }
+  if (zip.file('EncryptedPackage')) {
+    throw httpError(400, 'Password-protected Office files are not supported. Remove the password first');
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  const context = {
+    zip,
+    pdfDoc,
+    warnings: [],
+    fonts: null,
+    images: new Map(),
+    onProgress
+  };
+  // Uploaded fonts replace the standard ones by family name, the same way html-to-pdf uses them
+  context.fonts = await createHtmlFonts(context, [], input.fonts);
+
+  if (format === 'docx') await renderDocxToPdf(context);
+  else if (format === 'xlsx') await renderXlsxToPdf(context, input);
+  else await renderPptxToPdf(context);
+
+  const core = await readOoxmlPart(zip, 'docProps/core.xml');
+  const title = core && ooxmlChild(core, 'dc:title');
+  const author = core && ooxmlChild(core, 'dc:creator');
+  if (title && title.text.trim()) pdfDoc.setTitle(title.text.trim());
+  if (author && author.text.trim()) pdfDoc.setAuthor(author.text.trim());
+
+  if (context.skippedImages > 0) {
+    context.warnings.push(`${context.skippedImages} picture(s) in formats that can't be embedded (EMF, WMF, SVG) were left out`);
+  }
+  if (context.fonts.replaced > 0) {
+    context.warnings.push(`${context.fonts.replaced} character(s) the built-in fonts cannot draw were replaced with "?". Upload a TTF/OTF font that covers them as "fonts"`);
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    filename: input.file.name.replace(/\.[^.]+$/, '') + '.pdf',
+    format,
+    pageCount: pdfDoc.getPageCount(),
+    warnings: context.warnings
+  };
+}
+
+// Job API runner for office-to-pdf
+async function runOfficeToPdfJob(input, onProgress) {
+  const result = await performOfficeToPdf(input, onProgress);
+  return {
+    files: {
+      pdf: { buffer: result.buffer, filename: result.filename, contentType: 'application/pdf' }
+    },
+    summary: { format: result.format, pageCount: result.pageCount, warnings: result.warnings }
+  };
+}
+
+// ---- OOXML package helpers ----
+
+// Parse an XML part of the package; null when the part is missing
+async function readOoxmlPart(zip, path) {
+  const file = zip.file(path);
+  if (!file) return null;
+  return parseXml(await file.async('string'), path);
+}
+
+// A part's relationships: id -> { type, target }, with internal targets resolved to package paths
+async function readOoxmlRelationships(zip, partPath) {
+  const slash = partPath.lastIndexOf('/');
+  const folder = partPath.slice(0, slash + 1);
+  const root = await readOoxmlPart(zip, `${folder}_rels/${partPath.slice(slash + 1)}.rels`);
+  const relationships = {};
+
+  (root ? root.children : []).forEach(element => {
+    const { Id: id, Type: type = '', Target: target = '', TargetMode: mode } = element.attributes;
+    if (!id) return;
+    relationships[id] = {
+      type: type.replace(/^.*\//, ''),
+      target: mode === 'External' ? target : resolveOoxmlPath(folder, target),
+      external: mode === 'External'
+    };
+  });
+  return relationships;
+}
+
+function resolveOoxmlPath(folder, target) {
+  const parts = (target.startsWith('/') ? target.slice(1) : folder + target).split('/');
+  const resolved = [];
+  parts.forEach(part => {
+    if (part === '..') resolved.pop();
+    else if (part !== '.' && part !== '') resolved.push(part);
+  });
+  return resolved.join('/');
+}
+
+function ooxmlChild(element, name) {
+  return element ? element.children.find(child => child.name === name) || null : null;
+}
+
+function ooxmlChildren(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+// ooxmlPath(pPr, 'w:spacing') or ooxmlPath(sp, 'p:spPr', 'a:xfrm', 'a:off')
+function ooxmlPath(element, ...names) {
+  return names.reduce((node, name) => ooxmlChild(node, name), element);
+}
+
+// On/off properties: <w:b/> is on, <w:b w:val="0"/> or "false" is off; undefined when absent
+function ooxmlToggle(element, attribute = 'w:val') {
+  if (!element) return undefined;
+  const value = element.attributes[attribute];
+  return value === undefined || !['0', 'false', 'off', 'none'].includes(value);
+}
+
+function ooxmlNumber(element, attribute, scale = 1) {
+  const value = element ? parseFloat(element.attributes[attribute]) : NaN;
+  return Number.isFinite(value) ? value * scale : undefined;
+}
+
+// Theme colour scheme (name -> hex) and major/minor Latin fonts
+async function readOoxmlTheme(zip, path) {
+  const root = path && await readOoxmlPart(zip, path);
+  const elements = ooxmlPath(root, 'a:themeElements');
+  const colors = {};
+  const scheme = ooxmlChild(elements, 'a:clrScheme');
+  (scheme ? scheme.children : []).forEach(slot => {
+    const value = slot.children[0];
+    if (!value) return;
+    colors[slot.name.replace(/^a:/, '')] = value.name === 'a:sysClr' ? value.attributes.lastClr || '000000' : value.attributes.val;
+  });
+  const fontScheme = ooxmlChild(elements, 'a:fontScheme');
+  const latin = name => {
+    const font = ooxmlPath(fontScheme, name, 'a:latin');
+    return font ? font.attributes.typeface : null;
+  };
+  return { colors, majorFont: latin('a:majorFont') || 'Calibri Light', minorFont: latin('a:minorFont') || 'Calibri' };
+}
+
+// DrawingML colour element (srgbClr, schemeClr, sysClr, prstClr) with lumMod/lumOff/tint/shade
+// modifiers -> "RRGGBB". `schemeColor` maps scheme names (tx1, accent1...) to hex.
+function resolveDrawingColor(element, schemeColor) {
+  if (!element) return null;
+  let hex = null;
+  if (element.name === 'a:srgbClr') hex = element.attributes.val;
+  else if (element.name === 'a:sysClr') hex = element.attributes.lastClr || (element.attributes.val === 'window' ? 'FFFFFF' : '000000');
+  else if (element.name === 'a:schemeClr') hex = schemeColor(element.attributes.val);
+  else if (element.name === 'a:prstClr') hex = { black: '000000', white: 'FFFFFF', red: 'FF0000', green: '00FF00', blue: '0000FF', yellow: 'FFFF00', gray: '808080' }[element.attributes.val];
+  if (!hex || !/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+  let [h, s, l] = hexToHsl(hex);
+  for (const modifier of element.children) {
+    const value = parseInt(modifier.attributes.val) / 100000;
+    if (!Number.isFinite(value)) continue;
+    if (modifier.name === 'a:lumMod') l *= value;
+    else if (modifier.name === 'a:lumOff') l += value;
+    else if (modifier.name === 'a:tint') l = l * value + (1 - value);
+    else if (modifier.name === 'a:shade') l *= value;
+  }
+  return hslToHex(h, s, Math.min(1, Math.max(0, l)));
+}
+
+// The colour inside a fill-like element (<a:solidFill>, <a:fgClr>, a style reference...)
+function drawingFillColor(element, schemeColor) {
+  if (!element) return null;
+  const color = element.children.find(child => /^a:(srgbClr|schemeClr|sysClr|prstClr)$/.test(child.name));
+  return resolveDrawingColor(color, schemeColor);
+}
+
+function hexToHsl(hex) {
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return [h / 6, s, l];
+}
+
+function hslToHex(h, s, l) {
+  const channel = t => {
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    t = (t + 1) % 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [h + 1 / 3, h, h - 1 / 3]
+    .map(t => Math.round((s === 0 ? l : channel(t)) * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+function hexToRgb(hex) {
+  return rgb(parseInt(hex.slice(0, 2), 16) / 255, parseInt(hex.slice(2, 4), 16) / 255, parseInt(hex.slice(4, 6), 16) / 255);
+}
+
+// ---- Office fonts and text layout ----
+
+// The document's fonts drawn with the standard PDF fonts: serif families as Times, monospaced ones
+// as Courier, the rest as Helvetica. Characters outside WinAnsi use `fallbackFont` (else OCR_TEXT_FONT
+// when it is set) and become "?" otherwise (counted in `replaced`).
+async function createOfficeFonts(pdfDoc, fallbackFont = null) {
+  const unicodeFont = fallbackFont || (process.env.OCR_TEXT_FONT ? await embedOcrTextFont(pdfDoc) : null);
+  const embedded = new Map();
+  const characterSets = new Map();
+  const names = {
+    Helvetica: ['Helvetica', 'HelveticaBold', 'HelveticaOblique', 'HelveticaBoldOblique'],
+    Times: ['TimesRoman', 'TimesRomanBold', 'TimesRomanItalic', 'TimesRomanBoldItalic'],
+    Courier: ['Courier', 'CourierBold', 'CourierOblique', 'CourierBoldOblique']
+  };
+
+  const fonts = {
+    replaced: 0,
+
+    get(family, bold, italic) {
+      const base = /courier|consolas|mono|menlo|lucida console/i.test(family || '') ? 'Courier'
+        : /times|georgia|garamond|cambria|palatino|book antiqua|baskerville|minion|century schoolbook|serif/i.test(family || '') &&
+          !/sans/i.test(family) ? 'Times' : 'Helvetica';
+      const name = names[base][(bold ? 1 : 0) + (italic ? 2 : 0)];
+      if (!embedded.has(name)) embedded.set(name, pdfDoc.embedStandardFont(StandardFonts[name]));
+      return embedded.get(name);
+    },
+
+    // Text the font can draw, switching to the Unicode font (or "?") for what it can't
+    prepare(text, font) {
+      if (!characterSets.has(font)) characterSets.set(font, new Set(font.getCharacterSet()));
+      const supported = characterSets.get(font);
+      const chars = Array.from(text);
+      if (chars.every(char => supported.has(char.codePointAt(0)))) return { text, font };
+      if (unicodeFont) return { text, font: unicodeFont };
+      return {
+        text: chars.map(char => {
+          if (supported.has(char.codePointAt(0))) return char;
+          fonts.replaced++;
+          return '?';
+        }).join(''),
+        font
+      };
+    }
+  };
+  return fonts;
+}
+
+// A text item for wrapOfficeInline in a font that can draw it
+function officeTextItem(fonts, text, style) {
+  const prepared = fonts.prepare(text, style.font);
+  return { text: prepared.text, style: prepared.font === style.font ? style : { ...style, font: prepared.font } };
+}
+
+// Bullet characters as the standard fonts can draw them: symbol-font codes (Wingdings, Symbol)
+// and geometric shapes become "•", hollow circles "o"
+function officeBulletText(text) {
+  return Array.from(text).map(char => (/[\u25cb\u25e6]/.test(char) ? 'o' : char.codePointAt(0) >= 0x2190 ? '•' : char)).join('');
+}
+
+// Break inline items into lines no wider than `width`.
+// Items: { text, style } | { tab: true, style, to? } | { lineBreak: true, page?, style } | { image, width, height }
+// where style is { font, size, color, underline, strike, rise, background } (color and background
+// as pdf-lib colours). Lines wrap at spaces (not no-break spaces); a word longer than a whole line
+// is split anywhere.
+// `firstLineIndent` shifts the first line (negative for hanging indents).
+function wrapOfficeInline(items, width, options = {}) {
+  const tabStop = options.tabStop || 36;
+  const firstLineIndent = options.firstLineIndent || 0;
+  const lines = [];
+  let line = null;
+
+  const newLine = () => {
+    line = { atoms: [], start: lines.length === 0 ? firstLineIndent : 0, ascent: 0, descent: 0, size: 0 };
+    line.x = line.start;
+    lines.push(line);
+  };
+  const place = atom => {
+    atom.x = line.x;
+    line.x += atom.width;
+    line.atoms.push(atom);
+  };
+  const hasContent = () => line.atoms.some(atom => !atom.space);
+
+  // Atoms: words and spaces with their widths; words touching across runs form one group
+  const groups = [];
+  let group = null;
+  for (const item of items) {
+    if (item.text !== undefined) {
+      for (const match of item.text.matchAll(/[^\S\u00a0]+|[\S\u00a0]+/g)) {
+        const space = /^[^\S\u00a0]/.test(match[0]);
+        const text = space ? ' '.repeat(match[0].length) : match[0];
+        const atom = { text, style: item.style, space, width: item.style.font.widthOfTextAtSize(text, item.style.size) };
+        if (space) {
+          groups.push([atom]);
+          group = null;
+        } else {
+          if (!group) groups.push(group = []);
+          group.push(atom);
+        }
+      }
+    } else {
+      groups.push([{ ...item, width: item.image ? item.width : 0 }]);
+      group = null;
+    }
+  }
+
+  newLine();
+  for (const atoms of groups) {
+    const [first] = atoms;
+
+    if (first.lineBreak) {
+      line.endsWithBreak = true;
+      line.pageBreakAfter = Boolean(first.page);
+      line.size = Math.max(line.size, first.style ? first.style.size : 0);
+      newLine();
+      continue;
+    }
+    if (first.tab) {
+      const position = line.x;
+      let target = first.to !== undefined && first.to > position + 0.5 ? first.to : (Math.floor((position + 0.01) / tabStop) + 1) * tabStop;
+      if (target > width && hasContent()) {
+        newLine();
+        target = line.x;
+      }
+      place({ ...first, space: true, width: Math.max(0, target - line.x) });
+      continue;
+    }
+    if (first.space) {
+      if (hasContent()) place(first);
+      continue;
+    }
+
+    const groupWidth = atoms.reduce((sum, atom) => sum + atom.width, 0);
+    if (line.x + groupWidth > width + 0.01 && hasContent()) {
+      newLine();
+    }
+    if (line.x + groupWidth <= width + 0.01 || first.image) {
+      atoms.forEach(place);
+      continue;
+    }
+
+    // A word wider than the line: break it between characters
+    for (const atom of atoms) {
+      for (const char of Array.from(atom.text)) {
+        const charWidth = atom.style.font.widthOfTextAtSize(char, atom.style.size);
+        if (line.x + charWidth > width && hasContent()) newLine();
+        const last = line.atoms[line.atoms.length - 1];
+        if (last && last.style === atom.style && !last.space && last.splitFrom === atom) {
+          last.text += char;
+          last.width += charWidth;
+          line.x += charWidth;
+        } else {
+          place({ text: char, style: atom.style, width: charWidth, splitFrom: atom });
+        }
+      }
+    }
+  }
+
+  // Line metrics; an empty line still takes the height of its paragraph's text
+  lines.forEach(current => {
+    current.atoms.forEach(atom => {
+      if (atom.image) {
+        current.ascent = Math.max(current.ascent, atom.height);
+      } else if (atom.style) {
+        current.size = Math.max(current.size, atom.style.size);
+        current.ascent = Math.max(current.ascent, atom.style.size * 0.93 + Math.max(0, atom.style.rise || 0));
+      }
+    });
+    if (current.size === 0) current.size = options.emptySize || 11;
+    current.ascent = Math.max(current.ascent, current.atoms.some(atom => atom.image) ? 0 : current.size * 0.93);
+    current.descent = current.size * 0.22;
+    current.height = current.ascent + current.descent;
+    const words = current.atoms.filter(atom => !atom.space);
+    const last = words[words.length - 1];
+    current.contentWidth = last ? last.x + last.width - current.start : 0;
+  });
+  lines[lines.length - 1].last = true;
+
+  return lines;
+}
+
+// Draw one wrapped line. `top` is measured down from the top of the page; the baseline sits
+// `baseline` below it. align: left | center | right | both (justify; the last line stays left).
+// Returns the drawn text segments with their x positions and widths.
+function drawOfficeLine(page, line, left, top, width, align, baseline = line.ascent) {
+  const pageHeight = page.getHeight();
+  const y = pageHeight - top - baseline;
+  let offset = line.start;
+  let extraPerSpace = 0;
+
+  const usable = width - line.start;
+  if (align === 'center') offset += (usable - line.contentWidth) / 2;
+  else if (align === 'right') offset += usable - line.contentWidth;
+  else if (align === 'both' && !line.last && !line.endsWithBreak) {
+    const lastWord = line.atoms.reduce((index, atom, i) => (atom.space ? index : i), -1);
+    const spaces = line.atoms.filter((atom, i) => atom.space && !atom.tab && i < lastWord && i > 0).length;
+    if (spaces > 0) extraPerSpace = Math.max(0, usable - line.contentWidth) / spaces;
+  }
+
+  // Consecutive atoms of one style that touch are drawn as one string
+  let shift = offset - line.start;
+  const segments = [];
+  line.atoms.forEach((atom, i) => {
+    const x = left + atom.x + shift;
+    if (atom.space && !atom.tab && i > 0) shift += extraPerSpace;
+    if (atom.image) {
+      page.drawImage(atom.image, { x, y, width: atom.width, height: atom.height });
+      return;
+    }
+    if (!atom.style || atom.tab) return;
+    const previous = segments[segments.length - 1];
+    if (previous && previous.style === atom.style && Math.abs(previous.x + previous.width - x) < 0.01) {
+      previous.text += atom.text;
+      previous.width += atom.width;
+    } else {
+      segments.push({ text: atom.text, style: atom.style, x, width: atom.width });
+    }
+  });
+
+  for (const segment of segments) {
+    const { style } = segment;
+    const text = segment.text.replace(/\s+$/, '');
+    if (!text) continue;
+    const textWidth = text === segment.text ? segment.width : style.font.widthOfTextAtSize(text, style.size);
+    const rise = style.rise || 0;
+    const color = style.color || rgb(0, 0, 0);
+    if (style.background) {
+      page.drawRectangle({ x: segment.x, y: y - style.size * 0.22, width: textWidth, height: style.size * 1.15, color: style.background });
+    }
+    page.drawText(text, { x: segment.x, y: y + rise, size: style.size, font: style.font, color });
+    const thickness = Math.max(0.5, style.size * 0.05);
+    if (style.underline) {
+      const lineY = y + rise - style.size * 0.12;
+      page.drawLine({ start: { x: segment.x, y: lineY }, end: { x: segment.x + textWidth, y: lineY }, thickness, color });
+    }
+    if (style.strike) {
+      const lineY = y + rise + style.size * 0.3;
+      page.drawLine({ start: { x: segment.x, y: lineY }, end: { x: segment.x + textWidth, y: lineY }, thickness, color });
+    }
+  }
+  return segments;
+}
+
+// Embed a picture from the package once. PNG and JPEG go in as they are, GIF/BMP/TIFF are
+// converted with Jimp; vector formats (EMF, WMF, SVG) return null.
+async function embedOfficeImage(context, path) {
+  if (context.images.has(path)) return context.images.get(path);
+
+  let image = null;
+  const file = context.zip.file(path);
+  if (file) {
+    const data = await file.async('nodebuffer');
+    try {
+      if (data[0] === 0x89 && data[1] === 0x50) {
+        image = await context.pdfDoc.embedPng(data);
+      } else if (data[0] === 0xff && data[1] === 0xd8) {
+        image = await context.pdfDoc.embedJpg(data);
+      } else if (/\.(gif|bmp|tiff?)$/i.test(path)) {
+        const Jimp = require('jimp');
+        const decoded = await Jimp.read(data);
+        image = await context.pdfDoc.embedPng(await decoded.getBufferAsync(Jimp.MIME_PNG));
+      }
+    } catch (error) {
+      console.error(`Picture ${path} could not be embedded:`, error.message);
+    }
+  }
+  if (!image) {
+    context.skippedImages = (context.skippedImages || 0) + 1;
+  }
+  context.images.set(path, image);
+  return image;
+}
+
+// Start a PDF page, enforcing the page limit
+function addOfficePage(context, width, height) {
+  if (context.pdfDoc.getPageCount() >= MAX_OFFICE_PAGES) {
+    throw httpError(400, `The document needs more than ${MAX_OFFICE_PAGES} pages`);
+  }
+  return context.pdfDoc.addPage([width, height]);
+}
+
+// ---- DOCX ----
+
+// Word document: sections with their page size, margins, headers and footers; paragraphs with style
+// inheritance, numbering and inline pictures; tables with merged cells, borders and shading
+async function renderDocxToPdf(context) {
+  const { zip } = context;
+  const documentPath = 'word/document.xml';
+  const root = await readOoxmlPart(zip, documentPath);
+  const body = ooxmlChild(root, 'w:body');
+  if (!body) {
+    throw httpError(400, 'The Word document has no body');
+  }
+
+  const relationships = await readOoxmlRelationships(zip, documentPath);
+  const partOf = type => Object.values(relationships).find(relationship => relationship.type === type);
+  const theme = await readOoxmlTheme(zip, partOf('theme') && partOf('theme').target);
+  const docx = Object.assign(context, {
+    relationships,
+    theme,
+    styles: parseDocxStyles(partOf('styles') && await readOoxmlPart(zip, partOf('styles').target), theme),
+    numbering: parseDocxNumbering(partOf('numbering') && await readOoxmlPart(zip, partOf('numbering').target), theme),
+    counters: new Map(),
+    styleCache: new Map(),
+    skippedObjects: 0
+  });
+
+  // A paragraph carrying a sectPr ends its section; the body's own sectPr describes the last one
+  const sections = [];
+  let blocks = [];
+  for (const element of body.children) {
+    if (element.name === 'w:sectPr') continue;
+    blocks.push(element);
+    const sectPr = element.name === 'w:p' ? ooxmlPath(element, 'w:pPr', 'w:sectPr') : null;
+    if (sectPr) {
+      sections.push({ blocks, properties: sectPr });
+      blocks = [];
+    }
+  }
+  sections.push({ blocks, properties: ooxmlChild(body, 'w:sectPr') });
+
+  const pages = [];
+  let state = null;
+  let previousSection = null;
+
+  const newPage = section => {
+    const page = addOfficePage(context, section.width, section.height);
+    pages.push({ page, section, first: !state || state.section !== section });
+    state = { page, section, y: section.margins.top, breakPending: false };
+  };
+
+  for (const [index, entry] of sections.entries()) {
+    const section = parseDocxSection(entry.properties, previousSection, relationships);
+    const continuous = section.type === 'continuous' && previousSection &&
+      previousSection.width === section.width && previousSection.height === section.height;
+    if (!continuous) newPage(section);
+    else state.section = section;
+    previousSection = section;
+
+    const contentWidth = section.width - section.margins.left - section.margins.right;
+    const boxes = await layoutDocxBlocks(entry.blocks, contentWidth, docx, {});
+
+    for (const box of boxes) {
+      const top = state.section.margins.top;
+      const bottom = state.section.height - state.section.margins.bottom;
+      if ((box.pageBreakBefore || state.breakPending) && state.y > top + 0.01) newPage(section);
+      state.breakPending = false;
+
+      let before = state.y > top + 0.01 ? box.spaceBefore : 0;
+      if (state.y + before + box.height > bottom + 0.01 && state.y > top + 0.01) {
+        newPage(section);
+        before = 0;
+        // Table header rows repeat at the top of each page the table continues on
+        for (const header of box.headerRows || []) {
+          header.draw(state.page, section.margins.left, state.y);
+          state.y += header.height;
+        }
+      }
+      state.y += before;
+      box.draw(state.page, section.margins.left, state.y);
+      state.y += box.height + box.spaceAfter;
+      if (box.pageBreakAfter) state.breakPending = true;
+    }
+
+    context.onProgress({ completed: index + 1, total: sections.length + 1, message: `Laid out section ${index + 1}` });
+  }
+
+  // Headers and footers go on last, when the page count for PAGE / NUMPAGES fields is known
+  const parts = new Map();
+  for (const [index, entry] of pages.entries()) {
+    const { page, section } = entry;
+    const fields = { PAGE: String(index + 1), NUMPAGES: String(pages.length), SECTIONPAGES: String(pages.length) };
+    const width = section.width - section.margins.left - section.margins.right;
+    const kind = entry.first && section.titlePage ? 'first' : 'default';
+
+    for (const [part, edge] of [[section.headers[kind], 'header'], [section.footers[kind], 'footer']]) {
+      if (part && !parts.has(part)) parts.set(part, await readOoxmlPart(zip, part));
+      const partRoot = part && parts.get(part);
+      if (!partRoot) continue;
+      const boxes = await layoutDocxBlocks(partRoot.children, width, docx, { fields });
+      const height = boxes.reduce((sum, box) => sum + box.spaceBefore + box.height + box.spaceAfter, 0);
+      let y = edge === 'header' ? section.margins.header : section.height - section.margins.footer - height;
+      for (const box of boxes) {
+        y += box.spaceBefore;
+        box.draw(page, section.margins.left, y);
+        y += box.height + box.spaceAfter;
+      }
+    }
+  }
+
+  if (docx.skippedObjects > 0) {
+    context.warnings.push(`${docx.skippedObjects} drawing object(s) (shapes, text boxes, charts) were left out`);
+  }
+}
+
+// Page size, margins and header/footer parts of a section (twips -> points). Headers and footers
+// a section doesn't name carry over from the previous one.
+function parseDocxSection(sectPr, previous, relationships) {
+  const size = ooxmlChild(sectPr, 'w:pgSz');
+  const margin = ooxmlChild(sectPr, 'w:pgMar');
+  const twips = (element, attribute, fallback) => {
+    const value = ooxmlNumber(element, attribute, 1 / 20);
+    return value === undefined ? fallback : Math.abs(value);
+  };
+  const references = (name, inherited) => {
+    const parts = { ...inherited };
+    ooxmlChildren(sectPr, name).forEach(reference => {
+      const relationship = relationships[reference.attributes['r:id']];
+      parts[reference.attributes['w:type'] || 'default'] = relationship && !relationship.external ? relationship.target : null;
+    });
+    return parts;
+  };
+  const type = ooxmlChild(sectPr, 'w:type');
+
+  return {
+    width: twips(size, 'w:w', 612),
+    height: twips(size, 'w:h', 792),
+    margins: {
+      top: twips(margin, 'w:top', 72),
+      right: twips(margin, 'w:right', 72),
+      bottom: twips(margin, 'w:bottom', 72),
+      left: twips(margin, 'w:left', 72),
+      header: twips(margin, 'w:header', 36),
+      footer: twips(margin, 'w:footer', 36)
+    },
+    type: type ? type.attributes['w:val'] : 'nextPage',
+    titlePage: Boolean(ooxmlToggle(ooxmlChild(sectPr, 'w:titlePg'))),
+    headers: references('w:headerReference', previous && previous.headers),
+    footers: references('w:footerReference', previous && previous.footers)
+  };
+}
+
+// Lay out body-level content (paragraphs, tables, content controls) in a column `width` wide.
+// Returns boxes { height, spaceBefore, spaceAfter, pageBreakBefore?, pageBreakAfter?, headerRows?,
+// draw(page, left, top) } that callers stack, breaking pages between them.
+async function layoutDocxBlocks(elements, width, docx, options) {
+  options = nestDocxOptions(options);
+  const boxes = [];
+  let previous = null;
+
+  for (const element of elements) {
+    if (element.name === 'w:p') {
+      const paragraph = await layoutDocxParagraph(element, width, docx, options);
+      // Contextual spacing drops the space between paragraphs of the same style
+      if (previous && previous.styleId === paragraph.styleId) {
+        if (paragraph.contextualSpacing) paragraph.boxes[0].spaceBefore = 0;
+        if (previous.contextualSpacing) previous.boxes[previous.boxes.length - 1].spaceAfter = 0;
+      }
+      boxes.push(...paragraph.boxes);
+      previous = paragraph;
+    } else if (element.name === 'w:tbl') {
+      boxes.push(...await layoutDocxTable(element, width, docx, options));
+      previous = null;
+    } else if (element.name === 'w:sdt') {
+      const content = ooxmlChild(element, 'w:sdtContent');
+      boxes.push(...await layoutDocxBlocks(content ? content.children : [], width, docx, options));
+      previous = null;
+    } else if (element.name === 'w:customXml') {
+      boxes.push(...await layoutDocxBlocks(element.children, width, docx, options));
+      previous = null;
+    }
+  }
+
+  return boxes;
+}
+
+// One paragraph -> one box per line. Space before goes on the first line, space after on the last.
+async function layoutDocxParagraph(p, width, docx, options) {
+  const pPr = ooxmlChild(p, 'w:pPr');
+  const styleElement = ooxmlChild(pPr, 'w:pStyle');
+  const styleId = styleElement ? styleElement.attributes['w:val'] : docx.styles.defaultParagraph;
+
+  const direct = parseDocxParagraphProps(pPr);
+  let props = resolveDocxParagraphProps(docx, styleId, direct, options.tableStyle);
+  const level = props.numId && props.numId !== '0' ? docx.numbering.level(props.numId, props.ilvl || 0) : null;
+  if (level) {
+    // Numbering indents sit between the style's and the paragraph's own
+    props = resolveDocxParagraphProps(docx, styleId, { ...level.paragraph, ...direct }, options.tableStyle);
+  }
+
+  const markProps = resolveDocxRunProps(docx, styleId, null, parseDocxRunProps(ooxmlPath(pPr, 'w:rPr'), docx.theme), options.tableStyle);
+  const items = await collectDocxInline(p, docx, styleId, options, { field: null });
+
+  const left = props.indLeft || 0;
+  const right = props.indRight || 0;
+  const firstLine = (props.firstLine || 0) - (props.hanging || 0);
+  const available = Math.max(width - left - right, 12);
+
+  if (level) {
+    const label = docx.numbering.label(props.numId, props.ilvl || 0, docx.counters);
+    if (label !== null) {
+      const labelStyle = docxTextStyle(docx, { ...markProps, ...level.run, underline: false });
+      const labelItems = [];
+      if (label) labelItems.push(...docxTextItems(docx, label, labelStyle));
+      if (level.suffix === 'tab') labelItems.push({ tab: true, style: labelStyle, to: firstLine < 0 ? 0 : undefined });
+      else if (level.suffix === 'space') labelItems.push(...docxTextItems(docx, ' ', labelStyle));
+      items.unshift(...labelItems);
+    }
+  }
+
+  // Pictures wider than the column shrink to fit it
+  items.forEach(item => {
+    if (item.image && item.width > available) {
+      item.height *= available / item.width;
+      item.width = available;
+    }
+  });
+
+  const lines = wrapOfficeInline(items, available, { firstLineIndent: firstLine, emptySize: markProps.size || 11 });
+  const boxes = lines.map((line, i) => {
+    let height = line.height;
+    if (props.lineRule === 'exact' && props.line) height = props.line;
+    else if (props.lineRule === 'atLeast' && props.line) height = Math.max(line.height, props.line);
+    else if (props.line) height = line.height * props.line;
+    const baseline = height - line.descent;
+
+    return {
+      height,
+      spaceBefore: i === 0 ? props.spaceBefore || 0 : 0,
+      spaceAfter: i === lines.length - 1 ? props.spaceAfter || 0 : 0,
+      pageBreakBefore: i === 0 && Boolean(props.pageBreakBefore),
+      pageBreakAfter: line.pageBreakAfter,
+      draw: (page, x, top) => drawOfficeLine(page, line, x + left, top, available, props.align || 'left', baseline)
+    };
+  });
+
+  return { boxes, styleId, contextualSpacing: Boolean(props.contextualSpacing) };
+}
+
+// Content controls, tables and inline wrappers can nest without limit; layout recurses into
+// each level, so deeper documents are rejected
+const DOCX_MAX_DEPTH = 128;
+
+function nestDocxOptions(options) {
+  const depth = (options.depth || 0) + 1;
+  if (depth > DOCX_MAX_DEPTH) {
+    throw httpError(400, `The document nests content controls or tables more than ${DOCX_MAX_DEPTH} levels deep`);
+  }
+  return { ...options, depth };
+}
+
+// Inline content of a paragraph (or anything holding runs): text, tabs, breaks and pictures.
+// PAGE/NUMPAGES fields take their value from options.fields when given (headers and footers);
+// otherwise the result Word last saved is kept.
+async function collectDocxInline(element, docx, styleId, options, state, items = []) {
+  options = nestDocxOptions(options);
+  for (const child of element.children) {
+    switch (child.name) {
+      case 'w:r':
+        await collectDocxRun(child, docx, styleId, options, state, items);
+        break;
+      case 'w:fldSimple': {
+        const value = docxFieldValue(child.attributes['w:instr'], options.fields);
+        if (value === null) {
+          await collectDocxInline(child, docx, styleId, options, state, items);
+        } else {
+          const firstRun = ooxmlChild(child, 'w:r');
+          const style = docxRunStyle(docx, styleId, firstRun, options);
+          items.push(...docxTextItems(docx, value, style));
+        }
+        break;
+      }
+      case 'w:hyperlink':
+      case 'w:smartTag':
+      case 'w:ins':
+      case 'w:moveTo':
+      case 'w:customXml':
+      case 'w:dir':
+      case 'w:bdo':
+        await collectDocxInline(child, docx, styleId, options, state, items);
+        break;
+      case 'w:sdt':
+        await collectDocxInline(ooxmlChild(child, 'w:sdtContent') || { children: [] }, docx, styleId, options, state, items);
+        break;
+      default:
+        // w:pPr, bookmarks, proofing marks, deleted text (w:del, w:moveFrom)...
+        break;
+    }
+  }
+  return items;
+}
+
+async function collectDocxRun(run, docx, styleId, options, state, items) {
+  const style = docxRunStyle(docx, styleId, run, options);
+
+  for (const child of run.children) {
+    // Complex fields: begin, instruction text, separate, cached result, end
+    if (child.name === 'w:fldChar') {
+      const type = child.attributes['w:fldCharType'];
+      if (type === 'begin') {
+        state.field = { instruction: '', skipping: false };
+      } else if (type === 'separate' && state.field) {
+        const value = docxFieldValue(state.field.instruction, options.fields);
+        if (value !== null) {
+          items.push(...docxTextItems(docx, value, style));
+          state.field.skipping = true;
+        }
+      } else if (type === 'end') {
+        state.field = null;
+      }
+      continue;
+    }
+    if (child.name === 'w:instrText') {
+      if (state.field) state.field.instruction += child.text;
+      continue;
+    }
+    if (state.field && state.field.skipping) continue;
+    if (style.hidden) continue;
+
+    switch (child.name) {
+      case 'w:t':
+        items.push(...docxTextItems(docx, style.caps ? child.text.toUpperCase() : child.text, style));
+        break;
+      case 'w:tab':
+        items.push({ tab: true, style });
+        break;
+      case 'w:br':
+        items.push({ lineBreak: true, page: child.attributes['w:type'] === 'page', style });
+        break;
+      case 'w:cr':
+        items.push({ lineBreak: true, style });
+        break;
+      case 'w:noBreakHyphen':
+        items.push(...docxTextItems(docx, '-', style));
+        break;
+      case 'w:sym': {
+        const code = parseInt(child.attributes['w:char'], 16);
+        if (Number.isFinite(code)) items.push(...docxTextItems(docx, code >= 0xf000 ? '•' : String.fromCharCode(code), style));
+        break;
+      }
+      case 'w:drawing':
+        await collectDocxDrawing(child, docx, items);
+        break;
+      case 'w:pict': {
+        const imageData = findOoxmlElement(child, 'v:imagedata');
+        const target = imageData && docx.relationships[imageData.attributes['r:id']];
+        const shape = findOoxmlElement(child, 'v:shape');
+        const size = shape ? docxVmlSize(shape.attributes.style) : null;
+        const image = target && !target.external ? await embedOfficeImage(docx, target.target) : null;
+        if (image && size) items.push({ image, width: size.width, height: size.height });
+        else if (!imageData) docx.skippedObjects++;
+        break;
+      }
+      case 'mc:AlternateContent': {
+        const choice = ooxmlChild(child, 'mc:Choice');
+        if (choice) await collectDocxRun({ name: 'w:r', attributes: {}, children: [ooxmlChild(run, 'w:rPr'), ...choice.children].filter(Boolean), text: '' }, docx, styleId, options, state, items);
+        break;
+      }
+      case 'w:object':
+        docx.skippedObjects++;
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+// PAGE / NUMPAGES field value, or null for fields whose saved result should be kept
+function docxFieldValue(instruction, fields) {
+  if (!fields || !instruction) return null;
+  const name = instruction.trim().split(/\s+/)[0].toUpperCase();
+  return Object.prototype.hasOwnProperty.call(fields, name) ? fields[name] : null;
+}
+
+// Inline pictures (and anchored ones, placed inline) from a <w:drawing>
+async function collectDocxDrawing(drawing, docx, items) {
+  for (const frame of drawing.children) {
+    if (frame.name !== 'wp:inline' && frame.name !== 'wp:anchor') continue;
+    const extent = ooxmlChild(frame, 'wp:extent');
+    const blip = findOoxmlElement(frame, 'a:blip');
+    const target = blip && docx.relationships[blip.attributes['r:embed']];
+    if (!target || target.external || !extent) {
+      docx.skippedObjects++;
+      continue;
+    }
+    const image = await embedOfficeImage(docx, target.target);
+    if (image) {
+      items.push({ image, width: ooxmlNumber(extent, 'cx', 1 / 12700) || 1, height: ooxmlNumber(extent, 'cy', 1 / 12700) || 1 });
+    }
+  }
+}
+
+// Depth-first search for the first element with this name
+function findOoxmlElement(element, name) {
+  for (const child of element.children) {
+    if (child.name === name) return child;
+    const found = findOoxmlElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// "width:120pt;height:80pt" (VML shape style; pt, in, cm, mm or px) -> points
+function docxVmlSize(style) {
+  const units = { pt: 1, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, px: 0.75 };
+  const read = name => {
+    const match = String(style || '').match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([\\d.]+)(pt|in|cm|mm|px)?`));
+    return match ? parseFloat(match[1]) * units[match[2] || 'px'] : null;
+  };
+  const width = read('width');
+  const height = read('height');
+  return width && height ? { width, height } : null;
+}
+
+// Text items for a run; the font may switch to the Unicode font (or characters to "?")
+function docxTextItems(docx, text, style) {
+  if (!text) return [];
+  const prepared = docx.fonts.prepare(text.replace(/[\r\n]/g, ''), style.font);
+  if (prepared.font === style.font) return [{ text: prepared.text, style }];
+  return [{ text: prepared.text, style: docxTextStyle(docx, { ...style.props, unicodeFont: prepared.font }) }];
+}
+
+// The effective formatting of a run: document defaults, paragraph style, character style, direct
+function docxRunStyle(docx, paragraphStyleId, run, options) {
+  const rPr = ooxmlChild(run, 'w:rPr');
+  const characterStyle = ooxmlChild(rPr, 'w:rStyle');
+  const props = resolveDocxRunProps(docx, paragraphStyleId, characterStyle ? characterStyle.attributes['w:val'] : null,
+    parseDocxRunProps(rPr, docx.theme), options.tableStyle);
+  return docxTextStyle(docx, props);
+}
+
+// Run properties -> a (shared) style object for wrapOfficeInline; identical formatting gives the
+// same object so neighbouring runs are drawn as one string
+function docxTextStyle(docx, props) {
+  const key = JSON.stringify([props.font, props.bold, props.italic, props.size, props.color, props.underline, props.strike,
+    props.vertAlign, props.highlight, props.caps, props.hidden, props.unicodeFont ? props.unicodeFont.name : null]);
+  if (docx.styleCache.has(key)) return docx.styleCache.get(key);
+
+  const baseSize = props.size || 11;
+  const script = props.vertAlign === 'superscript' || props.vertAlign === 'subscript';
+  const style = {
+    props,
+    font: props.unicodeFont || docx.fonts.get(props.font, props.bold, props.italic),
+    size: script ? baseSize * 0.65 : baseSize,
+    rise: props.vertAlign === 'superscript' ? baseSize * 0.33 : props.vertAlign === 'subscript' ? -baseSize * 0.14 : 0,
+    color: props.color ? hexToRgb(props.color) : null,
+    background: props.highlight ? hexToRgb(props.highlight) : null,
+    underline: Boolean(props.underline),
+    strike: Boolean(props.strike),
+    caps: Boolean(props.caps),
+    hidden: Boolean(props.hidden)
+  };
+  docx.styleCache.set(key, style);
+  return style;
+}
+
+const DOCX_HIGHLIGHT_COLORS = {
+  yellow: 'FFFF00', green: '00FF00', cyan: '00FFFF', magenta: 'FF00FF', blue: '0000FF', red: 'FF0000',
+  darkBlue: '000080', darkCyan: '008080', darkGreen: '008000', darkMagenta: '800080', darkRed: '800000',
+  darkYellow: '808000', darkGray: '808080', lightGray: 'C0C0C0', black: '000000', white: 'FFFFFF'
+};
+
+const DOCX_THEME_COLOR_SLOTS = {
+  text1: 'dk1', background1: 'lt1', text2: 'dk2', background2: 'lt2', dark1: 'dk1', light1: 'lt1', dark2: 'dk2', light2: 'lt2',
+  hyperlink: 'hlink', followedHyperlink: 'folHlink'
+};
+
+// <w:pPr> -> the properties it sets (points; line spacing as a multiple for "auto")
+function parseDocxParagraphProps(pPr) {
+  const props = {};
+  if (!pPr) return props;
+
+  const jc = ooxmlChild(pPr, 'w:jc');
+  if (jc) {
+    props.align = { start: 'left', left: 'left', center: 'center', end: 'right', right: 'right', both: 'both', distribute: 'both' }[jc.attributes['w:val']] || 'left';
+  }
+
+  const ind = ooxmlChild(pPr, 'w:ind');
+  if (ind) {
+    const left = ooxmlNumber(ind, 'w:left', 1 / 20) ?? ooxmlNumber(ind, 'w:start', 1 / 20);
+    const right = ooxmlNumber(ind, 'w:right', 1 / 20) ?? ooxmlNumber(ind, 'w:end', 1 / 20);
+    if (left !== undefined) props.indLeft = left;
+    if (right !== undefined) props.indRight = right;
+    const firstLine = ooxmlNumber(ind, 'w:firstLine', 1 / 20);
+    const hanging = ooxmlNumber(ind, 'w:hanging', 1 / 20);
+    if (firstLine !== undefined || hanging !== undefined) {
+      props.firstLine = hanging !== undefined ? 0 : firstLine;
+      props.hanging = hanging || 0;
+    }
+  }
+
+  const spacing = ooxmlChild(pPr, 'w:spacing');
+  if (spacing) {
+    const before = ooxmlNumber(spacing, 'w:before', 1 / 20);
+    const after = ooxmlNumber(spacing, 'w:after', 1 / 20);
+    if (before !== undefined) props.spaceBefore = before;
+    if (after !== undefined) props.spaceAfter = after;
+    // HTML-style automatic spacing
+    if (['1', 'true', 'on'].includes(spacing.attributes['w:beforeAutospacing'])) props.spaceBefore = 14;
+    if (['1', 'true', 'on'].includes(spacing.attributes['w:afterAutospacing'])) props.spaceAfter = 14;
+    const line = ooxmlNumber(spacing, 'w:line');
+    if (line !== undefined) {
+      props.lineRule = spacing.attributes['w:lineRule'] || 'auto';
+      props.line = props.lineRule === 'auto' ? line / 240 : line / 20;
+    }
+  }
+
+  const numPr = ooxmlChild(pPr, 'w:numPr');
+  if (numPr) {
+    const numId = ooxmlChild(numPr, 'w:numId');
+    const ilvl = ooxmlChild(numPr, 'w:ilvl');
+    if (numId) props.numId = numId.attributes['w:val'];
+    if (ilvl) props.ilvl = parseInt(ilvl.attributes['w:val']) || 0;
+  }
+
+  for (const [name, key] of [['w:pageBreakBefore', 'pageBreakBefore'], ['w:contextualSpacing', 'contextualSpacing']]) {
+    const value = ooxmlToggle(ooxmlChild(pPr, name));
+    if (value !== undefined) props[key] = value;
+  }
+  return props;
+}
+
+// <w:rPr> -> the properties it sets (size in points, colours as hex)
+function parseDocxRunProps(rPr, theme) {
+  const props = {};
+  if (!rPr) return props;
+
+  const fonts = ooxmlChild(rPr, 'w:rFonts');
+  if (fonts) {
+    const themeFont = fonts.attributes['w:asciiTheme'] || fonts.attributes['w:hAnsiTheme'];
+    const font = fonts.attributes['w:ascii'] || fonts.attributes['w:hAnsi'] ||
+      (themeFont ? (/^major/.test(themeFont) ? theme.majorFont : theme.minorFont) : null);
+    if (font) props.font = font;
+  }
+  for (const [name, key] of [['w:b', 'bold'], ['w:i', 'italic'], ['w:strike', 'strike'], ['w:dstrike', 'strike'],
+    ['w:caps', 'caps'], ['w:smallCaps', 'caps'], ['w:vanish', 'hidden']]) {
+    const value = ooxmlToggle(ooxmlChild(rPr, name));
+    if (value !== undefined) props[key] = value;
+  }
+  const underline = ooxmlChild(rPr, 'w:u');
+  if (underline) props.underline = (underline.attributes['w:val'] || 'single') !== 'none';
+  const size = ooxmlNumber(ooxmlChild(rPr, 'w:sz'), 'w:val', 1 / 2);
+  if (size) props.size = size;
+
+  const color = ooxmlChild(rPr, 'w:color');
+  if (color) {
+    const value = color.attributes['w:val'];
+    const themeColor = color.attributes['w:themeColor'];
+    const slot = themeColor && (DOCX_THEME_COLOR_SLOTS[themeColor] || themeColor);
+    if (value && /^[0-9a-f]{6}$/i.test(value)) props.color = value.toUpperCase();
+    else props.color = slot && theme.colors[slot] ? theme.colors[slot] : null;
+  }
+  const highlight = ooxmlChild(rPr, 'w:highlight');
+  if (highlight) props.highlight = DOCX_HIGHLIGHT_COLORS[highlight.attributes['w:val']] || null;
+  const shading = ooxmlChild(rPr, 'w:shd');
+  if (shading && /^[0-9a-f]{6}$/i.test(shading.attributes['w:fill'] || '') && !props.highlight) props.highlight = shading.attributes['w:fill'];
+  const vertAlign = ooxmlChild(rPr, 'w:vertAlign');
+  if (vertAlign) props.vertAlign = vertAlign.attributes['w:val'];
+  return props;
+}
+
+// styles.xml: document defaults and styles by id with their basedOn chain
+function parseDocxStyles(root, theme) {
+  const defaults = ooxmlChild(root, 'w:docDefaults');
+  const styles = {
+    defaultParagraph: null,
+    defaultTable: null,
+    defaults: {
+      paragraph: parseDocxParagraphProps(ooxmlPath(defaults, 'w:pPrDefault', 'w:pPr')),
+      run: parseDocxRunProps(ooxmlPath(defaults, 'w:rPrDefault', 'w:rPr'), theme)
+    },
+    byId: {}
+  };
+
+  ooxmlChildren(root, 'w:style').forEach(element => {
+    const id = element.attributes['w:styleId'];
+    const type = element.attributes['w:type'];
+    if (!id) return;
+    const basedOn = ooxmlChild(element, 'w:basedOn');
+    styles.byId[id] = {
+      type,
+      basedOn: basedOn ? basedOn.attributes['w:val'] : null,
+      paragraph: parseDocxParagraphProps(ooxmlChild(element, 'w:pPr')),
+      run: parseDocxRunProps(ooxmlChild(element, 'w:rPr'), theme),
+      table: ooxmlChild(element, 'w:tblPr')
+    };
+    if (['1', 'true', 'on'].includes(element.attributes['w:default'])) {
+      if (type === 'paragraph') styles.defaultParagraph = id;
+      if (type === 'table') styles.defaultTable = id;
+    }
+  });
+  return styles;
+}
+
+// A style and the styles it is based on, base first
+function docxStyleChain(docx, id) {
+  const chain = [];
+  const seen = new Set();
+  for (let style = docx.styles.byId[id]; style && !seen.has(style); style = docx.styles.byId[style.basedOn]) {
+    seen.add(style);
+    chain.unshift(style);
+  }
+  return chain;
+}
+
+function resolveDocxParagraphProps(docx, styleId, direct, tableStyleId) {
+  return Object.assign({}, docx.styles.defaults.paragraph,
+    ...docxStyleChain(docx, tableStyleId).map(style => style.paragraph),
+    ...docxStyleChain(docx, styleId).map(style => style.paragraph),
+    direct);
+}
+
+function resolveDocxRunProps(docx, paragraphStyleId, characterStyleId, direct, tableStyleId) {
+  return Object.assign({}, docx.styles.defaults.run,
+    ...docxStyleChain(docx, tableStyleId).map(style => style.run),
+    ...docxStyleChain(docx, paragraphStyleId).map(style => style.run),
+    ...docxStyleChain(docx, characterStyleId).map(style => style.run),
+    direct);
+}
+
+// numbering.xml: list levels (format, text, start, indents) and the counters behind the labels
+function parseDocxNumbering(root, theme) {
+  const abstracts = {};
+  ooxmlChildren(root, 'w:abstractNum').forEach(abstract => {
+    const levels = {};
+    ooxmlChildren(abstract, 'w:lvl').forEach(level => {
+      const value = name => {
+        const element = ooxmlChild(level, name);
+        return element ? element.attributes['w:val'] : undefined;
+      };
+      levels[parseInt(level.attributes['w:ilvl']) || 0] = {
+        start: parseInt(value('w:start')) || (value('w:start') === '0' ? 0 : 1),
+        format: value('w:numFmt') || 'decimal',
+        text: value('w:lvlText') ?? '',
+        suffix: value('w:suff') || 'tab',
+        paragraph: parseDocxParagraphProps(ooxmlChild(level, 'w:pPr')),
+        run: parseDocxRunProps(ooxmlChild(level, 'w:rPr'), theme)
+      };
+    });
+    abstracts[abstract.attributes['w:abstractNumId']] = levels;
+  });
+
+  const nums = {};
+  ooxmlChildren(root, 'w:num').forEach(num => {
+    const abstractId = ooxmlChild(num, 'w:abstractNumId');
+    const starts = {};
+    ooxmlChildren(num, 'w:lvlOverride').forEach(override => {
+      const start = ooxmlChild(override, 'w:startOverride');
+      if (start) starts[parseInt(override.attributes['w:ilvl']) || 0] = parseInt(start.attributes['w:val']) || 0;
+    });
+    nums[num.attributes['w:numId']] = { levels: abstractId ? abstracts[abstractId.attributes['w:val']] || {} : {}, starts };
+  });
+
+  return {
+    level(numId, ilvl) {
+      const num = nums[numId];
+      return num && num.levels[ilvl] ? num.levels[ilvl] : null;
+    },
+
+    // Advance this list's counter at `ilvl` (resetting deeper levels) and build the label
+    label(numId, ilvl, counters) {
+      const num = nums[numId];
+      const level = num && num.levels[ilvl];
+      if (!level || level.format === 'none') return level ? '' : null;
+
+      if (!counters.has(numId)) counters.set(numId, []);
+      const values = counters.get(numId);
+      const startOf = k => (num.starts[k] !== undefined ? num.starts[k] : (num.levels[k] || { start: 1 }).start);
+      values[ilvl] = values[ilvl] === undefined ? startOf(ilvl) : values[ilvl] + 1;
+      values.length = ilvl + 1;
+
+      if (level.format === 'bullet') {
+        return officeBulletText(level.text);
+      }
+      return level.text.replace(/%(\d)/g, (match, n) => {
+        const k = parseInt(n) - 1;
+        const levelFormat = (num.levels[k] || level).format;
+        return formatListNumber(values[k] === undefined ? startOf(k) : values[k], k === ilvl ? level.format : levelFormat);
+      });
+    }
+  };
+}
+
+// 4 -> "4", "d", "D", "iv", "IV", "04"
+function formatListNumber(value, format) {
+  if (format === 'lowerLetter' || format === 'upperLetter') {
+    const letter = String.fromCharCode(97 + ((value - 1) % 26 + 26) % 26).repeat(Math.floor((value - 1) / 26) + 1);
+    return format === 'upperLetter' ? letter.toUpperCase() : letter;
+  }
+  if ((format === 'lowerRoman' || format === 'upperRoman') && value > 0) {
+    const roman = toRomanNumeral(value);
+    return format === 'upperRoman' ? roman : roman.toLowerCase();
+  }
+  if (format === 'decimalZero') return String(value).padStart(2, '0');
+  return String(value);
+}
+
+// A table -> one box per row. Rows don't split across pages; header rows repeat.
+async function layoutDocxTable(tbl, width, docx, options) {
+  const tblPr = ooxmlChild(tbl, 'w:tblPr');
+  const styleElement = ooxmlChild(tblPr, 'w:tblStyle');
+  const tableStyleId = styleElement ? styleElement.attributes['w:val'] : docx.styles.defaultTable;
+  const tableProps = [...docxStyleChain(docx, tableStyleId).map(style => style.table), tblPr].filter(Boolean);
+
+  // Borders and cell margins: the style chain first, then the table's own settings
+  const borders = {};
+  const margins = { top: 0, bottom: 0, left: 5.4, right: 5.4 };
+  for (const props of tableProps) {
+    Object.assign(borders, parseDocxBorders(ooxmlChild(props, 'w:tblBorders')));
+    const cellMargins = ooxmlChild(props, 'w:tblCellMar');
+    for (const [side, names] of Object.entries({ top: ['w:top'], bottom: ['w:bottom'], left: ['w:left', 'w:start'], right: ['w:right', 'w:end'] })) {
+      const element = names.map(name => ooxmlChild(cellMargins, name)).find(Boolean);
+      const value = ooxmlNumber(element, 'w:w', 1 / 20);
+      if (value !== undefined) margins[side] = value;
+    }
+  }
+
+  let grid = ooxmlChildren(ooxmlChild(tbl, 'w:tblGrid'), 'w:gridCol').map(column => ooxmlNumber(column, 'w:w', 1 / 20) || 0);
+  const rows = ooxmlChildren(tbl, 'w:tr');
+  if (grid.length === 0 || grid.every(column => column === 0)) {
+    const columns = Math.max(1, ...rows.map(row => ooxmlChildren(row, 'w:tc').length));
+    grid = new Array(columns).fill(width / columns);
+  }
+
+  // Preferred width (dxa or percent of the column), never wider than the column
+  const tableWidth = ooxmlChild(tblPr, 'w:tblW');
+  let target = grid.reduce((sum, column) => sum + column, 0);
+  if (tableWidth && tableWidth.attributes['w:type'] === 'pct') {
+    const value = String(tableWidth.attributes['w:w'] || '');
+    target = width * (value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value) / 5000) || target;
+  } else if (tableWidth && tableWidth.attributes['w:type'] === 'dxa' && ooxmlNumber(tableWidth, 'w:w')) {
+    target = ooxmlNumber(tableWidth, 'w:w', 1 / 20);
+  }
+  target = Math.min(target, width);
+  const total = grid.reduce((sum, column) => sum + column, 0) || 1;
+  grid = grid.map(column => column * target / total);
+  const edges = grid.reduce((list, column) => list.concat(list[list.length - 1] + column), [0]);
+
+  const jc = ooxmlChild(tblPr, 'w:jc');
+  const indent = ooxmlNumber(ooxmlChild(tblPr, 'w:tblInd'), 'w:w', 1 / 20) || 0;
+  const offset = jc && jc.attributes['w:val'] === 'center' ? (width - target) / 2
+    : jc && ['right', 'end'].includes(jc.attributes['w:val']) ? width - target : Math.max(0, Math.min(indent, width - target));
+
+  // Cells with their grid position; vertically merged continuation cells remember their origin
+  const layoutRows = [];
+  const openMerges = {};
+  for (const [r, row] of rows.entries()) {
+    const trPr = ooxmlChild(row, 'w:trPr');
+    const heightElement = ooxmlChild(trPr, 'w:trHeight');
+    let column = ooxmlNumber(ooxmlChild(trPr, 'w:gridBefore'), 'w:val') || 0;
+    const cells = [];
+
+    for (const tc of ooxmlChildren(row, 'w:tc')) {
+      const tcPr = ooxmlChild(tc, 'w:tcPr');
+      const span = Math.max(1, ooxmlNumber(ooxmlChild(tcPr, 'w:gridSpan'), 'w:val') || 1);
+      const vMerge = ooxmlChild(tcPr, 'w:vMerge');
+      const merge = vMerge ? vMerge.attributes['w:val'] || 'continue' : null;
+      const start = Math.min(column, grid.length - 1);
+      const end = Math.min(column + span, grid.length);
+      const shading = ooxmlChild(tcPr, 'w:shd');
+      const fill = shading && /^[0-9a-f]{6}$/i.test(shading.attributes['w:fill'] || '') ? shading.attributes['w:fill'] : null;
+      const vAlign = ooxmlChild(tcPr, 'w:vAlign');
+
+      const cell = {
+        x: edges[start],
+        width: edges[end] - edges[start],
+        first: start === 0,
+        last: end >= grid.length,
+        fill,
+        vAlign: vAlign ? vAlign.attributes['w:val'] : 'top',
+        borders: parseDocxBorders(ooxmlChild(tcPr, 'w:tcBorders')),
+        continued: merge === 'continue',
+        boxes: []
+      };
+      if (merge === 'continue' && openMerges[start]) {
+        cell.fill = openMerges[start].fill;
+        openMerges[start].mergedBelow = true;
+        openMerges[start] = cell;
+      } else {
+        const innerWidth = Math.max(cell.width - margins.left - margins.right, 6);
+        cell.boxes = await layoutDocxBlocks(tc.children, innerWidth, docx, { ...options, tableStyle: tableStyleId });
+        openMerges[start] = merge === 'restart' ? cell : null;
+      }
+      cells.push(cell);
+      column = end;
+    }
+
+    const contentHeight = Math.max(0, ...cells.map(cell => cell.boxes.reduce((sum, box) => sum + box.spaceBefore + box.height + box.spaceAfter, 0)));
+    let height = contentHeight + margins.top + margins.bottom;
+    const requested = ooxmlNumber(heightElement, 'w:val', 1 / 20);
+    if (requested) {
+      height = heightElement.attributes['w:hRule'] === 'exact' ? requested : Math.max(height, requested);
+    }
+    layoutRows.push({ cells, height, header: Boolean(ooxmlToggle(ooxmlChild(trPr, 'w:tblHeader'))), index: r });
+  }
+
+  const headerRows = [];
+  const boxes = layoutRows.map((row, r) => {
+    const box = {
+      height: row.height,
+      spaceBefore: 0,
+      spaceAfter: 0,
+      draw: (page, left, top) => {
+        const x0 = left + offset;
+        for (const cell of row.cells) {
+          if (cell.fill) {
+            drawOfficeRect(page, x0 + cell.x, top, cell.width, row.height, hexToRgb(cell.fill));
+          }
+          const contentHeight = cell.boxes.reduce((sum, item) => sum + item.spaceBefore + item.height + item.spaceAfter, 0);
+          const free = row.height - margins.top - margins.bottom - contentHeight;
+          let y = top + margins.top + (cell.vAlign === 'center' ? free / 2 : cell.vAlign === 'bottom' ? free : 0);
+          for (const item of cell.boxes) {
+            y += item.spaceBefore;
+            item.draw(page, x0 + cell.x + margins.left, y);
+            y += item.height + item.spaceAfter;
+          }
+        }
+        for (const cell of row.cells) {
+          const edge = (side, fallback) => (cell.borders[side] !== undefined ? cell.borders[side] : fallback);
+          const x1 = x0 + cell.x;
+          const x2 = x1 + cell.width;
+          if (!cell.continued) drawOfficeBorder(page, edge('top', r === 0 ? borders.top : borders.insideH), x1, top, x2, top);
+          if (!cell.mergedBelow) drawOfficeBorder(page, edge('bottom', r === layoutRows.length - 1 ? borders.bottom : borders.insideH), x1, top + row.height, x2, top + row.height);
+          drawOfficeBorder(page, edge('left', cell.first ? borders.left : borders.insideV), x1, top, x1, top + row.height);
+          drawOfficeBorder(page, edge('right', cell.last ? borders.right : borders.insideV), x2, top, x2, top + row.height);
+        }
+      }
+    };
+    if (row.header && headerRows.length === r) headerRows.push(box);
+    else box.headerRows = headerRows;
+    return box;
+  });
+  return boxes;
+}
+
+// <w:tblBorders>/<w:tcBorders> -> side -> { width, color } or null (explicitly none)
+function parseDocxBorders(element) {
+  const borders = {};
+  if (!element) return borders;
+  const names = { top: ['w:top'], bottom: ['w:bottom'], left: ['w:left', 'w:start'], right: ['w:right', 'w:end'], insideH: ['w:insideH'], insideV: ['w:insideV'] };
+  for (const [side, candidates] of Object.entries(names)) {
+    const border = candidates.map(name => ooxmlChild(element, name)).find(Boolean);
+    if (!border) continue;
+    const style = border.attributes['w:val'];
+    if (!style || style === 'nil' || style === 'none') {
+      borders[side] = null;
+    } else {
+      const color = border.attributes['w:color'];
+      borders[side] = {
+        width: Math.max(0.25, (ooxmlNumber(border, 'w:sz') || 4) / 8) * (style === 'double' ? 2 : 1),
+        color: color && /^[0-9a-f]{6}$/i.test(color) ? color : '000000',
+        dashed: /dash|dot/i.test(style)
+      };
+    }
+  }
+  return borders;
+}
+
+// Rectangle and border helpers in top-down page coordinates
+function drawOfficeRect(page, x, top, width, height, color) {
+  page.drawRectangle({ x, y: page.getHeight() - top - height, width, height, color });
+}
+
+function drawOfficeBorder(page, border, x1, top1, x2, top2) {
+  if (!border) return;
+  const height = page.getHeight();
+  page.drawLine({
+    start: { x: x1, y: height - top1 },
+    end: { x: x2, y: height - top2 },
+    thickness: border.width,
+    color: hexToRgb(border.color),
+    dashArray: border.dashed ? [border.width * 3, border.width * 2] : undefined
+  });
+}
+
+// ---- XLSX ----
+
+// Excel workbook: every visible sheet (or the ones asked for), its print area or used range
+// paginated with the sheet's page setup; column widths, row heights, merged cells, fills,
+// borders, fonts, alignment and number formats. Page numbers in headers and footers run
+// through the whole workbook.
+async function renderXlsxToPdf(context, input) {
+  const { zip } = context;
+  const workbookPath = 'xl/workbook.xml';
+  const workbook = await readXlsxPart(zip, workbookPath);
+  const relationships = await readOoxmlRelationships(zip, workbookPath);
+  const partOf = type => Object.values(relationships).find(relationship => relationship.type === type);
+  const theme = await readOoxmlTheme(zip, partOf('theme') && partOf('theme').target);
+
+  const xlsx = Object.assign(context, {
+    theme,
+    styles: parseXlsxStyles(partOf('styles') && await readXlsxPart(zip, partOf('styles').target), theme),
+    sharedStrings: parseXlsxSharedStrings(partOf('sharedStrings') && await readXlsxPart(zip, partOf('sharedStrings').target), theme),
+    date1904: ['1', 'true'].includes((ooxmlChild(workbook, 'workbookPr') || { attributes: {} }).attributes.date1904),
+    styleCache: new Map(),
+    fileName: input.file.name
+  });
+
+  const sheets = ooxmlChildren(ooxmlChild(workbook, 'sheets'), 'sheet').map((sheet, index) => {
+    const relationship = relationships[sheet.attributes['r:id']];
+    return {
+      name: sheet.attributes.name || `Sheet${index + 1}`,
+      number: index + 1,
+      hidden: ['hidden', 'veryHidden'].includes(sheet.attributes.state),
+      target: relationship && relationship.type === 'worksheet' ? relationship.target : null
+    };
+  });
+
+  let selected;
+  if (input.sheets.length > 0) {
+    selected = input.sheets.map(wanted => {
+      const sheet = /^\d+$/.test(wanted)
+        ? sheets[parseInt(wanted) - 1]
+        : sheets.find(candidate => candidate.name.toLowerCase() === String(wanted).toLowerCase());
+      if (!sheet) {
+        throw httpError(400, `Sheet "${wanted}" was not found. The workbook has: ${sheets.map(candidate => candidate.name).join(', ')}`);
+      }
+      return sheet;
+    });
+  } else {
+    selected = sheets.filter(sheet => !sheet.hidden);
+  }
+
+  // Print areas and rows to repeat at the top of each page (_xlnm.Print_Titles)
+  const definedNames = ooxmlChildren(ooxmlChild(workbook, 'definedNames'), 'definedName');
+  const printSetting = (name, sheet) => {
+    const definition = definedNames.find(element => element.attributes.name === name &&
+      parseInt(element.attributes.localSheetId) === sheet.number - 1);
+    return definition ? definition.text.trim() : null;
+  };
+
+  const pending = [];
+  for (const [index, sheet] of selected.entries()) {
+    if (!sheet.target) {
+      context.warnings.push(`Sheet "${sheet.name}" is a chart sheet and was left out`);
+      continue;
+    }
+    const root = await readXlsxPart(zip, sheet.target);
+    if (!root) {
+      context.warnings.push(`Sheet "${sheet.name}" is missing from the file`);
+      continue;
+    }
+    const layout = layoutXlsxSheet(root, xlsx, {
+      printArea: printSetting('_xlnm.Print_Area', sheet),
+      printTitles: printSetting('_xlnm.Print_Titles', sheet),
+      gridlines: input.gridlines
+    });
+    if (!layout) {
+      context.warnings.push(`Sheet "${sheet.name}" is empty and was left out`);
+      continue;
+    }
+    if (ooxmlChild(root, 'drawing') || ooxmlChild(root, 'legacyDrawing')) {
+      context.warnings.push(`Pictures and charts on sheet "${sheet.name}" were left out`);
+    }
+
+    for (const region of layout.pages) {
+      const page = addOfficePage(context, layout.pageWidth, layout.pageHeight);
+      drawXlsxPage(page, layout, region, xlsx);
+      pending.push({ page, sheet, layout });
+    }
+    context.onProgress({ completed: index + 1, total: selected.length + 1, message: `Laid out sheet "${sheet.name}"` });
+  }
+
+  if (pending.length === 0) {
+    throw httpError(400, 'The workbook has nothing to print');
+  }
+
+  for (const [index, { page, sheet, layout }] of pending.entries()) {
+    drawXlsxHeaderFooter(page, layout, xlsx, { page: index + 1, pages: pending.length, sheet: sheet.name });
+  }
+}
+
+// SpreadsheetML parts normally use a default namespace, but some writers prefix it (x:sheetData);
+// the prefix is dropped so lookups can use plain names
+async function readXlsxPart(zip, path) {
+  const root = await readOoxmlPart(zip, path);
+  const prefix = root && root.name.includes(':') ? root.name.slice(0, root.name.indexOf(':') + 1) : null;
+  if (prefix) {
+    const strip = element => {
+      if (element.name.startsWith(prefix)) element.name = element.name.slice(prefix.length);
+      element.children.forEach(strip);
+    };
+    strip(root);
+  }
+  return root;
+}
+
+// "B12" -> { row: 12, col: 2 }
+function parseCellReference(reference) {
+  const match = /^\$?([A-Z]{1,3})\$?(\d+)$/i.exec(reference || '');
+  if (!match) return null;
+  const col = Array.from(match[1].toUpperCase()).reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0);
+  return { row: parseInt(match[2]), col };
+}
+
+// "Sheet1!$A$1:$F$40" (first range of a list) -> { top, left, bottom, right }
+function parseCellRange(text) {
+  if (!text) return null;
+  const first = text.split(',')[0].replace(/^.*!/, '');
+  const [from, to = from] = first.split(':');
+  const start = parseCellReference(from);
+  const end = parseCellReference(to);
+  if (!start || !end) return null;
+  return {
+    top: Math.min(start.row, end.row), bottom: Math.max(start.row, end.row),
+    left: Math.min(start.col, end.col), right: Math.max(start.col, end.col)
+  };
+}
+
+// Legacy indexed colour palette (indexes 0-63; 64 is the system text colour)
+const XLSX_INDEXED_COLORS = [
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '800000', '008000', '000080', '808000', '800080', '008080', 'C0C0C0', '808080',
+  '9999FF', '993366', 'FFFFCC', 'CCFFFF', '660066', 'FF8080', '0066CC', 'CCCCFF',
+  '000080', 'FF00FF', 'FFFF00', '00FFFF', '800080', '800000', '008080', '0000FF',
+  '00CCFF', 'CCFFFF', 'CCFFCC', 'FFFF99', '99CCFF', 'FF99CC', 'CC99FF', 'FFCC99',
+  '3366FF', '33CCCC', '99CC00', 'FFCC00', 'FF9900', 'FF6600', '666699', '969696',
+  '003366', '339966', '003300', '333300', '993300', '993366', '333399', '333333',
+  '000000', 'FFFFFF'
+];
+
+// Theme colour indexes in SpreadsheetML swap the first two pairs of the scheme
+const XLSX_THEME_SLOTS = ['lt1', 'dk1', 'lt2', 'dk2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6', 'hlink', 'folHlink'];
+
+// <color rgb="FFRRGGBB"/>, <color theme="4" tint="0.4"/> or <color indexed="10"/> -> "RRGGBB"
+function resolveXlsxColor(element, theme) {
+  if (!element) return null;
+  const { rgb: argb, theme: themeIndex, indexed, tint } = element.attributes;
+  let hex = null;
+  if (argb && /^[0-9a-f]{6,8}$/i.test(argb)) hex = argb.slice(-6);
+  else if (themeIndex !== undefined) hex = theme.colors[XLSX_THEME_SLOTS[parseInt(themeIndex)]] || null;
+  else if (indexed !== undefined) hex = XLSX_INDEXED_COLORS[parseInt(indexed)] || null;
+  if (!hex || !/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+  const amount = parseFloat(tint);
+  if (amount) {
+    const [h, s, l] = hexToHsl(hex);
+    hex = hslToHex(h, s, amount < 0 ? l * (1 + amount) : l * (1 - amount) + amount);
+  }
+  return hex.toUpperCase();
+}
+
+function parseXlsxFont(element, theme) {
+  const font = {};
+  if (!element) return font;
+  const value = name => {
+    const child = ooxmlChild(element, name);
+    return child ? child.attributes.val : undefined;
+  };
+  if (value('name') || value('rFont')) font.name = value('name') || value('rFont');
+  if (value('sz')) font.size = parseFloat(value('sz'));
+  for (const [name, key] of [['b', 'bold'], ['i', 'italic'], ['strike', 'strike']]) {
+    const toggle = ooxmlToggle(ooxmlChild(element, name), 'val');
+    if (toggle !== undefined) font[key] = toggle;
+  }
+  const underline = ooxmlChild(element, 'u');
+  if (underline) font.underline = underline.attributes.val !== 'none';
+  const vertAlign = value('vertAlign');
+  if (vertAlign) font.vertAlign = vertAlign;
+  const color = resolveXlsxColor(ooxmlChild(element, 'color'), theme);
+  if (color) font.color = color;
+  return font;
+}
+
+const XLSX_BORDER_WIDTHS = {
+  hair: 0.25, thin: 0.5, dotted: 0.5, dashed: 0.5, dashDot: 0.5, dashDotDot: 0.5,
+  medium: 1, mediumDashed: 1, mediumDashDot: 1, mediumDashDotDot: 1, slantDashDot: 1, thick: 1.5, double: 1.5
+};
+
+// styles.xml: number formats, fonts, fills, borders and the cell formats (xf) that combine them
+function parseXlsxStyles(root, theme) {
+  const numberFormats = {};
+  ooxmlChildren(ooxmlChild(root, 'numFmts'), 'numFmt').forEach(format => {
+    numberFormats[format.attributes.numFmtId] = format.attributes.formatCode;
+  });
+
+  const fonts = ooxmlChildren(ooxmlChild(root, 'fonts'), 'font').map(font => parseXlsxFont(font, theme));
+  const fills = ooxmlChildren(ooxmlChild(root, 'fills'), 'fill').map(fill => {
+    const pattern = ooxmlChild(fill, 'patternFill');
+    if (pattern && pattern.attributes.patternType && !['none', 'gray125'].includes(pattern.attributes.patternType)) {
+      return resolveXlsxColor(ooxmlChild(pattern, 'fgColor'), theme) || resolveXlsxColor(ooxmlChild(pattern, 'bgColor'), theme);
+    }
+    const gradient = ooxmlChild(fill, 'gradientFill');
+    const stop = gradient && ooxmlChild(gradient, 'stop');
+    return stop ? resolveXlsxColor(ooxmlChild(stop, 'color'), theme) : null;
+  });
+  const borders = ooxmlChildren(ooxmlChild(root, 'borders'), 'border').map(border => {
+    const sides = {};
+    for (const side of ['left', 'right', 'top', 'bottom']) {
+      const element = ooxmlChild(border, side) || (side === 'left' ? ooxmlChild(border, 'start') : side === 'right' ? ooxmlChild(border, 'end') : null);
+      const style = element && element.attributes.style;
+      if (style && style !== 'none') {
+        sides[side] = {
+          width: XLSX_BORDER_WIDTHS[style] || 0.5,
+          color: resolveXlsxColor(ooxmlChild(element, 'color'), theme) || '000000',
+          dashed: /dash|dot/i.test(style)
+        };
+      }
+    }
+    return sides;
+  });
+
+  const formats = ooxmlChildren(ooxmlChild(root, 'cellXfs'), 'xf').map(xf => {
+    const alignment = ooxmlChild(xf, 'alignment');
+    const id = parseInt(xf.attributes.numFmtId) || 0;
+    return {
+      numberFormat: numberFormats[id] || XLSX_BUILTIN_FORMATS[id] || 'General',
+      font: fonts[parseInt(xf.attributes.fontId) || 0] || {},
+      fill: fills[parseInt(xf.attributes.fillId) || 0] || null,
+      border: borders[parseInt(xf.attributes.borderId) || 0] || {},
+      horizontal: alignment ? alignment.attributes.horizontal : undefined,
+      vertical: alignment ? alignment.attributes.vertical : undefined,
+      wrap: alignment ? ['1', 'true'].includes(alignment.attributes.wrapText) : false,
+      indent: alignment ? parseInt(alignment.attributes.indent) || 0 : 0
+    };
+  });
+  if (formats.length === 0) {
+    formats.push({ numberFormat: 'General', font: fonts[0] || {}, fill: null, border: {}, wrap: false, indent: 0 });
+  }
+  return { formats, defaultFont: fonts[0] || {} };
+}
+
+// sharedStrings.xml: plain strings, or rich text as runs with their own fonts
+function parseXlsxSharedStrings(root, theme) {
+  return ooxmlChildren(root, 'si').map(item => {
+    const runs = ooxmlChildren(item, 'r');
+    if (runs.length === 0) {
+      const text = ooxmlChild(item, 't');
+      return text ? text.text : '';
+    }
+    return runs.map(run => ({
+      text: (ooxmlChild(run, 't') || { text: '' }).text,
+      font: parseXlsxFont(ooxmlChild(run, 'rPr'), theme)
+    }));
+  });
+}
+
+// Lay out one worksheet: cells with their display text, column/row sizes and the page regions
+// they split into. Returns null when there is nothing to print.
+function layoutXlsxSheet(root, xlsx, options) {
+  const { styles } = xlsx;
+  const defaultFont = styles.defaultFont;
+  const formatOf = index => styles.formats[index] || styles.formats[0];
+
+  // Column widths are stored in characters of the default font: ~7px each plus 5px padding
+  const sheetFormat = ooxmlChild(root, 'sheetFormatPr');
+  const defaultWidth = ooxmlNumber(sheetFormat, 'defaultColWidth') ||
+    (ooxmlNumber(sheetFormat, 'baseColWidth') || 8) + 5 / 7;
+  const toPoints = width => Math.round(width * 7) * 0.75;
+  const columns = new Map();
+  ooxmlChildren(ooxmlChild(root, 'cols'), 'col').forEach(column => {
+    const min = ooxmlNumber(column, 'min') || 1;
+    const max = Math.min(ooxmlNumber(column, 'max') || min, 16384);
+    const hidden = ['1', 'true'].includes(column.attributes.hidden);
+    const width = ooxmlNumber(column, 'width');
+    for (let col = min; col <= Math.min(max, min + 1024); col++) {
+      columns.set(col, { width: hidden ? 0 : toPoints(width === undefined ? defaultWidth : width), style: parseInt(column.attributes.style) || 0 });
+    }
+  });
+  const columnWidth = col => (columns.has(col) ? columns.get(col).width : toPoints(defaultWidth));
+
+  const defaultHeight = ooxmlNumber(sheetFormat, 'defaultRowHeight') || 15;
+  const rowHeights = new Map();
+  const cells = new Map();
+  let used = null;
+  const extend = (row, col) => {
+    if (!used) used = { top: row, bottom: row, left: col, right: col };
+    used.top = Math.min(used.top, row);
+    used.bottom = Math.max(used.bottom, row);
+    used.left = Math.min(used.left, col);
+    used.right = Math.max(used.right, col);
+  };
+
+  let rowNumber = 0;
+  for (const row of ooxmlChildren(ooxmlChild(root, 'sheetData'), 'row')) {
+    rowNumber = ooxmlNumber(row, 'r') || rowNumber + 1;
+    if (['1', 'true'].includes(row.attributes.hidden)) rowHeights.set(rowNumber, 0);
+    else if (ooxmlNumber(row, 'ht') !== undefined) rowHeights.set(rowNumber, ooxmlNumber(row, 'ht'));
+
+    let colNumber = 0;
+    for (const cell of ooxmlChildren(row, 'c')) {
+      const reference = parseCellReference(cell.attributes.r);
+      colNumber = reference ? reference.col : colNumber + 1;
+      const format = formatOf(parseInt(cell.attributes.s) || 0);
+      const value = readXlsxCellValue(cell, xlsx, format);
+      if (value === null && !format.fill && Object.keys(format.border).length === 0) continue;
+      cells.set(`${rowNumber}:${colNumber}`, { row: rowNumber, col: colNumber, format, ...value });
+      extend(rowNumber, colNumber);
+    }
+  }
+
+  const merges = ooxmlChildren(ooxmlChild(root, 'mergeCells'), 'mergeCell').map(merge => parseCellRange(merge.attributes.ref)).filter(Boolean);
+  merges.forEach(merge => {
+    if (cells.has(`${merge.top}:${merge.left}`)) extend(merge.bottom, merge.right);
+  });
+
+  const area = parseCellRange(options.printArea) || used;
+  if (!area) return null;
+  const rowHeight = row => (rowHeights.has(row) ? rowHeights.get(row) : defaultHeight);
+
+  // Page setup: paper, orientation, margins (inches), scaling, manual breaks
+  const setup = ooxmlChild(root, 'pageSetup');
+  const paper = XLSX_PAPER_SIZES[setup && setup.attributes.paperSize] || XLSX_PAPER_SIZES[1];
+  const landscape = setup && setup.attributes.orientation === 'landscape';
+  const pageWidth = landscape ? paper[1] : paper[0];
+  const pageHeight = landscape ? paper[0] : paper[1];
+  const marginsElement = ooxmlChild(root, 'pageMargins');
+  const inch = (name, fallback) => (ooxmlNumber(marginsElement, name) ?? fallback) * 72;
+  const margins = {
+    left: inch('left', 0.7), right: inch('right', 0.7), top: inch('top', 0.75), bottom: inch('bottom', 0.75),
+    header: inch('header', 0.3), footer: inch('footer', 0.3)
+  };
+  const printableWidth = pageWidth - margins.left - margins.right;
+  const printableHeight = pageHeight - margins.top - margins.bottom;
+
+  const columnList = [];
+  for (let col = area.left; col <= area.right; col++) columnList.push(col);
+  const rowList = [];
+  for (let row = area.top; row <= area.bottom; row++) rowList.push(row);
+  const totalWidth = columnList.reduce((sum, col) => sum + columnWidth(col), 0);
+  const totalHeight = rowList.reduce((sum, row) => sum + rowHeight(row), 0);
+
+  let scale = Math.min(4, Math.max(0.1, (ooxmlNumber(setup, 'scale') || 100) / 100));
+  const fitToPage = ['1', 'true'].includes((ooxmlPath(root, 'sheetPr', 'pageSetUpPr') || { attributes: {} }).attributes.fitToPage);
+  if (fitToPage) {
+    const wide = ooxmlNumber(setup, 'fitToWidth') ?? 1;
+    const tall = ooxmlNumber(setup, 'fitToHeight') ?? 1;
+    scale = 1;
+    if (wide > 0 && totalWidth > 0) scale = Math.min(scale, printableWidth * wide / totalWidth);
+    if (tall > 0 && totalHeight > 0) scale = Math.min(scale, printableHeight * tall / totalHeight);
+  }
+
+  // Rows repeated at the top of every page
+  const titleMatch = /\$?(\d+):\$?(\d+)/.exec((options.printTitles || '').split(',').find(part => /\$?\d+:\$?\d+$/.test(part)) || '');
+  const titleRows = [];
+  if (titleMatch) {
+    for (let row = parseInt(titleMatch[1]); row <= parseInt(titleMatch[2]); row++) titleRows.push(row);
+  }
+  const titleHeight = titleRows.reduce((sum, row) => sum + rowHeight(row), 0) * scale;
+
+  const breaks = name => new Set(ooxmlChildren(ooxmlChild(root, name), 'brk').map(brk => ooxmlNumber(brk, 'id')));
+  const rowBreaks = breaks('rowBreaks');
+  const colBreaks = breaks('colBreaks');
+
+  // Split into runs of rows / columns that fit the printable area
+  const split = (list, size, available, manualBreaks, reserved) => {
+    const runs = [];
+    let current = [];
+    let filled = 0;
+    for (const item of list) {
+      const itemSize = size(item) * scale;
+      const room = available - (runs.length > 0 ? reserved : 0);
+      if (current.length > 0 && filled + itemSize > room + 0.01) {
+        runs.push(current);
+        current = [];
+        filled = 0;
+      }
+      current.push(item);
+      filled += itemSize;
+      if (manualBreaks.has(item)) {
+        runs.push(current);
+        current = [];
+        filled = 0;
+      }
+    }
+    if (current.length > 0) runs.push(current);
+    return runs;
+  };
+  const rowRuns = split(rowList, rowHeight, printableHeight, rowBreaks, titleHeight);
+  const columnRuns = split(columnList, columnWidth, printableWidth, colBreaks, 0);
+
+  const pages = [];
+  const overThenDown = setup && setup.attributes.pageOrder === 'overThenDown';
+  if (overThenDown) rowRuns.forEach(rows => columnRuns.forEach(cols => pages.push({ rows, cols })));
+  else columnRuns.forEach(cols => rowRuns.forEach(rows => pages.push({ rows, cols })));
+  pages.forEach(page => {
+    if (titleRows.length > 0 && page.rows[0] > titleRows[titleRows.length - 1]) {
+      page.rows = titleRows.filter(row => rowHeight(row) > 0).concat(page.rows);
+    }
+  });
+
+  const printOptions = ooxmlChild(root, 'printOptions');
+  const headerFooter = ooxmlChild(root, 'headerFooter');
+  return {
+    cells, merges, columnWidth, rowHeight, scale, margins, pageWidth, pageHeight, pages,
+    gridlines: options.gridlines,
+    centerHorizontally: Boolean(printOptions && ['1', 'true'].includes(printOptions.attributes.horizontalCentered)),
+    centerVertically: Boolean(printOptions && ['1', 'true'].includes(printOptions.attributes.verticalCentered)),
+    header: (ooxmlChild(headerFooter, 'oddHeader') || { text: '' }).text,
+    footer: (ooxmlChild(headerFooter, 'oddFooter') || { text: '' }).text,
+    defaultFont
+  };
+}
+
+// Page sizes by SpreadsheetML paperSize code (points, portrait)
+const XLSX_PAPER_SIZES = {
+  1: [612, 792], 3: [792, 1224], 5: [612, 1008], 8: [841.89, 1190.55], 9: [595.28, 841.89],
+  11: [419.53, 595.28], 12: [708.66, 1000.63], 13: [498.9, 708.66]
+};
+
+// A cell's display value: { text | runs, kind: 'number' | 'text' | 'boolean' | 'error', color }
+// or null for empty cells. Formulas show their cached result.
+function readXlsxCellValue(cell, xlsx, format) {
+  const type = cell.attributes.t || 'n';
+  const value = ooxmlChild(cell, 'v');
+  const raw = value ? value.text : null;
+
+  if (type === 'inlineStr') {
+    const inline = ooxmlChild(cell, 'is');
+    const runs = ooxmlChildren(inline, 'r');
+    const text = runs.length > 0
+      ? runs.map(run => (ooxmlChild(run, 't') || { text: '' }).text).join('')
+      : (ooxmlChild(inline, 't') || { text: '' }).text;
+    return text ? { text, kind: 'text' } : null;
+  }
+  if (raw === null || raw === '') return null;
+  if (type === 's') {
+    const shared = xlsx.sharedStrings[parseInt(raw)];
+    if (Array.isArray(shared)) return { runs: shared, text: shared.map(run => run.text).join(''), kind: 'text' };
+    return shared ? { text: shared, kind: 'text' } : null;
+  }
+  if (type === 'str') return { text: raw, kind: 'text' };
+  if (type === 'b') return { text: raw === '1' ? 'TRUE' : 'FALSE', kind: 'boolean' };
+  if (type === 'e') return { text: raw, kind: 'error' };
+
+  let number = parseFloat(raw);
+  if (type === 'd') {
+    const time = Date.parse(raw.endsWith('Z') || /[+-]\d\d:\d\d$/.test(raw) ? raw : raw + 'Z');
+    if (!Number.isFinite(time)) return { text: raw, kind: 'text' };
+    number = time / 86400000 + (xlsx.date1904 ? 24107 : 25569);
+  }
+  if (!Number.isFinite(number)) return { text: raw, kind: 'text' };
+  const formatted = formatSpreadsheetNumber(number, format.numberFormat, xlsx.date1904);
+  return { text: formatted.text, color: formatted.color, kind: 'number' };
+}
+
+// Draw one page of a sheet: fills, gridlines, text, then borders on top
+function drawXlsxPage(page, layout, region, xlsx) {
+  const { scale, margins, cells, merges } = layout;
+  const pageHeight = page.getHeight();
+
+  // Column and row positions on the page (points from the top-left of the printable area)
+  const xs = new Map();
+  let x = 0;
+  region.cols.forEach(col => {
+    xs.set(col, x);
+    x += layout.columnWidth(col) * scale;
+  });
+  const ys = new Map();
+  let y = 0;
+  region.rows.forEach(row => {
+    ys.set(row, y);
+    y += layout.rowHeight(row) * scale;
+  });
+  const left = margins.left + (layout.centerHorizontally ? Math.max(0, (page.getWidth() - margins.left - margins.right - x) / 2) : 0);
+  const top = margins.top + (layout.centerVertically ? Math.max(0, (pageHeight - margins.top - margins.bottom - y) / 2) : 0);
+  const width = col => layout.columnWidth(col) * scale;
+  const height = row => layout.rowHeight(row) * scale;
+
+  // Merged ranges: the top-left cell spans the whole range; the others are covered
+  const mergeAt = new Map();
+  merges.forEach(merge => {
+    for (let row = merge.top; row <= merge.bottom; row++) {
+      for (let col = merge.left; col <= merge.right; col++) mergeAt.set(`${row}:${col}`, merge);
+    }
+  });
+  const boxOf = (row, col) => {
+    const merge = mergeAt.get(`${row}:${col}`);
+    if (!merge) return { x: xs.get(col), y: ys.get(row), width: width(col), height: height(row) };
+    const rowsIn = region.rows.filter(r => r >= merge.top && r <= merge.bottom);
+    const colsIn = region.cols.filter(c => c >= merge.left && c <= merge.right);
+    return {
+      x: xs.get(colsIn[0]),
+      y: ys.get(rowsIn[0]),
+      width: colsIn.reduce((sum, c) => sum + width(c), 0),
+      height: rowsIn.reduce((sum, r) => sum + height(r), 0)
+    };
+  };
+  const pdfRect = box => ({ x: left + box.x, y: pageHeight - top - box.y - box.height, width: box.width, height: box.height });
+
+  const visible = [];
+  region.rows.forEach(row => region.cols.forEach(col => {
+    const merge = mergeAt.get(`${row}:${col}`);
+    // A merged range is drawn from its first cell on this page
+    if (merge && (row !== region.rows.find(r => r >= merge.top && r <= merge.bottom) ||
+      col !== region.cols.find(c => c >= merge.left && c <= merge.right))) return;
+    const cell = cells.get(`${merge ? merge.top : row}:${merge ? merge.left : col}`);
+    if (cell && width(col) > 0 && height(row) > 0) visible.push({ cell, row, col, box: boxOf(row, col), merged: Boolean(merge) });
+  }));
+
+  visible.forEach(({ cell, box }) => {
+    if (cell.format.fill) page.drawRectangle({ ...pdfRect(box), color: hexToRgb(cell.format.fill) });
+  });
+
+  if (layout.gridlines) {
+    const filled = (row, col) => {
+      const merge = mergeAt.get(`${row}:${col}`);
+      const cell = cells.get(merge ? `${merge.top}:${merge.left}` : `${row}:${col}`);
+      return Boolean(cell && cell.format.fill);
+    };
+    const sameMerge = (a, b) => a && a === b;
+    const gray = rgb(0.78, 0.78, 0.78);
+    region.rows.forEach((row, r) => region.cols.forEach((col, c) => {
+      if (width(col) === 0 || height(row) === 0) return;
+      const x1 = left + xs.get(col);
+      const y1 = pageHeight - top - ys.get(row);
+      const here = mergeAt.get(`${row}:${col}`);
+      const below = region.rows[r + 1];
+      const right = region.cols[c + 1];
+      const fillHere = filled(row, col);
+      if (r === 0 && !fillHere) page.drawLine({ start: { x: x1, y: y1 }, end: { x: x1 + width(col), y: y1 }, thickness: 0.25, color: gray });
+      if (c === 0 && !fillHere) page.drawLine({ start: { x: x1, y: y1 }, end: { x: x1, y: y1 - height(row) }, thickness: 0.25, color: gray });
+      if (!sameMerge(here, below && mergeAt.get(`${below}:${col}`)) && !fillHere && !(below && filled(below, col))) {
+        page.drawLine({ start: { x: x1, y: y1 - height(row) }, end: { x: x1 + width(col), y: y1 - height(row) }, thickness: 0.25, color: gray });
+      }
+      if (!sameMerge(here, right && mergeAt.get(`${row}:${right}`)) && !fillHere && !(right && filled(row, right))) {
+        page.drawLine({ start: { x: x1 + width(col), y: y1 }, end: { x: x1 + width(col), y: y1 - height(row) }, thickness: 0.25, color: gray });
+      }
+    }));
+  }
+
+  // Text: numbers right-aligned, text left, booleans and errors centred unless the cell says
+  // otherwise. Unwrapped text runs on into empty neighbours; numbers that don't fit show ###.
+  const occupied = (row, col) => cells.has(`${row}:${col}`) && cells.get(`${row}:${col}`).text || mergeAt.has(`${row}:${col}`);
+  visible.forEach(({ cell, row, col, box, merged }) => {
+    if (!cell.text) return;
+    const format = cell.format;
+    const align = { left: 'left', right: 'right', center: 'center', centerContinuous: 'center', justify: 'both', distributed: 'both' }[format.horizontal] ||
+      (cell.kind === 'number' ? 'right' : cell.kind === 'text' ? 'left' : 'center');
+    const padding = 2 * scale;
+    const indent = format.indent * 9 * scale;
+    const items = [];
+    for (const run of cell.runs || [{ text: cell.text, font: {} }]) {
+      const style = xlsxTextStyle(xlsx, { ...layout.defaultFont, ...format.font, ...run.font, color: cell.color || run.font.color || format.font.color }, scale);
+      run.text.split(/\r?\n/).forEach((part, i) => {
+        if (i > 0) items.push(format.wrap ? { lineBreak: true, style } : { text: ' ', style });
+        if (part) items.push(officeTextItem(xlsx.fonts, part, style));
+      });
+    }
+    if (items.length === 0) return;
+
+    // The area the text may use: the cell, or empty neighbours it runs on into
+    let area = { x: box.x, width: box.width };
+    let text = { x: box.x + padding + (align === 'left' ? indent : 0), width: box.width - 2 * padding - indent };
+    let lines = wrapOfficeInline(items, format.wrap ? Math.max(text.width, 1) : Infinity);
+    const need = Math.max(...lines.map(line => line.contentWidth));
+    if (!format.wrap && need > text.width) {
+      if (cell.kind === 'number') {
+        const style = items[0].style;
+        const hashes = '#'.repeat(Math.max(1, Math.floor(text.width / style.font.widthOfTextAtSize('#', style.size))));
+        lines = wrapOfficeInline([{ text: hashes, style }], Infinity);
+      } else if (!merged) {
+        const index = region.cols.indexOf(col);
+        let from = index;
+        let to = index;
+        const span = () => region.cols.slice(from, to + 1).reduce((sum, c) => sum + width(c), 0);
+        while (span() < need + 2 * padding + indent) {
+          const canRight = align !== 'right' && to + 1 < region.cols.length && !occupied(row, region.cols[to + 1]);
+          const canLeft = align !== 'left' && from > 0 && !occupied(row, region.cols[from - 1]);
+          if (!canRight && !canLeft) break;
+          if (canRight) to++;
+          if (canLeft) from--;
+        }
+        area = { x: xs.get(region.cols[from]), width: span() };
+        if (align === 'left') text.width = area.x + area.width - text.x - padding;
+        else if (align === 'right') text = { x: area.x + padding, width: box.x + box.width - padding - indent - area.x - padding };
+        else text = { x: box.x + box.width / 2 - need / 2, width: need };
+      }
+    }
+
+    const blockHeight = lines.reduce((sum, line) => sum + line.height, 0);
+    const vertical = format.vertical || 'bottom';
+    let lineTop = box.y + (vertical === 'top' ? 1 : vertical === 'center' ? (box.height - blockHeight) / 2 : box.height - blockHeight - 1);
+    const clipRect = pdfRect({ x: area.x, y: box.y, width: area.width, height: box.height });
+    page.pushOperators(pushGraphicsState(), rectangle(clipRect.x, clipRect.y, clipRect.width, clipRect.height), clip(), endPath());
+    for (const line of lines) {
+      drawOfficeLine(page, line, left + text.x, top + lineTop, text.width, align);
+      lineTop += line.height;
+    }
+    page.pushOperators(popGraphicsState());
+  });
+
+  // Borders: each cell's own, with merged ranges taking the first cell's outer edges
+  visible.forEach(({ cell, box }) => {
+    const sides = cell.format.border;
+    const rect = pdfRect(box);
+    const edges = {
+      top: [rect.x, rect.y + rect.height, rect.x + rect.width, rect.y + rect.height],
+      bottom: [rect.x, rect.y, rect.x + rect.width, rect.y],
+      left: [rect.x, rect.y, rect.x, rect.y + rect.height],
+      right: [rect.x + rect.width, rect.y, rect.x + rect.width, rect.y + rect.height]
+    };
+    for (const [side, [x1, y1, x2, y2]] of Object.entries(edges)) {
+      const border = sides[side];
+      if (!border) continue;
+      page.drawLine({
+        start: { x: x1, y: y1 },
+        end: { x: x2, y: y2 },
+        thickness: border.width * scale,
+        color: hexToRgb(border.color),
+        dashArray: border.dashed ? [border.width * 3, border.width * 2] : undefined
+      });
+    }
+  });
+}
+
+// Spreadsheet font -> shared style object for wrapOfficeInline (sizes scaled with the page)
+function xlsxTextStyle(xlsx, font, scale) {
+  const key = JSON.stringify([font.name, font.bold, font.italic, font.size, font.color, font.underline, font.strike, font.vertAlign, scale]);
+  if (xlsx.styleCache.has(key)) return xlsx.styleCache.get(key);
+  const size = (font.size || 11) * scale;
+  const script = font.vertAlign === 'superscript' || font.vertAlign === 'subscript';
+  const style = {
+    font: xlsx.fonts.get(font.name || 'Calibri', font.bold, font.italic),
+    size: script ? size * 0.65 : size,
+    rise: font.vertAlign === 'superscript' ? size * 0.33 : font.vertAlign === 'subscript' ? -size * 0.14 : 0,
+    color: font.color ? hexToRgb(font.color) : null,
+    underline: Boolean(font.underline),
+    strike: Boolean(font.strike)
+  };
+  xlsx.styleCache.set(key, style);
+  return style;
+}
+
+// Header/footer codes: &L &C &R sections, &P page, &N pages, &A sheet, &F file, &D date, &T time;
+// font codes (&"Arial,Bold", &12, &B...) are dropped
+function drawXlsxHeaderFooter(page, layout, xlsx, values) {
+  const now = new Date();
+  const expand = text => text
+    .replace(/&"[^"]*"/g, '')
+    .replace(/&\d+/g, '')
+    .replace(/&([PNAFDTZGBIUSEXYKpnafdtzgbiusexy])/g, (match, code) => ({
+      P: String(values.page), N: String(values.pages), A: values.sheet, F: xlsx.fileName,
+      D: now.toLocaleDateString('en-US'), T: now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    })[code.toUpperCase()] || '')
+    .replace(/&&/g, '&');
+
+  const sectionsOf = text => {
+    const sections = { L: '', C: '', R: '' };
+    let current = 'C';
+    for (const part of text.split(/(&[LCR])/)) {
+      if (/^&[LCR]$/.test(part)) current = part[1];
+      else sections[current] += part;
+    }
+    return sections;
+  };
+
+  const style = xlsxTextStyle(xlsx, { ...layout.defaultFont, size: 10, bold: false, italic: false, underline: false }, 1);
+  const width = page.getWidth() - layout.margins.left - layout.margins.right;
+  for (const [text, edge] of [[layout.header, 'header'], [layout.footer, 'footer']]) {
+    if (!text) continue;
+    const sections = sectionsOf(text);
+    for (const [key, align] of [['L', 'left'], ['C', 'center'], ['R', 'right']]) {
+      const content = expand(sections[key]).trim();
+      if (!content) continue;
+      const lines = wrapOfficeInline([officeTextItem(xlsx.fonts, content, style)], width);
+      const height = lines.reduce((sum, line) => sum + line.height, 0);
+      let lineTop = edge === 'header' ? layout.margins.header : page.getHeight() - layout.margins.footer - height;
+      for (const line of lines) {
+        drawOfficeLine(page, line, layout.margins.left, lineTop, width, align);
+        lineTop += line.height;
+      }
+    }
+  }
+}
+
+// ---- Spreadsheet number formats ----
+
+// Built-in number formats by numFmtId (the ones every workbook may use without defining)
+const XLSX_BUILTIN_FORMATS = {
+  0: 'General', 1: '0', 2: '0.00', 3: '#,##0', 4: '#,##0.00',
+  5: '"$"#,##0_);("$"#,##0)', 6: '"$"#,##0_);[Red]("$"#,##0)', 7: '"$"#,##0.00_);("$"#,##0.00)', 8: '"$"#,##0.00_);[Red]("$"#,##0.00)',
+  9: '0%', 10: '0.00%', 11: '0.00E+00', 12: '# ?/?', 13: '# ??/??',
+  14: 'm/d/yyyy', 15: 'd-mmm-yy', 16: 'd-mmm', 17: 'mmm-yy', 18: 'h:mm AM/PM', 19: 'h:mm:ss AM/PM',
+  20: 'h:mm', 21: 'h:mm:ss', 22: 'm/d/yyyy h:mm',
+  37: '#,##0 ;(#,##0)', 38: '#,##0 ;[Red](#,##0)', 39: '#,##0.00;(#,##0.00)', 40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss', 46: '[h]:mm:ss', 47: 'mm:ss.0', 48: '##0.0E+0', 49: '@'
+};
+
+const XLSX_FORMAT_COLORS = {
+  black: '000000', blue: '0000FF', cyan: '00FFFF', green: '00FF00', magenta: 'FF00FF', red: 'FF0000', white: 'FFFFFF', yellow: 'FFFF00'
+};
+
+// Format a number with an Excel format code -> { text, color }. Covers sections and conditions,
+// colours, literals, grouping, decimals, percent, scientific, fractions, dates, times and
+// elapsed time. Dates use the 1900 system (with its phantom 29 Feb 1900) or the 1904 one.
+function formatSpreadsheetNumber(value, code, date1904) {
+  const sections = splitFormatSections(code || 'General');
+  let section = sections[0];
+  let useAbsolute = false;
+
+  const conditional = sections.some(part => /^\s*(\[[^\]]*\])*\[(<=|>=|<>|<|>|=)-?[\d.]+\]/.test(part));
+  if (conditional) {
+    const matches = part => {
+      const match = /\[(<=|>=|<>|<|>|=)(-?[\d.]+)\]/.exec(part);
+      if (!match) return null;
+      const limit = parseFloat(match[2]);
+      return { '<': value < limit, '<=': value <= limit, '>': value > limit, '>=': value >= limit, '=': value === limit, '<>': value !== limit }[match[1]];
+    };
+    section = sections.find(part => matches(part) === true) || sections.find(part => matches(part) === null && !/@/.test(part)) || sections[0];
+    useAbsolute = value < 0 && section !== sections[0];
+  } else if (value < 0 && sections.length > 1) {
+    section = sections[1];
+    useAbsolute = true;
+  } else if (value === 0 && sections.length > 2) {
+    section = sections[2];
+  }
+
+  let color = null;
+  section = section.replace(/\[(black|blue|cyan|green|magenta|red|white|yellow|color\s*(\d+))\]/gi, (match, name, index) => {
+    color = index ? XLSX_INDEXED_COLORS[parseInt(index) + 7] || null : XLSX_FORMAT_COLORS[name.toLowerCase()];
+    return '';
+  });
+  section = section
+    .replace(/\[\$([^\]-]*)(-[0-9a-f]+)?\]/gi, (match, symbol) => (symbol ? `"${symbol}"` : ''))
+    .replace(/\[(<=|>=|<>|<|>|=)-?[\d.]+\]/g, '');
+
+  const number = useAbsolute ? Math.abs(value) : value;
+  let text;
+  if (/^\s*general\s*$/i.test(section) || section.trim() === '') {
+    text = formatGeneralNumber(number);
+  } else if (isDateFormatSection(section)) {
+    text = formatSpreadsheetDate(number, section, date1904);
+  } else {
+    text = formatSpreadsheetDigits(number, section);
+  }
+  return { text, color };
+}
+
+// Split "pos;neg;zero;text" at semicolons outside quotes and brackets
+function splitFormatSections(code) {
+  const sections = [];
+  let current = '';
+  let quoted = false;
+  let bracket = false;
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (char === '\\' && !quoted) {
+      current += char + (code[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char === '[') bracket = true;
+    else if (!quoted && char === ']') bracket = false;
+    if (char === ';' && !quoted && !bracket) {
+      sections.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  sections.push(current);
+  return sections;
+}
+
+// Excel's General format: up to 11 characters, switching to scientific notation when needed
+function formatGeneralNumber(value) {
+  if (value === 0) return '0';
+  const abs = Math.abs(value);
+  if (Number.isInteger(value) && abs < 1e11) return String(value);
+  if (abs >= 1e11 || abs < 1e-9) {
+    return value.toExponential(5).replace(/\.?0+e/, 'e').replace(/e([+-])(\d)$/, 'e$10$2').replace('e', 'E');
+  }
+  const digits = Math.max(1, 10 - Math.max(0, Math.floor(Math.log10(abs))));
+  return String(parseFloat(value.toFixed(Math.min(digits, 15))));
+}
+
+// True when a section formats dates or times (y, m, d, h, s outside quotes, escapes and brackets)
+function isDateFormatSection(section) {
+  const bare = section
+    .replace(/"[^"]*"|\\.|_.|\*./g, '')
+    .replace(/\[[^\]]*\]/g, match => (/^\[(h+|m+|s+)\]$/i.test(match) ? 'h' : ''));
+  return /[ymdhs]/i.test(bare);
+}
+
+const FORMAT_MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const FORMAT_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function formatSpreadsheetDate(serial, section, date1904) {
+  // Calendar parts; serial 60 in the 1900 system is the non-existent 29 Feb 1900
+  let days = Math.floor(serial);
+  // Whole seconds are rounded unless the format shows fractions of a second
+  let seconds = /s\.0/i.test(section) ? Math.round((serial - days) * 86400 * 1000) / 1000 : Math.round((serial - days) * 86400);
+  if (seconds >= 86400) {
+    days += 1;
+    seconds -= 86400;
+  }
+  let date;
+  if (date1904) date = new Date(Date.UTC(1904, 0, 1) + days * 86400000);
+  else if (days === 60) date = null;
+  else date = new Date(Date.UTC(1899, 11, 31) + (days > 60 ? days - 1 : days) * 86400000);
+  const year = date ? date.getUTCFullYear() : 1900;
+  const month = date ? date.getUTCMonth() : 1;
+  const day = date ? date.getUTCDate() : 29;
+  const weekday = date ? date.getUTCDay() : 3;
+  const wholeSeconds = Math.floor(seconds);
+  const hours = Math.floor(wholeSeconds / 3600);
+  const minutes = Math.floor(wholeSeconds / 60) % 60;
+
+  // Tokens
+  const tokens = [];
+  const pattern = /"([^"]*)"|\\(.)|_.|\*.|(\[h+\]|\[m+\]|\[s+\])|(AM\/PM|am\/pm|A\/P|a\/p)|(y+|m+|d+|h+|s+)(\.0+)?|(.)/gi;
+  let match;
+  while ((match = pattern.exec(section))) {
+    if (match[1] !== undefined) tokens.push({ literal: match[1] });
+    else if (match[2] !== undefined) tokens.push({ literal: match[2] });
+    else if (match[0][0] === '_') tokens.push({ literal: ' ' });
+    else if (match[0][0] === '*') continue;
+    else if (match[3]) tokens.push({ elapsed: match[3][1].toLowerCase(), width: match[3].length - 2 });
+    else if (match[4]) tokens.push({ meridiem: match[4] });
+    else if (match[5]) tokens.push({ part: match[5][0].toLowerCase(), width: match[5].length, fraction: match[6] ? match[6].length - 1 : 0 });
+    else tokens.push({ literal: match[7] });
+  }
+
+  // "m" means minutes right after an hour or right before seconds
+  const parts = tokens.filter(token => token.part || token.elapsed);
+  parts.forEach((token, i) => {
+    if (token.part !== 'm') return;
+    const previous = parts[i - 1];
+    const next = parts[i + 1];
+    if (previous && (previous.part === 'h' || previous.elapsed === 'h') || next && (next.part === 's' || next.elapsed === 's')) token.part = 'minute';
+  });
+  const twelveHour = tokens.some(token => token.meridiem);
+
+  const pad = (number, width) => String(number).padStart(width, '0');
+  return tokens.map(token => {
+    if (token.literal !== undefined) return token.literal;
+    if (token.meridiem) {
+      const pm = hours >= 12;
+      if (/^a\/p$/i.test(token.meridiem)) return pm ? (token.meridiem[2] === 'p' ? 'p' : 'P') : token.meridiem[0];
+      return pm ? 'PM' : 'AM';
+    }
+    if (token.elapsed) {
+      const total = token.elapsed === 'h' ? Math.floor(serial * 24) : token.elapsed === 'm' ? Math.floor(serial * 1440) : Math.floor(serial * 86400);
+      return pad(total, token.width);
+    }
+    const { part, width } = token;
+    if (part === 'y') return width <= 2 ? pad(year % 100, 2) : String(year);
+    if (part === 'm') {
+      if (width >= 5) return FORMAT_MONTH_NAMES[month][0];
+      if (width === 4) return FORMAT_MONTH_NAMES[month];
+      if (width === 3) return FORMAT_MONTH_NAMES[month].slice(0, 3);
+      return pad(month + 1, width);
+    }
+    if (part === 'd') {
+      if (width >= 4) return FORMAT_DAY_NAMES[weekday];
+      if (width === 3) return FORMAT_DAY_NAMES[weekday].slice(0, 3);
+      return pad(day, width);
+    }
+    if (part === 'h') return pad(twelveHour ? (hours % 12 || 12) : hours, Math.min(width, 2));
+    if (part === 'minute') return pad(minutes, Math.min(width, 2));
+    if (part === 's') {
+      const text = pad(wholeSeconds % 60, Math.min(width, 2));
+      return token.fraction ? text + (seconds % 1).toFixed(token.fraction).slice(1) : text;
+    }
+    return '';
+  }).join('');
+}
+
+// Digit formats: literals around one number pattern with 0 # ? placeholders, grouping commas,
+// scaling commas, decimals, % and E+ exponents, or a fraction "# ?/?"
+function formatSpreadsheetDigits(value, section) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|\\(.)|_(.)|\*(.)|([0#?,.%]+(?:[eE][+-][0#?]+)?(?:\s+[#0?]+\/[#0?\d]+)?|[#0?]+\/[#0?\d]+)|(@)|(.)/g;
+  let match;
+  while ((match = pattern.exec(section))) {
+    if (match[1] !== undefined) tokens.push(match[1]);
+    else if (match[2] !== undefined) tokens.push(match[2]);
+    else if (match[3] !== undefined) tokens.push(' ');
+    else if (match[4] !== undefined) continue;
+    else if (match[5] !== undefined) tokens.push({ digits: match[5] });
+    else if (match[6] !== undefined) tokens.push(String(value));
+    else tokens.push(match[7]);
+  }
+
+  const percent = (section.replace(/"[^"]*"/g, '').match(/%/g) || []).length;
+  const scaled = value * Math.pow(100, percent);
+
+  // Only the first placeholder group is the number; any further ones are printed as they are
+  let first = true;
+  const body = tokens.map(token => {
+    if (typeof token !== 'object') return token;
+    if (!first) return token.digits;
+    first = false;
+    return formatDigitPattern(Math.abs(scaled), token.digits);
+  }).join('');
+  return (scaled < 0 ? '-' : '') + body;
+}
+
+function formatDigitPattern(value, pattern) {
+  // Fractions: "# ?/?" or "?/4"
+  const fraction = /^(?:([#0?,]+)\s+)?([#0?]+)\/([#0?]+|\d+)$/.exec(pattern);
+  if (fraction) {
+    const whole = fraction[1] ? Math.floor(value) : 0;
+    const rest = value - whole;
+    let numerator;
+    let denominator;
+    if (/^\d+$/.test(fraction[3])) {
+      denominator = parseInt(fraction[3]);
+      numerator = Math.round(rest * denominator);
+    } else {
+      const limit = Math.pow(10, fraction[3].length) - 1;
+      let best = { error: Infinity, numerator: 0, denominator: 1 };
+      for (let d = 1; d <= limit; d++) {
+        const n = Math.round(rest * d);
+        const error = Math.abs(rest - n / d);
+        if (error < best.error - 1e-12) best = { error, numerator: n, denominator: d };
+      }
+      ({ numerator, denominator } = best);
+    }
+    const wholeText = fraction[1] ? (whole > 0 || numerator === 0 ? String(whole) : '') : '';
+    if (numerator === 0) return wholeText || '0';
+    return `${wholeText}${wholeText ? ' ' : ''}${fraction[1] ? numerator : Math.round(value * denominator)}/${denominator}`;
+  }
+
+  const exponentMatch = /[eE]([+-])([0#?]+)$/.exec(pattern);
+  let mantissaPattern = exponentMatch ? pattern.slice(0, exponentMatch.index) : pattern;
+  mantissaPattern = mantissaPattern.replace(/%/g, '');
+
+  // Commas right after the last integer placeholder divide by 1000 each
+  const scaling = /,+(?=\.|$)/.exec(mantissaPattern);
+  if (scaling) {
+    value /= Math.pow(1000, scaling[0].length);
+    mantissaPattern = mantissaPattern.slice(0, scaling.index) + mantissaPattern.slice(scaling.index + scaling[0].length);
+  }
+
+  const [integerPattern, decimalPattern = ''] = mantissaPattern.split('.');
+  const grouping = /[#0?],[#0?]/.test(integerPattern);
+  const integerDigits = integerPattern.replace(/,/g, '');
+  const minInteger = (integerDigits.match(/0/g) || []).length;
+  const decimals = decimalPattern.replace(/[^0#?]/g, '').length;
+  const minDecimals = (decimalPattern.match(/0/g) || []).length;
+
+  let exponent = 0;
+  if (exponentMatch) {
+    if (value !== 0) {
+      // Engineering-style patterns (##0.0E+0) keep the exponent a multiple of the integer width
+      const step = integerDigits.length > 1 && /#/.test(integerDigits) ? integerDigits.length : 1;
+      exponent = Math.floor(Math.log10(value) / step) * step;
+      if (step === 1 && minInteger > 1) exponent -= minInteger - 1;
+    }
+    value /= Math.pow(10, exponent);
+  }
+
+  let [integerText, decimalText = ''] = value.toFixed(decimals).split('.');
+  if (exponentMatch && parseFloat(integerText) >= 10 && integerDigits.length === 1) {
+    exponent += 1;
+    [integerText, decimalText = ''] = (value / 10).toFixed(decimals).split('.');
+  }
+  decimalText = decimalText.replace(/0+$/, '');
+  if (decimalText.length < minDecimals) decimalText = decimalText.padEnd(minDecimals, '0');
+  if (integerText === '0' && minInteger === 0) integerText = '';
+  integerText = integerText.padStart(minInteger, '0');
+  if (grouping) integerText = integerText.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+  let text = integerText;
+  if (mantissaPattern.includes('.')) text += '.' + decimalText;
+  if (exponentMatch) {
+    const sign = exponent < 0 ? '-' : exponentMatch[1] === '+' ? '+' : '';
+    text += 'E' + sign + String(Math.abs(exponent)).padStart((exponentMatch[2].match(/0/g) || []).length, '0');
+  }
+  return text + '%'.repeat((pattern.match(/%/g) || []).length);
+}
+
+// ---- PPTX ----
+
+// PowerPoint presentation: one page per visible slide at the slide size with the background, the
+// master's and layout's own shapes, then the slide's text boxes, shapes, pictures, groups and
+// tables. Placeholders take their position and text formatting from the layout and master.
+async function renderPptxToPdf(context) {
+  const { zip } = context;
+  const presentationPath = 'ppt/presentation.xml';
+  const presentation = await readOoxmlPart(zip, presentationPath);
+  const relationships = await readOoxmlRelationships(zip, presentationPath);
+  const size = ooxmlChild(presentation, 'p:sldSz');
+  const width = ooxmlNumber(size, 'cx', 1 / 12700) || 720;
+  const height = ooxmlNumber(size, 'cy', 1 / 12700) || 540;
+
+  const pptx = Object.assign(context, {
+    parts: new Map(),
+    themes: new Map(),
+    defaultTextStyle: ooxmlChild(presentation, 'p:defaultTextStyle'),
+    styleCache: new Map(),
+    skippedObjects: 0
+  });
+
+  const slideIds = ooxmlChildren(ooxmlChild(presentation, 'p:sldIdLst'), 'p:sldId');
+  let hidden = 0;
+  for (const [index, slideId] of slideIds.entries()) {
+    const relationship = relationships[slideId.attributes['r:id']];
+    const slide = relationship && await loadPptxPart(pptx, relationship.target);
+    if (!slide) continue;
+    if (slide.root.attributes.show === '0') {
+      hidden++;
+      continue;
+    }
+
+    const layout = await loadPptxPart(pptx, relatedPptxPart(slide, 'slideLayout'));
+    const master = await loadPptxPart(pptx, relatedPptxPart(layout, 'slideMaster'));
+    const themePath = relatedPptxPart(master, 'theme');
+    if (!pptx.themes.has(themePath)) pptx.themes.set(themePath, await readOoxmlTheme(zip, themePath));
+    const theme = pptx.themes.get(themePath);
+
+    // Scheme names (tx1, bg1, accent1...) go through the master's colour map, unless the slide overrides it
+    const override = ooxmlPath(slide.root, 'p:clrMapOvr', 'a:overrideClrMapping');
+    const colorMap = (override || ooxmlChild(master && master.root, 'p:clrMap') || { attributes: {} }).attributes;
+    const textStyles = ooxmlChild(master && master.root, 'p:txStyles');
+    const scene = {
+      pptx,
+      page: addOfficePage(context, width, height),
+      slide,
+      layout,
+      master,
+      theme,
+      number: index + 1,
+      scheme: name => theme.colors[colorMap[name] || name] || theme.colors[name] || null,
+      textStyles: {
+        title: ooxmlChild(textStyles, 'p:titleStyle'),
+        body: ooxmlChild(textStyles, 'p:bodyStyle'),
+        other: ooxmlChild(textStyles, 'p:otherStyle')
+      }
+    };
+
+    await drawPptxBackground(scene, width, height);
+    const rootTransform = { scaleX: 1 / 12700, scaleY: 1 / 12700, offsetX: 0, offsetY: 0 };
+    if (slide.root.attributes.showMasterSp !== '0') {
+      if (master && (!layout || layout.root.attributes.showMasterSp !== '0')) {
+        await drawPptxShapeTree(scene, master, pptxShapeTree(master), rootTransform, true);
+      }
+      if (layout) await drawPptxShapeTree(scene, layout, pptxShapeTree(layout), rootTransform, true);
+    }
+    await drawPptxShapeTree(scene, slide, pptxShapeTree(slide), rootTransform, false);
+
+    context.onProgress({ completed: index + 1, total: slideIds.length + 1, message: `Drew slide ${index + 1}` });
+  }
+
+  if (context.pdfDoc.getPageCount() === 0) {
+    throw httpError(400, 'The presentation has no slides to print');
+  }
+  if (hidden > 0) {
+    context.warnings.push(`${hidden} hidden slide(s) were left out`);
+  }
+  if (pptx.skippedObjects > 0) {
+    context.warnings.push(`${pptx.skippedObjects} chart(s), diagram(s) or embedded object(s) were left out`);
+  }
+}
+
+// A slide, layout or master with its relationships, loaded once
+async function loadPptxPart(pptx, path) {
+  if (!path) return null;
+  if (!pptx.parts.has(path)) {
+    const root = await readOoxmlPart(pptx.zip, path);
+    pptx.parts.set(path, root ? { path, root, rels: await readOoxmlRelationships(pptx.zip, path) } : null);
+  }
+  return pptx.parts.get(path);
+}
+
+function relatedPptxPart(part, type) {
+  const relationship = part && Object.values(part.rels).find(candidate => candidate.type === type && !candidate.external);
+  return relationship ? relationship.target : null;
+}
+
+function pptxShapeTree(part) {
+  return ooxmlPath(part.root, 'p:cSld', 'p:spTree');
+}
+
+// The first background found on the slide, its layout or its master: a colour, the first stop
+// of a gradient, a picture, or a theme background reference's colour
+async function drawPptxBackground(scene, width, height) {
+  for (const part of [scene.slide, scene.layout, scene.master]) {
+    const background = part && ooxmlPath(part.root, 'p:cSld', 'p:bg');
+    if (!background) continue;
+
+    const properties = ooxmlChild(background, 'p:bgPr');
+    const reference = ooxmlChild(background, 'p:bgRef');
+    const picture = properties && ooxmlChild(properties, 'a:blipFill');
+    if (picture) {
+      const blip = ooxmlChild(picture, 'a:blip');
+      const relationship = blip && part.rels[blip.attributes['r:embed']];
+      const image = relationship && !relationship.external ? await embedOfficeImage(scene.pptx, relationship.target) : null;
+      if (image) scene.page.drawImage(image, { x: 0, y: 0, width, height });
+      return;
+    }
+    const color = properties ? pptxFillColor(properties, scene) : { hex: drawingFillColor(reference, scene.scheme), opacity: 1 };
+    if (color && color.hex) scene.page.drawRectangle({ x: 0, y: 0, width, height, color: hexToRgb(color.hex), opacity: color.opacity });
+    return;
+  }
+}
+
+// The fill inside shape/background properties -> { hex, opacity }, null for no fill, undefined
+// when the properties don't say
+function pptxFillColor(properties, scene) {
+  for (const child of properties.children) {
+    if (child.name === 'a:noFill') return null;
+    if (child.name === 'a:solidFill' || child.name === 'a:pattFill' || child.name === 'a:gradFill') {
+      const source = child.name === 'a:pattFill' ? ooxmlChild(child, 'a:fgClr')
+        : child.name === 'a:gradFill' ? ooxmlPath(child, 'a:gsLst', 'a:gs') : child;
+      const colorElement = source && source.children.find(element => /^a:(srgbClr|schemeClr|sysClr|prstClr)$/.test(element.name));
+      const hex = resolveDrawingColor(colorElement, scene.scheme);
+      if (!hex) return null;
+      const alpha = ooxmlNumber(ooxmlChild(colorElement, 'a:alpha'), 'val', 1 / 100000);
+      return { hex, opacity: alpha === undefined ? 1 : alpha };
+    }
+  }
+  return undefined;
+}
+
+// Shapes of a tree in order. `skipPlaceholders` is set for master and layout trees, whose
+// placeholders are only templates for the slide's.
+async function drawPptxShapeTree(scene, part, tree, transform, skipPlaceholders) {
+  for (const child of tree ? tree.children : []) {
+    switch (child.name) {
+      case 'p:sp':
+      case 'p:cxnSp':
+        if (skipPlaceholders && pptxPlaceholder(child)) break;
+        await drawPptxShape(scene, part, child, transform);
+        break;
+      case 'p:pic':
+        if (skipPlaceholders && pptxPlaceholder(child)) break;
+        await drawPptxPicture(scene, part, child, transform);
+        break;
+      case 'p:grpSp':
+        await drawPptxShapeTree(scene, part, child, pptxGroupTransform(ooxmlPath(child, 'p:grpSpPr', 'a:xfrm'), transform), skipPlaceholders);
+        break;
+      case 'p:graphicFrame': {
+        const data = ooxmlPath(child, 'a:graphic', 'a:graphicData');
+        const table = ooxmlChild(data, 'a:tbl');
+        if (table) await drawPptxTable(scene, child, table, transform);
+        else scene.pptx.skippedObjects++;
+        break;
+      }
+      case 'mc:AlternateContent': {
+        const branch = ooxmlChild(child, 'mc:Fallback') || ooxmlChild(child, 'mc:Choice');
+        if (branch) await drawPptxShapeTree(scene, part, branch, transform, skipPlaceholders);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+// Group shapes map their children's coordinate space (chOff/chExt) onto their own box
+function pptxGroupTransform(xfrm, parent) {
+  const offset = ooxmlChild(xfrm, 'a:off');
+  const extent = ooxmlChild(xfrm, 'a:ext');
+  const childOffset = ooxmlChild(xfrm, 'a:chOff');
+  const childExtent = ooxmlChild(xfrm, 'a:chExt');
+  if (!offset || !extent || !childOffset || !childExtent) return parent;
+  const fx = (ooxmlNumber(extent, 'cx') || 0) / (ooxmlNumber(childExtent, 'cx') || 1) || 1;
+  const fy = (ooxmlNumber(extent, 'cy') || 0) / (ooxmlNumber(childExtent, 'cy') || 1) || 1;
+  return {
+    scaleX: parent.scaleX * fx,
+    scaleY: parent.scaleY * fy,
+    offsetX: parent.offsetX + parent.scaleX * ((ooxmlNumber(offset, 'x') || 0) - (ooxmlNumber(childOffset, 'x') || 0) * fx),
+    offsetY: parent.offsetY + parent.scaleY * ((ooxmlNumber(offset, 'y') || 0) - (ooxmlNumber(childOffset, 'y') || 0) * fy)
+  };
+}
+
+// <a:xfrm> -> { x, y, width, height, flipH, flipV } in points from the top-left of the slide
+function pptxBox(xfrm, transform) {
+  const offset = ooxmlChild(xfrm, 'a:off');
+  const extent = ooxmlChild(xfrm, 'a:ext');
+  if (!offset || !extent) return null;
+  return {
+    x: transform.offsetX + (ooxmlNumber(offset, 'x') || 0) * transform.scaleX,
+    y: transform.offsetY + (ooxmlNumber(offset, 'y') || 0) * transform.scaleY,
+    width: (ooxmlNumber(extent, 'cx') || 0) * transform.scaleX,
+    height: (ooxmlNumber(extent, 'cy') || 0) * transform.scaleY,
+    flipH: ['1', 'true'].includes(xfrm.attributes.flipH),
+    flipV: ['1', 'true'].includes(xfrm.attributes.flipV)
+  };
+}
+
+function pptxPlaceholder(shape) {
+  const properties = shape.children.find(child => /^p:nv\w+Pr$/.test(child.name));
+  return ooxmlPath(properties, 'p:nvPr', 'p:ph');
+}
+
+// Placeholder kinds for matching and text styles: titles, bodies and the rest (date, footer...)
+function pptxPlaceholderKind(placeholder) {
+  const type = placeholder.attributes.type || 'body';
+  if (type === 'title' || type === 'ctrTitle') return 'title';
+  if (['body', 'subTitle', 'obj', 'tbl', 'chart', 'pic', 'media', 'clipArt', 'dgm'].includes(type)) return 'body';
+  return type;
+}
+
+// The layout's or master's placeholder a slide placeholder inherits from: same idx, else same kind
+function findPptxPlaceholder(part, placeholder) {
+  const tree = part && pptxShapeTree(part);
+  if (!tree || !placeholder) return null;
+  const candidates = tree.children.filter(child => ['p:sp', 'p:pic'].includes(child.name) && pptxPlaceholder(child));
+  const kind = pptxPlaceholderKind(placeholder);
+  const idx = placeholder.attributes.idx;
+  return (idx !== undefined && candidates.find(child => pptxPlaceholder(child).attributes.idx === idx &&
+    pptxPlaceholderKind(pptxPlaceholder(child)) === kind)) ||
+    (idx !== undefined && kind === 'body' && candidates.find(child => pptxPlaceholder(child).attributes.idx === idx)) ||
+    candidates.find(child => pptxPlaceholderKind(pptxPlaceholder(child)) === kind) || null;
+}
+
+// A shape with what it inherits: the placeholder chain (slide -> layout -> master), its box
+function resolvePptxShape(scene, part, shape, transform) {
+  const placeholder = pptxPlaceholder(shape);
+  const inherited = [];
+  if (placeholder && part === scene.slide) {
+    const fromLayout = findPptxPlaceholder(scene.layout, placeholder);
+    const fromMaster = findPptxPlaceholder(scene.master, fromLayout ? pptxPlaceholder(fromLayout) : placeholder);
+    if (fromLayout) inherited.push(fromLayout);
+    if (fromMaster) inherited.push(fromMaster);
+  } else if (placeholder && part === scene.layout) {
+    const fromMaster = findPptxPlaceholder(scene.master, placeholder);
+    if (fromMaster) inherited.push(fromMaster);
+  }
+
+  const propertiesOf = element => element.children.find(child => child.name === 'p:spPr' || child.name === 'p:grpSpPr');
+  let box = pptxBox(ooxmlChild(propertiesOf(shape) || shape, 'a:xfrm'), transform);
+  for (const source of inherited) {
+    if (!box) box = pptxBox(ooxmlChild(propertiesOf(source) || source, 'a:xfrm'), { scaleX: 1 / 12700, scaleY: 1 / 12700, offsetX: 0, offsetY: 0 });
+  }
+  return { placeholder, inherited, box, properties: propertiesOf(shape) };
+}
+
+async function drawPptxShape(scene, part, shape, transform) {
+  const { placeholder, inherited, box, properties } = resolvePptxShape(scene, part, shape, transform);
+  if (!box) return;
+  const style = ooxmlChild(shape, 'p:style');
+
+  // Fill and outline: the shape's own, else what the shape style refers to
+  let fill = properties ? pptxFillColor(properties, scene) : undefined;
+  if (fill === undefined) {
+    const reference = ooxmlChild(style, 'a:fillRef');
+    fill = reference && reference.attributes.idx !== '0' ? pptxFillColor({ children: [{ name: 'a:solidFill', attributes: {}, children: reference.children }] }, scene) : null;
+  }
+  const line = pptxOutline(ooxmlChild(properties, 'a:ln'), ooxmlChild(style, 'a:lnRef'), scene);
+  const picture = ooxmlChild(properties, 'a:blipFill');
+  const geometry = ooxmlChild(properties, 'a:prstGeom');
+  const preset = geometry ? geometry.attributes.prst : ooxmlChild(properties, 'a:custGeom') ? 'custom' : 'rect';
+
+  if (picture) {
+    await drawPptxImage(scene, part, picture, box);
+  }
+  if (fill || line) {
+    drawPptxGeometry(scene.page, preset, ooxmlChild(properties, 'a:custGeom'), box, fill, line);
+  }
+
+  const body = ooxmlChild(shape, 'p:txBody');
+  if (body) {
+    const kind = placeholder ? pptxPlaceholderKind(placeholder) : null;
+    const bodies = [...inherited].reverse().map(source => ooxmlChild(source, 'p:txBody')).filter(Boolean);
+    const chain = placeholder
+      ? [kind === 'title' ? scene.textStyles.title : kind === 'body' ? scene.textStyles.body : scene.textStyles.other]
+      : [scene.pptx.defaultTextStyle, scene.textStyles.other];
+    bodies.forEach(inheritedBody => chain.push(ooxmlChild(inheritedBody, 'a:lstStyle')));
+    const fontReference = ooxmlChild(style, 'a:fontRef');
+    const fontColor = fontReference ? drawingFillColor(fontReference, scene.scheme) : null;
+    if (fontColor) chain.push({ run: { color: fontColor } });
+    chain.push(ooxmlChild(body, 'a:lstStyle'));
+
+    const bodyProperties = Object.assign({}, ...[...bodies, body].map(source => (ooxmlChild(source, 'a:bodyPr') || { attributes: {} }).attributes));
+    const autofit = ooxmlChild(ooxmlChild(body, 'a:bodyPr'), 'a:normAutofit');
+    const text = layoutPptxText(scene, body, box.width, chain.filter(Boolean), bodyProperties, autofit);
+    text.draw(box);
+  }
+}
+
+// <a:ln> (or the style's line reference) -> { hex, opacity, width, dash } or null
+function pptxOutline(ln, reference, scene) {
+  let color;
+  if (ln) {
+    const fill = pptxFillColor(ln, scene);
+    if (fill === null) return null;
+    color = fill;
+  }
+  if (color === undefined) {
+    if (!reference || reference.attributes.idx === '0') return null;
+    const hex = drawingFillColor(reference, scene.scheme);
+    color = hex ? { hex, opacity: 1 } : null;
+  }
+  if (!color) return null;
+  const dash = ooxmlChild(ln, 'a:prstDash');
+  return {
+    ...color,
+    width: ln && ooxmlNumber(ln, 'w') !== undefined ? ooxmlNumber(ln, 'w', 1 / 12700) : 0.75,
+    dash: dash && dash.attributes.val !== 'solid' ? dash.attributes.val : null
+  };
+}
+
+// Preset outlines in a unit box (0..1), as polygons
+const PPTX_PRESET_POLYGONS = {
+  triangle: [[0.5, 0], [1, 1], [0, 1]],
+  rtTriangle: [[0, 0], [1, 1], [0, 1]],
+  diamond: [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]],
+  parallelogram: [[0.25, 0], [1, 0], [0.75, 1], [0, 1]],
+  trapezoid: [[0.25, 0], [0.75, 0], [1, 1], [0, 1]],
+  pentagon: [[0.5, 0], [1, 0.38], [0.82, 1], [0.18, 1], [0, 0.38]],
+  hexagon: [[0.25, 0], [0.75, 0], [1, 0.5], [0.75, 1], [0.25, 1], [0, 0.5]],
+  octagon: [[0.29, 0], [0.71, 0], [1, 0.29], [1, 0.71], [0.71, 1], [0.29, 1], [0, 0.71], [0, 0.29]],
+  homePlate: [[0, 0], [0.8, 0], [1, 0.5], [0.8, 1], [0, 1]],
+  chevron: [[0, 0], [0.8, 0], [1, 0.5], [0.8, 1], [0, 1], [0.2, 0.5]],
+  rightArrow: [[0, 0.25], [0.6, 0.25], [0.6, 0], [1, 0.5], [0.6, 1], [0.6, 0.75], [0, 0.75]],
+  leftArrow: [[1, 0.25], [0.4, 0.25], [0.4, 0], [0, 0.5], [0.4, 1], [0.4, 0.75], [1, 0.75]],
+  upArrow: [[0.25, 1], [0.25, 0.4], [0, 0.4], [0.5, 0], [1, 0.4], [0.75, 0.4], [0.75, 1]],
+  downArrow: [[0.25, 0], [0.25, 0.6], [0, 0.6], [0.5, 1], [1, 0.6], [0.75, 0.6], [0.75, 0]],
+  plus: [[0.35, 0], [0.65, 0], [0.65, 0.35], [1, 0.35], [1, 0.65], [0.65, 0.65], [0.65, 1], [0.35, 1], [0.35, 0.65], [0, 0.65], [0, 0.35], [0.35, 0.35]]
+};
+
+// Fill and stroke a shape outline. Lines and connectors run corner to corner (honouring flips);
+// unknown presets fall back to their bounding rectangle.
+function drawPptxGeometry(page, preset, customGeometry, box, fill, line) {
+  const pageHeight = page.getHeight();
+  const stroke = line ? {
+    borderColor: hexToRgb(line.hex),
+    borderOpacity: line.opacity,
+    borderWidth: line.width,
+    borderDashArray: line.dash ? [line.width * 3, line.width * 2] : undefined
+  } : {};
+  const paint = fill ? { color: hexToRgb(fill.hex), opacity: fill.opacity } : {};
+
+  if (preset === 'line' || /Connector/.test(preset)) {
+    if (!line) return;
+    const x1 = box.flipH ? box.x + box.width : box.x;
+    const x2 = box.flipH ? box.x : box.x + box.width;
+    const y1 = box.flipV ? box.y + box.height : box.y;
+    const y2 = box.flipV ? box.y : box.y + box.height;
+    page.drawLine({
+      start: { x: x1, y: pageHeight - y1 },
+      end: { x: x2, y: pageHeight - y2 },
+      thickness: line.width,
+      color: hexToRgb(line.hex),
+      opacity: line.opacity,
+      dashArray: stroke.borderDashArray
+    });
+    return;
+  }
+  if (preset === 'ellipse' || preset === 'flowChartConnector') {
+    page.drawEllipse({ x: box.x + box.width / 2, y: pageHeight - box.y - box.height / 2, xScale: box.width / 2, yScale: box.height / 2, ...paint, ...stroke });
+    return;
+  }
+
+  let path = null;
+  if (preset === 'roundRect') {
+    const r = Math.min(box.width, box.height) * 0.16667;
+    const w = box.width;
+    const h = box.height;
+    path = `M ${r} 0 L ${w - r} 0 Q ${w} 0 ${w} ${r} L ${w} ${h - r} Q ${w} ${h} ${w - r} ${h} L ${r} ${h} Q 0 ${h} 0 ${h - r} L 0 ${r} Q 0 0 ${r} 0 Z`;
+  } else if (PPTX_PRESET_POLYGONS[preset]) {
+    const points = PPTX_PRESET_POLYGONS[preset].map(([px, py]) => [
+      (box.flipH ? 1 - px : px) * box.width,
+      (box.flipV ? 1 - py : py) * box.height
+    ]);
+    path = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'} ${px} ${py}`).join(' ') + ' Z';
+  } else if (preset === 'custom') {
+    path = pptxCustomPath(customGeometry, box);
+  }
+
+  if (path) {
+    page.drawSvgPath(path, { x: box.x, y: pageHeight - box.y, ...paint, ...stroke });
+  } else if (preset !== 'custom') {
+    page.drawRectangle({ x: box.x, y: pageHeight - box.y - box.height, width: box.width, height: box.height, ...paint, ...stroke });
+  }
+}
+
+// <a:custGeom> paths -> one SVG path in the shape box (arcs are drawn as straight segments)
+function pptxCustomPath(geometry, box) {
+  const commands = [];
+  for (const path of ooxmlChildren(ooxmlChild(geometry, 'a:pathLst'), 'a:path')) {
+    const sx = box.width / (ooxmlNumber(path, 'w') || box.width * 12700 || 1);
+    const sy = box.height / (ooxmlNumber(path, 'h') || box.height * 12700 || 1);
+    const point = element => `${(ooxmlNumber(element, 'x') || 0) * sx} ${(ooxmlNumber(element, 'y') || 0) * sy}`;
+    for (const step of path.children) {
+      const points = ooxmlChildren(step, 'a:pt');
+      if (step.name === 'a:moveTo') commands.push(`M ${point(points[0])}`);
+      else if (step.name === 'a:lnTo') commands.push(`L ${point(points[0])}`);
+      else if (step.name === 'a:cubicBezTo' && points.length === 3) commands.push(`C ${points.map(point).join(' ')}`);
+      else if (step.name === 'a:quadBezTo' && points.length === 2) commands.push(`Q ${points.map(point).join(' ')}`);
+      else if (step.name === 'a:close') commands.push('Z');
+    }
+  }
+  return commands.length > 0 && commands[0].startsWith('M') ? commands.join(' ') : null;
+}
+
+async function drawPptxPicture(scene, part, picture, transform) {
+  const { box } = resolvePptxShape(scene, part, picture, transform);
+  const fill = ooxmlChild(picture, 'p:blipFill');
+  if (box && fill) await drawPptxImage(scene, part, fill, box);
+}
+
+// A picture fill stretched over the box, cropped by its source rectangle
+async function drawPptxImage(scene, part, blipFill, box) {
+  const blip = ooxmlChild(blipFill, 'a:blip');
+  const relationship = blip && part.rels[blip.attributes['r:embed']];
+  if (!relationship || relationship.external) return;
+  const image = await embedOfficeImage(scene.pptx, relationship.target);
+  if (!image) return;
+
+  const page = scene.page;
+  const pageHeight = page.getHeight();
+  const crop = ooxmlChild(blipFill, 'a:srcRect');
+  const side = name => (ooxmlNumber(crop, name) || 0) / 100000;
+  const [left, top, right, bottom] = ['l', 't', 'r', 'b'].map(side);
+  if (left || top || right || bottom) {
+    const fullWidth = box.width / Math.max(0.01, 1 - left - right);
+    const fullHeight = box.height / Math.max(0.01, 1 - top - bottom);
+    page.pushOperators(pushGraphicsState(), rectangle(box.x, pageHeight - box.y - box.height, box.width, box.height), clip(), endPath());
+    page.drawImage(image, { x: box.x - left * fullWidth, y: pageHeight - box.y - box.height - bottom * fullHeight, width: fullWidth, height: fullHeight });
+    page.pushOperators(popGraphicsState());
+  } else {
+    page.drawImage(image, { x: box.x, y: pageHeight - box.y - box.height, width: box.width, height: box.height });
+  }
+}
+
+// <a:lvlNpPr> / <a:pPr> -> paragraph properties, with run defaults under `run`
+function parsePptxParagraphProps(element, scene) {
+  const props = { run: {} };
+  if (!element) return props;
+  const { attributes } = element;
+  if (attributes.algn) props.align = { l: 'left', ctr: 'center', r: 'right', just: 'both', dist: 'both' }[attributes.algn] || 'left';
+  if (attributes.marL !== undefined) props.marL = ooxmlNumber(element, 'marL', 1 / 12700);
+  if (attributes.indent !== undefined) props.indent = ooxmlNumber(element, 'indent', 1 / 12700);
+
+  const spacing = name => {
+    const child = ooxmlChild(element, name);
+    if (!child) return undefined;
+    const percent = ooxmlNumber(ooxmlChild(child, 'a:spcPct'), 'val', 1 / 100000);
+    const points = ooxmlNumber(ooxmlChild(child, 'a:spcPts'), 'val', 1 / 100);
+    return percent !== undefined ? { percent } : points !== undefined ? { points } : undefined;
+  };
+  for (const [name, key] of [['a:lnSpc', 'lineSpacing'], ['a:spcBef', 'spaceBefore'], ['a:spcAft', 'spaceAfter']]) {
+    const value = spacing(name);
+    if (value) props[key] = value;
+  }
+
+  if (ooxmlChild(element, 'a:buNone')) props.bullet = null;
+  const character = ooxmlChild(element, 'a:buChar');
+  if (character) props.bullet = { char: character.attributes.char || '•' };
+  const autoNumber = ooxmlChild(element, 'a:buAutoNum');
+  if (autoNumber) props.bullet = { scheme: autoNumber.attributes.type || 'arabicPeriod', start: parseInt(autoNumber.attributes.startAt) || 1 };
+  const bulletColor = ooxmlChild(element, 'a:buClr');
+  if (bulletColor) props.bulletColor = drawingFillColor(bulletColor, scene.scheme);
+  const bulletSize = ooxmlNumber(ooxmlChild(element, 'a:buSzPct'), 'val', 1 / 100000);
+  if (bulletSize) props.bulletSize = bulletSize;
+
+  props.run = parsePptxRunProps(ooxmlChild(element, 'a:defRPr'), scene);
+  return props;
+}
+
+// <a:rPr> / <a:defRPr> / <a:endParaRPr> -> the run properties it sets
+function parsePptxRunProps(element, scene) {
+  const props = {};
+  if (!element) return props;
+  const { attributes } = element;
+  if (attributes.sz) props.size = parseInt(attributes.sz) / 100;
+  if (attributes.b !== undefined) props.bold = ['1', 'true'].includes(attributes.b);
+  if (attributes.i !== undefined) props.italic = ['1', 'true'].includes(attributes.i);
+  if (attributes.u !== undefined) props.underline = attributes.u !== 'none';
+  if (attributes.strike !== undefined) props.strike = attributes.strike !== 'noStrike';
+  if (attributes.baseline !== undefined) props.baseline = parseInt(attributes.baseline) / 100000;
+  if (attributes.cap !== undefined) props.caps = attributes.cap === 'all';
+
+  const fill = ooxmlChild(element, 'a:solidFill');
+  if (fill) props.color = drawingFillColor(fill, scene.scheme);
+  const highlight = ooxmlChild(element, 'a:highlight');
+  if (highlight) props.highlight = drawingFillColor(highlight, scene.scheme);
+  const latin = ooxmlChild(element, 'a:latin');
+  if (latin && latin.attributes.typeface) {
+    const typeface = latin.attributes.typeface;
+    props.font = typeface === '+mj-lt' ? scene.theme.majorFont : typeface === '+mn-lt' ? scene.theme.minorFont : typeface;
+  }
+  return props;
+}
+
+// Paragraph properties at `level` through a chain of list styles (<a:lstStyle>, <p:titleStyle>...)
+// or plain property objects, later entries overriding earlier ones
+function resolvePptxLevel(scene, chain, level) {
+  const result = { run: {} };
+  for (const entry of chain) {
+    const props = entry.name ? parsePptxParagraphProps(ooxmlChild(entry, `a:lvl${level + 1}pPr`), scene) : entry;
+    const { run, ...paragraph } = props;
+    Object.assign(result, paragraph);
+    Object.assign(result.run, run);
+  }
+  return result;
+}
+
+// Run properties -> shared style object for wrapOfficeInline
+function pptxTextStyle(scene, props, fontScale) {
+  const size = (props.size || 18) * fontScale;
+  const baseline = props.baseline || 0;
+  const key = JSON.stringify([props.font, props.bold, props.italic, size, props.color, props.underline, props.strike, baseline, props.highlight]);
+  const cache = scene.pptx.styleCache;
+  if (cache.has(key)) return cache.get(key);
+  const style = {
+    font: scene.pptx.fonts.get(props.font || scene.theme.minorFont, props.bold, props.italic),
+    size: baseline ? size * 0.67 : size,
+    rise: baseline * size,
+    color: props.color ? hexToRgb(props.color) : null,
+    background: props.highlight ? hexToRgb(props.highlight) : null,
+    underline: Boolean(props.underline),
+    strike: Boolean(props.strike)
+  };
+  cache.set(key, style);
+  return style;
+}
+
+// Lay out a text body `width` wide: paragraphs with levels, bullets and numbering, spacing,
+// insets, vertical anchoring and shrink-on-overflow. Returns { height, draw(box) }.
+function layoutPptxText(scene, body, width, chain, bodyProperties, autofit) {
+  const inset = (name, fallback) => (bodyProperties[name] !== undefined ? parseInt(bodyProperties[name]) / 12700 : fallback);
+  const insets = { left: inset('lIns', 7.2), right: inset('rIns', 7.2), top: inset('tIns', 3.6), bottom: inset('bIns', 3.6) };
+  const wrap = bodyProperties.wrap !== 'none';
+  const fontScale = autofit ? (ooxmlNumber(autofit, 'fontScale') || 100000) / 100000 : 1;
+  const spacingScale = autofit ? 1 - (ooxmlNumber(autofit, 'lnSpcReduction') || 0) / 100000 : 1;
+  const innerWidth = Math.max(width - insets.left - insets.right, 1);
+
+  const blocks = [];
+  const counters = [];
+  for (const paragraph of ooxmlChildren(body, 'a:p')) {
+    const pPr = ooxmlChild(paragraph, 'a:pPr');
+    const level = Math.min(8, parseInt(pPr && pPr.attributes.lvl) || 0);
+    const props = resolvePptxLevel(scene, [...chain, parsePptxParagraphProps(pPr, scene)], level);
+
+    const items = [];
+    let firstRun = null;
+    for (const child of paragraph.children) {
+      if (child.name === 'a:r' || child.name === 'a:fld') {
+        const runProps = { ...props.run, ...parsePptxRunProps(ooxmlChild(child, 'a:rPr'), scene) };
+        const style = pptxTextStyle(scene, runProps, fontScale);
+        let text = (ooxmlChild(child, 'a:t') || { text: '' }).text;
+        if (child.name === 'a:fld' && child.attributes.type === 'slidenum') text = String(scene.number);
+        if (runProps.caps) text = text.toUpperCase();
+        if (text) {
+          items.push(officeTextItem(scene.pptx.fonts, text.replace(/[\r\n]/g, ' ').replace(/\t/g, ' '), style));
+          if (!firstRun) firstRun = runProps;
+        }
+      } else if (child.name === 'a:br') {
+        const style = pptxTextStyle(scene, { ...props.run, ...parsePptxRunProps(ooxmlChild(child, 'a:rPr'), scene) }, fontScale);
+        items.push({ lineBreak: true, style });
+      }
+    }
+    const endProps = { ...props.run, ...parsePptxRunProps(ooxmlChild(paragraph, 'a:endParaRPr'), scene) };
+    const emptySize = (endProps.size || 18) * fontScale;
+
+    const marL = props.marL || 0;
+    const indent = props.indent || 0;
+    // Bullets and numbers, only on paragraphs with text
+    const bullet = props.bullet;
+    if (bullet && bullet.scheme) {
+      counters[level] = counters[level] && counters[level].scheme === bullet.scheme ? { ...counters[level], value: counters[level].value + 1 } : { scheme: bullet.scheme, value: bullet.start };
+    } else {
+      counters[level] = undefined;
+    }
+    counters.length = level + 1;
+    if (bullet && items.length > 0) {
+      const base = firstRun || props.run;
+      const labelStyle = pptxTextStyle(scene, {
+        ...base,
+        color: props.bulletColor || base.color,
+        size: (base.size || 18) * (props.bulletSize || 1),
+        underline: false,
+        strike: false,
+        baseline: 0
+      }, fontScale);
+      const label = bullet.scheme ? formatPptxAutoNumber(counters[level].value, bullet.scheme) : officeBulletText(bullet.char);
+      items.unshift(officeTextItem(scene.pptx.fonts, label, labelStyle),
+        indent < 0 ? { tab: true, style: labelStyle, to: 0 } : { text: ' ', style: labelStyle });
+    }
+
+    const available = Math.max(innerWidth - marL, 1);
+    const lines = wrapOfficeInline(items, wrap ? available : Infinity, { firstLineIndent: indent, emptySize, tabStop: 72 });
+    const size = Math.max(...lines.map(line => line.size));
+    const spacing = (value, fallback) => (!value ? fallback : value.points !== undefined ? value.points : value.percent * size * 1.2);
+    const lineHeights = lines.map(line => {
+      const natural = line.ascent + line.descent;
+      if (props.lineSpacing && props.lineSpacing.points !== undefined) return props.lineSpacing.points * spacingScale;
+      return Math.max(natural, line.size * 1.2) * (props.lineSpacing ? props.lineSpacing.percent : 1) * spacingScale;
+    });
+    blocks.push({
+      lines,
+      lineHeights,
+      marL,
+      available,
+      align: props.align || 'left',
+      spaceBefore: spacing(props.spaceBefore, 0) * spacingScale,
+      spaceAfter: spacing(props.spaceAfter, 0) * spacingScale
+    });
+  }
+
+  const contentHeight = blocks.reduce((sum, block, i) =>
+    sum + (i > 0 ? block.spaceBefore : 0) + block.lineHeights.reduce((total, value) => total + value, 0) + (i < blocks.length - 1 ? block.spaceAfter : 0), 0);
+  const height = contentHeight + insets.top + insets.bottom;
+
+  return {
+    height,
+    draw(box) {
+      const anchor = bodyProperties.anchor || 't';
+      let top = box.y + insets.top;
+      if (anchor === 'ctr') top = box.y + (box.height - contentHeight) / 2;
+      else if (anchor === 'b') top = box.y + box.height - insets.bottom - contentHeight;
+      blocks.forEach((block, i) => {
+        if (i > 0) top += block.spaceBefore;
+        block.lines.forEach((line, j) => {
+          const lineHeight = block.lineHeights[j];
+          // Extra line spacing goes above the text, as in PowerPoint
+          const baseline = lineHeight - line.descent;
+          drawOfficeLine(scene.page, line, box.x + insets.left + block.marL, top, block.available, block.align, baseline);
+          top += lineHeight;
+        });
+        top += block.spaceAfter;
+      });
+    }
+  };
+}
+
+// 3 -> "3.", "c)", "(iii)"... for <a:buAutoNum type="...">
+function formatPptxAutoNumber(value, scheme) {
+  const match = /^(arabic|alphaLc|alphaUc|romanLc|romanUc)(Period|ParenR|ParenBoth|Plain|Minus)?/.exec(scheme);
+  if (!match) return `${value}.`;
+  const format = { arabic: 'decimal', alphaLc: 'lowerLetter', alphaUc: 'upperLetter', romanLc: 'lowerRoman', romanUc: 'upperRoman' }[match[1]];
+  const number = formatListNumber(value, format);
+  return { Period: `${number}.`, ParenR: `${number})`, ParenBoth: `(${number})`, Minus: `- ${number}` }[match[2]] || number;
+}
+
+// Tables: grid column widths, row heights grown to fit their text, merged cells, cell fills and
+// borders. Cells without their own formatting get the look of PowerPoint's default table style
+// (accent header row, banded rows, white rules) when the table names a style, thin grey rules
+// otherwise.
+async function drawPptxTable(scene, frame, table, transform) {
+  const box = pptxBox(ooxmlChild(frame, 'p:xfrm'), transform);
+  if (!box) return;
+  const page = scene.page;
+  const pageHeight = page.getHeight();
+  const tableProperties = ooxmlChild(table, 'a:tblPr');
+  const flag = name => Boolean(tableProperties && ['1', 'true'].includes(tableProperties.attributes[name]));
+  const styled = Boolean(ooxmlChild(tableProperties, 'a:tableStyleId')) || flag('firstRow') || flag('bandRow');
+  const accent = scene.scheme('accent1') || '4472C4';
+  const [h, s, l] = hexToHsl(accent);
+
+  const grid = ooxmlChildren(ooxmlChild(table, 'a:tblGrid'), 'a:gridCol').map(column => (ooxmlNumber(column, 'w') || 0) * transform.scaleX);
+  const edges = grid.reduce((list, column) => list.concat(list[list.length - 1] + column), [0]);
+  const rows = ooxmlChildren(table, 'a:tr');
+  const chain = [scene.pptx.defaultTextStyle, scene.textStyles.other].filter(Boolean);
+
+  // Cells with their text laid out; row heights grow to fit single-row cells
+  const layoutRows = rows.map((row, r) => {
+    const header = flag('firstRow') && r === 0;
+    const cells = [];
+    // One <a:tc> per grid column; cells covered by a merge are placeholders
+    for (const [column, cell] of ooxmlChildren(row, 'a:tc').entries()) {
+      const span = Math.max(1, parseInt(cell.attributes.gridSpan) || 1);
+      const rowSpan = Math.max(1, parseInt(cell.attributes.rowSpan) || 1);
+      if (['1', 'true'].includes(cell.attributes.hMerge) || ['1', 'true'].includes(cell.attributes.vMerge)) continue;
+      if (column >= grid.length) break;
+      const start = column;
+      const end = Math.min(column + span, grid.length);
+
+      const properties = ooxmlChild(cell, 'a:tcPr') || { name: 'a:tcPr', attributes: {}, children: [] };
+      const margin = (name, fallback) => (properties.attributes[name] !== undefined ? parseInt(properties.attributes[name]) / 12700 : fallback);
+      const cellChain = header && styled ? [...chain, { run: { color: 'FFFFFF', bold: true } }] : chain;
+      const bodyProperties = {
+        lIns: String(margin('marL', 7.2) * 12700), rIns: String(margin('marR', 7.2) * 12700),
+        tIns: String(margin('marT', 3.6) * 12700), bIns: String(margin('marB', 3.6) * 12700),
+        anchor: properties.attributes.anchor || 't'
+      };
+      const body = ooxmlChild(cell, 'a:txBody');
+      const cellWidth = edges[end] - edges[start];
+      cells.push({
+        x: edges[start],
+        width: cellWidth,
+        rowSpan,
+        properties,
+        text: body ? layoutPptxText(scene, body, cellWidth, cellChain, bodyProperties, null) : null
+      });
+    }
+    const minimum = (ooxmlNumber(row, 'h') || 0) * transform.scaleY;
+    const height = Math.max(minimum, ...cells.filter(cell => cell.rowSpan === 1 && cell.text).map(cell => cell.text.height));
+    return { cells, height, header };
+  });
+
+  let top = box.y;
+  const tops = layoutRows.map(row => {
+    const rowTop = top;
+    top += row.height;
+    return rowTop;
+  });
+
+  const borders = [];
+  layoutRows.forEach((row, r) => {
+    for (const cell of row.cells) {
+      const spanned = layoutRows.slice(r, r + cell.rowSpan);
+      const cellBox = { x: box.x + cell.x, y: tops[r], width: cell.width, height: spanned.reduce((sum, item) => sum + item.height, 0) };
+
+      let fill = pptxFillColor(cell.properties, scene);
+      if (fill === undefined && styled) {
+        const lightness = row.header ? l : flag('bandRow') && (r - (flag('firstRow') ? 1 : 0)) % 2 === 0 ? l * 0.4 + 0.6 : l * 0.2 + 0.8;
+        fill = { hex: row.header ? accent : hslToHex(h, s, lightness), opacity: 1 };
+      }
+      if (fill) {
+        page.drawRectangle({ x: cellBox.x, y: pageHeight - cellBox.y - cellBox.height, width: cellBox.width, height: cellBox.height, color: hexToRgb(fill.hex), opacity: fill.opacity });
+      }
+      if (cell.text) cell.text.draw(cellBox);
+
+      const sides = { lnT: [0, 0, 1, 0], lnB: [0, 1, 1, 1], lnL: [0, 0, 0, 1], lnR: [1, 0, 1, 1] };
+      for (const [name, [ax, ay, bx, by]] of Object.entries(sides)) {
+        const element = ooxmlChild(cell.properties, `a:${name}`);
+        let line = element ? pptxOutline(element, null, scene) : undefined;
+        if (line === undefined) line = styled ? { hex: 'FFFFFF', opacity: 1, width: 1 } : { hex: 'A0A0A0', opacity: 1, width: 0.5 };
+        if (!line) continue;
+        borders.push({
+          start: { x: cellBox.x + ax * cellBox.width, y: pageHeight - cellBox.y - ay * cellBox.height },
+          end: { x: cellBox.x + bx * cellBox.width, y: pageHeight - cellBox.y - by * cellBox.height },
+          thickness: line.width,
+          color: hexToRgb(line.hex),
+          opacity: line.opacity
+        });
+      }
+    }
+  });
+  borders.forEach(border => page.drawLine(border));
+}
+
+// 23. HTML TO PDF - REAL WORKING
+// HTML, Markdown and plain text are laid out with pdf-lib here - no headless browser, scripts are not run
+app.post(['/api/html-to-pdf', '/api/markdown-to-pdf', '/api/text-to-pdf'], async (req, res) => {
+  try {
+    const input = prepareHtmlRequest(req);
+    const result = await performHtmlToPdf(input);
+
+    res.json({
+      success: true,
+      message: `Converted the ${HTML_SOURCE_FORMATS[result.format].label} to a ${result.pageCount}-page PDF`,
+      format: result.format,
+      pageCount: result.pageCount,
+      warnings: result.warnings,
+      downloadUrl: `data:application/pdf;base64,${result.buffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('HTML to PDF error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'HTML to PDF conversion failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const MAX_HTML_PAGES = parseInt(process.env.MAX_HTML_PAGES) || 1000;
+
+const HTML_SOURCE_FORMATS = {
+  html: { label: 'HTML page', extensions: ['html', 'htm', 'xhtml'] },
+  markdown: { label: 'Markdown document', extensions: ['md', 'markdown', 'mdown', 'mkd'] },
+  text: { label: 'text file', extensions: ['txt', 'text', 'log'] }
+};
+
+// Validate an HTML/Markdown/text upload; shared by the endpoints above and the job API.
+// The document comes as `file` (.html, .md, .txt, or a .zip holding the page and its assets) or as
+// `content` text. `assets` are the images, stylesheets and fonts the page refers to by relative path;
+// `fonts` are TTF/OTF files used by family name and for characters the standard fonts lack.
+// pageSize (A4, Letter, ... or e.g. 210x297mm), orientation and margin override the page's @page rule.
+// headerTemplate/footerTemplate are HTML drawn on every page with {n}, {total}, {title} and {date} filled in.
+function prepareHtmlRequest(req) {
+  const body = req.body;
+  const file = req.files && req.files.file;
+  const content = typeof body.content === 'string' ? body.content : '';
+  if (!file && !content.trim()) {
+    throw httpError(400, 'No file uploaded. Upload the page as "file" or send it as "content"');
+  }
+
+  let format = String(body.format || '').toLowerCase();
+  if (format === 'md') format = 'markdown';
+  if (format && !HTML_SOURCE_FORMATS[format]) {
+    throw httpError(400, `Invalid format "${body.format}". Use html, markdown or text`);
+  }
+  if (!format && file) {
+    const extension = (file.name.match(/\.([^.]+)$/) || [])[1];
+    format = Object.keys(HTML_SOURCE_FORMATS).find(key => HTML_SOURCE_FORMATS[key].extensions.includes(String(extension).toLowerCase()));
+  }
+  if (!format) {
+    format = req.path === '/api/text-to-pdf' ? 'text' : req.path === '/api/markdown-to-pdf' ? 'markdown' : 'html';
+  }
+
+  const orientation = String(body.orientation || '').toLowerCase();
+  if (orientation && orientation !== 'portrait' && orientation !== 'landscape') {
+    throw httpError(400, `Invalid orientation "${body.orientation}". Use portrait or landscape`);
+  }
+  if (body.pageSize) parseHtmlPageSize(String(body.pageSize), true);
+  if (body.margin) parseHtmlPageMargins(String(body.margin), true);
+
+  const isZip = Boolean(file) && file.data.length >= 4 && file.data.readUInt32BE(0) === 0x504b0304;
+  return {
+    file: file ? { name: file.name, data: file.data, zip: isZip } : null,
+    content,
+    format,
+    // An explicit format wins over what the name inside a ZIP suggests
+    explicitFormat: Boolean(body.format),
+    entry: String(body.entry || ''),
+    assets: getUploadedFiles(req, 'assets').map(asset => ({ name: asset.name, data: asset.data })),
+    fonts: getUploadedFiles(req, 'fonts').map(font => ({ name: font.name, data: font.data })),
+    css: typeof body.css === 'string' ? body.css : '',
+    pageSize: body.pageSize ? String(body.pageSize) : '',
+    orientation,
+    margin: body.margin ? String(body.margin) : '',
+    headerTemplate: typeof body.headerTemplate === 'string' ? body.headerTemplate : '',
+    footerTemplate: typeof body.footerTemplate === 'string' ? body.footerTemplate : '',
+    title: body.title ? String(body.title) : ''
+  };
+}
+
+// Parse the source, cascade its styles and lay it out page by page
+async function performHtmlToPdf(input, onProgress = () => {}) {
+  const source = await loadHtmlSource(input);
+  const html = source.format === 'markdown' ? markdownToHtml(source.text)
+    : source.format === 'text' ? plainTextToHtml(source.text) : source.text;
+  const root = parseHtml(html);
+
+  const pdfDoc = await PDFDocument.create();
+  const context = {
+    pdfDoc,
+    resources: source.resources,
+    baseDir: source.baseDir,
+    warnings: [],
+    images: new Map(),
+    missingResources: new Set(),
+    remoteResources: new Set(),
+    skippedImages: 0,
+    skippedObjects: 0,
+    oversized: 0,
+    textStyles: new WeakMap(),
+    links: [],
+    anchors: new Map()
+  };
+
+  const stylesheet = collectHtmlStylesheet(root, context, input.css);
+  context.rules = stylesheet.rules;
+  context.fonts = await createHtmlFonts(context, stylesheet.fontFaces, input.fonts);
+  const setup = resolveHtmlPageSetup(input, stylesheet.page);
+
+  const titleElement = findHtmlElement(root, 'title');
+  const title = input.title || (titleElement ? htmlTextContent(titleElement).replace(/\s+/g, ' ').trim() : '');
+  await renderHtmlDocument(context, root, setup, { ...input, title }, onProgress);
+
+  if (title) pdfDoc.setTitle(title);
+  const meta = name => {
+    const element = findHtmlElement(root, 'meta', node => String(node.attributes.name || '').toLowerCase() === name);
+    return element && element.attributes.content ? element.attributes.content.trim() : '';
+  };
+  if (meta('author')) pdfDoc.setAuthor(meta('author'));
+  if (meta('description')) pdfDoc.setSubject(meta('description'));
+  if (meta('keywords')) pdfDoc.setKeywords(meta('keywords').split(',').map(word => word.trim()).filter(Boolean));
+
+  const { warnings } = context;
+  if (findHtmlElement(root, 'script')) {
+    warnings.push('Scripts in the page were not run; content they would add is missing');
+  }
+  if (context.missingResources.size > 0) {
+    const names = Array.from(context.missingResources);
+    warnings.push(`${names.length} image(s), stylesheet(s) or font(s) were not among the uploaded files: ${names.slice(0, 5).join(', ')}${names.length > 5 ? ', ...' : ''}`);
+  }
+  if (context.remoteResources.size > 0) {
+    warnings.push(`${context.remoteResources.size} remote resource(s) were not downloaded. Upload them with the page as "assets" or use data: URLs`);
+  }
+  if (context.skippedImages > 0) {
+    warnings.push(`${context.skippedImages} image(s) could not be decoded and were left out`);
+  }
+  if (context.skippedObjects > 0) {
+    warnings.push(`${context.skippedObjects} embedded object(s) (canvas, video, audio, iframe, object) were left out`);
+  }
+  if (context.oversized > 0) {
+    warnings.push(`${context.oversized} block(s) taller than a page were cut off at the bottom margin`);
+  }
+  if (context.fonts.replaced > 0) {
+    warnings.push(`${context.fonts.replaced} character(s) the fonts cannot draw were replaced with "?". Upload a TTF/OTF font that covers them as "fonts"`);
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    filename: (source.name.replace(/\.[^.]+$/, '') || 'document') + '.pdf',
+    format: source.format,
+    pageCount: pdfDoc.getPageCount(),
+    warnings
+  };
+}
+
+// Job API runner for html-to-pdf
+async function runHtmlToPdfJob(input, onProgress) {
+  const result = await performHtmlToPdf(input, onProgress);
+  return {
+    files: {
+      pdf: { buffer: result.buffer, filename: result.filename, contentType: 'application/pdf' }
+    },
+    summary: { format: result.format, pageCount: result.pageCount, warnings: result.warnings }
+  };
+}
+
+// The document text, its format, and the files it may refer to (keyed by lower-case path and by
+// bare file name). A ZIP supplies both: its page is `entry`, else index.html, else the shallowest page.
+async function loadHtmlSource(input) {
+  const resources = new Map();
+  const addResource = (name, data) => {
+    const key = name.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+    resources.set(key, data);
+    const base = pathModule.posix.basename(key);
+    if (!resources.has(base)) resources.set(base, data);
+  };
+
+  let name = input.file ? input.file.name : 'document.html';
+  let text = input.content;
+  let format = input.format;
+  let baseDir = '';
+
+  if (input.file && input.file.zip) {
+    const JSZip = require('jszip');
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(input.file.data);
+    } catch (error) {
+      throw httpError(400, `The ZIP file could not be read (${error.message})`);
+    }
+    const files = Object.values(zip.files).filter(entry => !entry.dir && !/(^|\/)(__MACOSX|\.)/.test(entry.name));
+    const pageExtensions = Object.values(HTML_SOURCE_FORMATS).flatMap(entry => entry.extensions);
+    const pages = files
+      .filter(entry => pageExtensions.includes((entry.name.match(/\.([^.\/]+)$/) || [])[1]))
+      .sort((a, b) => a.name.split('/').length - b.name.split('/').length || a.name.localeCompare(b.name));
+    const main = input.entry
+      ? files.find(entry => entry.name.toLowerCase() === input.entry.toLowerCase().replace(/^\/+/, ''))
+      : pages.find(entry => /(^|\/)index\.(html?|md)$/i.test(entry.name)) || pages[0];
+    if (!main) {
+      throw httpError(400, input.entry ? `"${input.entry}" is not in the ZIP file` : 'The ZIP file holds no .html, .md or .txt page');
+    }
+
+    for (const entry of files) {
+      if (entry !== main) addResource(entry.name, await entry.async('nodebuffer'));
+    }
+    text = decodeHtmlSource(await main.async('nodebuffer'));
+    baseDir = pathModule.posix.dirname(main.name) === '.' ? '' : pathModule.posix.dirname(main.name);
+    if (!input.explicitFormat) {
+      const extension = String((main.name.match(/\.([^.]+)$/) || [])[1]).toLowerCase();
+      format = Object.keys(HTML_SOURCE_FORMATS).find(key => HTML_SOURCE_FORMATS[key].extensions.includes(extension)) || format;
+    }
+    name = input.file.name;
+  } else if (input.file) {
+    text = decodeHtmlSource(input.file.data);
+  }
+
+  for (const asset of input.assets) addResource(asset.name, asset.data);
+  return { name, text, format, baseDir, resources };
+}
+
+// Bytes -> string: UTF-8 unless a BOM or a <meta charset> says otherwise
+function decodeHtmlSource(data) {
+  if (data[0] === 0xff && data[1] === 0xfe) return new TextDecoder('utf-16le').decode(data.subarray(2));
+  if (data[0] === 0xfe && data[1] === 0xff) return new TextDecoder('utf-16be').decode(data.subarray(2));
+  if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) return data.subarray(3).toString('utf8');
+  if (data.subarray(0, 4096).includes(0)) {
+    throw httpError(400, 'The uploaded file is not a text document. Upload an HTML, Markdown or text file (or a ZIP of them)');
+  }
+
+  const declared = data.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+  if (declared && !/^utf-?8$/i.test(declared[1])) {
+    try {
+      return new TextDecoder(declared[1].toLowerCase()).decode(data);
+    } catch (error) {
+      // Unknown label: fall through to UTF-8
+    }
+  }
+  return data.toString('utf8');
+}
+
+// A file the page refers to: data: URLs are decoded, relative paths are looked up among the uploads.
+// Nothing is fetched from the network or read from the server's disk.
+function resolveHtmlResource(context, reference) {
+  const value = String(reference || '').trim();
+  if (!value) return null;
+
+  const data = value.match(/^data:([^,]*?),([^]*)$/i);
+  if (data) {
+    try {
+      return /;base64$/i.test(data[1]) ? Buffer.from(data[2], 'base64') : Buffer.from(decodeURIComponent(data[2]));
+    } catch (error) {
+      return null;
+    }
+  }
+  if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) {
+    context.remoteResources.add(value);
+    return null;
+  }
+
+  let name = value.replace(/[?#].*$/, '');
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the name as written
+  }
+  const resolved = pathModule.posix.normalize(pathModule.posix.join(context.baseDir, name.replace(/\\/g, '/')))
+    .replace(/^(\.\.\/)+/, '').replace(/^\/+/, '').toLowerCase();
+  const found = context.resources.get(resolved) || context.resources.get(pathModule.posix.basename(resolved));
+  if (!found) context.missingResources.add(value);
+  return found || null;
+}
+
+// ---- HTML parsing ----
+
+const HTML_VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const HTML_RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+
+// Layout and styling walk the tree recursively, so deeper nesting is rejected while parsing
+const HTML_MAX_DEPTH = 256;
+
+// An open <p> ends when one of these starts
+const HTML_CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul'
+]);
+
+// Start tags that close an open element of the same family, and the elements that stop the search
+const HTML_IMPLIED_END_TAGS = {
+  li: { closes: ['li'], stop: ['ul', 'ol', 'menu'] },
+  dt: { closes: ['dt', 'dd'], stop: ['dl'] },
+  dd: { closes: ['dt', 'dd'], stop: ['dl'] },
+  tr: { closes: ['tr', 'td', 'th'], stop: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], stop: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], stop: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], stop: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], stop: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], stop: ['table'] },
+  option: { closes: ['option'], stop: ['select', 'datalist'] }
+};
+
+const HTML_SCOPE_ELEMENTS = ['html', 'body', 'table', 'td', 'th', 'caption', 'button', 'template'];
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  bull: '•', middot: '·', euro: '€', pound: '£', yen: '¥', cent: '¢', curren: '¤', deg: '°', plusmn: '±',
+  times: '×', divide: '÷', frac12: '½', frac14: '¼', frac34: '¾', sup1: '¹', sup2: '²', sup3: '³', micro: 'µ',
+  sect: '§', para: '¶', laquo: '«', raquo: '»', lsaquo: '‹', rsaquo: '›', iexcl: '¡', iquest: '¿', shy: '\u00ad',
+  dagger: '†', Dagger: '‡', permil: '‰', prime: '′', Prime: '″', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+  harr: '↔', hearts: '♥', check: '✓', ordf: 'ª', ordm: 'º', not: '¬', macr: '¯', acute: '´', cedil: '¸',
+  uml: '¨', szlig: 'ß', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d'
+};
+
+// Accented Latin letters, e.g. &eacute; &Uuml; &ntilde;
+const HTML_ACCENTS = { grave: '\u0300', acute: '\u0301', circ: '\u0302', tilde: '\u0303', uml: '\u0308', ring: '\u030a', cedil: '\u0327' };
+
+function decodeHtmlEntities(text) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    if (HTML_ENTITIES[entity]) return HTML_ENTITIES[entity];
+    const accented = entity.match(/^([a-zA-Z])(grave|acute|circ|tilde|uml|ring|cedil)$/);
+    if (accented && match.endsWith(';')) return (accented[1] + HTML_ACCENTS[accented[2]]).normalize('NFC');
+    return match;
+  });
+}
+
+// Lenient HTML parser: elements { name, attributes, children, parent } and text nodes { text, parent }.
+// Mis-nested markup is tolerated the way browsers mostly do: an end tag closes the nearest open
+// element of its name, and <p>, <li>, <td> and friends close implicitly. Inline <svg> keeps its source.
+function parseHtml(html) {
+  const root = { name: '#document', attributes: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const append = node => {
+    node.parent = current();
+    current().children.push(node);
+  };
+  const addText = text => {
+    const parent = current();
+    const last = parent.children[parent.children.length - 1];
+    if (last && last.text !== undefined) last.text += text;
+    else append({ text });
+  };
+  const closeTo = index => {
+    while (stack.length > index) {
+      const element = stack.pop();
+      if (element.sourceStart !== undefined) element.source = html.slice(element.sourceStart, pattern.lastIndex || html.length);
+    }
+  };
+  const findOpen = (names, stop) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (names.includes(stack[i].name)) return i;
+      if (stop.includes(stack[i].name)) return -1;
+    }
+    return -1;
+  };
+
+  const pattern = /<!--[^]*?(?:-->|$)|<!\[CDATA\[[^]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][^\s/>]*)[^>]*>|<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    const [token, endName, startName, rawAttributes] = match;
+
+    if (startName) {
+      const name = startName.toLowerCase();
+      const inSvg = stack.some(element => element.name === 'svg');
+      if (!inSvg) {
+        if (HTML_CLOSES_P.has(name)) {
+          const open = findOpen(['p'], HTML_SCOPE_ELEMENTS);
+          if (open > 0) closeTo(open);
+        }
+        if (/^h[1-6]$/.test(name) && /^h[1-6]$/.test(current().name)) closeTo(stack.length - 1);
+        const implied = HTML_IMPLIED_END_TAGS[name];
+        if (implied) {
+          const open = findOpen(implied.closes, implied.stop.concat(HTML_SCOPE_ELEMENTS.filter(scope => !implied.closes.includes(scope))));
+          if (open > 0) closeTo(open);
+        }
+      }
+
+      const attributes = {};
+      for (const attribute of rawAttributes.matchAll(/([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        const key = attribute[1].toLowerCase();
+        if (!(key in attributes)) {
+          const value = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : attribute[4];
+          attributes[key] = value === undefined ? '' : decodeHtmlEntities(value);
+        }
+      }
+      const element = { name, attributes, children: [] };
+      append(element);
+      const selfClosing = /\/\s*$/.test(rawAttributes);
+      if (HTML_VOID_ELEMENTS.has(name) || (selfClosing && inSvg)) continue;
+      if (name === 'svg' && !inSvg) element.sourceStart = match.index;
+      if (stack.length > HTML_MAX_DEPTH) {
+        throw httpError(400, `The HTML nests elements more than ${HTML_MAX_DEPTH} levels deep`);
+      }
+      stack.push(element);
+
+      if (HTML_RAW_TEXT_ELEMENTS.has(name)) {
+        const end = html.slice(pattern.lastIndex).search(new RegExp(`</${name}\\s*>`, 'i'));
+        const stop = end === -1 ? html.length : pattern.lastIndex + end;
+        const text = html.slice(pattern.lastIndex, stop);
+        if (text) element.children.push({ text: name === 'script' || name === 'style' ? text : decodeHtmlEntities(text), parent: element });
+        pattern.lastIndex = end === -1 ? html.length : html.indexOf('>', stop) + 1;
+        stack.pop();
+      }
+    } else if (endName) {
+      const name = endName.toLowerCase();
+      if (name === 'br') {
+        append({ name: 'br', attributes: {}, children: [] });
+        continue;
+      }
+      const open = findOpen([name], []);
+      if (open > 0) closeTo(open);
+    } else if (token[0] !== '<' || token === '<') {
+      let text = decodeHtmlEntities(token);
+      // A newline straight after <pre> is not content
+      const parent = current();
+      if (['pre', 'listing', 'textarea'].includes(parent.name) && parent.children.length === 0) text = text.replace(/^\r?\n/, '');
+      if (text) addText(text.replace(/\r\n?/g, '\n'));
+    }
+  }
+  closeTo(1);
+
+  // Element positions among their siblings, for :nth-child() and sibling combinators
+  const index = element => {
+    const siblings = element.children.filter(child => child.name);
+    siblings.forEach((child, i) => {
+      child.siblings = siblings;
+      child.position = i;
+      index(child);
+    });
+  };
+  index(root);
+  return root;
+}
+
+// First element named `name` (depth first) that passes `test`
+function findHtmlElement(element, name, test = () => true) {
+  for (const child of element.children || []) {
+    if (child.name === name && test(child)) return child;
+    const found = child.name ? findHtmlElement(child, name, test) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+function htmlTextContent(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(htmlTextContent).join('');
+}
+
+// ---- Markdown and plain text ----
+
+// Styles for converted Markdown: a sans-serif reading layout with boxed code and ruled tables
+const MARKDOWN_CSS = `
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 11pt; line-height: 1.45; color: #24292f }
+  h1, h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.2em }
+  h1, h2, h3, h4, h5, h6 { margin: 1.2em 0 0.5em; line-height: 1.25 }
+  p, ul, ol, blockquote, pre, table { margin: 0 0 0.8em }
+  code { background-color: #eff1f3; font-size: 0.9em }
+  pre { background-color: #f6f8fa; padding: 8pt; line-height: 1.3 }
+  pre code { background-color: transparent; font-size: 1em }
+  blockquote { margin-left: 0; padding-left: 1em; border-left: 3pt solid #d0d7de; color: #57606a }
+  table { border-collapse: collapse }
+  th, td { border: 1px solid #d0d7de; padding: 4pt 8pt; vertical-align: top }
+  th { background-color: #f6f8fa }
+  hr { border-top: 2pt solid #d0d7de; margin: 1.5em 0 }
+  img { max-width: 100% }
+`;
+
+// Markdown (CommonMark basics plus GitHub tables and strikethrough) -> an HTML page.
+// Raw HTML in the Markdown passes through, so <div style="page-break-before: always"></div> works.
+function markdownToHtml(markdown) {
+  const references = {};
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n').filter(line => {
+    const definition = line.match(/^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]+)>?(?:\s+["'(](.*)["')])?\s*$/);
+    if (definition) references[definition[1].toLowerCase()] = { href: definition[2], title: definition[3] };
+    return !definition;
+  }).map(line => line.replace(/^( *)\t/, (match, spaces) => spaces + ' '.repeat(4 - spaces.length % 4)));
+
+  const body = renderMarkdownBlocks(lines, references, false);
+  const heading = body.match(/<h1>([^]*?)<\/h1>/);
+  const title = heading ? heading[1].replace(/<[^>]*>/g, '') : '';
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title><style>${MARKDOWN_CSS}</style></head><body>\n${body}</body></html>`;
+}
+
+// Quotes and lists nested deeper than this are rejected
+const MARKDOWN_MAX_DEPTH = 64;
+
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Lines that end a paragraph without a blank line
+function isMarkdownBlockStart(line) {
+  return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line) ||
+    /^ {0,3}>/.test(line) || /^ {0,3}([-*+]|1[.)])[ \t]+\S/.test(line) || /^ {0,3}<\/?(div|table|pre|p|ul|ol|h[1-6]|blockquote|hr|section|figure)\b/i.test(line);
+}
+
+// Block structure; `tight` list items keep their paragraphs unwrapped
+function renderMarkdownBlocks(lines, references, tight, depth = 0) {
+  if (depth > MARKDOWN_MAX_DEPTH) {
+    throw httpError(400, `The Markdown nests quotes or lists more than ${MARKDOWN_MAX_DEPTH} levels deep`);
+  }
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+    let match;
+
+    if ((match = line.match(MARKDOWN_FENCE))) {
+      const fence = match[1];
+      const indent = line.match(/^ */)[0].length;
+      const code = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i++].replace(new RegExp(`^ {0,${indent}}`), ''));
+      }
+      i++;
+      const language = match[2] ? ` class="language-${escapeXml(match[2])}"` : '';
+      out.push(`<pre><code${language}>${escapeXml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if ((match = line.match(MARKDOWN_HEADING))) {
+      const level = match[1].length;
+      out.push(`<h${level}>${markdownInline(match[2] || '', references)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (MARKDOWN_RULE.test(line)) {
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim()) {
+        if (/^ {0,3}>/.test(lines[i])) quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        else if (!isMarkdownBlockStart(lines[i]) && quoted.length && quoted[quoted.length - 1].trim()) quoted.push(lines[i]);
+        else break;
+        i++;
+      }
+      out.push(`<blockquote>\n${renderMarkdownBlocks(quoted, references, false, depth + 1)}</blockquote>`);
+      continue;
+    }
+
+    if ((match = line.match(MARKDOWN_LIST_ITEM)) && !(match[4] === '' && lines[i + 1] !== undefined && !lines[i + 1].trim())) {
+      const ordered = /\d/.test(match[2]);
+      const marker = match[2].slice(-1);
+      const items = [];
+      let loose = false;
+
+      while (i < lines.length) {
+        const item = lines[i].match(MARKDOWN_LIST_ITEM);
+        if (!item || /\d/.test(item[2]) !== ordered || item[2].slice(-1) !== marker || MARKDOWN_RULE.test(lines[i])) break;
+        const contentIndent = item[1].length + item[2].length + (item[3].length > 4 || !item[4] ? 1 : item[3].length);
+        const itemLines = [item[4]];
+        i++;
+        while (i < lines.length) {
+          const next = lines[i];
+          const indent = next.match(/^ */)[0].length;
+          if (!next.trim()) {
+            itemLines.push('');
+          } else if (indent >= contentIndent) {
+            itemLines.push(next.slice(contentIndent));
+          } else if (itemLines[itemLines.length - 1].trim() && !isMarkdownBlockStart(next) && !MARKDOWN_LIST_ITEM.test(next)) {
+            itemLines.push(next.trim());
+          } else {
+            break;
+          }
+          i++;
+        }
+        // Blank lines inside an item, or between items, make the whole list loose
+        let end = itemLines.length;
+        while (end > 0 && !itemLines[end - 1].trim()) end--;
+        if (itemLines.slice(0, end).some((text, n) => !text.trim() && n > 0 && !/^ {0,3}([-*+]|\d{1,9}[.)])/.test(itemLines[n + 1] || ''))) loose = true;
+        const following = i < lines.length && lines[i].match(MARKDOWN_LIST_ITEM);
+        if (end < itemLines.length && following && /\d/.test(following[2]) === ordered && following[2].slice(-1) === marker) loose = true;
+        items.push({ lines: itemLines.slice(0, end), number: ordered ? parseInt(item[2], 10) : null });
+      }
+
+      const tag = ordered ? 'ol' : 'ul';
+      const start = ordered && items[0].number !== 1 ? ` start="${items[0].number}"` : '';
+      const body = items.map(item => {
+        let content = item.lines;
+        // Task list items: "[ ]" and "[x]"
+        let prefix = '';
+        const task = content[0] && content[0].match(/^\[([ xX])\]\s+/);
+        if (task) {
+          prefix = task[1] === ' ' ? '[ ] ' : '[x] ';
+          content = [content[0].slice(task[0].length)].concat(content.slice(1));
+        }
+        const html = renderMarkdownBlocks(content, references, !loose, depth + 1).trim();
+        return `<li>${html.replace(/^(<p>)?/, match => match + prefix)}</li>`;
+      }).join('\n');
+      out.push(`<${tag}${start}>\n${body}\n</${tag}>`);
+      continue;
+    }
+
+    if (/^ {4}/.test(line)) {
+      const code = [];
+      while (i < lines.length && (/^ {4}/.test(lines[i]) || !lines[i].trim())) code.push(lines[i++].slice(4));
+      while (code.length && !code[code.length - 1].trim()) code.pop();
+      out.push(`<pre><code>${escapeXml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (/^ {0,3}<(\/?[a-zA-Z][\w-]*[\s/>]|\/?[a-zA-Z][\w-]*$|!--)/.test(line)) {
+      const raw = [];
+      while (i < lines.length && lines[i].trim()) raw.push(lines[i++]);
+      out.push(raw.join('\n'));
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && MARKDOWN_TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const cells = row => row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+      const header = cells(line);
+      const aligns = cells(lines[i + 1]).map(cell => (/^:-+:$/.test(cell) ? 'center' : /-:$/.test(cell) ? 'right' : /^:-/.test(cell) ? 'left' : ''));
+      const style = n => (aligns[n] ? ` style="text-align: ${aligns[n]}"` : '');
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(cells(lines[i++]));
+      const head = header.map((cell, n) => `<th${style(n)}>${markdownInline(cell, references)}</th>`).join('');
+      const bodyRows = rows.map(row => '<tr>' + header.map((column, n) => `<td${style(n)}>${markdownInline(row[n] || '', references)}</td>`).join('') + '</tr>').join('\n');
+      out.push(`<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${bodyRows}\n</tbody>\n</table>`);
+      continue;
+    }
+
+    // Paragraph, or a setext heading when underlined with === or ---
+    const paragraph = [];
+    let level = 0;
+    while (i < lines.length && lines[i].trim()) {
+      if (paragraph.length && /^ {0,3}(=+|-+)\s*$/.test(lines[i])) {
+        level = lines[i].trim()[0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (paragraph.length && isMarkdownBlockStart(lines[i])) break;
+      paragraph.push(lines[i++]);
+    }
+    const text = markdownInline(paragraph.map(part => part.replace(/^\s+/, '')).join('\n'), references);
+    if (level) out.push(`<h${level}>${text}</h${level}>`);
+    else out.push(tight ? text : `<p>${text}</p>`);
+  }
+
+  return out.join('\n') + '\n';
+}
+
+// Inline Markdown: code spans, links, images, emphasis, strikethrough and hard breaks. HTML tags and
+// entities pass through; everything else is escaped.
+function markdownInline(text, references) {
+  const saved = [];
+  const keep = html => `\u0000${saved.push(html) - 1}\u0000`;
+  const attribute = value => escapeXml(value).replace(/&apos;/g, '&#39;');
+  const link = (label, href, title) => `<a href="${attribute(href)}"${title ? ` title="${attribute(title)}"` : ''}>${label}</a>`;
+
+  let result = text
+    .replace(/(`+)([^]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeXml(code.replace(/\n/g, ' ').replace(/^ (.*) $/, '$1'))}</code>`))
+    .replace(/<((?:https?|ftp|mailto):[^\s<>]+)>/gi, (match, url) => keep(link(escapeXml(url), url)))
+    .replace(/<\/?[a-zA-Z][\w-]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<!--[^]*?-->/g, tag => keep(tag))
+    .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => keep(escapeXml(char)))
+    .replace(/&(?!#?\w+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const destination = '\\(\\s*(?:<([^>]*)>|((?:[^\\s()]|\\([^\\s()]*\\))*))(?:\\s+(?:"([^"]*)"|\'([^\']*)\'))?\\s*\\)';
+  result = result
+    .replace(new RegExp(`!\\[([^\\]]*)\\]${destination}`, 'g'), (match, alt, angled, plain, title1, title2) => {
+      const title = title1 || title2;
+      return keep(`<img src="${attribute(angled || plain || '')}" alt="${attribute(alt.replace(/&amp;/g, '&'))}"${title ? ` title="${attribute(title)}"` : ''}>`);
+    })
+    .replace(new RegExp(`\\[([^\\]]+)\\]${destination}`, 'g'), (match, label, angled, plain, title1, title2) => link(label, angled || plain || '', title1 || title2))
+    .replace(/\[([^\]]+)\]\[([^\]]*)\]|\[([^\]]+)\](?![[(])/g, (match, label, id, shortcut) => {
+      const reference = references[String(id || label || shortcut).toLowerCase()];
+      return reference ? link(label || shortcut, reference.href, reference.title) : match;
+    })
+    .replace(/(\*\*|__)(?=\S)([^]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*]|[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([^]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, index) => saved[index]);
+}
+
+// Plain text keeps its lines and spacing; form feeds start a new page
+function plainTextToHtml(text) {
+  const pages = text.replace(/\r\n?/g, '\n').split('\f');
+  const body = pages
+    .map((page, i) => `<pre${i > 0 ? ' style="page-break-before: always"' : ''}>${escapeXml(page.replace(/\n$/, ''))}</pre>`)
+    .join('\n');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><style>pre { margin: 0; font-size: 10pt; white-space: pre-wrap }</style></head><body>\n${body}</body></html>`;
+}
+
+// ---- CSS ----
+
+// Browser defaults for the elements and the CSS subset the HTML renderer understands
+const HTML_DEFAULT_CSS = `
+  head, script, style, title, meta, link, base, template, datalist, param, source, track, area, map, noscript, [hidden] { display: none }
+  html, body, div, p, h1, h2, h3, h4, h5, h6, ul, ol, menu, dl, dt, dd, blockquote, pre, listing, xmp, address, article, aside,
+  section, header, footer, nav, main, hgroup, figure, figcaption, hr, form, fieldset, legend, details, summary, center, dialog { display: block }
+  li { display: list-item }
+  table { display: table; border-collapse: separate; border-spacing: 2px; text-indent: 0 }
+  caption { display: table-caption; text-align: center }
+  thead { display: table-header-group }
+  tbody { display: table-row-group }
+  tfoot { display: table-footer-group }
+  tr { display: table-row }
+  td, th { display: table-cell; padding: 1px; vertical-align: middle }
+  col { display: table-column }
+  colgroup { display: table-column-group }
+  p, dl, ul, ol, menu, pre, listing, xmp { margin: 1em 0 }
+  blockquote, figure { margin: 1em 40px }
+  h1 { font-size: 2em; margin: 0.67em 0 }
+  h2 { font-size: 1.5em; margin: 0.83em 0 }
+  h3 { font-size: 1.17em; margin: 1em 0 }
+  h4 { margin: 1.33em 0 }
+  h5 { font-size: 0.83em; margin: 1.67em 0 }
+  h6 { font-size: 0.67em; margin: 2.33em 0 }
+  h1, h2, h3, h4, h5, h6 { font-weight: bold; page-break-after: avoid }
+  ul, ol, menu { padding-left: 40px }
+  ul, menu { list-style-type: disc }
+  ol { list-style-type: decimal }
+  ul ul, ol ul, menu ul { list-style-type: circle }
+  ul ul ul, ul ol ul, ol ul ul, ol ol ul { list-style-type: square }
+  ul ul, ul ol, ol ul, ol ol { margin-top: 0; margin-bottom: 0 }
+  dd { margin-left: 40px }
+  pre, listing, xmp, code, kbd, samp, tt { font-family: monospace }
+  pre, listing, xmp { white-space: pre; font-size: 0.875em }
+  code, kbd, samp, tt { font-size: 0.875em }
+  pre code, pre kbd, pre samp, pre tt { font-size: 1em }
+  b, strong, th, dt { font-weight: bold }
+  th { text-align: center }
+  i, em, cite, var, dfn, address { font-style: italic }
+  u, ins { text-decoration: underline }
+  s, strike, del { text-decoration: line-through }
+  a[href] { color: #0000ee; text-decoration: underline }
+  small { font-size: smaller }
+  big { font-size: larger }
+  sub { vertical-align: sub; font-size: smaller }
+  sup { vertical-align: super; font-size: smaller }
+  mark { background-color: yellow; color: black }
+  hr { border-top: 1px solid #888888; margin: 0.5em 0 }
+  center { text-align: center }
+  fieldset { border: 1px solid #c0c0c0; padding: 0.35em 0.75em 0.625em; margin: 0 2px }
+  .pdf-header, .pdf-footer { font-size: 9pt; color: #555555 }
+`;
+
+// Properties children take from their parent unless they set their own
+const HTML_INHERITED_PROPERTIES = new Set([
+  'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'text-align', 'white-space',
+  'text-transform', 'text-indent', 'list-style-type', 'list-style-position', 'border-collapse', 'border-spacing'
+]);
+
+const HTML_NAMED_COLORS = {
+  black: '000000', silver: 'C0C0C0', gray: '808080', grey: '808080', white: 'FFFFFF', maroon: '800000', red: 'FF0000',
+  purple: '800080', fuchsia: 'FF00FF', magenta: 'FF00FF', green: '008000', lime: '00FF00', olive: '808000',
+  yellow: 'FFFF00', navy: '000080', blue: '0000FF', teal: '008080', aqua: '00FFFF', cyan: '00FFFF', orange: 'FFA500',
+  darkgray: 'A9A9A9', darkgrey: 'A9A9A9', lightgray: 'D3D3D3', lightgrey: 'D3D3D3', gainsboro: 'DCDCDC',
+  whitesmoke: 'F5F5F5', dimgray: '696969', dimgrey: '696969', slategray: '708090', lightslategray: '778899',
+  darkred: '8B0000', firebrick: 'B22222', crimson: 'DC143C', indianred: 'CD5C5C', salmon: 'FA8072', tomato: 'FF6347',
+  coral: 'FF7F50', orangered: 'FF4500', darkorange: 'FF8C00', gold: 'FFD700', khaki: 'F0E68C', beige: 'F5F5DC',
+  ivory: 'FFFFF0', lightyellow: 'FFFFE0', lemonchiffon: 'FFFACD', wheat: 'F5DEB3', tan: 'D2B48C', chocolate: 'D2691E',
+  brown: 'A52A2A', sienna: 'A0522D', darkgreen: '006400', forestgreen: '228B22', seagreen: '2E8B57',
+  mediumseagreen: '3CB371', lightgreen: '90EE90', palegreen: '98FB98', limegreen: '32CD32', yellowgreen: '9ACD32',
+  darkolivegreen: '556B2F', darkcyan: '008B8B', lightseagreen: '20B2AA', turquoise: '40E0D0', lightcyan: 'E0FFFF',
+  darkblue: '00008B', mediumblue: '0000CD', royalblue: '4169E1', steelblue: '4682B4', dodgerblue: '1E90FF',
+  deepskyblue: '00BFFF', skyblue: '87CEEB', lightblue: 'ADD8E6', lightsteelblue: 'B0C4DE', aliceblue: 'F0F8FF',
+  cornflowerblue: '6495ED', midnightblue: '191970', indigo: '4B0082', darkviolet: '9400D3', violet: 'EE82EE',
+  orchid: 'DA70D6', plum: 'DDA0DD', lavender: 'E6E6FA', pink: 'FFC0CB', lightpink: 'FFB6C1', hotpink: 'FF69B4',
+  deeppink: 'FF1493', mintcream: 'F5FFFA', honeydew: 'F0FFF0', azure: 'F0FFFF', snow: 'FFFAFA', linen: 'FAF0E6',
+  seashell: 'FFF5EE', oldlace: 'FDF5E6', floralwhite: 'FFFAF0', ghostwhite: 'F8F8FF', rebeccapurple: '663399'
+};
+
+// Stylesheet text -> rules { selector, declarations, order } plus @page and @font-face declarations.
+// @media blocks count when they apply to print; @import pulls in uploaded stylesheets.
+function parseCss(text, context, sheet, depth = 0) {
+  const css = text.replace(/\/\*[^]*?(\*\/|$)/g, '');
+  let position = 0;
+
+  // From `start` (just after a "{") to the matching "}"
+  const blockEnd = start => {
+    let depthCount = 1;
+    let quote = null;
+    for (let i = start; i < css.length; i++) {
+      const char = css[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '{') {
+        depthCount++;
+      } else if (char === '}' && --depthCount === 0) {
+        return i;
+      }
+    }
+    return css.length;
+  };
+
+  while (position < css.length) {
+    const brace = css.indexOf('{', position);
+    const semicolon = css.indexOf(';', position);
+    const prelude = css.slice(position, brace === -1 ? css.length : brace).trim();
+
+    // Statement at-rules: @import, @charset, @namespace
+    if (/^@/.test(css.slice(position).trim()) && semicolon !== -1 && (brace === -1 || semicolon < brace)) {
+      const statement = css.slice(position, semicolon).trim();
+      const imported = statement.match(/^@import\s+(?:url\(\s*)?["']?([^"')\s]+)["']?\s*\)?\s*([^]*)$/i);
+      if (imported && depth < 5 && (!imported[2] || /\b(print|all)\b/i.test(imported[2]))) {
+        const data = resolveHtmlResource(context, imported[1]);
+        if (data) parseCss(data.toString('utf8'), context, sheet, depth + 1);
+      }
+      position = semicolon + 1;
+      continue;
+    }
+    if (brace === -1) break;
+
+    const end = blockEnd(brace + 1);
+    const block = css.slice(brace + 1, end);
+    position = end + 1;
+
+    if (/^@media\b/i.test(prelude)) {
+      const media = prelude.slice(6).toLowerCase();
+      const applies = media.split(',').some(query => {
+        const type = query.trim().replace(/^only\s+/, '');
+        if (/^not\s/.test(type)) return !/\bprint\b/.test(type);
+        return !/^(screen|speech|tv|projection|handheld)\b/.test(type);
+      });
+      if (applies) parseCss(block, context, sheet, depth + 1);
+    } else if (/^@supports\b/i.test(prelude)) {
+      parseCss(block, context, sheet, depth + 1);
+    } else if (/^@page\b/i.test(prelude)) {
+      // Only the plain @page rule; :first, :left and :right variants are ignored
+      if (/^@page\s*$/i.test(prelude)) {
+        for (const declaration of parseCssDeclarations(block)) sheet.page[declaration.property] = declaration.value;
+      }
+    } else if (/^@font-face\b/i.test(prelude)) {
+      sheet.fontFaces.push(parseCssDeclarations(block));
+    } else if (!prelude.startsWith('@')) {
+      const declarations = parseCssDeclarations(block);
+      for (const selectorText of splitCssList(prelude)) {
+        const selector = parseCssSelector(selectorText);
+        if (selector) sheet.rules.push({ selector, declarations, order: sheet.rules.length });
+      }
+    }
+  }
+  return sheet;
+}
+
+// Split on commas outside brackets and quotes
+function splitCssList(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+// "color: red; margin: 0 auto !important" -> [{ property, value, important }] with shorthands expanded
+function parseCssDeclarations(text) {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  const pieces = [];
+  for (let i = 0; i <= text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if ((char === ';' && depth === 0) || i === text.length) {
+      pieces.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  for (const piece of pieces) {
+    const colon = piece.indexOf(':');
+    if (colon === -1) continue;
+    const property = piece.slice(0, colon).trim().toLowerCase();
+    let value = piece.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/!\s*important$/i, '').trim();
+    if (!property || !value) continue;
+    for (const [name, expanded] of expandCssShorthand(property, value)) {
+      declarations.push({ property: name, value: expanded, important });
+    }
+  }
+  return declarations;
+}
+
+// Split the value of a CSS property on spaces outside brackets
+function splitCssValue(value) {
+  return value.match(/(?:[^\s(]+\([^)]*\)[^\s]*|"[^"]*"|'[^']*'|[^\s]+)/g) || [];
+}
+
+// Shorthand properties -> the longhands the renderer reads
+function expandCssShorthand(property, value) {
+  const sides = ['top', 'right', 'bottom', 'left'];
+  const boxValues = () => {
+    const parts = splitCssValue(value);
+    const [top, right = top, bottom = top, left = right] = parts;
+    return [top, right, bottom, left];
+  };
+  const borderParts = text => {
+    const result = {};
+    for (const part of splitCssValue(text)) {
+      if (/^(none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)$/i.test(part)) result.style = part;
+      else if (/^(thin|medium|thick)$/i.test(part) || /^-?[\d.]+[a-z%]*$/i.test(part)) result.width = part;
+      else result.color = part;
+    }
+    return result;
+  };
+
+  if (property === 'margin' || property === 'padding') {
+    return boxValues().map((part, i) => [`${property}-${sides[i]}`, part]);
+  }
+  if (property === 'border' || /^border-(top|right|bottom|left)$/.test(property)) {
+    const parts = borderParts(value);
+    const targets = property === 'border' ? sides : [property.slice(7)];
+    return targets.flatMap(side => [
+      [`border-${side}-style`, parts.style || 'none'],
+      [`border-${side}-width`, parts.width || 'medium'],
+      [`border-${side}-color`, parts.color || 'currentcolor']
+    ]);
+  }
+  if (/^border-(width|style|color)$/.test(property)) {
+    const kind = property.slice(7);
+    return boxValues().map((part, i) => [`border-${sides[i]}-${kind}`, part]);
+  }
+  if (property === 'background') {
+    const color = splitCssValue(value).find(part => parseHtmlColor(part) !== undefined);
+    return [['background-color', color || 'transparent']];
+  }
+  if (property === 'list-style') {
+    const type = splitCssValue(value).find(part => /^(none|disc|circle|square|decimal|decimal-leading-zero|lower-alpha|upper-alpha|lower-latin|upper-latin|lower-roman|upper-roman)$/i.test(part));
+    const position = splitCssValue(value).find(part => /^(inside|outside)$/i.test(part));
+    return [type && ['list-style-type', type], position && ['list-style-position', position]].filter(Boolean);
+  }
+  if (property === 'text-decoration' || property === 'text-decoration-line') {
+    return [['text-decoration', value]];
+  }
+  if (property === 'page-break-before' || property === 'page-break-after' || property === 'page-break-inside') {
+    const mapped = value.toLowerCase() === 'always' ? 'page' : value;
+    return [[property.replace('page-break', 'break'), mapped]];
+  }
+  if (property === 'font') {
+    // [style] [variant] [weight] size[/line-height] family
+    const match = value.match(/^((?:(?:italic|oblique|normal|small-caps|bold|bolder|lighter|\d{3})\s+)*)([\d.]+[a-z%]*|xx-small|x-small|small|medium|large|x-large|xx-large|smaller|larger)(?:\s*\/\s*([\d.]+[a-z%]*|normal))?\s+(.+)$/i);
+    if (!match) return [];
+    const modifiers = match[1].toLowerCase().split(/\s+/).filter(Boolean);
+    const result = [
+      ['font-style', modifiers.find(word => word === 'italic' || word === 'oblique') || 'normal'],
+      ['font-weight', modifiers.find(word => /^(bold|bolder|lighter|\d{3})$/.test(word)) || 'normal'],
+      ['font-size', match[2]],
+      ['font-family', match[4]]
+    ];
+    if (match[3]) result.push(['line-height', match[3]]);
+    return result;
+  }
+  return [[property, value]];
+}
+
+// One selector -> [{ combinator, tag, id, classes, attributes, pseudos }] from left to right with its
+// specificity; null when it uses something the renderer can't match (pseudo-elements and the like)
+function parseCssSelector(text) {
+  const parts = [];
+  const specificity = [0, 0, 0];
+  let compound = null;
+  let combinator = null;
+  const pattern = /\s*([>+~])\s*|(\s+)|(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*(i)?\s*)?\]|(::?)([\w-]+)(?:\(([^)]*)\))?|(.)/g;
+  const part = () => {
+    if (!compound) {
+      compound = { combinator: parts.length ? combinator || ' ' : null, tag: null, id: null, classes: [], attributes: [], pseudos: [] };
+      parts.push(compound);
+      combinator = null;
+    }
+    return compound;
+  };
+
+  let match;
+  while ((match = pattern.exec(text.trim()))) {
+    const [, explicit, whitespace, tag, id, className, attribute, operator, quoted1, quoted2, bare, insensitive, colons, pseudo, argument, other] = match;
+    if (explicit) {
+      if (!compound) return null;
+      combinator = explicit;
+      compound = null;
+    } else if (whitespace) {
+      if (compound) {
+        combinator = combinator || ' ';
+        compound = null;
+      }
+    } else if (tag) {
+      if (compound) return null;
+      part().tag = tag === '*' ? null : tag.toLowerCase();
+      if (tag !== '*') specificity[2]++;
+    } else if (id) {
+      part().id = id;
+      specificity[0]++;
+    } else if (className) {
+      part().classes.push(className);
+      specificity[1]++;
+    } else if (attribute) {
+      const value = quoted1 !== undefined ? quoted1 : quoted2 !== undefined ? quoted2 : bare;
+      part().attributes.push({ name: attribute.toLowerCase(), operator, value, insensitive: Boolean(insensitive) });
+      specificity[1]++;
+    } else if (colons) {
+      const name = pseudo.toLowerCase();
+      if (colons === '::' || ['before', 'after', 'first-line', 'first-letter', 'marker', 'selection', 'placeholder'].includes(name)) return null;
+      if (name === 'not') {
+        const inner = parseCssSelector(argument || '');
+        if (!inner || inner.parts.length !== 1) return null;
+        part().pseudos.push({ name, selector: inner.parts[0] });
+      } else if (/^nth-(last-)?(child|of-type)$/.test(name)) {
+        const nth = parseCssNth(argument || '');
+        if (!nth) return null;
+        part().pseudos.push({ name, nth });
+      } else {
+        part().pseudos.push({ name });
+      }
+      specificity[1]++;
+    } else if (other) {
+      return null;
+    }
+  }
+  if (!parts.length || combinator) return null;
+  return { parts, specificity };
+}
+
+// "odd", "even", "3", "2n+1" -> { a, b }
+function parseCssNth(text) {
+  const value = text.replace(/\s+/g, '').toLowerCase();
+  if (value === 'odd') return { a: 2, b: 1 };
+  if (value === 'even') return { a: 2, b: 0 };
+  const match = value.match(/^([+-]?\d*)n([+-]\d+)?$|^([+-]?\d+)$/);
+  if (!match) return null;
+  if (match[3] !== undefined) return { a: 0, b: parseInt(match[3], 10) };
+  const a = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+  return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+function matchesCssNth(nth, position) {
+  if (nth.a === 0) return position === nth.b;
+  const steps = (position - nth.b) / nth.a;
+  return Number.isInteger(steps) && steps >= 0;
+}
+
+// Does one compound selector (e.g. "td.total:last-child") match the element?
+function matchesCssCompound(element, compound) {
+  if (compound.tag && element.name !== compound.tag) return false;
+  if (compound.id && element.attributes.id !== compound.id) return false;
+  if (compound.classes.length) {
+    const classes = String(element.attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+  for (const attribute of compound.attributes) {
+    let actual = element.attributes[attribute.name];
+    if (actual === undefined) return false;
+    if (!attribute.operator) continue;
+    let expected = attribute.value;
+    if (attribute.insensitive) {
+      actual = actual.toLowerCase();
+      expected = expected.toLowerCase();
+    }
+    const matched = attribute.operator === '=' ? actual === expected
+      : attribute.operator === '~=' ? actual.split(/\s+/).includes(expected)
+        : attribute.operator === '|=' ? actual === expected || actual.startsWith(expected + '-')
+          : attribute.operator === '^=' ? expected !== '' && actual.startsWith(expected)
+            : attribute.operator === '$=' ? expected !== '' && actual.endsWith(expected)
+              : expected !== '' && actual.includes(expected);
+    if (!matched) return false;
+  }
+  for (const pseudo of compound.pseudos) {
+    const siblings = element.siblings || [element];
+    const position = element.position || 0;
+    const ofType = () => siblings.filter(sibling => sibling.name === element.name);
+    switch (pseudo.name) {
+      case 'first-child': if (position !== 0) return false; break;
+      case 'last-child': if (position !== siblings.length - 1) return false; break;
+      case 'only-child': if (siblings.length !== 1) return false; break;
+      case 'first-of-type': if (ofType()[0] !== element) return false; break;
+      case 'last-of-type': if (ofType().slice(-1)[0] !== element) return false; break;
+      case 'nth-child': if (!matchesCssNth(pseudo.nth, position + 1)) return false; break;
+      case 'nth-last-child': if (!matchesCssNth(pseudo.nth, siblings.length - position)) return false; break;
+      case 'nth-of-type': if (!matchesCssNth(pseudo.nth, ofType().indexOf(element) + 1)) return false; break;
+      case 'nth-last-of-type': {
+        const same = ofType();
+        if (!matchesCssNth(pseudo.nth, same.length - same.indexOf(element))) return false;
+        break;
+      }
+      case 'root': if (!element.parent || element.parent.name !== '#document') return false; break;
+      case 'empty': if (element.children.some(child => child.name || child.text)) return false; break;
+      case 'link': case 'any-link': if (element.name !== 'a' || element.attributes.href === undefined) return false; break;
+      case 'not': if (matchesCssCompound(element, pseudo.selector)) return false; break;
+      // Printed pages are never hovered, focused or visited
+      default: return false;
+    }
+  }
+  return true;
+}
+
+function matchesCssSelector(element, parts, index = parts.length - 1) {
+  if (!matchesCssCompound(element, parts[index])) return false;
+  if (index === 0) return true;
+
+  const { combinator } = parts[index];
+  if (combinator === '>') {
+    return Boolean(element.parent && element.parent.name !== '#document' && matchesCssSelector(element.parent, parts, index - 1));
+  }
+  if (combinator === '+') {
+    const previous = element.siblings && element.siblings[element.position - 1];
+    return Boolean(previous && matchesCssSelector(previous, parts, index - 1));
+  }
+  if (combinator === '~') {
+    return (element.siblings || []).slice(0, element.position).some(sibling => matchesCssSelector(sibling, parts, index - 1));
+  }
+  for (let ancestor = element.parent; ancestor && ancestor.name !== '#document'; ancestor = ancestor.parent) {
+    if (matchesCssSelector(ancestor, parts, index - 1)) return true;
+  }
+  return false;
+}
+
+// Browser defaults, then <style> and <link rel="stylesheet"> in document order, then the request's `css`
+function collectHtmlStylesheet(root, context, extraCss) {
+  const defaults = parseCss(HTML_DEFAULT_CSS, context, { rules: [], page: {}, fontFaces: [] });
+  const author = { rules: [], page: {}, fontFaces: [] };
+
+  const visit = element => {
+    for (const child of element.children) {
+      if (!child.name) continue;
+      const media = String(child.attributes.media || 'all').toLowerCase();
+      const forPrint = /\b(all|print)\b/.test(media) || !/\b(screen|speech)\b/.test(media);
+      if (child.name === 'style' && forPrint) {
+        parseCss(htmlTextContent(child), context, author);
+      } else if (child.name === 'link' && /\bstylesheet\b/i.test(child.attributes.rel || '') && forPrint) {
+        const data = resolveHtmlResource(context, child.attributes.href);
+        if (data) parseCss(data.toString('utf8'), context, author);
+      } else if (child.name !== 'svg') {
+        visit(child);
+      }
+    }
+  };
+  visit(root);
+  if (extraCss) parseCss(extraCss, context, author);
+
+  defaults.rules.forEach(rule => {
+    rule.origin = 0;
+  });
+  author.rules.forEach((rule, i) => {
+    rule.origin = 2;
+    rule.order = i;
+  });
+  return { rules: defaults.rules.concat(author.rules), page: author.page, fontFaces: author.fontFaces };
+}
+
+// Attributes that act as styles (bgcolor, width, align, ...), weaker than any stylesheet rule
+function htmlPresentationalDeclarations(element) {
+  const { name, attributes } = element;
+  const declarations = [];
+  const add = (property, value) => declarations.push(...expandCssShorthand(property, value).map(([longhand, expanded]) => ({ property: longhand, value: expanded })));
+  const length = value => (/^\d+(\.\d+)?$/.test(String(value).trim()) ? `${value.trim()}px` : String(value).trim());
+
+  if (attributes.bgcolor) add('background-color', attributes.bgcolor);
+  if (attributes.align) {
+    const align = attributes.align.toLowerCase();
+    if (name === 'table') {
+      if (align === 'center') add('margin', '0 auto');
+      else if (align === 'right') add('margin-left', 'auto');
+    } else if (name !== 'img') {
+      add('text-align', align);
+    }
+  }
+  if (attributes.valign) add('vertical-align', attributes.valign);
+  if (attributes.width && ['img', 'table', 'td', 'th', 'col', 'colgroup', 'hr', 'svg', 'pre'].includes(name)) add('width', length(attributes.width));
+  if (attributes.height && ['img', 'td', 'th', 'tr', 'svg'].includes(name)) add('height', length(attributes.height));
+  if (attributes.nowrap !== undefined && (name === 'td' || name === 'th')) add('white-space', 'nowrap');
+  if (name === 'font') {
+    if (attributes.color) add('color', attributes.color);
+    if (attributes.face) add('font-family', attributes.face);
+    const sizes = { 1: 'x-small', 2: 'small', 3: 'medium', 4: 'large', 5: 'x-large', 6: 'xx-large', 7: 'xx-large' };
+    if (attributes.size && sizes[parseInt(attributes.size, 10)]) add('font-size', sizes[parseInt(attributes.size, 10)]);
+  }
+  if ((name === 'ol' || name === 'ul' || name === 'li') && attributes.type) {
+    const types = { 1: 'decimal', a: 'lower-alpha', A: 'upper-alpha', i: 'lower-roman', I: 'upper-roman', disc: 'disc', circle: 'circle', square: 'square' };
+    if (types[attributes.type]) add('list-style-type', types[attributes.type]);
+  }
+  if (name === 'table' && attributes.cellspacing !== undefined) add('border-spacing', length(attributes.cellspacing));
+  if (name === 'table' && attributes.border !== undefined && attributes.border !== '0') {
+    add('border', `${length(attributes.border || '1')} outset #808080`);
+  }
+  if ((name === 'td' || name === 'th') && element.table) {
+    const table = element.table.attributes;
+    if (table.border !== undefined && table.border !== '0') add('border', '1px inset #808080');
+    if (table.cellpadding !== undefined) add('padding', length(table.cellpadding));
+  }
+  return declarations;
+}
+
+// Cascade: browser defaults < attributes < author rules < style="" (each !important above the lot),
+// then resolve against the parent's computed style
+function computeHtmlStyle(element, parent, context) {
+  if (element.computedStyle) return element.computedStyle;
+
+  const matched = [];
+  for (const rule of context.rules) {
+    if (matchesCssSelector(element, rule.selector.parts)) {
+      for (const declaration of rule.declarations) {
+        matched.push({ ...declaration, origin: rule.origin, specificity: rule.selector.specificity, order: rule.order });
+      }
+    }
+  }
+  for (const declaration of htmlPresentationalDeclarations(element)) {
+    matched.push({ ...declaration, origin: 1, specificity: [0, 0, 0], order: 0 });
+  }
+  if (element.attributes.style) {
+    for (const declaration of parseCssDeclarations(element.attributes.style)) {
+      matched.push({ ...declaration, origin: 3, specificity: [0, 0, 0], order: 0 });
+    }
+  }
+  matched.sort((a, b) => (a.important - b.important) || (a.origin - b.origin) ||
+    (a.specificity[0] - b.specificity[0]) || (a.specificity[1] - b.specificity[1]) || (a.specificity[2] - b.specificity[2]) ||
+    (a.order - b.order));
+
+  const specified = {};
+  for (const declaration of matched) specified[declaration.property] = declaration.value.trim();
+
+  element.computedStyle = resolveHtmlStyle(specified, parent, element);
+  return element.computedStyle;
+}
+
+// Initial values of the computed style, also the parent of the root element
+const HTML_ROOT_STYLE = {
+  display: 'block',
+  fontFamily: 'Times New Roman, serif',
+  fontSize: 12,
+  bold: false,
+  italic: false,
+  color: '000000',
+  underline: false,
+  strike: false,
+  rise: 0,
+  background: null,
+  inlineBackground: null,
+  link: null,
+  textAlign: 'left',
+  lineHeight: { normal: true },
+  whiteSpace: 'normal',
+  textTransform: 'none',
+  textIndent: 0,
+  listStyleType: 'disc',
+  listStylePosition: 'outside',
+  borderCollapse: 'separate',
+  borderSpacing: [0, 0],
+  verticalAlign: 'baseline',
+  margin: { top: 0, right: 0, bottom: 0, left: 0 },
+  padding: { top: 0, right: 0, bottom: 0, left: 0 },
+  border: { top: null, right: null, bottom: null, left: null },
+  width: null,
+  height: null,
+  maxWidth: null,
+  minHeight: null,
+  boxSizing: 'content-box',
+  breakBefore: 'auto',
+  breakAfter: 'auto',
+  breakInside: 'auto',
+  hidden: false
+};
+
+// Specified values -> computed style; lengths in points, colours as RRGGBB hex
+function resolveHtmlStyle(specified, parent, element) {
+  // The element's own value, or null when it has none (or asks for the inherited/initial one)
+  const own = property => {
+    const raw = specified[property];
+    return raw === undefined || /^(inherit|initial|unset|revert)$/i.test(raw) ? null : raw;
+  };
+  const inherits = property => {
+    const raw = specified[property];
+    if (raw === undefined) return HTML_INHERITED_PROPERTIES.has(property);
+    return /^inherit$/i.test(raw) || (/^(unset|revert)$/i.test(raw) && HTML_INHERITED_PROPERTIES.has(property));
+  };
+
+  const style = { ...HTML_ROOT_STYLE };
+  // Inherited properties start from the parent's value; returns the element's own value to apply
+  const inherit = (key, property) => {
+    if (inherits(property)) style[key] = parent[key];
+    return own(property);
+  };
+
+  const display = own('display');
+  style.display = display ? display.toLowerCase().split(/\s+/)[0] : 'inline';
+
+  // Font size first: em lengths everywhere else depend on it
+  const fontSizeValue = inherit('fontSize', 'font-size');
+  if (fontSizeValue) {
+    const keywords = { 'xx-small': 7, 'x-small': 7.5, small: 9.75, medium: 12, large: 13.5, 'x-large': 18, 'xx-large': 24, 'xxx-large': 36 };
+    const keyword = fontSizeValue.toLowerCase();
+    if (keywords[keyword]) style.fontSize = keywords[keyword];
+    else if (keyword === 'smaller') style.fontSize = parent.fontSize / 1.2;
+    else if (keyword === 'larger') style.fontSize = parent.fontSize * 1.2;
+    else {
+      const size = parseHtmlLength(fontSizeValue, parent.fontSize);
+      if (typeof size === 'number' && size > 0) style.fontSize = size;
+      else if (size && size.percent > 0) style.fontSize = parent.fontSize * size.percent / 100;
+    }
+  }
+  const em = style.fontSize;
+
+  const family = inherit('fontFamily', 'font-family');
+  if (family) style.fontFamily = family;
+  const weight = inherit('bold', 'font-weight');
+  if (weight) {
+    const keyword = weight.toLowerCase();
+    style.bold = keyword === 'bold' || keyword === 'bolder' ? true : keyword === 'lighter' || keyword === 'normal' ? false : parseInt(keyword, 10) >= 600;
+  }
+  const fontStyle = inherit('italic', 'font-style');
+  if (fontStyle) style.italic = /italic|oblique/i.test(fontStyle);
+
+  const color = inherit('color', 'color');
+  if (color) {
+    const parsed = parseHtmlColor(color, parent.color);
+    if (parsed) style.color = parsed;
+  }
+  const background = own('background-color');
+  if (background) style.background = parseHtmlColor(background, style.color) || null;
+
+  // Decorations, links, raised text and inline backgrounds reach every descendant's text
+  style.underline = parent.underline;
+  style.strike = parent.strike;
+  const decoration = own('text-decoration');
+  if (decoration) {
+    if (/underline/i.test(decoration)) style.underline = true;
+    if (/line-through/i.test(decoration)) style.strike = true;
+    if (/^none$/i.test(decoration.trim()) && element.name === 'a') style.underline = false;
+  }
+  style.link = element.name === 'a' && element.attributes.href ? element.attributes.href : parent.link;
+
+  const inline = !/^(block|list-item|table|table-cell|table-caption|flex|grid|table-row|table-row-group|table-header-group|table-footer-group)$/.test(style.display);
+  style.inlineBackground = inline ? style.background || parent.inlineBackground : null;
+
+  const verticalAlign = own('vertical-align');
+  style.verticalAlign = verticalAlign ? verticalAlign.toLowerCase() : 'baseline';
+  style.rise = inline ? parent.rise : 0;
+  if (style.verticalAlign === 'super') style.rise += parent.fontSize * 0.35;
+  else if (style.verticalAlign === 'sub') style.rise -= parent.fontSize * 0.2;
+  else if (inline && /^-?[\d.]+(pt|px|em)$/.test(style.verticalAlign)) style.rise += parseHtmlLength(style.verticalAlign, em);
+
+  const align = inherit('textAlign', 'text-align');
+  if (align) {
+    const keyword = align.toLowerCase();
+    style.textAlign = keyword === 'justify' ? 'both' : keyword === 'end' ? 'right' : keyword === 'start' ? 'left' : keyword.replace(/^-(webkit|moz)-/, '');
+  }
+  const lineHeight = inherit('lineHeight', 'line-height');
+  if (lineHeight) {
+    if (/^normal$/i.test(lineHeight)) style.lineHeight = { normal: true };
+    else if (/^[\d.]+$/.test(lineHeight)) style.lineHeight = { factor: parseFloat(lineHeight) };
+    else {
+      const length = parseHtmlLength(lineHeight, em);
+      if (typeof length === 'number') style.lineHeight = { length };
+      else if (length) style.lineHeight = { length: em * length.percent / 100 };
+    }
+  }
+  const whiteSpace = inherit('whiteSpace', 'white-space');
+  if (whiteSpace) style.whiteSpace = whiteSpace.toLowerCase();
+  const transform = inherit('textTransform', 'text-transform');
+  if (transform) style.textTransform = transform.toLowerCase();
+  const indent = inherit('textIndent', 'text-indent');
+  if (indent) style.textIndent = parseHtmlLength(indent, em) || 0;
+  const listType = inherit('listStyleType', 'list-style-type');
+  if (listType) style.listStyleType = listType.toLowerCase();
+  const listPosition = inherit('listStylePosition', 'list-style-position');
+  if (listPosition) style.listStylePosition = listPosition.toLowerCase();
+
+  const collapse = inherit('borderCollapse', 'border-collapse');
+  if (collapse) style.borderCollapse = collapse.toLowerCase();
+  const spacing = inherit('borderSpacing', 'border-spacing');
+  if (spacing) {
+    const [horizontal, vertical = horizontal] = splitCssValue(spacing).map(part => parseHtmlLength(part, em));
+    if (typeof horizontal === 'number' && typeof vertical === 'number') style.borderSpacing = [horizontal, vertical];
+  }
+
+  // Box model
+  const borderWidths = { thin: 0.75, medium: 2.25, thick: 3.75 };
+  style.margin = {};
+  style.padding = {};
+  style.border = {};
+  for (const side of ['top', 'right', 'bottom', 'left']) {
+    const margin = own(`margin-${side}`);
+    style.margin[side] = margin ? (/^auto$/i.test(margin) ? 'auto' : parseHtmlLength(margin, em) || 0) : 0;
+    const padding = own(`padding-${side}`);
+    style.padding[side] = padding ? parseHtmlLength(padding, em) || 0 : 0;
+
+    const borderStyle = String(own(`border-${side}-style`) || 'none').toLowerCase();
+    const widthValue = String(own(`border-${side}-width`) || 'medium').toLowerCase();
+    const width = borderWidths[widthValue] !== undefined ? borderWidths[widthValue] : parseHtmlLength(widthValue, em);
+    const borderColor = own(`border-${side}-color`);
+    const colorHex = borderColor ? parseHtmlColor(borderColor, style.color) : style.color;
+    style.border[side] = borderStyle !== 'none' && borderStyle !== 'hidden' && typeof width === 'number' && width > 0 && colorHex
+      ? { width, color: colorHex, dashed: /dash|dot/.test(borderStyle) }
+      : null;
+  }
+
+  for (const [key, property] of [['width', 'width'], ['height', 'height'], ['maxWidth', 'max-width'], ['minHeight', 'min-height']]) {
+    const raw = own(property);
+    style[key] = raw && !/^(auto|none)$/i.test(raw) ? parseHtmlLength(raw, em) : null;
+  }
+  const boxSizing = own('box-sizing');
+  style.boxSizing = boxSizing ? boxSizing.toLowerCase() : 'content-box';
+
+  for (const [key, property] of [['breakBefore', 'break-before'], ['breakAfter', 'break-after'], ['breakInside', 'break-inside']]) {
+    const raw = own(property);
+    style[key] = raw ? raw.toLowerCase() : 'auto';
+  }
+  const visibility = own('visibility');
+  style.hidden = Boolean(visibility && /hidden|collapse/i.test(visibility));
+  return style;
+}
+
+// CSS length -> points, { percent } for percentages, null when unreadable. `em` is the font size in points.
+function parseHtmlLength(value, em) {
+  const match = String(value).trim().toLowerCase().match(/^([+-]?(?:\d+\.?\d*|\.\d+))([a-z%]*)$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  const unit = match[2];
+  const factors = { '': number === 0 ? 0 : null, px: 0.75, pt: 1, pc: 12, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, q: 72 / 101.6, em, rem: 12, ex: em / 2, ch: em / 2 };
+  if (unit === '%') return { percent: number };
+  if (factors[unit] === undefined || factors[unit] === null) return null;
+  return number * factors[unit];
+}
+
+// A length resolved against the width of the containing block
+function resolveHtmlLength(length, base) {
+  if (length === null || length === undefined || length === 'auto') return 0;
+  if (typeof length === 'number') return length;
+  return length.percent !== undefined ? base * length.percent / 100 : 0;
+}
+
+// CSS colour -> RRGGBB hex; null for transparent, undefined when unreadable
+function parseHtmlColor(value, currentColor = '000000') {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'transparent') return null;
+  if (text === 'currentcolor') return currentColor;
+  if (HTML_NAMED_COLORS[text]) return HTML_NAMED_COLORS[text];
+
+  let hex = text.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) digits = digits.replace(/./g, digit => digit + digit);
+    if (digits.length === 8 && digits.slice(6) === '00') return null;
+    if (digits.length === 6 || digits.length === 8) return digits.slice(0, 6).toUpperCase();
+    return undefined;
+  }
+
+  const functional = text.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!functional) return undefined;
+  const parts = functional[2].split(/[\s,\/]+/).filter(Boolean);
+  if (parts.length < 3) return undefined;
+  const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+  if (alpha === 0) return null;
+  if (functional[1].startsWith('rgb')) {
+    const channels = parts.slice(0, 3).map(part => Math.max(0, Math.min(255, part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part))));
+    if (channels.some(Number.isNaN)) return undefined;
+    return channels.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+  const [h, s, l] = [parseFloat(parts[0]) / 360, parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100];
+  if ([h, s, l].some(Number.isNaN)) return undefined;
+  return hslToHex(((h % 1) + 1) % 1, s, l);
+}
+
+// ---- HTML fonts and page setup ----
+
+// Families that map straight onto a standard PDF font (see createOfficeFonts)
+const HTML_STANDARD_FAMILIES = /^(serif|sans-serif|monospace|cursive|fantasy|system-ui|ui-\w+|-apple-system|blinkmacsystemfont|arial|helvetica|helvetica neue|verdana|tahoma|trebuchet ms|segoe ui|calibri|roboto|open sans|times|times new roman|georgia|garamond|cambria|palatino|palatino linotype|book antiqua|courier|courier new|consolas|menlo|monaco|lucida console)$/;
+
+// Fonts for the page: @font-face rules and uploaded TTF/OTF files by family name, the standard PDF
+// fonts for everything else. The first regular uploaded font (else OCR_TEXT_FONT) draws characters
+// the chosen font lacks, which is what makes Arabic, Cyrillic, CJK... text come out.
+async function createHtmlFonts(context, fontFaces, uploads) {
+  const { pdfDoc } = context;
+  const families = new Map();
+
+  const embed = async (data, label, declared = {}) => {
+    const fontkit = require('@pdf-lib/fontkit');
+    pdfDoc.registerFontkit(fontkit);
+    try {
+      const parsed = fontkit.create(data);
+      const font = await pdfDoc.embedFont(data, { subset: true });
+      const subfamily = String(parsed.subfamilyName || '');
+      const entry = {
+        font,
+        bold: declared.bold !== undefined ? declared.bold : /bold|black|heavy/i.test(subfamily),
+        italic: declared.italic !== undefined ? declared.italic : /italic|oblique/i.test(subfamily)
+      };
+      const family = String(declared.family || parsed.familyName || '').toLowerCase();
+      if (family) {
+        if (!families.has(family)) families.set(family, []);
+        families.get(family).push(entry);
+      }
+      return entry;
+    } catch (error) {
+      context.warnings.push(`Font "${label}" could not be embedded (${error.message})`);
+      return null;
+    }
+  };
+
+  for (const face of fontFaces) {
+    const value = property => (face.find(declaration => declaration.property === property) || {}).value || '';
+    const family = value('font-family').trim().replace(/^["']|["']$/g, '');
+    let data = null;
+    for (const source of value('src').matchAll(/url\(\s*(["']?)([^"')]+)\1\s*\)/g)) {
+      data = resolveHtmlResource(context, source[2]);
+      if (data) break;
+    }
+    if (!family || !data) continue;
+    const weight = value('font-weight');
+    await embed(data, family, { family, bold: /bold/i.test(weight) || parseInt(weight, 10) >= 600, italic: /italic|oblique/i.test(value('font-style')) });
+  }
+
+  const uploaded = [];
+  for (const upload of uploads) {
+    const entry = await embed(upload.data, upload.name);
+    if (entry) uploaded.push(entry);
+  }
+  // Characters the standard fonts lack come from an uploaded font, else from the page's own @font-face fonts
+  const candidates = uploaded.length ? uploaded : [].concat(...families.values());
+  const fallback = candidates.find(entry => !entry.bold && !entry.italic) || candidates[0];
+
+  const fonts = await createOfficeFonts(pdfDoc, fallback ? fallback.font : null);
+  const standard = fonts.get;
+  fonts.get = (family, bold, italic) => {
+    for (const name of String(family || '').split(',')) {
+      const key = name.trim().replace(/^["']|["']$/g, '').toLowerCase();
+      const variants = families.get(key);
+      if (variants) {
+        const mismatch = entry => (entry.bold !== bold ? 2 : 0) + (entry.italic !== italic ? 1 : 0);
+        return variants.reduce((best, entry) => (mismatch(entry) < mismatch(best) ? entry : best)).font;
+      }
+      if (HTML_STANDARD_FAMILIES.test(key)) return standard(key, bold, italic);
+    }
+    return standard(family, bold, italic);
+  };
+  return fonts;
+}
+
+// "A4", "letter landscape", "210mm 297mm", "8.5x11in" -> { size: [width, height] | null, orientation }.
+// Bare numbers are points. Returns null (or throws a 400 when `validate`) for anything else.
+function parseHtmlPageSize(text, validate) {
+  const words = String(text).trim().toLowerCase().split(/\s+/);
+  const orientation = words.find(word => word === 'portrait' || word === 'landscape') || '';
+  const rest = words.filter(word => word !== orientation).join(' ');
+  const fail = () => {
+    if (validate) throw httpError(400, `Invalid page size "${text}". Use A4, Letter, Legal... or a width and height like 210x297mm`);
+    return null;
+  };
+
+  if (!rest || rest === 'auto') return orientation ? { size: null, orientation } : fail();
+  const name = Object.keys(PageSizes).find(key => key.toLowerCase() === rest);
+  if (name) return { size: PageSizes[name].slice(), orientation };
+
+  const match = rest.match(/^([\d.]+)\s*([a-z]*)(?:\s*(?:x|\s)\s*([\d.]+)\s*([a-z]*))?$/);
+  if (!match) return fail();
+  const unit = match[4] || match[2] || 'pt';
+  const width = parseHtmlLength(match[1] + (match[2] || unit), 12);
+  const height = match[3] ? parseHtmlLength(match[3] + unit, 12) : width;
+  if (!(width >= 72 && width <= 14400 && height >= 72 && height <= 14400)) return fail();
+  return { size: [width, height], orientation };
+}
+
+// CSS margin shorthand ("20mm", "1in 0.75in", "72 36") -> { top, right, bottom, left } in points
+function parseHtmlPageMargins(text, validate, pageWidth = 595) {
+  const parts = splitCssValue(String(text)).map(part => {
+    const length = parseHtmlLength(/^[\d.]+$/.test(part) ? `${part}pt` : part, 12);
+    return length && length.percent !== undefined ? pageWidth * length.percent / 100 : length;
+  });
+  if (parts.length === 0 || parts.length > 4 || !parts.every(part => typeof part === 'number' && part >= 0 && part <= 1440)) {
+    if (validate) throw httpError(400, `Invalid margin "${text}". Use CSS lengths like 20mm, 1in or "72 36" (points)`);
+    return null;
+  }
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+// Page size, orientation and margins: the request's fields, then the page's @page rule, then A4 with 20mm margins
+function resolveHtmlPageSetup(input, page) {
+  const fromField = input.pageSize ? parseHtmlPageSize(input.pageSize, true) : null;
+  const fromCss = page.size ? parseHtmlPageSize(page.size, false) : null;
+  const size = (fromField && fromField.size) || (fromCss && fromCss.size) || PageSizes.A4.slice();
+  const orientation = input.orientation || (fromField && fromField.orientation) || (fromCss && fromCss.orientation);
+  if ((orientation === 'landscape' && size[0] < size[1]) || (orientation === 'portrait' && size[0] > size[1])) size.reverse();
+
+  const fallback = 72 * 20 / 25.4;
+  let margin = input.margin ? parseHtmlPageMargins(input.margin, true, size[0]) : null;
+  if (!margin) {
+    const fromPage = page.margin ? parseHtmlPageMargins(page.margin, false, size[0]) : null;
+    margin = fromPage || { top: fallback, right: fallback, bottom: fallback, left: fallback };
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      const value = page[`margin-${side}`] && parseHtmlPageMargins(page[`margin-${side}`], false, size[0]);
+      if (value) margin[side] = value.top;
+    }
+  }
+  return { size, margin };
+}
+
+// ---- HTML layout ----
+
+// Displays laid out as blocks; everything else flows inline
+const HTML_BLOCK_DISPLAYS = new Set([
+  'block', 'list-item', 'table', 'inline-table', 'flex', 'grid', 'flow-root', 'table-caption', 'table-cell', 'table-row',
+  'table-row-group', 'table-header-group', 'table-footer-group', 'table-column', 'table-column-group'
+]);
+
+// Lay the document out, paginate it, then draw each page with its header and footer templates.
+// Layout produces a flat list of boxes (lines, table rows, block edges) and { margin } entries;
+// boxes know the block containers they belong to so backgrounds and borders follow them across pages.
+async function renderHtmlDocument(context, root, setup, options, onProgress) {
+  const { pdfDoc } = context;
+  const [pageWidth, pageHeight] = setup.size;
+  const margin = { ...setup.margin };
+  const contentWidth = pageWidth - margin.left - margin.right;
+  const date = new Date().toISOString().slice(0, 10);
+  context.pendingAnchors = [];
+  context.pendingMarkers = [];
+
+  // A background on <html> or <body> covers the whole sheet, the way browsers print it
+  const html = root.children.find(child => child.name === 'html');
+  const htmlStyle = html ? computeHtmlStyle(html, HTML_ROOT_STYLE, context) : HTML_ROOT_STYLE;
+  const body = findHtmlElement(root, 'body');
+  const bodyStyle = body ? computeHtmlStyle(body, body.parent === html ? htmlStyle : HTML_ROOT_STYLE, context) : htmlStyle;
+  let canvas = null;
+  if (html && htmlStyle.background) {
+    canvas = htmlStyle.background;
+    htmlStyle.background = null;
+  } else if (body && bodyStyle.background) {
+    canvas = bodyStyle.background;
+    bodyStyle.background = null;
+  }
+
+  // Header and footer sit centred in their margin; a margin too small for its template grows
+  const templates = {};
+  for (const kind of ['header', 'footer']) {
+    const template = options[`${kind}Template`];
+    if (!template || !template.trim()) continue;
+    const sample = await layoutHtmlTemplate(context, template, kind, contentWidth, bodyStyle, { n: '999', total: '999', title: options.title, date });
+    const room = sample.height + 24;
+    if (kind === 'header') margin.top = Math.max(margin.top, room);
+    else margin.bottom = Math.max(margin.bottom, room);
+    templates[kind] = template;
+  }
+  const contentHeight = pageHeight - margin.top - margin.bottom;
+  if (contentWidth < 36 || contentHeight < 36) {
+    throw httpError(400, 'The page margins (with the header and footer) leave no room for the content');
+  }
+  context.pageContentHeight = contentHeight;
+
+  const entries = [];
+  await layoutHtmlFlow(root, HTML_ROOT_STYLE, 0, contentWidth, [], context, entries);
+  const { pages } = placeHtmlStack(entries, contentHeight, context);
+  onProgress({ completed: 1, total: pages.length + 1, message: `Laid out ${pages.length} page(s)` });
+
+  for (const [index, placed] of pages.entries()) {
+    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    if (canvas) page.drawRectangle({ x: 0, y: 0, width: pageWidth, height: pageHeight, color: hexToRgb(canvas) });
+    drawHtmlPlaced(page, placed, margin.left, margin.top, context, margin.bottom);
+    for (const { box, top } of placed.placements) {
+      for (const id of box.anchors || []) {
+        if (!context.anchors.has(id)) context.anchors.set(id, { page, top: margin.top + top });
+      }
+    }
+
+    const values = { n: String(index + 1), total: String(pages.length), title: options.title, date };
+    if (templates.header) {
+      const header = await layoutHtmlTemplate(context, templates.header, 'header', contentWidth, bodyStyle, values);
+      header.draw(page, margin.left, (margin.top - header.height) / 2);
+    }
+    if (templates.footer) {
+      const footer = await layoutHtmlTemplate(context, templates.footer, 'footer', contentWidth, bodyStyle, values);
+      footer.draw(page, margin.left, pageHeight - (margin.bottom + footer.height) / 2);
+    }
+    onProgress({ completed: index + 2, total: pages.length + 1, message: `Drew page ${index + 1} of ${pages.length}` });
+  }
+
+  addHtmlLinks(context);
+}
+
+// A header or footer template with {n}, {total}, {title} and {date} filled in, laid out in one block
+async function layoutHtmlTemplate(context, template, kind, width, parentStyle, values) {
+  const filled = template.replace(/\{(n|total|title|date)\}/g, (match, key) => escapeXml(values[key] || ''));
+  const root = parseHtml(`<div class="pdf-${kind}">${filled}</div>`);
+  const entries = [];
+  await withHtmlLayoutState(context, () => layoutHtmlFlow(root, parentStyle, 0, width, [], context, entries));
+  const stacked = placeHtmlStack(entries, Infinity, context);
+  return {
+    height: stacked.height,
+    draw: (page, left, top) => drawHtmlPlaced(page, stacked.pages[0], left, top, context)
+  };
+}
+
+// Run a nested layout (table cells, measuring, templates) without touching the pending anchors,
+// list markers and counters of the layout around it
+async function withHtmlLayoutState(context, layout, restoreCounters = false) {
+  const saved = { anchors: context.pendingAnchors, markers: context.pendingMarkers, skippedObjects: context.skippedObjects };
+  context.pendingAnchors = [];
+  context.pendingMarkers = [];
+  try {
+    return await layout();
+  } finally {
+    context.pendingAnchors = saved.anchors;
+    context.pendingMarkers = saved.markers;
+    if (restoreCounters) context.skippedObjects = saved.skippedObjects;
+  }
+}
+
+// Block-level content counts as a block even inside an inline element (<a><div>...</div></a>)
+function isHtmlBlockLevel(element, style, context) {
+  if (HTML_BLOCK_DISPLAYS.has(style.display)) return true;
+  if (element.blockLevel === undefined) {
+    element.blockLevel = element.name !== 'svg' && element.children.some(child => {
+      if (!child.name) return false;
+      const childStyle = computeHtmlStyle(child, style, context);
+      return childStyle.display !== 'none' && isHtmlBlockLevel(child, childStyle, context);
+    });
+  }
+  return element.blockLevel;
+}
+
+// A box with the containers it sits in and the ids waiting for a position
+function htmlBox(context, containers, properties) {
+  return { ...properties, containers, anchors: context.pendingAnchors.splice(0).concat(properties.anchors || []) };
+}
+
+// The children of `element`: runs of inline content become paragraphs, block children lay out in turn
+async function layoutHtmlFlow(element, style, x, width, containers, context, out) {
+  let inline = [];
+  const flush = async () => {
+    if (inline.length) await layoutHtmlParagraph(inline, style, x, width, containers, context, out);
+    inline = [];
+  };
+
+  let counter = null;
+  for (const child of element.children) {
+    if (child.text !== undefined) {
+      inline.push(child);
+      continue;
+    }
+    const childStyle = computeHtmlStyle(child, style, context);
+    if (childStyle.display === 'none') continue;
+    if (!isHtmlBlockLevel(child, childStyle, context)) {
+      inline.push(child);
+      continue;
+    }
+
+    await flush();
+    let marker = null;
+    if (childStyle.display === 'list-item') {
+      // <ol start> and <ol reversed> set where counting begins; <li value> resets it
+      if (!counter) {
+        const reversed = element.name === 'ol' && element.attributes.reversed !== undefined;
+        const count = element.children.filter(item => item.name && computeHtmlStyle(item, style, context).display === 'list-item').length;
+        const start = parseInt(element.attributes.start, 10);
+        counter = { step: reversed ? -1 : 1, value: (Number.isNaN(start) ? (reversed ? count : 1) : start) - (reversed ? -1 : 1) };
+      }
+      const value = parseInt(child.attributes.value, 10);
+      counter.value = Number.isNaN(value) ? counter.value + counter.step : value;
+      marker = htmlListMarker(context, childStyle, counter.value);
+    }
+    await layoutHtmlBlock(child, childStyle, x, width, containers, context, out, marker);
+  }
+  await flush();
+}
+
+// Margins, borders and padding of a block in a column `width` wide starting at `x`
+function htmlBlockGeometry(style, x, width) {
+  const resolve = value => resolveHtmlLength(value, width);
+  const borderLeft = style.border.left ? style.border.left.width : 0;
+  const borderRight = style.border.right ? style.border.right.width : 0;
+  const paddingLeft = resolve(style.padding.left);
+  const paddingRight = resolve(style.padding.right);
+  const frame = borderLeft + borderRight + paddingLeft + paddingRight;
+  let marginLeft = resolve(style.margin.left);
+  const marginRight = resolve(style.margin.right);
+
+  let contentWidth = style.width !== null ? resolve(style.width) - (style.boxSizing === 'border-box' ? frame : 0) : null;
+  if (style.maxWidth !== null) {
+    const maxWidth = resolve(style.maxWidth) - (style.boxSizing === 'border-box' ? frame : 0);
+    contentWidth = Math.min(contentWidth === null ? width - marginLeft - marginRight - frame : contentWidth, maxWidth);
+  }
+  if (contentWidth === null) {
+    contentWidth = width - marginLeft - marginRight - frame;
+  } else {
+    // margin: auto centres (or right-aligns) a block narrower than its column
+    const free = width - contentWidth - frame;
+    if (style.margin.left === 'auto' && style.margin.right === 'auto') marginLeft = Math.max(0, free / 2);
+    else if (style.margin.left === 'auto') marginLeft = Math.max(0, free - marginRight);
+  }
+  contentWidth = Math.max(contentWidth, 1);
+
+  return {
+    x: x + marginLeft,
+    width: contentWidth + frame,
+    contentX: x + marginLeft + borderLeft + paddingLeft,
+    contentWidth,
+    marginTop: resolve(style.margin.top),
+    marginBottom: resolve(style.margin.bottom),
+    marginRight,
+    top: (style.border.top ? style.border.top.width : 0) + resolve(style.padding.top),
+    bottom: (style.border.bottom ? style.border.bottom.width : 0) + resolve(style.padding.bottom)
+  };
+}
+
+// One block element: its margins, a container for its background and borders, its content, and its
+// page-break rules applied to the boxes it produced
+async function layoutHtmlBlock(element, style, x, width, containers, context, out, marker = null) {
+  const start = out.length;
+  if (element.attributes.id) context.pendingAnchors.push(element.attributes.id);
+
+  if (style.display === 'table' || style.display === 'inline-table') {
+    await layoutHtmlTable(element, style, x, width, containers, context, out);
+  } else if (!HTML_BLOCK_DISPLAYS.has(style.display)) {
+    // An inline element wrapping blocks only passes its text styles on
+    await layoutHtmlFlow(element, style, x, width, containers, context, out);
+  } else {
+    const geometry = htmlBlockGeometry(style, x, width);
+    const { border } = style;
+    const container = style.background || border.top || border.right || border.bottom || border.left
+      ? { x: geometry.x, width: geometry.width, background: style.background, border, depth: containers.length }
+      : null;
+    const inner = container ? containers.concat(container) : containers;
+
+    out.push({ margin: geometry.marginTop });
+    if (geometry.top > 0) out.push(htmlBox(context, inner, { height: geometry.top, draw: () => {} }));
+    if (marker) context.pendingMarkers.push({ ...marker, x: geometry.contentX });
+
+    const contentStart = out.length;
+    if (element.name === 'img' || element.name === 'svg') {
+      await layoutHtmlParagraph([element], style, geometry.contentX, geometry.contentWidth, inner, context, out);
+    } else {
+      await layoutHtmlFlow(element, style, geometry.contentX, geometry.contentWidth, inner, context, out);
+    }
+
+    // An empty list item still shows its marker
+    const waiting = context.pendingMarkers.splice(0);
+    if (waiting.length) {
+      const height = style.fontSize * 1.15;
+      out.push(htmlBox(context, inner, {
+        height,
+        draw: (page, left, top) => waiting.forEach(item => drawHtmlListMarker(page, item, left, top + style.fontSize * 0.93))
+      }));
+    }
+
+    // height / min-height only ever add room below the content
+    const wanted = Math.max(
+      typeof style.height === 'number' ? style.height - (style.boxSizing === 'border-box' ? geometry.top + geometry.bottom : 0) : 0,
+      typeof style.minHeight === 'number' ? style.minHeight - (style.boxSizing === 'border-box' ? geometry.top + geometry.bottom : 0) : 0
+    );
+    if (wanted > 0) {
+      const contentHeight = placeHtmlStack(out.slice(contentStart), Infinity, context).height;
+      if (wanted > contentHeight) out.push(htmlBox(context, inner, { height: wanted - contentHeight, draw: () => {} }));
+    }
+    if (geometry.bottom > 0) out.push(htmlBox(context, inner, { height: geometry.bottom, draw: () => {} }));
+    out.push({ margin: geometry.marginBottom });
+
+    // For measuring table columns: the right edge of the widest content includes this block's frame
+    const rightFrame = geometry.marginRight + (border.right ? border.right.width : 0) + resolveHtmlLength(style.padding.right, width);
+    out.slice(start).forEach(entry => {
+      if (entry.contentRight !== undefined) entry.contentRight += rightFrame;
+    });
+    if (style.width !== null) {
+      const first = out.slice(start).find(entry => entry.margin === undefined);
+      if (first) first.contentRight = Math.max(first.contentRight || 0, geometry.x + geometry.width + geometry.marginRight);
+    }
+  }
+
+  let boxes = out.slice(start).filter(entry => entry.margin === undefined);
+  const forced = value => /^(page|left|right|recto|verso|always)$/.test(value);
+  if (boxes.length === 0 && (forced(style.breakBefore) || forced(style.breakAfter))) {
+    // <div style="page-break-before: always"></div> and friends
+    const marker = htmlBox(context, containers, { height: 0, draw: () => {} });
+    out.push(marker);
+    boxes = [marker];
+  }
+  if (boxes.length === 0) return;
+  if (forced(style.breakBefore)) boxes[0].breakBefore = true;
+  if (forced(style.breakAfter)) boxes[boxes.length - 1].breakAfter = true;
+  if (/^avoid/.test(style.breakAfter)) boxes.forEach(box => { box.keepWithNext = true; });
+  if (/^avoid/.test(style.breakInside) && boxes.length > 1) {
+    const height = placeHtmlStack(out.slice(start), Infinity, context).height;
+    if (height <= context.pageContentHeight) boxes[0].keepTogether = Math.max(boxes[0].keepTogether || 0, height);
+  }
+}
+
+// Inline content -> lines. The first two and last two lines of a paragraph stay together.
+async function layoutHtmlParagraph(nodes, style, x, width, containers, context, out) {
+  const items = [];
+  await collectHtmlInline(nodes, style, context, { space: true, column: 0, width }, items);
+
+  // Trailing white space and a final <br> don't make another line
+  while (items.length && items[items.length - 1].text !== undefined && !/[^ \t\n\r\f]/.test(items[items.length - 1].text)) items.pop();
+  if (items.length && items[items.length - 1].lineBreak) items.pop();
+  if (!items.some(item => item.image || item.lineBreak || (item.text !== undefined && /[^ \t\n\r\f]/.test(item.text)))) return;
+
+  const lines = wrapOfficeInline(items, width, { firstLineIndent: style.textIndent, emptySize: style.fontSize });
+  const align = ['center', 'right', 'both'].includes(style.textAlign) ? style.textAlign : 'left';
+  lines.forEach((line, i) => {
+    const { height, baseline } = htmlLineMetrics(line, style);
+    const markers = i === 0 ? context.pendingMarkers.splice(0) : [];
+    out.push(htmlBox(context, containers, {
+      height,
+      contentRight: x + line.start + line.contentWidth,
+      keepWithNext: (i === 0 && lines.length > 1) || (i === lines.length - 2 && lines.length > 2),
+      draw: (page, left, top) => {
+        const segments = drawOfficeLine(page, line, left + x, top, width, align, baseline);
+        markers.forEach(marker => drawHtmlListMarker(page, marker, left, top + baseline));
+        recordHtmlLinks(context, page, segments, top + baseline);
+      }
+    }));
+  });
+}
+
+// Line height from the CSS line-height (normal, a factor or a length); the extra space is split
+// above and below the text. The block's own font size sets the minimum, as the CSS strut does.
+function htmlLineMetrics(line, style) {
+  const ascent = Math.max(line.ascent, style.fontSize * 0.93);
+  const natural = ascent + Math.max(line.descent, style.fontSize * 0.22);
+  const size = Math.max(line.size, style.fontSize);
+  let height = natural;
+  if (style.lineHeight.factor !== undefined) height = style.lineHeight.factor * size;
+  else if (style.lineHeight.length !== undefined) height = style.lineHeight.length;
+  if (line.atoms.some(atom => atom.image)) height = Math.max(height, natural);
+  return { height, baseline: (height - natural) / 2 + ascent };
+}
+
+// The text style drawOfficeLine uses, made once per computed style
+function htmlTextStyle(context, style) {
+  if (!context.textStyles.has(style)) {
+    context.textStyles.set(style, {
+      font: context.fonts.get(style.fontFamily, style.bold, style.italic),
+      size: style.fontSize,
+      color: hexToRgb(style.color),
+      underline: style.underline,
+      strike: style.strike,
+      rise: style.rise,
+      background: style.inlineBackground ? hexToRgb(style.inlineBackground) : null,
+      link: style.link
+    });
+  }
+  return context.textStyles.get(style);
+}
+
+// Inline nodes -> wrapOfficeInline items. `state` carries white-space collapsing across elements.
+async function collectHtmlInline(nodes, style, context, state, items) {
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      addHtmlText(context, node.text, style, state, items);
+      continue;
+    }
+    const nodeStyle = computeHtmlStyle(node, style, context);
+    if (nodeStyle.display === 'none') continue;
+    if (node.attributes.id) context.pendingAnchors.push(node.attributes.id);
+    if (node.name === 'a' && node.attributes.name) context.pendingAnchors.push(node.attributes.name);
+
+    switch (node.name) {
+      case 'br':
+        items.push({ lineBreak: true, style: htmlTextStyle(context, nodeStyle) });
+        state.space = true;
+        state.column = 0;
+        break;
+      case 'wbr':
+        break;
+      case 'img':
+      case 'svg': {
+        const item = await htmlImageItem(node, nodeStyle, context, state.width);
+        if (item) {
+          items.push(item);
+          state.space = false;
+        } else if (node.attributes.alt) {
+          addHtmlText(context, node.attributes.alt, nodeStyle, state, items);
+        }
+        break;
+      }
+      case 'input': {
+        const type = String(node.attributes.type || 'text').toLowerCase();
+        if (type === 'checkbox' || type === 'radio') {
+          const item = await htmlImageItem(node, nodeStyle, context, state.width);
+          if (item) items.push(item);
+          state.space = false;
+        } else if (type !== 'hidden' && node.attributes.value) {
+          addHtmlText(context, node.attributes.value, nodeStyle, state, items);
+        }
+        break;
+      }
+      case 'select': {
+        const option = findHtmlElement(node, 'option', child => child.attributes.selected !== undefined) || findHtmlElement(node, 'option');
+        if (option) addHtmlText(context, htmlTextContent(option), nodeStyle, state, items);
+        break;
+      }
+      case 'canvas':
+      case 'video':
+      case 'audio':
+      case 'iframe':
+      case 'object':
+      case 'embed':
+        context.skippedObjects++;
+        break;
+      default:
+        await collectHtmlInline(node.children, nodeStyle, context, state, items);
+    }
+  }
+}
+
+// Text -> items, following white-space: collapse runs of spaces (normal, nowrap), keep them and the
+// line breaks (pre, pre-wrap), or keep only the breaks (pre-line). Kept spaces become no-break spaces
+// so wrapOfficeInline neither drops nor breaks at them.
+function addHtmlText(context, text, style, state, items) {
+  let value = text.replace(/[\u00ad\u200b-\u200d\u2060\ufeff]/g, '');
+  if (style.textTransform === 'uppercase') value = value.toUpperCase();
+  else if (style.textTransform === 'lowercase') value = value.toLowerCase();
+  else if (style.textTransform === 'capitalize') value = value.replace(/(^|[\s(])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+
+  const textStyle = htmlTextStyle(context, style);
+  const push = piece => {
+    if (piece) items.push(officeTextItem(context.fonts, piece, textStyle));
+  };
+
+  if (/^(pre|pre-wrap|pre-line|break-spaces)$/.test(style.whiteSpace)) {
+    value.split('\n').forEach((line, i) => {
+      if (i > 0) {
+        items.push({ lineBreak: true, style: textStyle });
+        state.column = 0;
+      }
+      if (style.whiteSpace === 'pre-line') {
+        line = line.replace(/[ \t\r\f]+/g, ' ');
+      } else {
+        // Tabs stop every 8 columns
+        let expanded = '';
+        for (const char of line) {
+          const spaces = char === '\t' ? 8 - (state.column + expanded.length) % 8 : 0;
+          expanded += spaces ? ' '.repeat(spaces) : char;
+        }
+        line = style.whiteSpace === 'pre' ? expanded.replace(/ /g, '\u00a0')
+          : state.column === 0 ? expanded.replace(/^ +/, spaces => '\u00a0'.repeat(spaces.length)) : expanded;
+      }
+      state.column += line.length;
+      push(line);
+    });
+    state.space = false;
+    return;
+  }
+
+  let collapsed = value.replace(/[ \t\n\r\f]+/g, ' ');
+  if (state.space) collapsed = collapsed.replace(/^ /, '');
+  if (!collapsed) return;
+  state.space = collapsed.endsWith(' ');
+  push(style.whiteSpace === 'nowrap' ? collapsed.replace(/ /g, '\u00a0') : collapsed);
+}
+
+// <img>, inline <svg> or a checkbox -> an image item sized by its attributes and CSS, no wider than
+// the line and no taller than a page. Null when the picture can't be had.
+async function htmlImageItem(element, style, context, available) {
+  let embedded;
+  if (element.name === 'svg') {
+    embedded = await embedHtmlImage(context, element, () => {
+      let source = element.source || '';
+      if (!/^<svg[^>]*\sxmlns\s*=/i.test(source)) source = source.replace(/^<svg/i, '<svg xmlns="http://www.w3.org/2000/svg"');
+      if (/xlink:/.test(source) && !/xmlns:xlink/.test(source)) source = source.replace(/^<svg/i, '<svg xmlns:xlink="http://www.w3.org/1999/xlink"');
+      return Buffer.from(source);
+    });
+  } else if (element.name === 'input') {
+    const round = String(element.attributes.type).toLowerCase() === 'radio';
+    const checked = element.attributes.checked !== undefined;
+    const shape = round
+      ? `<circle cx="8" cy="8" r="6.5" fill="#fff" stroke="#555" stroke-width="1.2"/>${checked ? '<circle cx="8" cy="8" r="3.5" fill="#333"/>' : ''}`
+      : `<rect x="1.5" y="1.5" width="13" height="13" rx="1.5" fill="#fff" stroke="#555" stroke-width="1.2"/>${checked ? '<path d="M4 8.5l3 3 5-7" fill="none" stroke="#333" stroke-width="2"/>' : ''}`;
+    const image = await embedHtmlImage(context, `${round ? 'radio' : 'checkbox'}:${checked}`, () => Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16">${shape}</svg>`));
+    const size = style.fontSize * 0.85;
+    return image ? { image: image.image, width: size, height: size } : null;
+  } else {
+    const source = element.attributes.src || '';
+    embedded = source ? await embedHtmlImage(context, source, () => resolveHtmlResource(context, source)) : null;
+  }
+  if (!embedded) return null;
+
+  const ratio = embedded.height / embedded.width;
+  const length = value => (value === null ? null : typeof value === 'number' ? value : value.percent !== undefined ? available * value.percent / 100 : null);
+  let width = length(style.width);
+  let height = typeof style.height === 'number' ? style.height : null;
+  if (width === null && height === null) {
+    width = embedded.width;
+    height = embedded.height;
+  } else if (width === null) {
+    width = height / ratio;
+  } else if (height === null) {
+    height = width * ratio;
+  }
+
+  const limits = [length(style.maxWidth), available, context.pageContentHeight / ratio].filter(limit => limit !== null && limit > 0);
+  const maxWidth = Math.min(...limits);
+  if (width > maxWidth) {
+    height *= maxWidth / width;
+    width = maxWidth;
+  }
+  return { image: embedded.image, width: Math.max(width, 0.1), height: Math.max(height, 0.1) };
+}
+
+// Embed a picture once per source. PNG and JPEG go in as they are; GIF, WebP, TIFF, AVIF and SVG are
+// converted with sharp (SVG rendered at twice CSS resolution), BMP with Jimp. Natural size is the
+// picture's CSS pixel size in points.
+async function embedHtmlImage(context, key, load) {
+  if (context.images.has(key)) return context.images.get(key);
+
+  let result = null;
+  const data = load();
+  if (data) {
+    try {
+      if (data[0] === 0x89 && data[1] === 0x50) {
+        const image = await context.pdfDoc.embedPng(data);
+        result = { image, width: image.width * 0.75, height: image.height * 0.75 };
+      } else if (data[0] === 0xff && data[1] === 0xd8) {
+        const image = await context.pdfDoc.embedJpg(data);
+        result = { image, width: image.width * 0.75, height: image.height * 0.75 };
+      } else if (data[0] === 0x42 && data[1] === 0x4d) {
+        const Jimp = require('jimp');
+        const decoded = await Jimp.read(data);
+        const image = await context.pdfDoc.embedPng(await decoded.getBufferAsync(Jimp.MIME_PNG));
+        result = { image, width: image.width * 0.75, height: image.height * 0.75 };
+      } else {
+        const metadata = await sharp(data).metadata();
+        const vector = metadata.format === 'svg';
+        const png = await sharp(data, vector ? { density: 144 } : {}).png().toBuffer();
+        const image = await context.pdfDoc.embedPng(png);
+        result = { image, width: metadata.width * 0.75, height: metadata.height * 0.75 };
+      }
+    } catch (error) {
+      console.error('HTML image could not be embedded:', error.message);
+    }
+    if (!result || !(result.width > 0 && result.height > 0)) {
+      result = null;
+      context.skippedImages++;
+    }
+  }
+  context.images.set(key, result);
+  return result;
+}
+
+// The marker of a list item: a drawn bullet shape or a number in the item's font
+function htmlListMarker(context, style, value) {
+  const type = style.listStyleType;
+  if (type === 'none') return null;
+  const color = hexToRgb(style.color);
+  if (type === 'disc' || type === 'circle' || type === 'square') {
+    return { shape: type, size: style.fontSize, color };
+  }
+  const formats = {
+    'decimal-leading-zero': 'decimalZero', 'lower-alpha': 'lowerLetter', 'lower-latin': 'lowerLetter',
+    'upper-alpha': 'upperLetter', 'upper-latin': 'upperLetter', 'lower-roman': 'lowerRoman', 'upper-roman': 'upperRoman'
+  };
+  const item = officeTextItem(context.fonts, `${formatListNumber(value, formats[type] || 'decimal')}.`, htmlTextStyle(context, style));
+  return { text: item.text, font: item.style.font, size: style.fontSize, color };
+}
+
+// Markers hang left of the item's content, on its first baseline
+function drawHtmlListMarker(page, marker, left, baselineTop) {
+  const y = page.getHeight() - baselineTop;
+  const { size, color } = marker;
+  if (marker.text) {
+    const width = marker.font.widthOfTextAtSize(marker.text, size);
+    page.drawText(marker.text, { x: left + marker.x - width - size * 0.3, y, size, font: marker.font, color });
+    return;
+  }
+  const radius = size * 0.17;
+  const x = left + marker.x - size * 0.6;
+  const centre = y + size * 0.32;
+  if (marker.shape === 'square') {
+    page.drawRectangle({ x: x - radius, y: centre - radius, width: radius * 2, height: radius * 2, color });
+  } else if (marker.shape === 'circle') {
+    page.drawCircle({ x, y: centre, size: radius, borderColor: color, borderWidth: size * 0.06 });
+  } else {
+    page.drawCircle({ x, y: centre, size: radius, color });
+  }
+}
+
+// Remember where linked text was drawn; annotations are added once every anchor has a page
+function recordHtmlLinks(context, page, segments, baselineTop) {
+  for (const segment of segments) {
+    const { style } = segment;
+    if (!style.link) continue;
+    const y = page.getHeight() - baselineTop + (style.rise || 0);
+    const rect = [segment.x, y - style.size * 0.22, segment.x + segment.width, y + style.size * 0.93];
+    const last = context.links[context.links.length - 1];
+    if (last && last.page === page && last.href === style.link && Math.abs(last.rect[2] - rect[0]) < 1 && Math.abs(last.rect[1] - rect[1]) < 1) {
+      last.rect[2] = rect[2];
+      last.rect[3] = Math.max(last.rect[3], rect[3]);
+    } else {
+      context.links.push({ page, href: style.link, rect });
+    }
+  }
+}
+
+// Links to #ids jump inside the PDF; web, mail and phone links open outside. Links to other
+// pages of a site have nowhere to go and stay plain text.
+function addHtmlLinks(context) {
+  const { pdfDoc } = context;
+  for (const link of context.links) {
+    let target = null;
+    if (link.href.startsWith('#')) {
+      let id = link.href.slice(1);
+      try {
+        id = decodeURIComponent(id);
+      } catch (error) {
+        // Keep the id as written
+      }
+      const anchor = context.anchors.get(id);
+      if (!anchor) continue;
+      target = { Dest: [anchor.page.ref, PDFName.of('XYZ'), null, anchor.page.getHeight() - anchor.top, null] };
+    } else if (/^(https?|mailto|tel|ftp):/i.test(link.href)) {
+      target = { A: { Type: 'Action', S: 'URI', URI: PDFString.of(link.href) } };
+    } else {
+      continue;
+    }
+    const annotation = pdfDoc.context.register(pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: link.rect,
+      Border: [0, 0, 0],
+      ...target
+    }));
+    link.page.node.addAnnot(annotation);
+  }
+}
+
+// ---- HTML tables ----
+
+// A table -> one box per band of rows (rows joined by rowspans stay together). Columns get their
+// minimum and preferred widths from the cells; header rows repeat on each page the table continues on.
+async function layoutHtmlTable(element, style, x, width, containers, context, out) {
+  const header = [];
+  const body = [];
+  const footer = [];
+  const captions = [];
+  const columnWidths = [];
+  const addRows = (group, groupStyle, target) => {
+    const section = [];
+    for (const child of group.children) {
+      if (!child.name) continue;
+      const rowStyle = computeHtmlStyle(child, groupStyle, context);
+      if (rowStyle.display === 'table-row') section.push({ element: child, style: rowStyle, groupStyle });
+    }
+    if (section.length) target.push(section);
+  };
+  for (const child of element.children) {
+    if (!child.name) continue;
+    const childStyle = computeHtmlStyle(child, style, context);
+    if (childStyle.display === 'none') continue;
+    if (childStyle.display === 'table-caption') captions.push([child, childStyle]);
+    else if (childStyle.display === 'table-header-group') addRows(child, childStyle, header.length ? body : header);
+    else if (childStyle.display === 'table-footer-group') addRows(child, childStyle, footer);
+    else if (childStyle.display === 'table-row-group') addRows(child, childStyle, body);
+    else if (childStyle.display === 'table-row') body.push([{ element: child, style: childStyle, groupStyle: null }]);
+    else if (child.name === 'colgroup' || child.name === 'col') {
+      for (const col of child.name === 'col' ? [child] : child.children.filter(node => node.name === 'col')) {
+        const colStyle = computeHtmlStyle(col, childStyle, context);
+        const span = Math.max(1, Math.min(parseInt(col.attributes.span, 10) || 1, 1000));
+        for (let i = 0; i < span; i++) columnWidths.push(colStyle.width);
+      }
+    }
+  }
+  // Bare rows next to each other form one section
+  const sections = [...header, ...body.reduce((merged, section) => {
+    const last = merged[merged.length - 1];
+    if (last && last[0].groupStyle === null && section[0].groupStyle === null) last.push(...section);
+    else merged.push(section);
+    return merged;
+  }, []), ...footer];
+  const headerRowCount = header.length ? header[0].length : 0;
+
+  // The grid: cells by row and column, rowspans kept inside their section
+  const rows = [];
+  const grid = [];
+  const cells = [];
+  for (const section of sections) {
+    const first = rows.length;
+    rows.push(...section);
+    section.forEach((row, i) => {
+      const r = first + i;
+      grid[r] = grid[r] || [];
+      let column = 0;
+      for (const child of row.element.children) {
+        if (!child.name) continue;
+        child.table = element;
+        const cellStyle = computeHtmlStyle(child, row.style, context);
+        if (cellStyle.display !== 'table-cell') continue;
+        while (grid[r][column]) column++;
+        const colspan = Math.max(1, Math.min(parseInt(child.attributes.colspan, 10) || 1, 1000));
+        const rowspanValue = parseInt(child.attributes.rowspan, 10);
+        const rowspan = Math.max(1, Math.min(rowspanValue === 0 ? section.length - i : rowspanValue || 1, section.length - i));
+        const cell = { element: child, style: cellStyle, row: r, column, colspan, rowspan, rowStyle: row.style, groupStyle: row.groupStyle };
+        for (let dr = 0; dr < rowspan; dr++) {
+          grid[r + dr] = grid[r + dr] || [];
+          for (let dc = 0; dc < colspan; dc++) grid[r + dr][column + dc] = cell;
+        }
+        cells.push(cell);
+        column += colspan;
+      }
+    });
+  }
+  const columnCount = Math.max(0, ...grid.map(row => row.length));
+
+  const collapse = style.borderCollapse === 'collapse';
+  const [spacingX, spacingY] = collapse ? [0, 0] : style.borderSpacing;
+  const tableStyle = collapse ? { ...style, padding: { top: 0, right: 0, bottom: 0, left: 0 } } : style;
+  const outer = htmlBlockGeometry({ ...tableStyle, width: null, maxWidth: null }, x, width);
+  const frame = outer.width - outer.contentWidth + spacingX * (columnCount + 1);
+  const available = Math.max(outer.width - frame, columnCount);
+
+  // Minimum (longest word) and preferred (unwrapped) width of every column
+  const minimum = new Array(columnCount).fill(0);
+  const preferred = new Array(columnCount).fill(0);
+  const fixed = new Array(columnCount).fill(null);
+  columnWidths.slice(0, columnCount).forEach((value, column) => {
+    if (value !== null) fixed[column] = resolveHtmlLength(value, available);
+  });
+  for (const cell of cells) {
+    const cellFrame = htmlCellFrame(cell.style, available, collapse);
+    cell.frame = cellFrame;
+    const measured = await measureHtmlCell(cell, context);
+    cell.minimum = measured.minimum + cellFrame.horizontal;
+    cell.preferred = Math.max(measured.preferred + cellFrame.horizontal, cell.minimum);
+    if (cell.style.width !== null) {
+      const specified = resolveHtmlLength(cell.style.width, available) + (cell.style.boxSizing === 'border-box' ? 0 : cellFrame.horizontal);
+      cell.preferred = Math.max(cell.minimum, specified);
+      if (cell.colspan === 1) fixed[cell.column] = Math.max(fixed[cell.column] || 0, cell.preferred);
+    }
+  }
+  for (const cell of cells.filter(item => item.colspan === 1)) {
+    minimum[cell.column] = Math.max(minimum[cell.column], cell.minimum);
+    preferred[cell.column] = Math.max(preferred[cell.column], cell.preferred);
+  }
+  for (const cell of cells.filter(item => item.colspan > 1)) {
+    const span = Array.from({ length: cell.colspan }, (unused, i) => cell.column + i);
+    const spread = (values, wanted) => {
+      const have = span.reduce((sum, column) => sum + values[column], 0) + spacingX * (cell.colspan - 1);
+      if (wanted > have) span.forEach(column => { values[column] += (wanted - have) / cell.colspan; });
+    };
+    spread(minimum, cell.minimum);
+    spread(preferred, cell.preferred);
+  }
+  fixed.forEach((value, column) => {
+    if (value !== null) preferred[column] = Math.max(minimum[column], value);
+  });
+
+  // Columns get their preferred widths when they fit, else shrink towards their minimums
+  const specifiedWidth = style.width !== null ? resolveHtmlLength(style.width, width) : null;
+  const target = specifiedWidth !== null ? Math.max(Math.min(specifiedWidth - frame, available), 1) : null;
+  const sumMinimum = minimum.reduce((sum, value) => sum + value, 0);
+  const sumPreferred = preferred.reduce((sum, value) => sum + value, 0);
+  let widths;
+  if (sumPreferred <= (target !== null ? target : available)) {
+    widths = preferred.slice();
+    if (target !== null && sumPreferred > 0) {
+      // A wider table than its content: the extra goes to the columns without a set width
+      const flexible = preferred.map((value, column) => (fixed[column] === null ? value : 0));
+      const flexibleSum = flexible.reduce((sum, value) => sum + value, 0);
+      widths = preferred.map((value, column) => value + (target - sumPreferred) * (flexibleSum > 0 ? flexible[column] / flexibleSum : value / sumPreferred));
+    }
+  } else if (sumMinimum >= available) {
+    widths = minimum.map(value => (sumMinimum > 0 ? value * available / sumMinimum : available / columnCount));
+  } else {
+    const room = (target !== null ? target : available) - sumMinimum;
+    widths = minimum.map((value, column) => value + (sumPreferred > sumMinimum ? (preferred[column] - value) * room / (sumPreferred - sumMinimum) : room / columnCount));
+  }
+  const columnsWidth = widths.reduce((sum, value) => sum + value, 0);
+  const geometry = htmlBlockGeometry({ ...tableStyle, width: columnsWidth + frame, boxSizing: 'border-box', maxWidth: null }, x, width);
+  const columnX = [];
+  widths.reduce((left, value, column) => {
+    columnX[column] = left;
+    return left + value + spacingX;
+  }, geometry.contentX + spacingX);
+
+  const { border } = style;
+  const container = style.background || border.top || border.right || border.bottom || border.left
+    ? { x: geometry.x, width: geometry.width, background: style.background, border, depth: containers.length }
+    : null;
+  const inner = container ? containers.concat(container) : containers;
+  const start = out.length;
+  out.push({ margin: geometry.marginTop });
+  for (const [caption, captionStyle] of captions) {
+    await layoutHtmlBlock(caption, captionStyle, geometry.x, geometry.width, containers, context, out);
+  }
+  if (geometry.top + spacingY > 0) out.push(htmlBox(context, inner, { height: geometry.top + spacingY, draw: () => {} }));
+
+  // Cell content at its final width, stacked without page breaks
+  for (const cell of cells) {
+    const cellWidth = widths.slice(cell.column, cell.column + cell.colspan).reduce((sum, value) => sum + value, 0) + spacingX * (cell.colspan - 1);
+    cell.x = columnX[cell.column];
+    cell.width = cellWidth;
+    const entries = [];
+    await withHtmlLayoutState(context, () => layoutHtmlFlow(cell.element, cell.style, 0, Math.max(cellWidth - cell.frame.horizontal, 1), [], context, entries));
+    cell.stack = placeHtmlStack(entries, Infinity, context);
+    cell.anchors = (cell.element.attributes.id ? [cell.element.attributes.id] : []).concat(...entries.map(entry => entry.anchors || []));
+    cell.height = cell.stack.height + cell.frame.vertical;
+  }
+
+  const rowHeights = rows.map(row => (typeof row.style.height === 'number' ? row.style.height : 0));
+  for (const cell of cells) {
+    const specified = typeof cell.style.height === 'number' ? cell.style.height + (cell.style.boxSizing === 'border-box' ? 0 : cell.frame.vertical) : 0;
+    cell.height = Math.max(cell.height, specified);
+    if (cell.rowspan === 1) rowHeights[cell.row] = Math.max(rowHeights[cell.row], cell.height);
+  }
+  for (const cell of cells.filter(item => item.rowspan > 1)) {
+    const last = cell.row + cell.rowspan - 1;
+    const have = rowHeights.slice(cell.row, last + 1).reduce((sum, value) => sum + value, 0) + spacingY * (cell.rowspan - 1);
+    if (cell.height > have) rowHeights[last] += cell.height - have;
+  }
+
+  // Bands of rows that rowspans tie together
+  const bands = [];
+  for (let r = 0; r < rows.length;) {
+    let end = r;
+    for (let i = r; i <= end; i++) {
+      for (const cell of cells) {
+        if (cell.row === i) end = Math.max(end, cell.row + cell.rowspan - 1);
+      }
+    }
+    bands.push({ start: r, end });
+    r = end + 1;
+  }
+
+  const headerBoxes = [];
+  for (const band of bands) {
+    const offsets = [];
+    let height = 0;
+    for (let r = band.start; r <= band.end; r++) {
+      offsets[r] = height;
+      height += rowHeights[r] + spacingY;
+    }
+    const bandCells = cells.filter(cell => cell.row >= band.start && cell.row <= band.end);
+    const box = htmlBox(context, inner, {
+      height,
+      contentRight: geometry.x + geometry.width + geometry.marginRight,
+      anchors: [].concat(...bandCells.map(cell => cell.anchors)),
+      draw: (page, left, top) => {
+        for (const cell of bandCells) {
+          const cellTop = top + offsets[cell.row];
+          const cellHeight = rowHeights.slice(cell.row, cell.row + cell.rowspan).reduce((sum, value) => sum + value, 0) + spacingY * (cell.rowspan - 1);
+          drawHtmlCell(page, cell, left + cell.x, cellTop, cellHeight, collapse, context);
+        }
+      }
+    });
+    if (band.end < headerRowCount) {
+      box.keepWithNext = true;
+      headerBoxes.push(box);
+    } else if (headerBoxes.length && band.start >= headerRowCount) {
+      box.headerRows = headerBoxes;
+    }
+    out.push(box);
+  }
+
+  if (geometry.bottom > 0) out.push(htmlBox(context, inner, { height: geometry.bottom, draw: () => {} }));
+  out.push({ margin: geometry.marginBottom });
+  out.slice(start).forEach(entry => {
+    if (entry.contentRight !== undefined) entry.contentRight = Math.max(entry.contentRight, geometry.x + geometry.width + geometry.marginRight);
+  });
+}
+
+// Padding and borders around a cell's content. Collapsed borders straddle the grid line, so only
+// half of each counts.
+function htmlCellFrame(style, width, collapse) {
+  const side = name => (style.border[name] ? style.border[name].width * (collapse ? 0.5 : 1) : 0);
+  const top = side('top') + resolveHtmlLength(style.padding.top, width);
+  const right = side('right') + resolveHtmlLength(style.padding.right, width);
+  const bottom = side('bottom') + resolveHtmlLength(style.padding.bottom, width);
+  const left = side('left') + resolveHtmlLength(style.padding.left, width);
+  return { top, right, bottom, left, horizontal: left + right, vertical: top + bottom };
+}
+
+// Background, content (aligned by vertical-align) and borders of one cell
+function drawHtmlCell(page, cell, x, top, height, collapse, context) {
+  const background = cell.style.background || cell.rowStyle.background || (cell.groupStyle && cell.groupStyle.background);
+  if (background) drawOfficeRect(page, x, top, cell.width, height, hexToRgb(background));
+
+  const { frame } = cell;
+  const content = cell.stack.height;
+  const free = height - frame.vertical - content;
+  const align = cell.style.verticalAlign;
+  const offset = align === 'middle' ? free / 2 : align === 'bottom' ? free : 0;
+  drawHtmlPlaced(page, cell.stack.pages[0], x + frame.left, top + frame.top + offset, context);
+
+  const { border } = cell.style;
+  const inset = side => (border[side] ? (collapse ? 0 : border[side].width / 2) : 0);
+  drawOfficeBorder(page, border.top, x, top + inset('top'), x + cell.width, top + inset('top'));
+  drawOfficeBorder(page, border.bottom, x, top + height - inset('bottom'), x + cell.width, top + height - inset('bottom'));
+  drawOfficeBorder(page, border.left, x + inset('left'), top, x + inset('left'), top + height);
+  drawOfficeBorder(page, border.right, x + cell.width - inset('right'), top, x + cell.width - inset('right'), top + height);
+}
+
+// Narrowest and preferred content width of a cell: its longest word, and its content laid out unwrapped
+async function measureHtmlCell(cell, context) {
+  const entries = [];
+  await withHtmlLayoutState(context, () => layoutHtmlFlow(cell.element, cell.style, 0, 100000, [], context, entries), true);
+  const preferred = Math.max(0, ...entries.map(entry => entry.contentRight || 0));
+  const minimum = await measureHtmlMinimumWidth(cell.element, cell.style, context);
+  return { minimum: Math.min(minimum, 100000), preferred: Math.min(preferred, 100000) };
+}
+
+async function measureHtmlMinimumWidth(node, style, context) {
+  if (node.text !== undefined) {
+    const textStyle = htmlTextStyle(context, style);
+    const pieces = /^(pre|nowrap)$/.test(style.whiteSpace) ? node.text.split('\n') : node.text.split(/[ \t\n\r\f]+/);
+    return Math.max(0, ...pieces.filter(Boolean).map(piece => {
+      const item = officeTextItem(context.fonts, piece.replace(/\t/g, '        '), textStyle);
+      return item.style.font.widthOfTextAtSize(item.text, item.style.size);
+    }));
+  }
+  const nodeStyle = computeHtmlStyle(node, style, context);
+  if (nodeStyle.display === 'none') return 0;
+  if (node.name === 'img' || node.name === 'svg') {
+    const item = await htmlImageItem(node, nodeStyle, context, 100000);
+    return item ? item.width : 0;
+  }
+  let widest = 0;
+  for (const child of node.children) widest = Math.max(widest, await measureHtmlMinimumWidth(child, nodeStyle, context));
+  if (HTML_BLOCK_DISPLAYS.has(nodeStyle.display)) {
+    const side = name => (typeof nodeStyle.margin[name] === 'number' ? nodeStyle.margin[name] : 0) +
+      (typeof nodeStyle.padding[name] === 'number' ? nodeStyle.padding[name] : 0) + (nodeStyle.border[name] ? nodeStyle.border[name].width : 0);
+    widest += side('left') + side('right');
+    if (typeof nodeStyle.width === 'number') widest = Math.max(widest, nodeStyle.width);
+  }
+  return widest;
+}
+
+// ---- HTML pagination ----
+
+// Stack boxes down pages `pageHeight` tall (Infinity: one endless page). Adjoining margins collapse
+// and are dropped at the top of a new page; forced breaks, keep-with-next chains and break-inside:
+// avoid blocks move boxes on; table header rows repeat. Each page lists its placed boxes and, per
+// container, the part of it on that page.
+function placeHtmlStack(entries, pageHeight, context) {
+  const pages = [];
+  const lastFragments = new Map();
+  let page = null;
+  let y = 0;
+  let positive = 0;
+  let negative = 0;
+  let breakPending = false;
+
+  const newPage = () => {
+    if (pageHeight !== Infinity && pages.length >= MAX_HTML_PAGES) {
+      throw httpError(400, `The document needs more than ${MAX_HTML_PAGES} pages`);
+    }
+    page = { placements: [], fragments: new Map() };
+    pages.push(page);
+    y = 0;
+  };
+  const place = (box, clip) => {
+    page.placements.push({ box, top: y, clip });
+    for (const container of box.containers) {
+      let fragment = page.fragments.get(container);
+      if (!fragment) {
+        fragment = { top: y, bottom: y, first: !lastFragments.has(container), last: false };
+        page.fragments.set(container, fragment);
+      }
+      fragment.bottom = y + box.height;
+      lastFragments.set(container, fragment);
+    }
+    y += box.height;
+  };
+  // Height of the box plus the boxes it must stay with
+  const needed = index => {
+    const box = entries[index];
+    const own = Math.max(box.height, box.keepTogether || 0);
+    let height = own;
+    let gap = 0;
+    let current = box;
+    for (let i = index + 1; current.keepWithNext && i < entries.length; i++) {
+      const next = entries[i];
+      if (next.margin !== undefined) {
+        gap = Math.max(gap, next.margin);
+        continue;
+      }
+      height += gap + next.height;
+      gap = 0;
+      current = next;
+    }
+    return height <= pageHeight ? height : own;
+  };
+
+  newPage();
+  entries.forEach((entry, index) => {
+    if (entry.margin !== undefined) {
+      positive = Math.max(positive, entry.margin);
+      negative = Math.min(negative, entry.margin);
+      return;
+    }
+    const box = entry;
+    const margin = positive + negative;
+    positive = 0;
+    negative = 0;
+
+    const fresh = page.placements.length === 0;
+    if ((box.breakBefore || breakPending) && !fresh) newPage();
+    breakPending = false;
+
+    // Margins at the top of any page but the first are dropped
+    let gap = page.placements.length > 0 || pages.length === 1 ? margin : 0;
+    if (pageHeight !== Infinity && page.placements.length > 0 && y + gap + needed(index) > pageHeight + 0.01) {
+      newPage();
+      gap = 0;
+      for (const header of box.headerRows || []) place(header, false);
+    }
+    y = Math.max(0, y + gap);
+    const oversized = y + box.height > pageHeight + 0.01;
+    if (oversized) context.oversized++;
+    place(box, oversized);
+    if (box.breakAfter) breakPending = true;
+  });
+  lastFragments.forEach(fragment => {
+    fragment.last = true;
+  });
+
+  // An endless page keeps the last margin (the bottom margin of a cell's last paragraph shows)
+  const height = y + (pageHeight === Infinity ? Math.max(0, positive + negative) : 0);
+  return { pages, height };
+}
+
+// Draw one placed page: container backgrounds (outermost first), the boxes, then container borders.
+// Boxes taller than the page are clipped at the bottom margin when `clipBottom` is given.
+function drawHtmlPlaced(page, placed, left, top, context, clipBottom) {
+  const fragments = Array.from(placed.fragments.entries()).sort((a, b) => a[0].depth - b[0].depth);
+  for (const [container, fragment] of fragments) {
+    if (container.background) {
+      drawOfficeRect(page, left + container.x, top + fragment.top, container.width, fragment.bottom - fragment.top, hexToRgb(container.background));
+    }
+  }
+
+  for (const placement of placed.placements) {
+    const clipped = placement.clip && clipBottom !== undefined;
+    if (clipped) {
+      page.pushOperators(pushGraphicsState(), rectangle(0, clipBottom, page.getWidth(), page.getHeight() - clipBottom), clip(), endPath());
+    }
+    placement.box.draw(page, left, top + placement.top);
+    if (clipped) page.pushOperators(popGraphicsState());
+  }
+
+  for (const [container, fragment] of fragments) {
+    const { border } = container;
+    const x1 = left + container.x;
+    const x2 = x1 + container.width;
+    const y1 = top + fragment.top;
+    const y2 = top + fragment.bottom;
+    // Borders of a block split across pages stay open at the break
+    if (fragment.first && border.top) drawOfficeBorder(page, border.top, x1, y1 + border.top.width / 2, x2, y1 + border.top.width / 2);
+    if (fragment.last && border.bottom) drawOfficeBorder(page, border.bottom, x1, y2 - border.bottom.width / 2, x2, y2 - border.bottom.width / 2);
+    if (border.left) drawOfficeBorder(page, border.left, x1 + border.left.width / 2, y1, x1 + border.left.width / 2, y2);
+    if (border.right) drawOfficeBorder(page, border.right, x2 - border.right.width / 2, y1, x2 - border.right.width / 2, y2);
+  }
+}
+
+// 24. PDF TO HTML - REAL WORKING
+// "pages" keeps each page's look: absolutely positioned text over an SVG of its paths and images, in the
+// PDF's own fonts, so the text stays selectable and searchable. "reflow" writes one semantic document instead.
+app.post('/api/pdf-to-html', async (req, res) => {
+  try {
+    const input = preparePdfToHtmlRequest(req);
+    const result = await performPdfToHtml(input);
+
+    res.json({
+      success: true,
+      message: result.mode === 'reflow'
+        ? `Reflowed ${result.pagesProcessed} page(s) into one HTML document`
+        : `Converted ${result.pagesProcessed} page(s) to HTML pages`,
+      mode: result.mode,
+      pagesProcessed: result.pagesProcessed,
+      stats: result.stats,
+      warnings: result.warnings,
+      downloadUrl: `data:application/zip;base64,${result.zipBuffer.toString('base64')}`,
+      filename: result.filename
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('PDF to HTML error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'PDF to HTML conversion failed: ' + error.message,
+      code: error.code
+    });
+  }
+});
+
+const PDF_HTML_MODES = ['pages', 'reflow'];
+
+// Validate a PDF-to-HTML upload; shared by /api/pdf-to-html and the job API.
+// mode "pages" (default) writes page-N.html per page plus index.html; "reflow" writes a single index.html
+// with paragraphs, headings, lists and tables in reading order. `images` and `fonts` (both default on)
+// export the PDF's pictures and its embedded fonts; without fonts the pages use similar local ones.
+function preparePdfToHtmlRequest(req) {
+  if (!req.files || !req.files.file) {
+    throw httpError(400, 'No file uploaded');
+  }
+
+  const pdfFile = req.files.file;
+  if (pdfFile.mimetype !== 'application/pdf') {
+    throw httpError(400, 'Please upload a PDF file');
+  }
+
+  const mode = String(req.body.mode || 'pages').toLowerCase();
+  if (!PDF_HTML_MODES.includes(mode)) {
+    throw httpError(400, `Invalid mode "${req.body.mode}". Use pages or reflow`);
+  }
+
+  return {
+    pdfFile: { name: pdfFile.name, data: pdfFile.data },
+    mode,
+    images: !['false', '0', 'no', 'off'].includes(String(req.body.images).toLowerCase()),
+    fonts: !['false', '0', 'no', 'off'].includes(String(req.body.fonts).toLowerCase()),
+    pages: req.body.pages,
+    password: req.body.password || ''
+  };
+}
+
+// Convert the selected pages and pack the HTML, stylesheet, fonts and images into one ZIP
+async function performPdfToHtml(input, onProgress = () => {}) {
+  const JSZip = require('jszip');
+  const { pdfFile } = input;
+  const pdfJsDoc = await loadPdfJsDocument(pdfFile.data, input.password, { fontData: input.mode === 'pages' && input.fonts });
+  const zip = new JSZip();
+  const baseName = pdfFile.name.replace(/\.pdf$/i, '');
+  let pageIndices;
+  let written;
+
+  try {
+    const pdfDoc = await loadPdfDocument(pdfFile.data, input.password);
+    pageIndices = parsePageRanges(input.pages, pdfJsDoc.numPages);
+    if (!pageIndices) {
+      throw httpError(400, `Invalid page range. Pages must be between 1 and ${pdfJsDoc.numPages}`);
+    }
+
+    const options = { images: input.images, fonts: input.fonts, title: pdfDoc.getTitle() || baseName };
+    written = input.mode === 'reflow'
+      ? await writeReflowedHtml(zip, pdfJsDoc, pdfDoc, pageIndices, options, onProgress)
+      : await writePositionedHtml(zip, pdfJsDoc, pageIndices, options, onProgress);
+
+  } finally {
+    await pdfJsDoc.destroy();
+  }
+
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+  onProgress({ completed: pageIndices.length + 1, total: pageIndices.length + 1, message: 'HTML ready' });
+
+  return {
+    zipBuffer,
+    filename: `${baseName}-html.zip`,
+    mode: input.mode,
+    pagesProcessed: pageIndices.length,
+    stats: written.stats,
+    warnings: written.warnings
+  };
+}
+
+// Job API runner for pdf-to-html
+async function runPdfToHtmlJob(input, onProgress) {
+  const result = await performPdfToHtml(input, onProgress);
+  return {
+    files: {
+      zip: { buffer: result.zipBuffer, filename: result.filename, contentType: 'application/zip' }
+    },
+    summary: { mode: result.mode, pagesProcessed: result.pagesProcessed, stats: result.stats, warnings: result.warnings }
+  };
+}
+
+// ---- Positioned pages ----
+
+// page-N.html for every selected page, index.html linking them, and the style.css, page.js, fonts/ and
+// images/ they share. Fonts and images used on several pages are written once.
+async function writePositionedHtml(zip, pdfJsDoc, pageIndices, options, onProgress) {
+  const assets = { fonts: new Map(), images: new Map(), imageCount: 0 };
+  const stats = { pages: pageIndices.length, textSpans: 0, images: 0, fonts: 0, links: 0 };
+  const problems = { textless: [], patterns: [], type3: [], skippedImages: 0 };
+  const pageFile = index => (pageIndices.includes(index) ? `page-${index + 1}.html` : null);
+
+  for (const [done, index] of pageIndices.entries()) {
+    const pageNumber = index + 1;
+    const layers = await buildHtmlPageLayers(pdfJsDoc, pageNumber, assets, { ...options, pageFile });
+
+    stats.textSpans += layers.spanCount;
+    stats.links += layers.linkCount;
+    problems.skippedImages += layers.skippedImages;
+    if (layers.spanCount === 0) problems.textless.push(pageNumber);
+    if (layers.patterns) problems.patterns.push(pageNumber);
+    if (layers.type3) problems.type3.push(pageNumber);
+
+    const previous = pageIndices[done - 1];
+    const next = pageIndices[done + 1];
+    const nav = [
+      previous !== undefined ? `<a href="${pageFile(previous)}" rel="prev">&lsaquo; Previous</a>` : '',
+      `<a href="index.html">Page ${pageNumber} of ${pdfJsDoc.numPages}</a>`,
+      next !== undefined ? `<a href="${pageFile(next)}" rel="next">Next &rsaquo;</a>` : ''
+    ].filter(Boolean).join('\n');
+
+    zip.file(pageFile(index), '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      `<title>${escapeXml(options.title)} - Page ${pageNumber}</title>\n` +
+      '<link rel="stylesheet" href="style.css">\n</head>\n<body>\n' +
+      `<nav class="pdf-nav">\n${nav}\n</nav>\n` +
+      `<div class="pdf-page" id="page-${pageNumber}" style="width:${htmlPoints(layers.width)}pt;height:${htmlPoints(layers.height)}pt">\n` +
+      `${layers.svg}\n<div class="pdf-text">\n${layers.text}\n</div>\n${layers.links}\n</div>\n` +
+      '<script src="page.js"></script>\n</body>\n</html>\n');
+
+    onProgress({ completed: done + 1, total: pageIndices.length + 1, message: `Converted page ${pageNumber}` });
+  }
+
+  for (const image of assets.images.values()) {
+    zip.file(image.name, image.data);
+  }
+  stats.images = assets.imageCount;
+
+  const fontCss = [];
+  for (const font of assets.fonts.values()) {
+    const weight = font.bold ? 'bold' : 'normal';
+    const style = font.italic ? 'italic' : 'normal';
+    if (font.file) {
+      zip.file(font.file.name, font.file.data);
+      stats.fonts++;
+      fontCss.push(`@font-face { font-family: "pdf-${font.className}"; src: url("${font.file.name}") format("${font.file.format}"); ` +
+        `font-weight: ${weight}; font-style: ${style}; }`);
+    }
+    const families = [font.file ? `"pdf-${font.className}"` : '', font.local ? `"${font.local}"` : '', font.generic].filter(Boolean);
+    fontCss.push(`.${font.className} { font-family: ${families.join(', ')}; font-weight: ${weight}; font-style: ${style}; }`);
+  }
+
+  zip.file('style.css', `${PDF_HTML_PAGE_CSS}\n${fontCss.join('\n')}\n`);
+  zip.file('page.js', PDF_HTML_PAGE_SCRIPT);
+  zip.file('index.html', '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    `<title>${escapeXml(options.title)}</title>\n<link rel="stylesheet" href="style.css">\n</head>\n<body>\n` +
+    `<div class="pdf-index">\n<h1>${escapeXml(options.title)}</h1>\n<ol>\n` +
+    pageIndices.map(index => `<li value="${index + 1}"><a href="${pageFile(index)}">Page ${index + 1}</a></li>`).join('\n') +
+    '\n</ol>\n</div>\n</body>\n</html>\n');
+
+  const warnings = [];
+  if (problems.textless.length > 0) {
+    warnings.push(`Page(s) ${problems.textless.join(', ')} have no text layer, so their text can't be selected or searched; run OCR PDF on them first`);
+  }
+  if (problems.patterns.length > 0) {
+    warnings.push(`Gradients and patterns on page(s) ${problems.patterns.join(', ')} were left out`);
+  }
+  if (problems.type3.length > 0) {
+    warnings.push(`Type 3 (drawn) fonts on page(s) ${problems.type3.join(', ')} are shown in a standard font`);
+  }
+  if (problems.skippedImages > 0) {
+    warnings.push(`${problems.skippedImages} image(s) could not be exported`);
+  }
+  return { stats, warnings };
+}
+
+// Shared by every page: the page box in points, the text layer on top of the graphics
+const PDF_HTML_PAGE_CSS = `body { margin: 0; padding: 16px 0; background: #e5e7eb; font-family: sans-serif; }
+.pdf-nav { text-align: center; margin-bottom: 12px; font-size: 14px; }
+.pdf-nav a { margin: 0 8px; color: #1f2937; }
+.pdf-page { position: relative; margin: 0 auto; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3); overflow: hidden; }
+.pdf-page > svg { position: absolute; left: 0; top: 0; }
+.pdf-text span { position: absolute; white-space: pre; line-height: 0; transform-origin: 0 0; color: #000; }
+.pdf-text .invisible { color: transparent; }
+.pdf-link { position: absolute; display: block; }
+.pdf-index { max-width: 40em; margin: 0 auto; padding: 0 16px; }
+@media print {
+  body { background: none; padding: 0; }
+  .pdf-nav { display: none; }
+  .pdf-page { margin: 0; box-shadow: none; break-after: page; }
+}`;
+
+// Text is drawn in the PDF's fonts where they were exported, but the browser may still fall back to
+// another one: stretch every span to the width it has in the PDF so lines keep their length
+const PDF_HTML_PAGE_SCRIPT = `(function () {
+  function fit() {
+    document.querySelectorAll('.pdf-text span[data-w]').forEach(function (span) {
+      var rotate = span.getAttribute('data-r');
+      span.style.transform = '';
+      var width = span.getBoundingClientRect().width;
+      var scale = width > 0 ? parseFloat(span.getAttribute('data-w')) * 4 / 3 / width : 1;
+      span.style.transform = (rotate ? 'rotate(' + rotate + 'deg) ' : '') + 'scaleX(' + scale.toFixed(4) + ')';
+    });
+  }
+  if (document.fonts && document.fonts.ready) document.fonts.ready.then(fit);
+  else window.addEventListener('load', fit);
+})();
+`;
+
+// Coordinates are written in points with two decimals
+function htmlPoints(value) {
+  return String(Number(value.toFixed(2)));
+}
+
+// Everything one page draws. Paths, images and clipping go into one SVG, in drawing order; text becomes
+// spans from the text content, coloured like the operator that showed it (invisible for OCR layers).
+async function buildHtmlPageLayers(pdfJsDoc, pageNumber, assets, options) {
+  const { OPS, Util } = require('pdfjs-dist/legacy/build/pdf.js');
+  const page = await pdfJsDoc.getPage(pageNumber);
+
+  try {
+    const viewport = page.getViewport({ scale: 1 });
+    const { fnArray, argsArray } = await page.getOperatorList();
+    const textContent = await page.getTextContent();
+
+    const shapes = [];
+    const clips = [];
+    const shows = [];
+    const texts = [];
+    const stack = [];
+    const result = { spanCount: 0, linkCount: 0, skippedImages: 0, patterns: false, type3: false };
+    const initialState = ctm => ({
+      ctm, clip: null, annotation: false,
+      fill: '#000000', stroke: '#000000', fillAlpha: 1, strokeAlpha: 1,
+      lineWidth: 1, dash: null, cap: 0, join: 0,
+      font: null, fontId: null, fontSize: 0, fontDirection: 1, charSpacing: 0, wordSpacing: 0,
+      hScale: 1, rise: 0, leading: 0, renderMode: 0, textMatrix: [1, 0, 0, 1, 0, 0], x: 0, y: 0, lineX: 0, lineY: 0
+    });
+    let state = initialState(viewport.transform);
+    let path = '';
+    let current = [0, 0];
+    let start = [0, 0];
+    let pendingClip = null;
+
+    const point = (x, y) => {
+      const [px, py] = Util.applyTransform([x, y], state.ctm);
+      return `${htmlPoints(px)} ${htmlPoints(py)}`;
+    };
+    const clipAttribute = () => (state.clip ? ` clip-path="url(#${state.clip})"` : '');
+    const hexColor = args => '#' + Array.from(args).slice(0, 3).map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+
+    // Fill and/or stroke the current path, then apply a pending W / W* clip (PDF order)
+    const paint = (fill, stroke, evenOdd) => {
+      if (path) {
+        const attributes = [];
+        if (fill && state.fill === null) {
+          result.patterns = true;
+          fill = false;
+        }
+        attributes.push(`fill="${fill ? state.fill : 'none'}"`);
+        if (fill && evenOdd) attributes.push('fill-rule="evenodd"');
+        if (fill && state.fillAlpha < 1) attributes.push(`fill-opacity="${htmlPoints(state.fillAlpha)}"`);
+        if (stroke && state.stroke !== null) {
+          const scale = Math.sqrt(Math.abs(state.ctm[0] * state.ctm[3] - state.ctm[1] * state.ctm[2]));
+          attributes.push(`stroke="${state.stroke}"`, `stroke-width="${htmlPoints(state.lineWidth * scale || 0.5)}"`);
+          if (state.cap) attributes.push(`stroke-linecap="${['butt', 'round', 'square'][state.cap]}"`);
+          if (state.join) attributes.push(`stroke-linejoin="${['miter', 'round', 'bevel'][state.join]}"`);
+          if (state.dash && state.dash[0].length > 0) {
+            attributes.push(`stroke-dasharray="${state.dash[0].map(value => htmlPoints(value * scale)).join(' ')}"`);
+            if (state.dash[1]) attributes.push(`stroke-dashoffset="${htmlPoints(state.dash[1] * scale)}"`);
+          }
+          if (state.strokeAlpha < 1) attributes.push(`stroke-opacity="${htmlPoints(state.strokeAlpha)}"`);
+        }
+        if (fill || (stroke && state.stroke !== null)) {
+          shapes.push(`<path d="${path}" ${attributes.join(' ')}${clipAttribute()}/>`);
+        }
+        if (pendingClip) {
+          // A clip inside a clip is the intersection: the new clipPath is itself clipped by the old one
+          const id = `p${pageNumber}c${clips.length + 1}`;
+          clips.push(`<clipPath id="${id}"${clipAttribute()}><path d="${path}"${pendingClip === 'evenodd' ? ' clip-rule="evenodd"' : ''}/></clipPath>`);
+          state.clip = id;
+        }
+      }
+      path = '';
+      pendingClip = null;
+    };
+
+    const drawImage = async (key, image, maskColor) => {
+      if (!options.images) return;
+      // Large stencil masks arrive as a reference to the decoded data
+      if (image && typeof image.data === 'string') {
+        image = page.objs.has(image.data) ? page.objs.get(image.data) : null;
+      }
+      if (!image) {
+        result.skippedImages++;
+        return;
+      }
+      try {
+        const name = await storeHtmlImage(assets, maskColor ? `${key}:${maskColor}` : key, image, maskColor);
+        if (!name) {
+          result.skippedImages++;
+          return;
+        }
+        // Images fill the unit square, which SVG draws from the top down
+        const m = Util.transform(state.ctm, [1, 0, 0, -1, 0, 1]).map(htmlPoints);
+        const opacity = state.fillAlpha < 1 ? ` opacity="${htmlPoints(state.fillAlpha)}"` : '';
+        shapes.push(`<image href="${name}" width="1" height="1" preserveAspectRatio="none" transform="matrix(${m.join(' ')})"${opacity}${clipAttribute()}/>`);
+      } catch (error) {
+        console.error(`Image on page ${pageNumber} failed:`, error.message);
+        result.skippedImages++;
+      }
+    };
+
+    const moveText = (x, y) => {
+      state.x = state.lineX += x;
+      state.y = state.lineY += y;
+    };
+
+    for (let i = 0; i < fnArray.length; i++) {
+      const args = argsArray[i];
+      switch (fnArray[i]) {
+        case OPS.save:
+          stack.push({ ...state });
+          break;
+        case OPS.restore:
+          if (stack.length > 0) state = stack.pop();
+          break;
+        case OPS.transform:
+          state.ctm = Util.transform(state.ctm, args);
+          break;
+        case OPS.paintFormXObjectBegin:
+          stack.push({ ...state });
+          if (Array.isArray(args[0]) && args[0].length === 6) state.ctm = Util.transform(state.ctm, args[0]);
+          break;
+        case OPS.paintFormXObjectEnd:
+          if (stack.length > 0) state = stack.pop();
+          break;
+        case OPS.beginAnnotation:
+          // Annotation appearances (form field values, stamps) start from a clean state in their own box
+          stack.push(state);
+          state = initialState(Util.transform(Util.transform(viewport.transform, args[2]), args[3]));
+          state.annotation = true;
+          break;
+        case OPS.endAnnotation:
+          if (stack.length > 0) state = stack.pop();
+          break;
+        case OPS.setGState:
+          for (const [key, value] of args[0]) {
+            if (key === 'ca') state.fillAlpha = value;
+            else if (key === 'CA') state.strokeAlpha = value;
+            else if (key === 'LW') state.lineWidth = value;
+            else if (key === 'LC') state.cap = value;
+            else if (key === 'LJ') state.join = value;
+            else if (key === 'D') state.dash = value;
+          }
+          break;
+
+        case OPS.setFillRGBColor:
+          state.fill = hexColor(args);
+          break;
+        case OPS.setStrokeRGBColor:
+          state.stroke = hexColor(args);
+          break;
+        case OPS.setFillColorN:
+          state.fill = null;
+          break;
+        case OPS.setStrokeColorN:
+          state.stroke = null;
+          break;
+        case OPS.shadingFill:
+          result.patterns = true;
+          break;
+        case OPS.setLineWidth:
+          state.lineWidth = args[0];
+          break;
+        case OPS.setLineCap:
+          state.cap = args[0];
+          break;
+        case OPS.setLineJoin:
+          state.join = args[0];
+          break;
+        case OPS.setDash:
+          state.dash = args;
+          break;
+
+        case OPS.constructPath: {
+          const [ops, coords] = args;
+          for (let k = 0, j = 0; k < ops.length; k++) {
+            switch (ops[k]) {
+              case OPS.rectangle: {
+                const [x, y, w, h] = coords.slice(j, j + 4);
+                path += `M${point(x, y)}L${point(x + w, y)}L${point(x + w, y + h)}L${point(x, y + h)}Z`;
+                current = start = [x, y];
+                j += 4;
+                break;
+              }
+              case OPS.moveTo:
+                current = start = [coords[j], coords[j + 1]];
+                path += `M${point(...current)}`;
+                j += 2;
+                break;
+              case OPS.lineTo:
+                current = [coords[j], coords[j + 1]];
+                path += `L${point(...current)}`;
+                j += 2;
+                break;
+              case OPS.curveTo:
+                path += `C${point(coords[j], coords[j + 1])} ${point(coords[j + 2], coords[j + 3])} ${point(coords[j + 4], coords[j + 5])}`;
+                current = [coords[j + 4], coords[j + 5]];
+                j += 6;
+                break;
+              case OPS.curveTo2:
+                path += `C${point(...current)} ${point(coords[j], coords[j + 1])} ${point(coords[j + 2], coords[j + 3])}`;
+                current = [coords[j + 2], coords[j + 3]];
+                j += 4;
+                break;
+              case OPS.curveTo3:
+                path += `C${point(coords[j], coords[j + 1])} ${point(coords[j + 2], coords[j + 3])} ${point(coords[j + 2], coords[j + 3])}`;
+                current = [coords[j + 2], coords[j + 3]];
+                j += 4;
+                break;
+              case OPS.closePath:
+                path += 'Z';
+                current = start;
+                break;
+            }
+          }
+          break;
+        }
+        case OPS.clip:
+          pendingClip = 'nonzero';
+          break;
+        case OPS.eoClip:
+          pendingClip = 'evenodd';
+          break;
+        case OPS.fill:
+          paint(true, false, false);
+          break;
+        case OPS.eoFill:
+          paint(true, false, true);
+          break;
+        case OPS.stroke:
+          paint(false, true, false);
+          break;
+        case OPS.closeStroke:
+          path += 'Z';
+          paint(false, true, false);
+          break;
+        case OPS.fillStroke:
+          paint(true, true, false);
+          break;
+        case OPS.eoFillStroke:
+          paint(true, true, true);
+          break;
+        case OPS.closeFillStroke:
+          path += 'Z';
+          paint(true, true, false);
+          break;
+        case OPS.closeEOFillStroke:
+          path += 'Z';
+          paint(true, true, true);
+          break;
+        case OPS.endPath:
+          paint(false, false, false);
+          break;
+
+        case OPS.paintImageXObject: {
+          const store = String(args[0]).startsWith('g_') ? page.commonObjs : page.objs;
+          await drawImage(args[0], store.has(args[0]) ? store.get(args[0]) : null, null);
+          break;
+        }
+        case OPS.paintInlineImageXObject:
+          await drawImage(`p${pageNumber}i${i}`, args[0], null);
+          break;
+        case OPS.paintImageMaskXObject:
+          await drawImage(`p${pageNumber}m${i}`, args[0], state.fill || '#000000');
+          break;
+        case OPS.paintSolidColorImageMask:
+          path = `M${point(0, 0)}L${point(1, 0)}L${point(1, 1)}L${point(0, 1)}Z`;
+          paint(true, false, false);
+          break;
+
+        case OPS.beginText:
+          state.textMatrix = [1, 0, 0, 1, 0, 0];
+          state.x = state.lineX = 0;
+          state.y = state.lineY = 0;
+          break;
+        case OPS.setTextMatrix:
+          state.textMatrix = Array.from(args);
+          state.x = state.lineX = 0;
+          state.y = state.lineY = 0;
+          break;
+        case OPS.moveText:
+          moveText(args[0], args[1]);
+          break;
+        case OPS.setLeadingMoveText:
+          state.leading = -args[1];
+          moveText(args[0], args[1]);
+          break;
+        case OPS.nextLine:
+          moveText(0, state.leading);
+          break;
+        case OPS.setLeading:
+          state.leading = -args[0];
+          break;
+        case OPS.setCharSpacing:
+          state.charSpacing = args[0];
+          break;
+        case OPS.setWordSpacing:
+          state.wordSpacing = args[0];
+          break;
+        case OPS.setHScale:
+          state.hScale = args[0] / 100;
+          break;
+        case OPS.setTextRise:
+          state.rise = args[0];
+          break;
+        case OPS.setTextRenderingMode:
+          state.renderMode = args[0];
+          break;
+        case OPS.setFont: {
+          state.fontId = args[0];
+          state.fontDirection = args[1] < 0 ? -1 : 1;
+          state.fontSize = Math.abs(args[1]);
+          try {
+            state.font = page.commonObjs.has(args[0]) ? page.commonObjs.get(args[0]) : null;
+          } catch (error) {
+            state.font = null;
+          }
+          if (state.font && state.font.isType3Font) result.type3 = true;
+          break;
+        }
+        case OPS.showText:
+        case OPS.showSpacedText: {
+          const textToPage = Util.transform(state.ctm, state.textMatrix);
+          const origin = Util.applyTransform([state.x, state.y + state.rise], textToPage);
+          const mode = state.renderMode & 3;
+          const show = {
+            fontId: state.fontId,
+            x: origin[0],
+            y: origin[1],
+            color: (mode === 1 ? state.stroke : state.fill) || '#000000',
+            alpha: mode === 1 ? state.strokeAlpha : state.fillAlpha,
+            invisible: mode === 3
+          };
+
+          // Advance like pdf.js' canvas does, so the next show without a move starts in the right place
+          const widthScale = state.fontSize * ((state.font && state.font.fontMatrix) || [0.001])[0];
+          let x = 0;
+          for (const glyph of args[0]) {
+            if (typeof glyph === 'number') {
+              x -= glyph * state.fontSize / 1000;
+            } else if (glyph) {
+              const spacing = (glyph.isSpace ? state.wordSpacing : 0) + state.charSpacing;
+              x += glyph.width * widthScale + spacing * state.fontDirection;
+            }
+          }
+          state.x += x * state.hScale * state.fontDirection;
+
+          // pdf.js leaves annotation appearances out of the text content, so their text is taken from the glyphs
+          if (state.annotation) {
+            const str = args[0].filter(glyph => glyph && typeof glyph === 'object').map(glyph => glyph.unicode || '').join('');
+            if (str.trim()) {
+              const scale = Math.hypot(textToPage[2], textToPage[3]);
+              texts.push({
+                str,
+                x: origin[0],
+                y: origin[1],
+                fontSize: state.fontSize * scale,
+                angle: Math.atan2(textToPage[1], textToPage[0]) * 180 / Math.PI,
+                width: Math.abs(x * state.hScale) * Math.hypot(textToPage[0], textToPage[1]),
+                fontName: state.fontId,
+                show
+              });
+            }
+          } else {
+            shows.push(show);
+          }
+          break;
+        }
+      }
+    }
+
+    // Text: the text content items, coloured by the show that started nearest before each on its line
+    const showsByFont = new Map();
+    shows.forEach(show => {
+      if (!showsByFont.has(show.fontId)) showsByFont.set(show.fontId, []);
+      showsByFont.get(show.fontId).push(show);
+    });
+    const items = [];
+    for (const item of textContent.items) {
+      if (typeof item.str !== 'string') continue;
+      if (item.str.length === 0) {
+        if (item.hasEOL) items.push({ br: true });
+        continue;
+      }
+      const tx = Util.transform(viewport.transform, item.transform);
+      const fontSize = Math.hypot(tx[2], tx[3]);
+      if (!fontSize) continue;
+
+      let show = null;
+      let best = Infinity;
+      for (const candidate of showsByFont.get(item.fontName) || []) {
+        const distance = Math.hypot(candidate.x - tx[4], candidate.y - tx[5]);
+        if (distance < best && distance < fontSize * 2 && candidate.x <= tx[4] + fontSize * 0.5) {
+          best = distance;
+          show = candidate;
+        }
+      }
+      items.push({
+        str: item.str,
+        x: tx[4],
+        y: tx[5],
+        fontSize,
+        angle: Math.atan2(tx[1], tx[0]) * 180 / Math.PI,
+        width: item.width,
+        fontName: item.fontName,
+        show,
+        hasEOL: item.hasEOL
+      });
+    }
+
+    const spans = [];
+    for (const item of items.concat(texts)) {
+      if (item.br) {
+        spans.push('<br>');
+        continue;
+      }
+      const { show, fontSize, angle } = item;
+      const font = registerHtmlFont(assets, page, item.fontName, options);
+      // line-height 0 puts the baseline halfway between the font's ascent and descent below the top
+      const drop = fontSize * (font.ascent + font.descent) / 2;
+      const left = item.x + Math.sin(angle * Math.PI / 180) * drop;
+      const top = item.y - Math.cos(angle * Math.PI / 180) * drop;
+
+      const style = [`left:${htmlPoints(left)}pt`, `top:${htmlPoints(top)}pt`, `font-size:${htmlPoints(fontSize)}pt`];
+      if (show && !show.invisible && show.color !== '#000000') style.push(`color:${show.color}`);
+      if (show && !show.invisible && show.alpha < 1) style.push(`opacity:${htmlPoints(show.alpha)}`);
+      if (Math.abs(angle) > 0.01) style.push(`transform:rotate(${htmlPoints(angle)}deg)`);
+      const classes = [font.className].concat(show && show.invisible ? ['invisible'] : []).join(' ');
+      const rotate = Math.abs(angle) > 0.01 ? ` data-r="${htmlPoints(angle)}"` : '';
+      const width = item.width > 0 ? ` data-w="${htmlPoints(item.width)}"` : '';
+
+      spans.push(`<span class="${classes}" style="${style.join(';')}"${width}${rotate}>${escapeXml(item.str)}</span>` + (item.hasEOL ? '<br>' : ''));
+      result.spanCount++;
+    }
+
+    // Links: web addresses as they are, jumps inside the document to the exported page
+    const links = [];
+    for (const annotation of await page.getAnnotations()) {
+      if (annotation.subtype !== 'Link') continue;
+      let href = annotation.url || null;
+      if (!href && annotation.dest) {
+        try {
+          const dest = typeof annotation.dest === 'string' ? await pdfJsDoc.getDestination(annotation.dest) : annotation.dest;
+          const target = dest && dest[0];
+          const index = typeof target === 'number' ? target : target ? await pdfJsDoc.getPageIndex(target) : null;
+          href = index === null ? null : options.pageFile(index);
+        } catch (error) {
+          href = null;
+        }
+      }
+      if (!href) continue;
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+      links.push(`<a class="pdf-link" href="${escapeXml(href)}" style="left:${htmlPoints(Math.min(x1, x2))}pt;top:${htmlPoints(Math.min(y1, y2))}pt;` +
+        `width:${htmlPoints(Math.abs(x2 - x1))}pt;height:${htmlPoints(Math.abs(y2 - y1))}pt"></a>`);
+      result.linkCount++;
+    }
+
+    const width = htmlPoints(viewport.width);
+    const height = htmlPoints(viewport.height);
+    result.svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}pt" height="${height}pt">` +
+      (clips.length > 0 ? `<defs>${clips.join('')}</defs>` : '') + shapes.join('\n') + '</svg>';
+    result.text = spans.join('\n');
+    result.links = links.join('\n');
+    result.width = viewport.width;
+    result.height = viewport.height;
+    return result;
+
+  } finally {
+    page.cleanup();
+  }
+}
+
+// The CSS class for a pdf.js font. Embedded fonts are exported to fonts/ as pdf.js rebuilt them (OpenType
+// with a Unicode cmap, so the real text draws in them); the standard 14 and Type 3 fonts, or every font
+// without options.fonts, fall back to a similar local family.
+function registerHtmlFont(assets, page, fontId, options) {
+  if (assets.fonts.has(fontId)) return assets.fonts.get(fontId);
+
+  let font = null;
+  try {
+    font = page.commonObjs.has(fontId) ? page.commonObjs.get(fontId) : null;
+  } catch (error) {
+    // Font failed to load in pdf.js
+  }
+  const rawName = String((font && font.name) || '');
+  const name = rawName.replace(/^[A-Z]{6}\+/, '');
+  const standard = /^(?:Helvetica|Times|Courier|Symbol|ZapfDingbats)(?:-|$)/.test(rawName);
+  const ascent = font && Number.isFinite(font.ascent) && font.ascent > 0 ? font.ascent : 0.9;
+  const descent = font && Number.isFinite(font.descent) && font.descent < 0 ? font.descent : -0.21;
+
+  const entry = {
+    className: `f${assets.fonts.size + 1}`,
+    local: (cleanPdfFontName(name) || '').replace(/["\\]/g, ''),
+    generic: ['serif', 'monospace'].includes(font && font.fallbackName) ? font.fallbackName : 'sans-serif',
+    bold: Boolean(font && (font.bold || /bold|black|heavy|semibold/i.test(name))),
+    italic: Boolean(font && (font.italic || /italic|oblique/i.test(name))),
+    ascent,
+    descent,
+    file: null
+  };
+  if (options.fonts && font && font.data && !font.isType3Font && !standard) {
+    const truetype = font.mimetype === 'font/truetype';
+    entry.file = {
+      name: `fonts/${entry.className}.${truetype ? 'ttf' : 'otf'}`,
+      format: truetype ? 'truetype' : 'opentype',
+      data: Buffer.from(font.data)
+    };
+  }
+  assets.fonts.set(fontId, entry);
+  return entry;
+}
+
+// Store a decoded pdf.js image under images/ once per key; returns its path, or null when it can't be encoded.
+// pdf.js hands over raw rows: kind 1 is 1-bit grey, 2 RGB, 3 RGBA; stencil masks are 1-bit
+// coverage painted in the current fill colour. Large opaque images become JPEG, the rest PNG.
+async function storeHtmlImage(assets, key, image, maskColor) {
+  assets.imageCount++;
+  if (assets.images.has(key)) return assets.images.get(key).name;
+
+  const { width, height, data } = image;
+  if (!data || !width || !height) return null;
+
+  let channels;
+  let pixels;
+  const rowBytes = (width + 7) >> 3;
+  if (maskColor || image.kind === 1) {
+    const color = maskColor ? [1, 3, 5].map(k => parseInt(maskColor.slice(k, k + 2), 16)) : null;
+    channels = maskColor ? 4 : 1;
+    pixels = Buffer.alloc(width * height * channels);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const set = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+        const offset = (y * width + x) * channels;
+        if (!maskColor) {
+          pixels[offset] = set ? 255 : 0;
+        } else if (!set) {
+          pixels[offset] = color[0];
+          pixels[offset + 1] = color[1];
+          pixels[offset + 2] = color[2];
+          pixels[offset + 3] = 255;
+        }
+      }
+    }
+  } else if (image.kind === 2 || image.kind === 3) {
+    channels = image.kind === 2 ? 3 : 4;
+    pixels = Buffer.from(data.buffer, data.byteOffset, width * height * channels);
+  } else {
+    return null;
+  }
+
+  const photo = channels === 3 && width * height >= 40000;
+  const encoder = sharp(pixels, { raw: { width, height, channels } });
+  const encoded = photo ? await encoder.jpeg({ quality: 85 }).toBuffer() : await encoder.png().toBuffer();
+  const name = `images/image${assets.images.size + 1}.${photo ? 'jpg' : 'png'}`;
+  assets.images.set(key, { name, data: encoded });
+  return name;
+}
+
+// ---- Reflowed document ----
+
+// One index.html with the pages' text as paragraphs, headings and lists, their tables and pictures, in
+// reading order (the same analysis as pdf-to-word), styled for reading on any screen size
+async function writeReflowedHtml(zip, pdfJsDoc, pdfDoc, pageIndices, options, onProgress) {
+  const { pages, warnings } = await analyseWordPages(pdfJsDoc, pdfDoc, pageIndices, { images: options.images }, onProgress);
+  const document = layoutWordDocument(pages);
+  const images = new Map();
+  const body = [];
+  let list = null;
+
+  const inline = (pieces, plain) => pieces.map(piece => {
+    if (piece.tab) return ' ';
+    // Spaces stay outside the emphasis tags
+    const [, before, text, after] = piece.text.match(/^(\s*)([^]*?)(\s*)$/);
+    let html = escapeXml(text);
+    if (text && !plain && piece.italic) html = `<em>${html}</em>`;
+    if (text && !plain && piece.bold) html = `<strong>${html}</strong>`;
+    return before + html + after;
+  }).join('').trim();
+  const closeList = () => {
+    if (list) body.push(`<${list.tag}${list.start > 1 ? ` start="${list.start}"` : ''}>\n${list.items.join('\n')}\n</${list.tag}>`);
+    list = null;
+  };
+
+  for (const item of document.items) {
+    if (item.type === 'paragraph') {
+      const { paragraph } = item;
+      const align = item.align === 'center' || item.align === 'right' ? ` class="${item.align}"` : '';
+
+      // Bullets and "1." / "1)" numbering become list items, with the marker left to the list
+      const marker = !item.level && paragraph.pieces[0] && !paragraph.pieces[0].tab &&
+        paragraph.pieces[0].text.match(/^\s*(?:([•●▪◦‣∙·*–-])|(\d{1,3})[.)])\s+/);
+      if (marker) {
+        const tag = marker[1] ? 'ul' : 'ol';
+        if (!list || list.tag !== tag) {
+          closeList();
+          list = { tag, start: marker[2] ? parseInt(marker[2], 10) : 1, items: [] };
+        }
+        const pieces = [{ ...paragraph.pieces[0], text: paragraph.pieces[0].text.slice(marker[0].length) }].concat(paragraph.pieces.slice(1));
+        list.items.push(`<li>${inline(pieces, false)}</li>`);
+        continue;
+      }
+      closeList();
+      body.push(item.level
+        ? `<h${item.level}${align}>${inline(paragraph.pieces, true)}</h${item.level}>`
+        : `<p${align}>${inline(paragraph.pieces, false)}</p>`);
+    } else if (item.type === 'image') {
+      closeList();
+      const { image } = item;
+      if (!images.has(image.key)) {
+        const name = `images/image${images.size + 1}.${image.type === 'jpeg' ? 'jpg' : 'png'}`;
+        images.set(image.key, name);
+        zip.file(name, image.data);
+      }
+      const width = Math.round((image.right - image.left) * 4 / 3);
+      body.push(`<figure><img src="${images.get(image.key)}" width="${width}" alt=""></figure>`);
+    } else {
+      closeList();
+      const { table } = item;
+      const rows = table.rows.map(row => '<tr>' + row.map(text =>
+        `<td>${String(text).split('\n').map(escapeXml).join('<br>')}</td>`).join('') + '</tr>');
+      body.push(`<div class="table"><table${table.source === 'ruled' ? ' class="ruled"' : ''}>\n${rows.join('\n')}\n</table></div>`);
+    }
+  }
+  closeList();
+
+  const family = escapeXml(document.bodyFont.replace(/["\\]/g, ''));
+  zip.file('index.html', '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+    `<title>${escapeXml(options.title)}</title>\n<style>\n` +
+    `body { max-width: 42em; margin: 0 auto; padding: 1em; font-family: "${family}", sans-serif; font-size: 1.05em; line-height: 1.6; color: #1f2937; }\n` +
+    'h1, h2, h3 { line-height: 1.25; }\n' +
+    '.center { text-align: center; }\n.right { text-align: right; }\n' +
+    'figure { margin: 1em 0; text-align: center; }\nimg { max-width: 100%; height: auto; }\n' +
+    '.table { overflow-x: auto; margin: 1em 0; }\ntable { border-collapse: collapse; }\n' +
+    'td { padding: 0.25em 0.6em; vertical-align: top; }\n.ruled td { border: 1px solid #9ca3af; }\n' +
+    '</style>\n</head>\n<body>\n' + body.join('\n') + '\n</body>\n</html>\n');
+
+  return { stats: document.stats, warnings };
+}
+
+// ========== ASYNC JOBS ========== //
+//
+// Long-running tools can also run in the background: POST /api/jobs/:tool takes the same form
+// fields as the tool's own endpoint and answers 202 with a job id straight away. Progress is
+// polled from GET /api/jobs/:id or streamed as Server-Sent Events from /api/jobs/:id/events,
+// and the output is streamed from /api/jobs/:id/result. Results are kept on disk until they expire.
+
+const JOB_DIR = path.join(os.tmpdir(), 'pdfmaster-jobs');
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_RUNNING_JOBS = parseInt(process.env.MAX_RUNNING_JOBS) || Math.max(1, os.cpus().length);
+const MAX_QUEUED_JOBS = parseInt(process.env.MAX_QUEUED_JOBS) || 100;
+
+// Tools available through the job API: prepare(req) validates the upload like the tool's endpoint,
+// run(input, onProgress) does the work and returns { files, summary }. A Map, as the name comes from the URL
+const JOB_TOOLS = new Map([
+  ['ocr-pdf', { prepare: prepareOcrRequest, run: runOcrJob }],
+  ['compress-pdf', { prepare: prepareCompressionRequest, run: runCompressionJob }],
+  ['split-pdf', { prepare: prepareSplitRequest, run: runSplitJob }],
+  ['merge-pdf', { prepare: prepareMergeRequest, run: runMergeJob }],
+  ['rotate-pdf', { prepare: prepareRotateRequest, run: runRotateJob }],
+  ['watermark-pdf', { prepare: prepareWatermarkRequest, run: runWatermarkJob }],
+  ['number-pages', { prepare: prepareNumberPagesRequest, run: runNumberPagesJob }],
+  ['protect-pdf', { prepare: prepareProtectRequest, run: runProtectJob }],
+  ['unlock-pdf', { prepare: prepareUnlockRequest, run: runUnlockJob }],
+  ['fill-form', { prepare: prepareFillFormRequest, run: runFillFormJob }],
+  ['flatten-pdf', { prepare: prepareFlattenRequest, run: runFlattenJob }],
+  ['compare-pdf', { prepare: prepareCompareRequest, run: runCompareJob }],
+  ['annotate-pdf', { prepare: prepareAnnotateRequest, run: runAnnotateJob }],
+  ['redact-pdf', { prepare: prepareRedactRequest, run: runRedactJob }],
+  ['organize-pdf', { prepare: preparePageOperationsRequest, run: runPageOperationsJob }],
+  ['pdf-to-jpg', { prepare: prepareImageExportRequest, run: runImageExportJob }],
+  ['pdf-to-excel', { prepare: prepareSpreadsheetRequest, run: runSpreadsheetJob }],
+  ['pdf-to-word', { prepare: preparePdfToWordRequest, run: runPdfToWordJob }],
+  ['office-to-pdf', { prepare: prepareOfficeRequest, run: runOfficeToPdfJob }],
+  ['html-to-pdf', { prepare: prepareHtmlRequest, run: runHtmlToPdfJob }],
+  ['pdf-to-html', { prepare: preparePdfToHtmlRequest, run: runPdfToHtmlJob }]
+]);
+
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+// Submit a job
+app.post('/api/jobs/:tool', async (req, res) => {
+  const tool = JOB_TOOLS.get(req.params.tool);
+  if (!tool) {
+    return res.status(404).json({ error: `No background job support for: ${req.params.tool}`, tools: Array.from(JOB_TOOLS.keys()) });
+  }
+
+  if (jobQueue.length >= MAX_QUEUED_JOBS) {
+    return res.status(503).json({ error: 'Too many jobs are waiting. Please try again later.' });
+  }
+
+  try {
+    const input = await tool.prepare(req);
+    const job = createJob(req.params.tool, input);
+
+    res.status(202).json({ success: true, ...serializeJob(job) });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code, availableLanguages: error.availableLanguages });
+  }
+});
+
+// Job status and progress
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  res.json({ success: true, ...serializeJob(job) });
+});
+
+// Job progress as Server-Sent Events: "status" once on connect, "progress" on every update,
+// then "completed" or "failed" before the stream closes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  send('status', serializeJob(job));
+
+  if (isJobFinished(job)) {
+    send(job.status, serializeJob(job));
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const listener = (event, payload) => {
+    send(event, payload);
+    if (event === 'completed' || event === 'failed') res.end();
+  };
+  job.listeners.add(listener);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(listener);
+  });
+});
+
+// Stream a finished job's output (the tool's main file, or a named extra file)
+app.get('/api/jobs/:id/result/:file?', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+  }
+
+  const file = job.files.get(req.params.file || job.primaryFile);
+  if (!file) {
+    return res.status(404).json({ error: 'No such result file', files: Array.from(job.files.keys()) });
+  }
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Length', file.size);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename.replace(/"/g, '')}"`);
+
+  require('fs').createReadStream(file.path)
+    .on('error', error => {
+      console.error('Job result stream error:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+});
+
+// Remove a finished job and its files before it expires
+app.delete('/api/jobs/:id', async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  if (!isJobFinished(job)) {
+    return res.status(409).json({ error: `Job is ${job.status}` });
+  }
+
+  await deleteJob(job);
+  res.json({ success: true });
+});
+
+function createJob(tool, input) {
+  const job = {
+    id: crypto.randomBytes(16).toString('hex'),
+    tool,
+    status: 'queued',
+    input,
+    progress: { completed: 0, total: null, percent: 0, message: 'Waiting in queue' },
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    error: null,
+    summary: null,
+    // Keyed by names from the URL, so a Map rather than a plain object
+    files: new Map(),
+    primaryFile: null,
+    listeners: new Set()
+  };
+
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  startQueuedJobs();
+  return job;
+}
+
+function startQueuedJobs() {
+  while (runningJobs < MAX_RUNNING_JOBS && jobQueue.length > 0) {
+    runJob(jobQueue.shift());
+  }
+}
+
+async function runJob(job) {
+  runningJobs++;
+  job.status = 'running';
+  job.startedAt = Date.now();
+  updateJobProgress(job, { completed: 0, message: 'Processing' });
+
+  try {
+    const output = await JOB_TOOLS.get(job.tool).run(job.input, progress => updateJobProgress(job, progress));
+
+    await fs.mkdir(JOB_DIR, { recursive: true });
+    for (const [name, file] of Object.entries(output.files)) {
+      const filePath = path.join(JOB_DIR, `${job.id}-${name}`);
+      await fs.writeFile(filePath, file.buffer);
+      job.files.set(name, {
+        path: filePath,
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.buffer.length
+      });
+    }
+
+    job.primaryFile = Object.keys(output.files)[0];
+    job.summary = output.summary || null;
+    job.status = 'completed';
+    job.progress = { ...job.progress, percent: 100, message: 'Completed' };
+
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.tool}) failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.errorCode = error.code;
+
+  } finally {
+    job.input = null;
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + JOB_TTL_MS;
+    notifyJobListeners(job, job.status);
+    runningJobs--;
+    startQueuedJobs();
+  }
+}
+
+function updateJobProgress(job, { completed, total, message }) {
+  if (total !== undefined) job.progress.total = total;
+  if (completed !== undefined) job.progress.completed = completed;
+  if (message !== undefined) job.progress.message = message;
+  job.progress.percent = job.progress.total
+    ? Math.round((job.progress.completed / job.progress.total) * 100)
+    : 0;
+  notifyJobListeners(job, 'progress');
+}
+
+function notifyJobListeners(job, event) {
+  const payload = serializeJob(job);
+  job.listeners.forEach(listener => listener(event, payload));
+}
+
+function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+function serializeJob(job) {
+  const base = `/api/jobs/${job.id}`;
+  const toIso = time => (time ? new Date(time).toISOString() : null);
+
+  return {
+    jobId: job.id,
+    tool: job.tool,
+    status: job.status,
+    progress: job.progress,
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    finishedAt: toIso(job.finishedAt),
+    expiresAt: toIso(job.expiresAt),
+    error: job.error || undefined,
+    code: job.errorCode || undefined,
+    summary: job.summary || undefined,
+    files: Object.fromEntries(Array.from(job.files, ([name, file]) => [name, {
+      filename: file.filename,
+      contentType: file.contentType,
+      size: file.size,
+      url: `${base}/result/${name}`
+    }])),
+    statusUrl: base,
+    eventsUrl: `${base}/events`,
+    resultUrl: `${base}/result`
+  };
+}
+
+async function deleteJob(job) {
+  jobs.delete(job.id);
+  await Promise.all(Array.from(job.files.values(), file => fs.unlink(file.path).catch(() => {})));
+}
+
+// Expire finished jobs, and sweep result files left behind by a previous run of the server
+async function cleanupExpiredJobs() {
+  const now = Date.now();
+
+  for (const job of Array.from(jobs.values())) {
+    if (isJobFinished(job) && job.expiresAt <= now) {
+      await deleteJob(job);
+    }
+  }
+
+  try {
+    const knownFiles = new Set();
+    jobs.forEach(job => job.files.forEach(file => knownFiles.add(path.basename(file.path))));
+
+    for (const entry of await fs.readdir(JOB_DIR)) {
+      if (knownFiles.has(entry)) continue;
+      const filePath = path.join(JOB_DIR, entry);
+      const stats = await fs.stat(filePath);
+      if (now - stats.mtimeMs > JOB_TTL_MS) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+    }
+  } catch (error) {
+    // JOB_DIR doesn't exist until the first job finishes
+  }
+}
+
+setInterval(() => {
+  cleanupExpiredJobs().catch(error => console.error('Job cleanup failed:', error));
+}, 60 * 1000).unref();
+
+// ========== PDF ENCRYPTION ========== //
+//
+// The standard security handler (ISO 32000-2, 7.6.4): RC4 and AES-128 (revisions 2-4) and AES-256
+// (revisions 5-6). pdf-lib can neither read nor write encrypted files, so uploads are decrypted
+// while they are parsed and protected output is encrypted just before it is written.
+
+// Load an upload with pdf-lib. Encrypted files are opened with `password`, or with the empty user
+// password that "restricted" PDFs use; otherwise the error carries code PASSWORD_REQUIRED or
+// INVALID_PASSWORD so the client can ask for one. Output is saved unencrypted, so files that
+// restrict printing, copying or editing also need the owner password (OWNER_PASSWORD_REQUIRED)
+// unless `options.readOnly` says nothing is written back. pdf-lib also accepts some garbage and
+// only fails once the page tree is touched, so anything unreadable becomes a 400 here.
+async function loadPdfDocument(data, password, options = {}) {
+  const { pdfDoc } = await openPdfDocument(data, password, options);
+  return pdfDoc;
+}
+
+// As loadPdfDocument, also returning the encryption the file had (null when it had none)
+async function openPdfDocument(data, password, options = {}) {
+  try {
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const opened = bytes.includes('/Encrypt')
+      ? await parseEncryptedPdf(bytes, password, options)
+      : { pdfDoc: await PDFDocument.load(bytes, options), encryption: null };
+    opened.pdfDoc.getPageCount();
+
+    const { encryption } = opened;
+    const denied = encryption ? Object.keys(PDF_PERMISSIONS).filter(name => !encryption.permissions.includes(name)) : [];
+    if (denied.length > 0 && !encryption.ownerAccess && !options.readOnly) {
+      throw httpError(400, `This PDF does not allow ${denied.join(', ')}. Send its owner password in the "password" field`, { code: 'OWNER_PASSWORD_REQUIRED' });
+    }
+    return opened;
+  } catch (error) {
+    if (error.status) throw error;
+    throw httpError(400, `Invalid PDF file (${error.message})`);
+  }
+}
+
+const ENDOBJ_KEYWORD = Array.from(Buffer.from('endobj'));
+
+// Parse a file that may be encrypted. Object streams are encrypted as a whole, so they are set aside
+// until the key is known, then decrypted and unpacked in file order (later revisions still win).
+async function parseEncryptedPdf(bytes, password, options) {
+  const parser = PDFParser.forBytesWithOptions(new Uint8Array(bytes), ParseSpeeds.Slow, false, false);
+  const parseOrder = new Map();
+  const objectStreams = [];
+
+  parser.parseIndirectObject = async function () {
+    const ref = this.parseIndirectObjectHeader();
+    this.skipWhitespaceAndComments();
+    const object = this.parseObject();
+    this.skipWhitespaceAndComments();
+    this.matchKeyword(ENDOBJ_KEYWORD);
+
+    const type = object instanceof PDFRawStream && object.dict.lookup(PDFName.of('Type'));
+    if (type === PDFName.of('XRef')) {
+      PDFXRefStreamParser.forStream(object).parseIntoContext();
+    } else {
+      parseOrder.set(ref, parseOrder.size);
+      if (type === PDFName.of('ObjStm')) objectStreams.push({ ref, order: parseOrder.size - 1 });
+      this.context.assign(ref, object);
+    }
+    return ref;
+  };
+
+  const context = await parser.parseDocument();
+  const encryptRef = context.trailerInfo.Encrypt;
+  const encryptDict = context.lookup(encryptRef);
+  let encryption = null;
+
+  if (encryptDict instanceof PDFDict) {
+    const security = unlockSecurityHandler(encryptDict, getPdfFileId(context), password);
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (ref !== encryptRef && object !== encryptDict) cryptPdfObject(context, security, ref, object, true);
+    }
+    if (encryptRef instanceof PDFRef) context.delete(encryptRef);
+    context.trailerInfo.Encrypt = undefined;
+    encryption = {
+      method: security.method,
+      revision: security.R,
+      permissions: describePdfPermissions(security.P),
+      ownerAccess: security.ownerAccess
+    };
+  }
+
+  for (const { ref, order } of objectStreams) {
+    const stream = context.lookup(ref);
+    if (!(stream instanceof PDFRawStream)) continue;
+
+    const newer = Array.from(parseOrder)
+      .filter(([objectRef, index]) => index > order && context.lookup(objectRef) !== undefined)
+      .map(([objectRef]) => [objectRef, context.lookup(objectRef)]);
+    await PDFObjectStreamParser.forStream(stream).parseIntoContext();
+    newer.forEach(([objectRef, object]) => context.assign(objectRef, object));
+    context.delete(ref);
+  }
+
+  // PDFDocument.load() would parse the bytes again, so wrap the decrypted context directly
+  const pdfDoc = new PDFDocument(context, false, options.updateMetadata !== false);
+  return { pdfDoc, encryption };
+}
+
+function getPdfFileId(context) {
+  const id = context.lookup(context.trailerInfo.ID);
+  const first = id instanceof PDFArray ? id.lookup(0) : null;
+  return first && first.asBytes ? Buffer.from(first.asBytes()) : Buffer.alloc(0);
+}
+
+// 32-byte string passwords are padded with (revisions 2-4)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+// Check the password against the /Encrypt dictionary and derive the file key. `ownerAccess` records
+// whether it was the owner password, which is what lifts the permission restrictions.
+function unlockSecurityHandler(encryptDict, fileId, password) {
+  if (encryptDict.lookup(PDFName.of('Filter')) !== PDFName.of('Standard')) {
+    throw httpError(400, 'This PDF uses certificate or custom encryption, which is not supported', { code: 'UNSUPPORTED_ENCRYPTION' });
+  }
+
+  const number = name => {
+    const value = encryptDict.lookup(PDFName.of(name));
+    return value instanceof PDFNumber ? value.asNumber() : undefined;
+  };
+  const bytes = name => {
+    const value = encryptDict.lookup(PDFName.of(name));
+    return value && value.asBytes ? Buffer.from(value.asBytes()) : Buffer.alloc(0);
+  };
+
+  const V = number('V') || 0;
+  const security = {
+    V,
+    R: number('R'),
+    P: number('P') | 0,
+    O: bytes('O'),
+    U: bytes('U'),
+    keyLength: V >= 5 ? 32 : V === 4 ? 16 : V === 1 ? 5 : (number('Length') || 40) / 8,
+    encryptMetadata: encryptDict.lookup(PDFName.of('EncryptMetadata')) !== PDFBool.False,
+    stringMethod: 'rc4',
+    streamMethod: 'rc4'
+  };
+
+  // V4+ name their methods through crypt filters; a missing filter means "not encrypted"
+  if (V >= 4) {
+    const filters = encryptDict.lookupMaybe(PDFName.of('CF'), PDFDict);
+    const cryptMethod = key => {
+      const filter = encryptDict.lookup(PDFName.of(key));
+      const entry = filter && filters ? filters.lookupMaybe(filter, PDFDict) : undefined;
+      const cfm = entry && entry.lookup(PDFName.of('CFM'));
+      if (cfm === PDFName.of('AESV2') || cfm === PDFName.of('AESV3')) return 'aes';
+      return cfm === PDFName.of('V2') ? 'rc4' : 'identity';
+    };
+    security.stringMethod = cryptMethod('StrF');
+    security.streamMethod = cryptMethod('StmF');
+  }
+  security.method = security.streamMethod === 'aes' ? `aes-${security.keyLength * 8}` : `rc4-${security.keyLength * 8}`;
+
+  const candidates = password ? [password, ''] : [''];
+  for (const candidate of candidates) {
+    security.key = security.R >= 5
+      ? unlockAes256Key(security, encryptDict, candidate)
+      : unlockRc4Key(security, fileId, candidate);
+    if (security.key) return security;
+  }
+
+  throw pdfPasswordError(Boolean(password));
+}
+
+// Tools answer encrypted uploads with one of these codes so clients can prompt for the password
+function pdfPasswordError(passwordGiven) {
+  return passwordGiven
+    ? httpError(400, 'Incorrect password for this PDF', { code: 'INVALID_PASSWORD' })
+    : httpError(400, 'This PDF is password protected. Send the password in the "password" field', { code: 'PASSWORD_REQUIRED' });
+}
+
+// Revisions 2-4: try the password as the owner password, then as the user password
+function unlockRc4Key(security, fileId, password) {
+  const passwordBytes = Buffer.from(password, 'latin1');
+
+  const userPassword = recoverUserPassword(security, passwordBytes);
+  const ownerKey = computeRc4FileKey(security, userPassword, fileId);
+  security.ownerAccess = checkUserValue(security, ownerKey, fileId);
+  if (security.ownerAccess) return ownerKey;
+
+  const userKey = computeRc4FileKey(security, passwordBytes, fileId);
+  return checkUserValue(security, userKey, fileId) ? userKey : null;
+}
+
+function checkUserValue(security, key, fileId) {
+  const expected = computeUserValue(security, key, fileId);
+  const length = security.R === 2 ? 32 : 16;
+  return security.U.length >= length && expected.subarray(0, length).equals(security.U.subarray(0, length));
+}
+
+// Revisions 5-6: the file key is stored encrypted under a hash of the user or owner password
+function unlockAes256Key(security, encryptDict, password) {
+  const passwordBytes = Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+  const stored = name => Buffer.from(encryptDict.lookup(PDFName.of(name)).asBytes());
+  const { O, U, R } = security;
+
+  security.ownerAccess = hashAes256Password(passwordBytes, O.subarray(32, 40), U.subarray(0, 48), R).equals(O.subarray(0, 32));
+  if (security.ownerAccess) {
+    return aes256NoPadding(hashAes256Password(passwordBytes, O.subarray(40, 48), U.subarray(0, 48), R), stored('OE'), true);
+  }
+  if (hashAes256Password(passwordBytes, U.subarray(32, 40), Buffer.alloc(0), R).equals(U.subarray(0, 32))) {
+    return aes256NoPadding(hashAes256Password(passwordBytes, U.subarray(40, 48), Buffer.alloc(0), R), stored('UE'), true);
+  }
+  return null;
+}
+
+// Algorithm 2: file key from the (padded) user password
+function computeRc4FileKey(security, passwordBytes, fileId) {
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(security.P);
+  const parts = [padPassword(passwordBytes), security.O.subarray(0, 32), permissions, fileId];
+  if (security.R >= 4 && !security.encryptMetadata) parts.push(Buffer.from([0xff, 0xff, 0xff, 0xff]));
+
+  let digest = md5(...parts);
+  if (security.R >= 3) {
+    for (let i = 0; i < 50; i++) digest = md5(digest.subarray(0, security.keyLength));
+  }
+  return digest.subarray(0, security.keyLength);
+}
+
+// Algorithms 4 and 5: the /U value a correct key reproduces
+function computeUserValue(security, key, fileId) {
+  if (security.R === 2) return rc4(key, PASSWORD_PADDING);
+
+  let value = rc4(key, md5(PASSWORD_PADDING, fileId));
+  for (let i = 1; i <= 19; i++) value = rc4(xorKey(key, i), value);
+  return Buffer.concat([value, Buffer.alloc(16)]);
+}
+
+// Algorithm 3: the /O value, the padded user password encrypted under the owner password
+function computeOwnerValue(security, ownerPassword, userPassword) {
+  const key = ownerPasswordKey(security, ownerPassword);
+  let value = rc4(key, padPassword(userPassword));
+  if (security.R >= 3) {
+    for (let i = 1; i <= 19; i++) value = rc4(xorKey(key, i), value);
+  }
+  return value;
+}
+
+// Algorithm 7: get the user password back out of /O with the owner password
+function recoverUserPassword(security, ownerPassword) {
+  const key = ownerPasswordKey(security, ownerPassword);
+  if (security.R === 2) return rc4(key, security.O.subarray(0, 32));
+
+  let value = security.O.subarray(0, 32);
+  for (let i = 19; i >= 0; i--) value = rc4(xorKey(key, i), value);
+  return value;
+}
+
+function ownerPasswordKey(security, ownerPassword) {
+  let digest = md5(padPassword(ownerPassword));
+  if (security.R >= 3) {
+    for (let i = 0; i < 50; i++) digest = md5(digest);
+  }
+  return digest.subarray(0, security.R === 2 ? 5 : security.keyLength);
+}
+
+function padPassword(passwordBytes) {
+  return Buffer.concat([passwordBytes.subarray(0, 32), PASSWORD_PADDING]).subarray(0, 32);
+}
+
+// Algorithm 2.B (revision 6) and plain SHA-256 (revision 5, Adobe extension level 3)
+function hashAes256Password(passwordBytes, salt, userData, revision) {
+  let K = crypto.createHash('sha256').update(Buffer.concat([passwordBytes, salt, userData])).digest();
+  if (revision === 5) return K;
+
+  for (let round = 0; ; round++) {
+    const block = Buffer.concat([passwordBytes, K, userData]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', K.subarray(0, 16), K.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    const E = Buffer.concat([cipher.update(Buffer.concat(new Array(64).fill(block))), cipher.final()]);
+
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += E[i];
+    K = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(E).digest();
+
+    if (round >= 63 && E[E.length - 1] <= round - 31) break;
+  }
+  return K.subarray(0, 32);
+}
+
+function aes256NoPadding(key, data, decrypt) {
+  const cipher = (decrypt ? crypto.createDecipheriv : crypto.createCipheriv)('aes-256-cbc', key, Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+function md5(...parts) {
+  const hash = crypto.createHash('md5');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+function xorKey(key, value) {
+  return Buffer.from(key.map(byte => byte ^ value));
+}
+
+// OpenSSL 3 only ships RC4 in its legacy provider, so it is done by hand
+function rc4(key, data) {
+  const state = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) state[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[k] = data[k] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+}
+
+// Encrypt or decrypt the strings and stream data of one indirect object in place
+function cryptPdfObject(context, security, ref, object, decrypt) {
+  const cryptString = value => PDFHexString.of(
+    cryptPdfBytes(security, ref, Buffer.from(value.asBytes()), security.stringMethod, decrypt).toString('hex')
+  );
+
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    context.assign(ref, cryptString(object));
+    return;
+  }
+
+  const dict = object instanceof PDFRawStream ? object.dict : object;
+  if (dict instanceof PDFDict || dict instanceof PDFArray) {
+    cryptPdfStrings(dict, cryptString);
+  }
+
+  if (object instanceof PDFRawStream) {
+    const type = object.dict.lookup(PDFName.of('Type'));
+    if (type === PDFName.of('XRef') || (type === PDFName.of('Metadata') && !security.encryptMetadata)) return;
+    context.assign(ref, PDFRawStream.of(object.dict, cryptPdfBytes(security, ref, Buffer.from(object.contents), security.streamMethod, decrypt)));
+  }
+}
+
+// Signature /Contents hold the raw PKCS#7 blob and are never encrypted
+function cryptPdfStrings(container, cryptString) {
+  const isSignature = container instanceof PDFDict &&
+    [PDFName.of('Sig'), PDFName.of('DocTimeStamp')].includes(container.lookup(PDFName.of('Type')));
+  const entries = container instanceof PDFDict
+    ? container.entries()
+    : container.asArray().map((value, index) => [index, value]);
+
+  for (const [key, value] of entries) {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      if (isSignature && key === PDFName.of('Contents')) continue;
+      container.set(key, cryptString(value));
+    } else if (value instanceof PDFDict || value instanceof PDFArray) {
+      cryptPdfStrings(value, cryptString);
+    }
+  }
+}
+
+// Revisions 2-4 derive a key per object from its number and generation; AES-256 uses the file key
+function cryptPdfBytes(security, ref, bytes, method, decrypt) {
+  if (method === 'identity') return bytes;
+
+  let key = security.key;
+  if (security.R < 5) {
+    const { objectNumber: n, generationNumber: g } = ref;
+    const salt = Buffer.from([n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, g & 0xff, (g >> 8) & 0xff]);
+    key = md5(key, salt, Buffer.from(method === 'aes' ? 'sAlT' : '')).subarray(0, Math.min(key.length + 5, 16));
+  }
+  if (method === 'rc4') return rc4(key, bytes);
+
+  const algorithm = key.length === 32 ? 'aes-256-cbc' : 'aes-128-cbc';
+  if (!decrypt) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+    return Buffer.concat([iv, cipher.update(bytes), cipher.final()]);
+  }
+
+  if (bytes.length < 32) return Buffer.alloc(0);
+  const iv = bytes.subarray(0, 16);
+  const body = bytes.subarray(16, 16 + Math.floor((bytes.length - 16) / 16) * 16);
+  try {
+    const decipher = crypto.createDecipheriv(algorithm, key, iv);
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+  } catch (error) {
+    // Some writers get the padding wrong; keep the data rather than failing the whole file
+    const decipher = crypto.createDecipheriv(algorithm, key, iv);
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+  }
+}
+
+const PDF_ENCRYPTION_METHODS = {
+  'rc4-128': { V: 2, R: 3, keyLength: 16 },
+  'aes-128': { V: 4, R: 4, keyLength: 16, cfm: 'AESV2' },
+  'aes-256': { V: 5, R: 6, keyLength: 32, cfm: 'AESV3' }
+};
+
+// Permission names and the /P bits (1-based, ISO 32000-2 table 22) each one grants
+const PDF_PERMISSIONS = {
+  print: [3, 12],
+  modify: [4, 11],
+  copy: [5, 10],
+  annotate: [6],
+  'fill-forms': [9]
+};
+
+function pdfPermissionFlags(allowed) {
+  // Bits 7-8 and 13-32 are reserved and must be set
+  let flags = 0xfffff0c0;
+  for (const name of allowed) {
+    PDF_PERMISSIONS[name].forEach(bit => { flags |= 1 << (bit - 1); });
+  }
+  return flags | 0;
+}
+
+function describePdfPermissions(flags) {
+  return Object.keys(PDF_PERMISSIONS).filter(name => PDF_PERMISSIONS[name].every(bit => flags & (1 << (bit - 1))));
+}
+
+// Encrypt a saved PDF. It is parsed again so every stream is raw, then written without object
+// streams because those would have to be encrypted as a whole.
+async function encryptPdfBytes(pdfBytes, { method, userPassword, ownerPassword, permissions }) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const context = pdfDoc.context;
+  const { V, R, keyLength, cfm } = PDF_ENCRYPTION_METHODS[method];
+  const P = pdfPermissionFlags(permissions);
+
+  let fileId = getPdfFileId(context);
+  if (fileId.length === 0) {
+    fileId = crypto.randomBytes(16);
+    context.trailerInfo.ID = context.obj([PDFHexString.of(fileId.toString('hex')), PDFHexString.of(fileId.toString('hex'))]);
+  }
+
+  const security = { V, R, P, keyLength, encryptMetadata: true, stringMethod: cfm ? 'aes' : 'rc4', streamMethod: cfm ? 'aes' : 'rc4' };
+  const hex = bytes => PDFHexString.of(bytes.toString('hex'));
+  const encrypt = { Filter: 'Standard', V, R, Length: keyLength * 8, P };
+
+  if (R === 6) {
+    const userBytes = Buffer.from(userPassword.normalize('NFKC'), 'utf8').subarray(0, 127);
+    const ownerBytes = Buffer.from(ownerPassword.normalize('NFKC'), 'utf8').subarray(0, 127);
+    const [userSalts, ownerSalts] = [crypto.randomBytes(16), crypto.randomBytes(16)];
+    security.key = crypto.randomBytes(32);
+
+    const U = Buffer.concat([hashAes256Password(userBytes, userSalts.subarray(0, 8), Buffer.alloc(0), R), userSalts]);
+    const O = Buffer.concat([hashAes256Password(ownerBytes, ownerSalts.subarray(0, 8), U, R), ownerSalts]);
+    const perms = Buffer.concat([Buffer.alloc(4), Buffer.from([0xff, 0xff, 0xff, 0xff]), Buffer.from('Tadb'), crypto.randomBytes(4)]);
+    perms.writeInt32LE(P);
+    const permsCipher = crypto.createCipheriv('aes-256-ecb', security.key, null);
+    permsCipher.setAutoPadding(false);
+
+    Object.assign(encrypt, {
+      U: hex(U),
+      O: hex(O),
+      UE: hex(aes256NoPadding(hashAes256Password(userBytes, userSalts.subarray(8), Buffer.alloc(0), R), security.key)),
+      OE: hex(aes256NoPadding(hashAes256Password(ownerBytes, ownerSalts.subarray(8), U, R), security.key)),
+      Perms: hex(Buffer.concat([permsCipher.update(perms), permsCipher.final()]))
+    });
+  } else {
+    security.O = computeOwnerValue(security, Buffer.from(ownerPassword, 'latin1'), Buffer.from(userPassword, 'latin1'));
+    security.key = computeRc4FileKey(security, Buffer.from(userPassword, 'latin1'), fileId);
+    Object.assign(encrypt, { O: hex(security.O), U: hex(computeUserValue(security, security.key, fileId)) });
+  }
+
+  if (cfm) {
+    Object.assign(encrypt, {
+      CF: { StdCF: { Type: 'CryptFilter', CFM: cfm, AuthEvent: 'DocOpen', Length: keyLength } },
+      StmF: 'StdCF',
+      StrF: 'StdCF'
+    });
+  }
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    cryptPdfObject(context, security, ref, object, false);
+  }
+  context.trailerInfo.Encrypt = context.register(context.obj(encrypt));
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false }));
+}
+
+// ========== PDF SIGNATURES ========== //
+//
+// PAdES signing and verification (ISO 32000-2, 12.8): a signature field's /V dictionary holds a
+// detached CMS SignedData over the /ByteRange of the file, i.e. every byte but the hex string in
+// /Contents. CMS is written and read with the small DER codec below; PKCS#12 files are opened with
+// node-forge, everything else is Node's crypto.
+
+// Write the objects that differ from `snapshot` after the original bytes, with a cross-reference
+// section whose /Prev points at the original one. Returns the new file and each object's offset.
+async function writeIncrementalUpdate(original, pdfDoc, snapshot) {
+  const context = pdfDoc.context;
+  // Fonts and images are only written into the context when the document is flushed
+  await pdfDoc.flush();
+
+  const changed = [];
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const before = snapshot.objects.get(ref.tag);
+    if (!before || before.object !== object || before.text !== serializePdfObjectForSnapshot(object)) {
+      changed.push([ref, object]);
+    }
+  }
+  changed.sort(([a], [b]) => a.objectNumber - b.objectNumber);
+
+  const chunks = [original];
+  let length = original.length;
+  const append = chunk => {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'latin1') : Buffer.from(chunk);
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+  if (original[original.length - 1] !== 0x0a && original[original.length - 1] !== 0x0d) append('\n');
+
+  const offsets = new Map();
+  for (const [ref, object] of changed) {
+    offsets.set(ref.objectNumber, length);
+    const body = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(body, 0);
+    append(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+    append(body);
+    append('\nendobj\n');
+  }
+
+  let fileId = getPdfFileId(context);
+  if (fileId.length === 0) fileId = crypto.randomBytes(16);
+  const trailer = {
+    Size: context.largestObjectNumber + 1,
+    Root: context.trailerInfo.Root,
+    Info: context.trailerInfo.Info,
+    ID: [PDFHexString.of(fileId.toString('hex')), PDFHexString.of(crypto.randomBytes(16).toString('hex'))],
+    Prev: snapshot.previousXref
+  };
+
+  const xrefOffset = length;
+  const entries = changed.map(([ref]) => ({ number: ref.objectNumber, offset: offsets.get(ref.objectNumber), generation: ref.generationNumber }));
+
+  if (snapshot.usesXrefStream) {
+    // A file that started with a cross-reference stream continues with one
+    const number = context.largestObjectNumber + 1;
+    entries.push({ number, offset: xrefOffset, generation: 0 });
+    const rows = Buffer.alloc(entries.length * 7);
+    entries.forEach((entry, i) => {
+      rows.writeUInt8(1, i * 7);
+      rows.writeUInt32BE(entry.offset, i * 7 + 1);
+      rows.writeUInt16BE(entry.generation, i * 7 + 5);
+    });
+    const dict = context.obj({
+      ...trailer,
+      Type: 'XRef',
+      Size: number + 1,
+      Index: entries.flatMap(entry => [entry.number, 1]),
+      W: [1, 4, 2],
+      Length: rows.length
+    });
+    append(`${number} 0 obj\n${dict.toString()}\nstream\n`);
+    append(rows);
+    append('\nendstream\nendobj\n');
+  } else {
+    let table = 'xref\n';
+    for (let i = 0; i < entries.length;) {
+      let j = i;
+      while (j + 1 < entries.length && entries[j + 1].number === entries[j].number + 1) j++;
+      table += `${entries[i].number} ${j - i + 1}\n`;
+      for (let k = i; k <= j; k++) {
+        table += `${String(entries[k].offset).padStart(10, '0')} ${String(entries[k].generation).padStart(5, '0')} n\r\n`;
+      }
+      i = j + 1;
+    }
+    append(table);
+    append(`trailer\n${context.obj(trailer).toString()}\n`);
+  }
+  append(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+  return { bytes: Buffer.concat(chunks, length), offsets };
+}
+
+// What each object looked like when the document was loaded, to find what an update changed.
+// Streams are compared by identity and dictionary only, so their data is never serialized.
+// pdf-lib does not count object and cross-reference streams, so the numbers they use are
+// reserved here before anything new is registered.
+function snapshotPdfObjects(original, context) {
+  const startxrefAt = original.lastIndexOf('startxref');
+  const previousXref = startxrefAt === -1 ? NaN : parseInt(original.toString('latin1', startxrefAt + 9, startxrefAt + 40).trim());
+  if (!Number.isInteger(previousXref) || previousXref >= original.length) {
+    throw httpError(400, 'The PDF has no cross-reference table to append a signature to', { code: 'INVALID_PDF' });
+  }
+  const size = /\/Size\s+(\d+)/.exec(original.toString('latin1', previousXref, startxrefAt));
+  if (size) context.largestObjectNumber = Math.max(context.largestObjectNumber, Number(size[1]) - 1);
+
+  const objects = new Map();
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    objects.set(ref.tag, { object, text: serializePdfObjectForSnapshot(object) });
+  }
+  return { objects, previousXref, usesXrefStream: original.toString('latin1', previousXref, previousXref + 4) !== 'xref' };
+}
+
+function serializePdfObjectForSnapshot(object) {
+  return object instanceof PDFRawStream || object.dict instanceof PDFDict ? object.dict.toString() : object.toString();
+}
+
+// Open a PKCS#12 (.p12 / .pfx) file: the private key, its certificate and any other certificates
+function readPkcs12(data, password) {
+  const forge = require('node-forge');
+  let p12;
+  try {
+    const asn1 = forge.asn1.fromDer(forge.util.createBuffer(Buffer.from(data).toString('binary')));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, password);
+  } catch (error) {
+    if (/MAC could not be verified|Invalid password/i.test(error.message)) {
+      throw httpError(400, 'Incorrect certificate password', { code: 'INVALID_CERTIFICATE_PASSWORD' });
+    }
+    throw httpError(400, 'The certificate is not a readable PKCS#12 (.p12 or .pfx) file', { code: 'INVALID_CERTIFICATE' });
+  }
+
+  // forge only decodes RSA keys and certificates; anything else is left as ASN.1
+  const toDer = asn1 => Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+  const bagsOf = type => p12.getBags({ bagType: type })[type] || [];
+
+  const keys = [];
+  for (const bag of bagsOf(forge.pki.oids.pkcs8ShroudedKeyBag).concat(bagsOf(forge.pki.oids.keyBag))) {
+    const der = bag.key ? toDer(forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(bag.key))) : bag.asn1 && toDer(bag.asn1);
+    try {
+      if (der) keys.push(crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' }));
+    } catch (error) {
+      // Skip keys Node cannot use
+    }
+  }
+  const certificates = bagsOf(forge.pki.oids.certBag)
+    .map(bag => (bag.cert ? toDer(forge.pki.certificateToAsn1(bag.cert)) : bag.asn1 && toDer(bag.asn1)))
+    .filter(Boolean)
+    .map(der => ({ der, x509: new crypto.X509Certificate(der) }));
+
+  let privateKey = null;
+  let signing = null;
+  for (const key of keys) {
+    signing = certificates.find(certificate => certificate.x509.checkPrivateKey(key));
+    if (signing) {
+      privateKey = key;
+      break;
+    }
+  }
+  if (!signing) {
+    throw httpError(400, 'The certificate file has no private key with a matching certificate', { code: 'INVALID_CERTIFICATE' });
+  }
+  if (!['rsa', 'ec'].includes(privateKey.asymmetricKeyType)) {
+    throw httpError(400, `Unsupported key type "${privateKey.asymmetricKeyType}"; use an RSA or ECDSA certificate`, { code: 'INVALID_CERTIFICATE' });
+  }
+
+  const now = Date.now();
+  if (new Date(signing.x509.validFrom).getTime() > now || new Date(signing.x509.validTo).getTime() < now) {
+    throw httpError(400, `The certificate is only valid from ${signing.x509.validFrom} to ${signing.x509.validTo}`, { code: 'CERTIFICATE_EXPIRED' });
+  }
+
+  return {
+    privateKey,
+    certificate: signing.der,
+    chain: certificates.filter(certificate => certificate !== signing).map(certificate => certificate.der),
+    signer: describeCertificate(signing.x509)
+  };
+}
+
+function describeCertificate(x509) {
+  const fields = {};
+  for (const line of x509.subject.split('\n')) {
+    const at = line.indexOf('=');
+    if (at > 0 && !(line.slice(0, at) in fields)) fields[line.slice(0, at)] = line.slice(at + 1);
+  }
+  return {
+    commonName: fields.CN || null,
+    organization: fields.O || null,
+    email: fields.emailAddress || null,
+    subject: x509.subject.split('\n').join(', '),
+    issuer: x509.issuer.split('\n').join(', '),
+    serialNumber: x509.serialNumber,
+    validFrom: new Date(x509.validFrom).toISOString(),
+    validTo: new Date(x509.validTo).toISOString(),
+    selfSigned: x509.checkIssued(x509) && x509.verify(x509.publicKey)
+  };
+}
+
+const CMS_OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2'
+};
+
+const CMS_DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.4': 'sha224',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Signature algorithm OID -> hash it implies (null: the SignerInfo's digest algorithm)
+const CMS_SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.1': { type: 'rsa', hash: null },
+  '1.2.840.113549.1.1.5': { type: 'rsa', hash: 'sha1' },
+  '1.2.840.113549.1.1.14': { type: 'rsa', hash: 'sha224' },
+  '1.2.840.113549.1.1.11': { type: 'rsa', hash: 'sha256' },
+  '1.2.840.113549.1.1.12': { type: 'rsa', hash: 'sha384' },
+  '1.2.840.113549.1.1.13': { type: 'rsa', hash: 'sha512' },
+  '1.2.840.113549.1.1.10': { type: 'rsa-pss', hash: null },
+  '1.2.840.10045.2.1': { type: 'ec', hash: null },
+  '1.2.840.10045.4.1': { type: 'ec', hash: 'sha1' },
+  '1.2.840.10045.4.3.1': { type: 'ec', hash: 'sha224' },
+  '1.2.840.10045.4.3.2': { type: 'ec', hash: 'sha256' },
+  '1.2.840.10045.4.3.3': { type: 'ec', hash: 'sha384' },
+  '1.2.840.10045.4.3.4': { type: 'ec', hash: 'sha512' }
+};
+
+// CAdES-BES SignedData (RFC 5652 / ETSI EN 319 122) over a detached content with this digest.
+// The signed attributes are content type, message digest and the ESS signing certificate;
+// the signing time lives in the signature dictionary's /M, as PAdES baseline requires.
+function buildCadesSignature(digest, certificate, chain, privateKey) {
+  const { issuer, serialNumber } = readCertificateIds(certificate);
+  const sha256 = der(0x30, derOid(CMS_OIDS.sha256), der(0x05));
+
+  const attribute = (oid, value) => der(0x30, derOid(oid), der(0x31, value));
+  const essCertId = der(0x30,
+    der(0x04, crypto.createHash('sha256').update(certificate).digest()),
+    der(0x30, der(0x30, der(0xa4, issuer)), serialNumber)
+  );
+  // DER sorts the members of a SET OF by their encoding
+  const attributes = [
+    attribute(CMS_OIDS.contentType, derOid(CMS_OIDS.data)),
+    attribute(CMS_OIDS.messageDigest, der(0x04, digest)),
+    attribute(CMS_OIDS.signingCertificateV2, der(0x30, der(0x30, essCertId)))
+  ].sort(Buffer.compare);
+
+  const signedAttributes = der(0x31, ...attributes);
+  const isEc = privateKey.asymmetricKeyType === 'ec';
+  const signature = crypto.sign('sha256', signedAttributes, privateKey);
+
+  const signerInfo = der(0x30,
+    derInteger(1),
+    der(0x30, issuer, serialNumber),
+    sha256,
+    Buffer.concat([Buffer.from([0xa0]), signedAttributes.subarray(1)]),
+    isEc ? der(0x30, derOid(CMS_OIDS.ecdsaWithSHA256)) : der(0x30, derOid(CMS_OIDS.sha256WithRSAEncryption), der(0x05)),
+    der(0x04, signature)
+  );
+
+  const signedData = der(0x30,
+    derInteger(1),
+    der(0x31, sha256),
+    der(0x30, derOid(CMS_OIDS.data)),
+    der(0xa0, certificate, ...chain),
+    der(0x31, signerInfo)
+  );
+  return der(0x30, derOid(CMS_OIDS.signedData), der(0xa0, signedData));
+}
+
+// Check a CMS SignedData against the bytes it should cover. "intact" means the covered bytes
+// still hash to the signed digest; "signatureValid" that the signer's key signed that digest.
+function verifyCmsSignature(contents, signedBytes, subFilter) {
+  const errors = [];
+  const contentInfo = readDer(Buffer.from(contents));
+  if (derToOid(contentInfo.children[0]) !== CMS_OIDS.signedData) {
+    throw new Error('not a CMS SignedData');
+  }
+
+  const fields = contentInfo.children[1].children[0].children;
+  const encapsulated = fields[2];
+  const certificates = (fields.find(node => node.tag === 0xa0) || { children: [] }).children
+    .filter(node => node.tag === 0x30)
+    .map(node => new crypto.X509Certificate(node.raw));
+  const signerInfo = fields[fields.length - 1].children[0];
+  if (!signerInfo) throw new Error('the signature has no signer');
+
+  const parts = signerInfo.children;
+  const signerId = parts[1];
+  const digestAlgorithm = CMS_DIGEST_ALGORITHMS[derToOid(parts[2].children[0])];
+  let i = 3;
+  const signedAttributes = parts[i].tag === 0xa0 ? parts[i++] : null;
+  const signatureAlgorithm = parts[i++];
+  const signature = derContent(parts[i++]);
+  const unsignedAttributes = parts[i] && parts[i].tag === 0xa1 ? parts[i] : null;
+  if (!digestAlgorithm) throw new Error('unsupported digest algorithm');
+
+  const attributes = new Map((signedAttributes ? signedAttributes.children : [])
+    .map(node => [derToOid(node.children[0]), node.children[1].children[0]]));
+  const hash = (algorithm, data) => crypto.createHash(algorithm).update(data).digest();
+
+  // What the message digest covers: the byte ranges, or encapsulated content derived from them
+  const eContentNode = encapsulated.children[1];
+  const eContent = eContentNode ? derContent(eContentNode.children[0]) : null;
+  const contentType = derToOid(encapsulated.children[0]);
+  let intact;
+  if (!eContent) {
+    intact = signedAttributes
+      ? attributes.has(CMS_OIDS.messageDigest) && derContent(attributes.get(CMS_OIDS.messageDigest)).equals(hash(digestAlgorithm, signedBytes))
+      : true;
+  } else if (contentType === CMS_OIDS.tstInfo) {
+    const imprint = readDer(eContent).children[2];
+    intact = derContent(imprint.children[1]).equals(hash(CMS_DIGEST_ALGORITHMS[derToOid(imprint.children[0].children[0])] || 'sha256', signedBytes));
+  } else {
+    intact = subFilter === 'adbe.pkcs7.sha1' && eContent.equals(hash('sha1', signedBytes));
+  }
+  if (eContent && signedAttributes && !derContent(attributes.get(CMS_OIDS.messageDigest) || { content: Buffer.alloc(0) }).equals(hash(digestAlgorithm, eContent))) {
+    intact = false;
+  }
+  if (!intact) errors.push('The signed bytes have been changed');
+
+  // The signer: matched by issuer and serial number, or by subject key identifier
+  const signerCertificate = certificates.find(certificate => {
+    const ids = readCertificateIds(certificate.raw);
+    return signerId.tag === 0x30
+      ? ids.issuer.equals(signerId.children[0].raw) && ids.serialNumber.equals(signerId.children[1].raw)
+      : ids.keyId !== null && ids.keyId.equals(signerId.content);
+  });
+
+  let signatureValid = false;
+  if (!signerCertificate) {
+    errors.push('The signer\'s certificate is not included in the signature');
+  } else {
+    const algorithm = CMS_SIGNATURE_ALGORITHMS[derToOid(signatureAlgorithm.children[0])];
+    const signedData = signedAttributes
+      ? Buffer.concat([Buffer.from([0x31]), signedAttributes.raw.subarray(1)])
+      : eContent || signedBytes;
+    if (!algorithm) {
+      errors.push('Unsupported signature algorithm');
+    } else {
+      try {
+        let key = signerCertificate.publicKey;
+        let hashAlgorithm = algorithm.hash || digestAlgorithm;
+        if (algorithm.type === 'rsa-pss') {
+          const params = signatureAlgorithm.children[1] ? signatureAlgorithm.children[1].children : [];
+          const hashParam = params.find(node => node.tag === 0xa0);
+          const saltParam = params.find(node => node.tag === 0xa2);
+          hashAlgorithm = hashParam ? CMS_DIGEST_ALGORITHMS[derToOid(hashParam.children[0].children[0])] : 'sha1';
+          key = { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: saltParam ? readDerInteger(saltParam.children[0]) : 20 };
+        }
+        signatureValid = crypto.verify(hashAlgorithm, signedData, key, signature);
+      } catch (error) {
+        signatureValid = false;
+      }
+      if (!signatureValid) errors.push('The signature does not match the signer\'s certificate');
+    }
+  }
+
+  let signedAt = null;
+  const signingTime = attributes.get(CMS_OIDS.signingTime);
+  if (signingTime) signedAt = readDerTime(signingTime);
+  if (contentType === CMS_OIDS.tstInfo && eContent) signedAt = readDerTime(readDer(eContent).children[4]);
+
+  const unsigned = unsignedAttributes ? unsignedAttributes.children.map(node => derToOid(node.children[0])) : [];
+  return {
+    digestAlgorithm,
+    signer: signerCertificate ? describeCertificate(signerCertificate) : null,
+    chain: certificates.map(certificate => certificate.subject.split('\n').join(', ')),
+    signedAt: signedAt ? signedAt.toISOString() : null,
+    timestamped: unsigned.includes(CMS_OIDS.timeStampToken) || contentType === CMS_OIDS.tstInfo,
+    intact,
+    signatureValid,
+    errors
+  };
+}
+
+// Issuer Name and serial number INTEGER of a DER certificate, both as encoded, and the
+// subject key identifier if it has one
+function readCertificateIds(certificate) {
+  const tbs = readDer(Buffer.from(certificate)).children[0].children;
+  const offset = tbs[0].tag === 0xa0 ? 1 : 0;
+  const extensions = tbs.find(node => node.tag === 0xa3);
+  const keyIdExtension = extensions && extensions.children[0].children.find(node => derToOid(node.children[0]) === '2.5.29.14');
+  return {
+    serialNumber: tbs[offset].raw,
+    issuer: tbs[offset + 2].raw,
+    keyId: keyIdExtension ? readDer(keyIdExtension.children[keyIdExtension.children.length - 1].content).content : null
+  };
+}
+
+// DER encoding of one value: tag, length, and the concatenated parts as content
+function der(tag, ...parts) {
+  const content = Buffer.concat(parts);
+  let length;
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes = [];
+    for (let n = content.length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n & 0xff);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+function derOid(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const group = [arc & 0x7f];
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) group.unshift(0x80 | (n & 0x7f));
+    bytes.push(...group);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function derInteger(value) {
+  return der(0x02, Buffer.from([value]));
+}
+
+// Parse one BER/DER value (definite or indefinite length) with its nested values
+function readDer(buffer, start = 0) {
+  const tag = buffer[start];
+  let offset = start + 1;
+  if ((tag & 0x1f) === 0x1f) {
+    while (buffer[offset] & 0x80) offset++;
+    offset++;
+  }
+  if (offset >= buffer.length) throw new Error('truncated ASN.1 data');
+
+  const node = { tag, children: [] };
+  let length = buffer[offset++];
+  let end;
+  if (length === 0x80) {
+    if (!(tag & 0x20)) throw new Error('invalid ASN.1 length');
+    let position = offset;
+    while (!(buffer[position] === 0 && buffer[position + 1] === 0)) {
+      const child = readDer(buffer, position);
+      node.children.push(child);
+      position = child.end;
+      if (position >= buffer.length) throw new Error('truncated ASN.1 data');
+    }
+    node.content = buffer.subarray(offset, position);
+    end = position + 2;
+  } else {
+    if (length & 0x80) {
+      const count = length & 0x7f;
+      length = 0;
+      for (let i = 0; i < count; i++) length = length * 256 + buffer[offset++];
+    }
+    end = offset + length;
+    if (end > buffer.length) throw new Error('truncated ASN.1 data');
+    node.content = buffer.subarray(offset, end);
+    if (tag & 0x20) {
+      for (let position = offset; position < end;) {
+        const child = readDer(buffer, position);
+        node.children.push(child);
+        position = child.end;
+      }
+    }
+  }
+  node.end = end;
+  node.raw = buffer.subarray(start, end);
+  return node;
+}
+
+// Content octets, joining the segments of a constructed (BER) string
+function derContent(node) {
+  return node.tag & 0x20 && node.tag !== 0x30 && node.tag !== 0x31
+    ? Buffer.concat(node.children.map(derContent))
+    : node.content;
+}
+
+function derToOid(node) {
+  const bytes = node.content;
+  const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (let i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      arcs.push(value);
+      value = 0;
+    }
+  }
+  return arcs.join('.');
+}
+
+function readDerInteger(node) {
+  return node.content.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+// UTCTime or GeneralizedTime -> Date
+function readDerTime(node) {
+  const text = node.content.toString('latin1');
+  const match = /^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z?$/.exec(text);
+  if (!match) return null;
+  let year = Number(match[1]);
+  if (match[1].length === 2) year += year < 50 ? 2000 : 1900;
+  return new Date(Date.UTC(year, match[2] - 1, +match[3], +match[4], +match[5], +(match[6] || 0)));
+}
+
+// ========== CONTENT STREAM HELPERS ========== //
+
+const TEXT_SHOWING_OPERATORS = new Set(['Tj', 'TJ', "'", '"']);
+
+// Decoded bytes of all of a page's content streams, concatenated
+function getPageContentBytes(page) {
+  const contents = page.node.Contents();
+  if (!contents) return Buffer.alloc(0);
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+    : [contents];
+
+  const chunks = [];
+  for (const stream of streams) {
+    if (stream instanceof PDFRawStream) {
+      chunks.push(Buffer.from(decodePDFRawStream(stream).decode()));
+    } else if (stream && typeof stream.getUnencodedContents === 'function') {
+      chunks.push(Buffer.from(stream.getUnencodedContents()));
+    }
+    chunks.push(Buffer.from('\n'));
+  }
+  return Buffer.concat(chunks);
+}
+
+function pdfFilterNames(dict) {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (!filter) return [];
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map(name => dict.context.lookup(name).decodeText());
+  }
+  return [filter.decodeText()];
+}
+
+// Number of colour components of an image colour space (null when unknown)
+function pdfColorSpaceComponents(context, colorSpace) {
+  const value = context.lookup(colorSpace);
+  if (!value) return null;
+
+  if (value instanceof PDFName) {
+    return { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3, DeviceCMYK: 4 }[value.decodeText()] || null;
+  }
+
+  if (value instanceof PDFArray) {
+    const family = context.lookup(value.get(0)).decodeText();
+    if (family === 'ICCBased') {
+      const profile = context.lookup(value.get(1));
+      const components = profile.dict.lookup(PDFName.of('N'), PDFNumber);
+      return components ? components.asNumber() : null;
+    }
+    if (family === 'CalGray') return 1;
+    if (family === 'CalRGB') return 3;
+  }
+
+  return null;
+}
+
+// Walk a page's operators tracking the CTM and report every image XObject drawn with the
+// transform in effect (the image occupies the unit square mapped through that matrix)
+function findPageImageDraws(page, operations) {
+  const resources = page.node.Resources();
+  const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  const draws = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+
+  for (const op of operations) {
+    if (op.operator === 'q') {
+      stack.push(ctm);
+    } else if (op.operator === 'Q') {
+      ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    } else if (op.operator === 'cm' && op.operands.length === 6) {
+      ctm = multiplyMatrices(op.operands, ctm);
+    } else if (op.operator === 'BI') {
+      draws.push({ inline: true, ctm });
+    } else if (op.operator === 'Do' && xObjects) {
+      const name = op.operands[0] && op.operands[0].name;
+      const ref = name && xObjects.get(PDFName.of(name));
+      const stream = ref && page.doc.context.lookup(ref);
+      if (!stream || !stream.dict) continue;
+
+      const subtype = stream.dict.lookup(PDFName.of('Subtype'));
+      if (subtype && subtype.decodeText() === 'Image') {
+        draws.push({ name, ref, stream, ctm });
+      }
+    }
+  }
+
+  return draws;
+}
+
+// m1 × m2 for PDF [a b c d e f] matrices
+function multiplyMatrices(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+const PDF_WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const PDF_DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+// Tokenize a decoded content stream into { operator, operands, start, end } entries.
+// Operands are numbers, booleans, null, arrays, { name }, { string: Buffer, hex } and { dict }.
+// Inline images (BI ... ID ... EI) come back as one 'BI' operation carrying the image bytes.
+function parseContentStream(bytes) {
+  const data = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  const operations = [];
+  let pos = 0;
+  let operands = [];
+  let operandsStart = null;
+
+  const skipWhitespace = () => {
+    while (pos < data.length) {
+      const byte = data[pos];
+      if (PDF_WHITESPACE.has(byte)) {
+        pos++;
+      } else if (byte === 0x25) {
+        while (pos < data.length && data[pos] !== 0x0a && data[pos] !== 0x0d) pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readRegular = () => {
+    const start = pos;
+    while (pos < data.length && !PDF_WHITESPACE.has(data[pos]) && !PDF_DELIMITERS.has(data[pos])) pos++;
+    return data.toString('latin1', start, pos);
+  };
 
-        console.log(`Successfully embedded image: ${file.name}`);
+  const readLiteralString = () => {
+    const out = [];
+    let depth = 1;
+    pos++;
+    while (pos < data.length) {
+      const byte = data[pos++];
+      if (byte === 0x5c) {
+        const next = data[pos++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+          out.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let i = 0; i < 2 && data[pos] >= 0x30 && data[pos] <= 0x37; i++) {
+            octal = octal * 8 + (data[pos++] - 0x30);
+          }
+          out.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          if (data[pos] === 0x0a) pos++;
+        } else if (next !== 0x0a) {
+          out.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        out.push(byte);
+      } else if (byte === 0x29) {
+        depth--;
+        if (depth === 0) break;
+        out.push(byte);
+      } else {
+        out.push(byte);
+      }
+    }
+    return { string: Buffer.from(out), hex: false };
+  };
 
-      } catch (error) {
-        console.error(`Error processing file ${file.name}:`, error);
-        const page = pdfDoc.addPage([612, 792]);
-        page.drawText(`Error processing: ${file.name}`, {
-          x: 50,
-          y: 750,
-          size: 12,
-          color: rgb(1, 0, 0),
-        });
-        page.drawText(error.message, {
-          x: 50,
-          y: 730,
-          size: 10,
-          color: rgb(0.5, 0.5, 0.5),
-        });
+  const readHexString = () => {
+    pos++;
+    const start = pos;
+    while (pos < data.length && data[pos] !== 0x3e) pos++;
+    let hex = data.toString('latin1', start, pos).replace(/[^0-9a-fA-F]/g, '');
+    pos++;
+    if (hex.length % 2) hex += '0';
+    return { string: Buffer.from(hex, 'hex'), hex: true };
+  };
+
+  const readObject = () => {
+    skipWhitespace();
+    const byte = data[pos];
+
+    if (byte === 0x28) return readLiteralString();
+    if (byte === 0x3c && data[pos + 1] === 0x3c) {
+      pos += 2;
+      const dict = {};
+      for (;;) {
+        skipWhitespace();
+        if (pos >= data.length) break;
+        if (data[pos] === 0x3e && data[pos + 1] === 0x3e) {
+          pos += 2;
+          break;
+        }
+        const key = readObject();
+        const value = readObject();
+        if (key && key.name !== undefined) dict[key.name] = value;
+      }
+      return { dict };
+    }
+    if (byte === 0x3c) return readHexString();
+    if (byte === 0x5b) {
+      pos++;
+      const array = [];
+      for (;;) {
+        skipWhitespace();
+        if (pos >= data.length) break;
+        if (data[pos] === 0x5d) {
+          pos++;
+          break;
+        }
+        array.push(readObject());
       }
+      return array;
+    }
+    if (byte === 0x2f) {
+      pos++;
+      const raw = readRegular();
+      return { name: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
     }
 
-    if (pdfDoc.getPageCount() === 0) {
-      return res.status(400).json({ error: 'No images could be processed' });
+    const token = readRegular();
+    if (token === '') {
+      pos++;
+      return null;
     }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) return parseFloat(token);
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return { operator: token };
+  };
 
-    const pdfBytes = await pdfDoc.save();
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename=images-converted.pdf');
-    res.setHeader('X-Images-Processed', files.length);
-    res.send(Buffer.from(pdfBytes));
-    
-  } catch (error) {
-    console.error('JPG to PDF error:', error);
-    res.status(500).json({ error: 'PDF creation failed: ' + error.message });
-  }
-});
+  for (;;) {
+    skipWhitespace();
+    if (pos >= data.length) break;
 
-// 6. PDF TO EXCEL - REAL WORKING
-app.post('/api/pdf-to-excel', async (req, res) => {
-  try {
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const tokenStart = pos;
+    if (operandsStart === null) operandsStart = tokenStart;
+
+    const value = readObject();
+    if (value && value.operator !== undefined) {
+      const operation = { operator: value.operator, operands, start: operandsStart, end: pos };
+
+      if (value.operator === 'BI') {
+        const dict = {};
+        for (;;) {
+          skipWhitespace();
+          if (pos >= data.length) break;
+          const key = readObject();
+          if (!key || key.operator === 'ID') break;
+          dict[key.name] = readObject();
+        }
+        pos++;
+        const imageStart = pos;
+        let imageEnd = data.length;
+        for (let i = imageStart; i < data.length - 1; i++) {
+          if (data[i] === 0x45 && data[i + 1] === 0x49 && PDF_WHITESPACE.has(data[i - 1]) &&
+              (i + 2 >= data.length || PDF_WHITESPACE.has(data[i + 2]))) {
+            imageEnd = i - 1;
+            pos = i + 2;
+            break;
+          }
+        }
+        if (imageEnd === data.length) pos = data.length;
+        operation.operands = [{ dict }];
+        operation.imageData = data.subarray(imageStart, imageEnd);
+        operation.end = pos;
+      }
+
+      operations.push(operation);
+      operands = [];
+      operandsStart = null;
+    } else {
+      operands.push(value);
     }
+  }
 
-    const pdfFile = req.files.file;
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    
-    const pageCount = pdfDoc.getPageCount();
-    const fileSizeMB = (pdfFile.data.length / 1024 / 1024).toFixed(2);
-    
-    let extractedData = {
-      filename: pdfFile.name,
-      pages: pageCount,
-      fileSize: fileSizeMB,
-      text: `PDF File Analysis Report\n\n` +
-            `File: ${pdfFile.name}\n` +
-            `Pages: ${pageCount}\n` +
-            `File Size: ${fileSizeMB} MB\n` +
-            `Processing Date: ${new Date().toLocaleString()}\n\n` +
-            `Content Summary:\n` +
-            `This PDF contains ${pageCount} pages.\n` +
-            `For advanced text extraction and table detection,\n` +
-            `consider integrating with OCR services.\n\n` +
-            `Extracted Metadata:\n` +
-            `- Page Count: ${pageCount}\n` +
-            `- File Size: ${fileSizeMB} MB\n` +
-            `- Processing: Basic text extraction available\n` +
-            `- Enhanced Features: Table detection with OCR\n\n` +
-            `Sample Extracted Structure:\n` +
-            `The full version would extract:\n` +
-            `• Text content from all pages\n` +
-            `• Table structures and data\n` +
-            `• Form fields and values\n` +
-            `• Document metadata\n\n` +
-            `Next Steps:\n` +
-            `For complete PDF to Excel conversion with table \n` +
-            `detection, upgrade to our advanced OCR version.`
-    };
+  return operations;
+}
 
-    res.json({
-      success: true,
-      ...extractedData,
-      note: "Basic text extraction completed. For table detection, advanced OCR is required."
-    });
-    
-  } catch (error) {
-    console.error('PDF to Excel error:', error);
-    res.status(500).json({ 
-      error: 'PDF processing failed: ' + error.message,
-      note: "This may be due to file corruption or unsupported PDF format."
-    });
+// Write an operand from parseContentStream back out as content stream syntax
+function serializeContentOperand(value) {
+  if (typeof value === 'number') {
+    return String(Number.isInteger(value) ? value : Math.round(value * 1000) / 1000);
   }
-});
+  if (typeof value === 'boolean') return String(value);
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(serializeContentOperand).join(' ')}]`;
+  if (value.name !== undefined) {
+    return '/' + value.name.replace(/[^!-~]|[#%()<>[\]{}/]/g, char => '#' + char.charCodeAt(0).toString(16).padStart(2, '0'));
+  }
+  if (value.string !== undefined) return `<${value.string.toString('hex')}>`;
+  if (value.dict !== undefined) {
+    const entries = Object.entries(value.dict).map(([key, item]) => `/${key} ${serializeContentOperand(item)}`);
+    return `<<${entries.join(' ')}>>`;
+  }
+  return 'null';
+}
 
-// 7. PDF TO JPG - REAL WORKING
-app.post('/api/pdf-to-jpg', async (req, res) => {
-  try {
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+// Replace whole operations (operands included) of a content stream: edits maps an operation's
+// index to its new text, '' dropping it
+function applyContentEdits(bytes, operations, edits) {
+  const chunks = [];
+  let pos = 0;
+  for (const index of Array.from(edits.keys()).sort((a, b) => a - b)) {
+    const op = operations[index];
+    chunks.push(bytes.subarray(pos, op.start), Buffer.from(` ${edits.get(index)} `, 'latin1'));
+    pos = op.end;
+  }
+  chunks.push(bytes.subarray(pos));
+  return Buffer.concat(chunks);
+}
 
-    const pdfFile = req.files.file;
-    
-    if (pdfFile.mimetype !== 'application/pdf') {
-      return res.status(400).json({ error: 'Please upload a PDF file' });
-    }
+const PATH_PAINTING_OPERATORS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*']);
 
-    console.log(`Processing PDF to JPG: ${pdfFile.name}`);
+// Run a page's content (and every form XObject it draws) through the graphics and text state and
+// report where things land in user space:
+//   streams       the page ({ ref: null }) and each form draw, with its parsed operations and
+//                 empty edits / added maps for callers that rewrite it
+//   glyphs        one per character code shown: text, box, baseline origin/end and the code entry
+//                 in its stream's textOps (the Tj/TJ split into codes, ready to be rewritten)
+//   images        image XObject draws with their CTM; inlineImages the same for BI ... EI
+//   paths         painted paths with their points
+// Every draw of a form is its own stream entry (with the Do operation that drew it), so each
+// placement can be changed on its own.
+function interpretPageContent(page, fontCache = new Map()) {
+  const context = page.doc.context;
+  const layout = { streams: [], glyphs: [], images: [], inlineImages: [], paths: [] };
+  const parsedForms = new Map();
+  const active = new Set();
 
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    const pageCount = pdfDoc.getPageCount();
+  const createEntry = (ref, stream, { bytes, operations }, resources, parent, op) => {
+    const entry = {
+      ref, stream, bytes, operations, resources, parent, op,
+      depth: parent ? parent.depth + 1 : 0,
+      textOps: new Map(),
+      marks: new Map(),
+      edits: new Map(),
+      added: new Map()
+    };
+    layout.streams.push(entry);
+    return entry;
+  };
 
-    const JSZip = require('jszip');
-    const zip = new JSZip();
+  const walk = (entry, initialCtm) => {
+    const resources = entry.resources;
+    const fonts = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    const stack = [];
+    const marks = [];
+    let gs = { ctm: initialCtm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    let tm = [1, 0, 0, 1, 0, 0];
+    let tlm = tm;
+    let path = [];
 
-    console.log(`Converting ${pageCount} pages to JPG...`);
+    const moveText = (tx, ty) => {
+      tlm = multiplyMatrices([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm;
+    };
+    const addPoints = (...coords) => {
+      for (let i = 0; i + 1 < coords.length; i += 2) path.push(applyMatrix(gs.ctm, coords[i], coords[i + 1]));
+    };
 
-    for (let i = 0; i < pageCount; i++) {
-      try {
-        console.log(`Converting page ${i + 1} to JPG...`);
-        
-        const jpgBuffer = await convertPdfPageToJpg(pdfDoc, i, pageCount);
-        zip.file(`page-${i + 1}.jpg`, jpgBuffer);
-        
-        console.log(`✓ Successfully converted page ${i + 1}`);
-        
-      } catch (pageError) {
-        console.error(`✗ Failed to convert page ${i + 1}:`, pageError.message);
-        const errorImage = await createErrorImage(`Page ${i + 1} - Could not convert`);
-        zip.file(`page-${i + 1}-error.jpg`, errorImage);
+    const showText = (index, op, items) => {
+      const font = gs.font || UNKNOWN_PDF_FONT;
+      let record = entry.textOps.get(index);
+      const fresh = !record;
+      if (fresh) {
+        record = { operator: op.operator, operands: op.operands, parts: [] };
+        entry.textOps.set(index, record);
       }
-    }
 
-    const zipBuffer = await zip.generateAsync({
-      type: 'nodebuffer',
-      compression: 'DEFLATE',
-      compressionOptions: { level: 6 }
-    });
+      items.forEach((item, partIndex) => {
+        if (typeof item === 'number') {
+          if (fresh) record.parts.push(item);
+          tm = multiplyMatrices([1, 0, 0, 1, -item / 1000 * gs.size * gs.scale, 0], tm);
+          return;
+        }
+        if (!item || item.string === undefined) {
+          if (fresh) record.parts.push(0);
+          return;
+        }
 
-    console.log('✓ ZIP file created successfully');
+        const codes = font.split(item.string);
+        if (fresh) record.parts.push({ codes: codes.map(bytes => ({ bytes, adjust: 0, removed: false })) });
+        const part = record.parts[partIndex];
 
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${pdfFile.name.replace('.pdf', '')}-images.zip"`);
-    res.setHeader('X-Pages-Processed', pageCount);
-    res.send(zipBuffer);
+        codes.forEach((code, codeIndex) => {
+          const width = font.widthOf(code);
+          const spacing = gs.charSpacing + (code.length === 1 && code[0] === 32 ? gs.wordSpacing : 0);
+          const trm = multiplyMatrices([gs.size * gs.scale, 0, 0, gs.size, 0, gs.rise], multiplyMatrices(tm, gs.ctm));
+          const corners = [[0, font.descent], [width, font.descent], [width, font.ascent], [0, font.ascent]]
+            .map(([x, y]) => applyMatrix(trm, x, y));
 
-  } catch (error) {
-    console.error('PDF to JPG conversion failed:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'PDF to JPG conversion failed: ' + error.message,
-      note: "Please try with a different PDF file"
-    });
-  }
-});
+          tm = multiplyMatrices([1, 0, 0, 1, (width * gs.size + spacing) * gs.scale, 0], tm);
+          const codeEntry = part.codes[codeIndex];
+          // The TJ adjustment that moves the pen as far as this glyph did
+          if (fresh && gs.size) codeEntry.adjust = -(width * gs.size + spacing) * 1000 / gs.size;
 
-// PDF to JPG conversion function
-async function convertPdfPageToJpg(pdfDoc, pageIndex, totalPages) {
-  try {
-    const page = pdfDoc.getPage(pageIndex);
-    const { width, height } = page.getSize();
-    
-    const scale = 2.0;
-    const canvasWidth = Math.floor(width * scale);
-    const canvasHeight = Math.floor(height * scale);
-    
-    const { createCanvas } = require('canvas');
-    const canvas = createCanvas(canvasWidth, canvasHeight);
-    const ctx = canvas.getContext('2d');
+          const scale = Math.hypot(trm[0], trm[1]) || 1;
+          layout.glyphs.push({
+            code: codeEntry,
+            entry,
+            text: font.unicodeOf(code),
+            box: {
+              x1: Math.min(...corners.map(p => p.x)),
+              y1: Math.min(...corners.map(p => p.y)),
+              x2: Math.max(...corners.map(p => p.x)),
+              y2: Math.max(...corners.map(p => p.y))
+            },
+            origin: corners[0],
+            end: applyMatrix(multiplyMatrices([gs.size * gs.scale, 0, 0, gs.size, 0, gs.rise], multiplyMatrices(tm, gs.ctm)), 0, 0),
+            direction: { x: trm[0] / scale, y: trm[1] / scale },
+            size: Math.hypot(trm[2], trm[3]),
+            marks: marks.slice()
+          });
+        });
+      });
+    };
 
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    entry.operations.forEach((op, index) => {
+      const args = op.operands;
+      const num = i => (typeof args[i] === 'number' ? args[i] : 0);
 
-    ctx.scale(scale, scale);
+      switch (op.operator) {
+        case 'q': stack.push(gs); break;
+        case 'Q': gs = stack.pop() || gs; break;
+        case 'cm':
+          if (args.length === 6) gs = { ...gs, ctm: multiplyMatrices(args.map((_, i) => num(i)), gs.ctm) };
+          break;
+        case 'BT': tm = tlm = [1, 0, 0, 1, 0, 0]; break;
+        case 'Tf': {
+          const ref = fonts && args[0] && args[0].name !== undefined ? fonts.get(PDFName.of(args[0].name)) : null;
+          const dict = ref && context.lookup(ref);
+          let font = null;
+          if (dict instanceof PDFDict) {
+            font = fontCache.get(dict);
+            if (!font) {
+              font = describePdfFont(context, dict);
+              fontCache.set(dict, font);
+            }
+          }
+          gs = { ...gs, font, size: num(1) };
+          break;
+        }
+        case 'Tc': gs = { ...gs, charSpacing: num(0) }; break;
+        case 'Tw': gs = { ...gs, wordSpacing: num(0) }; break;
+        case 'Tz': gs = { ...gs, scale: num(0) / 100 }; break;
+        case 'TL': gs = { ...gs, leading: num(0) }; break;
+        case 'Ts': gs = { ...gs, rise: num(0) }; break;
+        case 'Td': moveText(num(0), num(1)); break;
+        case 'TD': gs = { ...gs, leading: -num(1) }; moveText(num(0), num(1)); break;
+        case 'Tm': if (args.length === 6) tm = tlm = args.map((_, i) => num(i)); break;
+        case 'T*': moveText(0, -gs.leading); break;
+        case 'Tj': showText(index, op, [args[0]]); break;
+        case 'TJ': showText(index, op, Array.isArray(args[0]) ? args[0] : []); break;
+        case "'":
+          moveText(0, -gs.leading);
+          showText(index, op, [args[0]]);
+          break;
+        case '"':
+          gs = { ...gs, wordSpacing: num(0), charSpacing: num(1) };
+          moveText(0, -gs.leading);
+          showText(index, op, [args[2]]);
+          break;
+        case 'BMC':
+        case 'BDC': {
+          let mark = entry.marks.get(index);
+          if (!mark) {
+            mark = { op: index, tainted: false };
+            entry.marks.set(index, mark);
+          }
+          marks.push(mark);
+          break;
+        }
+        case 'EMC': marks.pop(); break;
+        case 'm':
+        case 'l': addPoints(num(0), num(1)); break;
+        case 'c': addPoints(num(0), num(1), num(2), num(3), num(4), num(5)); break;
+        case 'v':
+        case 'y': addPoints(num(0), num(1), num(2), num(3)); break;
+        case 're': {
+          const [x, y, w, h] = [num(0), num(1), num(2), num(3)];
+          addPoints(x, y, x + w, y, x + w, y + h, x, y + h);
+          break;
+        }
+        case 'n': path = []; break;
+        case 'BI': layout.inlineImages.push({ entry, op: index, ctm: gs.ctm }); break;
+        case 'Do': {
+          const name = args[0] && args[0].name;
+          const ref = name !== undefined && xObjects ? xObjects.get(PDFName.of(name)) : null;
+          const object = ref && context.lookup(ref);
+          if (!(object instanceof PDFRawStream)) break;
 
-    drawProfessionalPage(ctx, width, height, pageIndex + 1, totalPages);
+          const subtype = object.dict.lookup(PDFName.of('Subtype'));
+          if (subtype === PDFName.of('Image')) {
+            layout.images.push({ entry, op: index, name, ref, stream: object, ctm: gs.ctm });
+          } else if (subtype === PDFName.of('Form') && ref instanceof PDFRef && !active.has(ref.tag)) {
+            if (!parsedForms.has(ref.tag)) {
+              const bytes = Buffer.from(decodePDFRawStream(object).decode());
+              parsedForms.set(ref.tag, { bytes, operations: parseContentStream(bytes) });
+            }
+            const formResources = object.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+            const form = createEntry(ref, object, parsedForms.get(ref.tag), formResources, entry, index);
 
-    const jpgBuffer = canvas.toBuffer('image/jpeg', {
-      quality: 0.9,
-      chromaSubsampling: false
+            const matrix = object.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+            const formMatrix = matrix ? matrix.asArray().map(n => context.lookup(n).asNumber()) : [1, 0, 0, 1, 0, 0];
+            active.add(ref.tag);
+            walk(form, multiplyMatrices(formMatrix, gs.ctm));
+            active.delete(ref.tag);
+          }
+          break;
+        }
+        default:
+          if (PATH_PAINTING_OPERATORS.has(op.operator)) {
+            if (path.length > 0) layout.paths.push({ entry, op: index, points: path });
+            path = [];
+          }
+      }
     });
+  };
 
-    return jpgBuffer;
-
-  } catch (error) {
-    console.error(`Error converting page ${pageIndex + 1}:`, error);
-    throw error;
-  }
+  const pageBytes = getPageContentBytes(page);
+  const pageEntry = createEntry(null, null, { bytes: pageBytes, operations: parseContentStream(pageBytes) }, page.node.Resources(), null, null);
+  walk(pageEntry, [1, 0, 0, 1, 0, 0]);
+  return layout;
 }
 
-// Professional page drawing function
-function drawProfessionalPage(ctx, width, height, pageNum, totalPages) {
-  const gradient = ctx.createLinearGradient(0, 0, width, height);
-  gradient.addColorStop(0, '#f8fafc');
-  gradient.addColorStop(1, '#ffffff');
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, width, height);
+function applyMatrix(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
 
-  ctx.strokeStyle = '#e2e8f0';
-  ctx.lineWidth = 1;
-  ctx.strokeRect(20, 20, width - 40, height - 40);
+// Stand-in for text shown without a (usable) font: one byte per code, no advance
+const UNKNOWN_PDF_FONT = {
+  split: bytes => Array.from(bytes, byte => Buffer.from([byte])),
+  widthOf: () => 0,
+  unicodeOf: () => '',
+  ascent: 0.8,
+  descent: -0.2
+};
 
-  ctx.fillStyle = '#1e293b';
-  ctx.font = 'bold 28px Arial';
-  ctx.textAlign = 'center';
-  ctx.fillText(`PDF Page ${pageNum}`, width / 2, 80);
+// What content stream text needs from a font: how its strings split into character codes, each
+// code's advance (text space units at size 1) and Unicode text
+function describePdfFont(context, dict) {
+  const name = key => {
+    const value = dict.lookup(PDFName.of(key));
+    return value instanceof PDFName ? value.decodeText() : null;
+  };
+  const number = (container, key, fallback) => {
+    const value = container && container.lookupMaybe(PDFName.of(key), PDFNumber);
+    return value ? value.asNumber() : fallback;
+  };
+  const toUnicode = parseToUnicodeCMap(dict.lookup(PDFName.of('ToUnicode')));
 
-  const contentX = width / 2;
-  let contentY = height / 2 - 60;
+  if (name('Subtype') === 'Type0') {
+    const descendants = dict.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+    const cidFont = descendants && descendants.lookupMaybe(0, PDFDict);
+    const descriptor = cidFont && cidFont.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+    const defaultWidth = number(cidFont, 'DW', 1000);
+    const widths = parseCidWidths(context, cidFont && cidFont.lookupMaybe(PDFName.of('W'), PDFArray));
 
-  ctx.fillStyle = '#475569';
-  ctx.font = '20px Arial';
-  ctx.fillText('Successfully Converted to JPG', contentX, contentY);
-  
-  contentY += 40;
-  ctx.fillStyle = '#64748b';
-  ctx.font = '16px Arial';
-  ctx.fillText('High-quality image ready for download', contentX, contentY);
-
-  contentY += 80;
-  ctx.fillStyle = '#334155';
-  ctx.font = '14px Arial';
-  ctx.textAlign = 'left';
-  
-  const details = [
-    `Page: ${pageNum} of ${totalPages}`,
-    `Dimensions: ${Math.floor(width)} × ${Math.floor(height)} pixels`,
-    `Resolution: 300 DPI equivalent`,
-    `Format: JPEG (Quality: 90%)`,
-    `Processing: PDFMaster Pro`
-  ];
+    const encoding = dict.lookup(PDFName.of('Encoding'));
+    const ranges = encoding instanceof PDFRawStream ? parseCMapCodespaces(encoding) : [];
+    // Predefined UCS-2/UTF-16 CMaps make the codes themselves Unicode
+    const unicodeCodes = encoding instanceof PDFName && /^Uni.*-(UCS2|UTF16)-[HV]$/.test(encoding.decodeText());
 
-  const startX = 60;
-  details.forEach((detail, index) => {
-    ctx.fillText(detail, startX, contentY + (index * 25));
-  });
+    return {
+      split: bytes => splitCharacterCodes(bytes, ranges.length > 0 ? ranges : [{ length: 2, low: [0, 0], high: [255, 255] }]),
+      widthOf: code => {
+        const cid = code.length === 2 ? code.readUInt16BE(0) : code.readUIntBE(0, Math.min(code.length, 6));
+        const width = widths(cid);
+        return (width === undefined ? defaultWidth : width) / 1000;
+      },
+      unicodeOf: code => {
+        const text = toUnicode.get(code.toString('hex'));
+        if (text !== undefined) return text;
+        return unicodeCodes && code.length % 2 === 0 ? utf16BeToString(code) : '';
+      },
+      ...fontVerticalMetrics(descriptor, 0.001)
+    };
+  }
 
-  contentY += 140;
-  ctx.fillStyle = '#1e293b';
-  ctx.font = 'bold 16px Arial';
-  ctx.fillText('Sample Content Preview:', startX, contentY);
-  
-  ctx.fillStyle = '#475569';
-  ctx.font = '14px Arial';
-  const sampleLines = [
-    '• This represents converted PDF content',
-    '• Text and graphics are preserved',
-    '• High fidelity image reproduction',
-    '• Ready for sharing and printing'
-  ];
-  
-  sampleLines.forEach((line, index) => {
-    ctx.fillText(line, startX + 20, contentY + 30 + (index * 22));
-  });
-
-  ctx.fillStyle = '#94a3b8';
-  ctx.font = '12px Arial';
-  ctx.textAlign = 'center';
-  ctx.fillText(`Converted on ${new Date().toLocaleDateString()}`, width / 2, height - 30);
-
-  ctx.fillStyle = 'rgba(102, 126, 234, 0.05)';
-  ctx.font = 'bold 72px Arial';
-  ctx.save();
-  ctx.translate(width / 2, height / 2);
-  ctx.rotate(-0.785);
-  ctx.fillText('PDFMaster Pro', 0, 0);
-  ctx.restore();
-}
-
-// Create error image
-async function createErrorImage(message) {
-  const { createCanvas } = require('canvas');
-  const canvas = createCanvas(800, 600);
-  const ctx = canvas.getContext('2d');
-
-  const gradient = ctx.createLinearGradient(0, 0, 800, 600);
-  gradient.addColorStop(0, '#fef2f2');
-  gradient.addColorStop(1, '#fee2e2');
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, 800, 600);
-
-  ctx.strokeStyle = '#fca5a5';
-  ctx.lineWidth = 3;
-  ctx.strokeRect(20, 20, 760, 560);
-
-  ctx.fillStyle = '#dc2626';
-  ctx.font = 'bold 64px Arial';
-  ctx.textAlign = 'center';
-  ctx.fillText('⚠️', 400, 150);
-
-  ctx.fillStyle = '#b91c1c';
-  ctx.font = 'bold 28px Arial';
-  ctx.fillText('Conversion Notice', 400, 240);
-
-  ctx.fillStyle = '#7f1d1d';
-  ctx.font = '16px Arial';
-  
-  const words = message.split(' ');
-  let line = '';
-  let y = 300;
-  const maxWidth = 600;
+  // Simple fonts: one byte per code, widths from /Widths (Type 3 widths are in glyph space)
+  const subtype = name('Subtype');
+  const matrix = subtype === 'Type3' ? dict.lookupMaybe(PDFName.of('FontMatrix'), PDFArray) : null;
+  const glyphScale = matrix ? matrix.lookup(0, PDFNumber).asNumber() : 0.001;
+  const firstChar = number(dict, 'FirstChar', 0);
+  const widthsArray = dict.lookupMaybe(PDFName.of('Widths'), PDFArray);
+  const widths = widthsArray ? widthsArray.asArray().map(value => {
+    const width = context.lookup(value);
+    return width instanceof PDFNumber ? width.asNumber() : 0;
+  }) : null;
+  const descriptor = dict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+  const missingWidth = number(descriptor, 'MissingWidth', 0);
+  const baseFont = name('BaseFont') || '';
+  const standard = widths ? null : StandardFontEmbedder.for(standardFontFor(baseFont));
+  const glyphNames = simpleFontGlyphNames(context, dict, standard);
 
-  for (const word of words) {
-    const testLine = line + word + ' ';
-    const metrics = ctx.measureText(testLine);
-    
-    if (metrics.width > maxWidth && line !== '') {
-      ctx.fillText(line, 400, y);
-      line = word + ' ';
-      y += 28;
-    } else {
-      line = testLine;
+  let metrics = fontVerticalMetrics(descriptor, glyphScale);
+  if (subtype === 'Type3') {
+    const bbox = dict.lookupMaybe(PDFName.of('FontBBox'), PDFArray);
+    const yScale = matrix ? matrix.lookup(3, PDFNumber).asNumber() : glyphScale;
+    if (bbox && bbox.size() === 4) {
+      const [, y1, , y2] = bbox.asArray().map(value => context.lookup(value).asNumber() * yScale);
+      if (y2 > y1) metrics = { ascent: y2, descent: Math.min(y1, 0) };
     }
   }
-  ctx.fillText(line, 400, y);
 
-  ctx.fillStyle = '#991b1b';
-  ctx.font = '14px Arial';
-  ctx.fillText('Please try with a different PDF file', 400, 400);
+  return {
+    split: bytes => Array.from(bytes, byte => Buffer.from([byte])),
+    widthOf: code => {
+      const index = code[0] - firstChar;
+      if (widths) return (index >= 0 && index < widths.length ? widths[index] : missingWidth) * glyphScale;
+      const glyph = glyphNames[code[0]];
+      return glyph ? standard.font.getWidthOfGlyph(glyph) / 1000 : 0;
+    },
+    unicodeOf: code => {
+      const text = toUnicode.get(code.toString('hex'));
+      if (text !== undefined) return text;
+      const glyph = glyphNames[code[0]];
+      if (glyph) return glyphNameToUnicode(glyph);
+      return code[0] >= 32 && code[0] < 127 ? String.fromCharCode(code[0]) : '';
+    },
+    ...metrics
+  };
+}
 
-  return canvas.toBuffer('image/jpeg', { quality: 0.8 });
+// Ascent/descent as fractions of the font size (descriptor values are in glyph units)
+function fontVerticalMetrics(descriptor, glyphScale) {
+  const value = key => {
+    const number = descriptor && descriptor.lookupMaybe(PDFName.of(key), PDFNumber);
+    return number ? number.asNumber() * glyphScale : 0;
+  };
+  const ascent = value('Ascent');
+  const descent = value('Descent');
+  return { ascent: ascent > 0 ? ascent : 0.8, descent: descent < 0 ? descent : -0.2 };
 }
 
-// 8. OCR PDF - REAL WORKING
-app.post('/api/ocr-pdf', async (req, res) => {
-  try {
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+// The standard 14 font that stands in for a font without /Widths
+function standardFontFor(baseFont) {
+  const fontName = baseFont.replace(/^[A-Z]{6}\+/, '');
+  if (/symbol/i.test(fontName)) return StandardFonts.Symbol;
+  if (/dingbats/i.test(fontName)) return StandardFonts.ZapfDingbats;
 
-    const pdfFile = req.files.file;
-    
-    if (pdfFile.mimetype !== 'application/pdf') {
-      return res.status(400).json({ error: 'Please upload a PDF file' });
+  const bold = /bold|black|heavy/i.test(fontName);
+  const italic = /italic|oblique/i.test(fontName);
+  if (/times/i.test(fontName)) {
+    return [[StandardFonts.TimesRoman, StandardFonts.TimesRomanItalic], [StandardFonts.TimesRomanBold, StandardFonts.TimesRomanBoldItalic]][+bold][+italic];
+  }
+  const family = /courier/i.test(fontName)
+    ? [[StandardFonts.Courier, StandardFonts.CourierOblique], [StandardFonts.CourierBold, StandardFonts.CourierBoldOblique]]
+    : [[StandardFonts.Helvetica, StandardFonts.HelveticaOblique], [StandardFonts.HelveticaBold, StandardFonts.HelveticaBoldOblique]];
+  return family[+bold][+italic];
+}
+
+// code -> glyph name for a simple font: its built-in or base encoding (WinAnsi stands in for
+// Standard and MacRoman, which agree on the printable ASCII range) overlaid with /Differences
+function simpleFontGlyphNames(context, dict, standard) {
+  const builtIn = standard && standard.encoding.name !== 'WinAnsi' ? standard.encoding : null;
+  const names = builtIn ? encodingGlyphNames(builtIn) : encodingGlyphNames(StandardFontEmbedder.for(StandardFonts.Helvetica).encoding);
+
+  const encoding = dict.lookup(PDFName.of('Encoding'));
+  const differences = encoding instanceof PDFDict && encoding.lookupMaybe(PDFName.of('Differences'), PDFArray);
+  if (!differences) return names;
+
+  const result = names.slice();
+  let code = 0;
+  for (const item of differences.asArray()) {
+    const value = context.lookup(item);
+    if (value instanceof PDFNumber) {
+      code = value.asNumber();
+    } else if (value instanceof PDFName && code >= 0 && code < 256) {
+      result[code++] = value.decodeText();
     }
+  }
+  return result;
+}
 
-    console.log(`Processing OCR for PDF: ${pdfFile.name}`);
+const encodingGlyphNameCache = new Map();
 
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    const pageCount = pdfDoc.getPageCount();
+function encodingGlyphNames(encoding) {
+  if (!encodingGlyphNameCache.has(encoding.name)) {
+    const names = new Array(256).fill(null);
+    for (const [code, glyph] of Object.values(encoding.unicodeMappings)) {
+      if (names[code] === null) names[code] = glyph;
+    }
+    encodingGlyphNameCache.set(encoding.name, names);
+  }
+  return encodingGlyphNameCache.get(encoding.name);
+}
 
-    const { createWorker } = require('tesseract.js');
-    const worker = await createWorker('eng');
+let glyphUnicodeTable = null;
 
-    try {
-      const ocrResults = [];
-      
-      for (let i = 0; i < pageCount; i++) {
-        try {
-          console.log(`Processing page ${i + 1}/${pageCount} with OCR...`);
-          
-          const pageImageBuffer = await convertPageToImage(pdfDoc, i);
-          const { data: { text, confidence } } = await worker.recognize(pageImageBuffer);
-          
-          ocrResults.push({
-            page: i + 1,
-            text: text.trim(),
-            confidence: Math.round(confidence),
-            hasText: text.trim().length > 0
-          });
-          
-          console.log(`Page ${i + 1} OCR completed - Confidence: ${confidence}%`);
-          
-        } catch (pageError) {
-          console.error(`Error processing page ${i + 1}:`, pageError);
-          ocrResults.push({
-            page: i + 1,
-            text: `[OCR failed for this page: ${pageError.message}]`,
-            confidence: 0,
-            hasText: false
-          });
-        }
+// Adobe glyph name -> text, from the names the standard encodings know plus uniXXXX / uXXXX[XX]
+function glyphNameToUnicode(glyph) {
+  if (!glyphUnicodeTable) {
+    glyphUnicodeTable = new Map();
+    for (const font of [StandardFonts.Helvetica, StandardFonts.Symbol, StandardFonts.ZapfDingbats]) {
+      const { unicodeMappings } = StandardFontEmbedder.for(font).encoding;
+      for (const [codePoint, [, name]] of Object.entries(unicodeMappings)) {
+        if (!glyphUnicodeTable.has(name)) glyphUnicodeTable.set(name, String.fromCodePoint(Number(codePoint)));
       }
+    }
+  }
 
-      const newPdfDoc = await PDFDocument.create();
-      
-      for (let i = 0; i < pageCount; i++) {
-        const originalPage = pdfDoc.getPage(i);
-        const { width, height } = originalPage.getSize();
-        
-        const newPage = newPdfDoc.addPage([width, height]);
-        const embeddedPage = await newPdfDoc.embedPage(originalPage);
-        newPage.drawPage(embeddedPage);
-        
-        if (ocrResults[i] && ocrResults[i].hasText) {
-          newPage.drawText(ocrResults[i].text, {
-            x: 0,
-            y: 0,
-            size: 1,
-            color: { red: 0, green: 0, blue: 0, alpha: 0 },
-          });
-        }
-      }
+  const base = glyph.split('.')[0];
+  if (glyphUnicodeTable.has(base)) return glyphUnicodeTable.get(base);
+  let match = /^uni((?:[0-9A-F]{4})+)$/.exec(base);
+  if (match) return match[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  match = /^u([0-9A-F]{4,6})$/.exec(base);
+  const code = match ? parseInt(match[1], 16) : -1;
+  if (code >= 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff)) return String.fromCodePoint(code);
+  return '';
+}
 
-      const pdfBytes = await newPdfDoc.save();
-      
-      const textContent = ocrResults.map(result => 
-        `=== Page ${result.page} (Confidence: ${result.confidence}%) ===\n${result.text}\n`
-      ).join('\n');
-
-      const pagesWithText = ocrResults.filter(r => r.hasText).length;
-      
-      res.json({
-        success: true,
-        message: `OCR completed successfully! ${pagesWithText}/${pageCount} pages contain text.`,
-        textContent: textContent,
-        summary: {
-          totalPages: pageCount,
-          pagesWithText: pagesWithText,
-          averageConfidence: Math.round(ocrResults.reduce((sum, r) => sum + r.confidence, 0) / pageCount),
-          totalTextLength: ocrResults.reduce((sum, r) => sum + r.text.length, 0)
-        },
-        downloadUrl: `data:application/pdf;base64,${Buffer.from(pdfBytes).toString('base64')}`,
-        filename: pdfFile.name.replace('.pdf', '-ocr.pdf')
-      });
+// cid -> width lookup from a CIDFont /W array ([c [w1 w2 ...]] and [c_first c_last w] entries)
+function parseCidWidths(context, array) {
+  const single = new Map();
+  const ranges = [];
+  const items = array ? array.asArray().map(value => context.lookup(value)) : [];
 
-    } finally {
-      await worker.terminate();
+  for (let i = 0; i + 1 < items.length;) {
+    const first = items[i];
+    const next = items[i + 1];
+    if (!(first instanceof PDFNumber)) break;
+    if (next instanceof PDFArray) {
+      next.asArray().forEach((value, k) => {
+        const width = context.lookup(value);
+        if (width instanceof PDFNumber) single.set(first.asNumber() + k, width.asNumber());
+      });
+      i += 2;
+    } else {
+      const width = items[i + 2];
+      if (!(next instanceof PDFNumber) || !(width instanceof PDFNumber)) break;
+      ranges.push([first.asNumber(), next.asNumber(), width.asNumber()]);
+      i += 3;
     }
-
-  } catch (error) {
-    console.error('OCR PDF error:', error);
-    res.status(500).json({ 
-      error: 'OCR processing failed: ' + error.message,
-      note: "Make sure your PDF contains clear, readable text for best results"
-    });
   }
-});
 
-// OCR helper function
-async function convertPageToImage(pdfDoc, pageIndex) {
-  try {
-    const page = pdfDoc.getPage(pageIndex);
-    const { width, height } = page.getSize();
-    
-    const { createCanvas } = require('canvas');
-    const canvas = createCanvas(Math.floor(width), Math.floor(height));
-    const ctx = canvas.getContext('2d');
-    
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, width, height);
-    
-    ctx.fillStyle = '#1f2937';
-    ctx.font = 'bold 24px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(`PDF Page ${pageIndex + 1}`, width / 2, height / 2 - 40);
-    
-    ctx.fillStyle = '#4b5563';
-    ctx.font = '18px Arial';
-    ctx.fillText('OCR Text Extraction Demo', width / 2, height / 2);
-    
-    ctx.fillStyle = '#6b7280';
-    ctx.font = '14px Arial';
-    ctx.fillText('This text would be extracted by OCR', width / 2, height / 2 + 30);
-    ctx.fillText(`Page dimensions: ${Math.floor(width)} × ${Math.floor(height)}`, width / 2, height / 2 + 60);
-    
-    ctx.fillStyle = '#374151';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'left';
-    ctx.fillText('Sample extractable text content:', 50, height / 2 + 100);
-    ctx.fillText('- Document processing successful', 70, height / 2 + 120);
-    ctx.fillText('- Text recognition ready', 70, height / 2 + 140);
-    ctx.fillText('- Searchable PDF generated', 70, height / 2 + 160);
-    
-    return canvas.toBuffer('image/png');
-    
-  } catch (error) {
-    console.error('Error creating page image for OCR:', error);
-    throw error;
-  }
+  return cid => {
+    if (single.has(cid)) return single.get(cid);
+    const range = ranges.find(([low, high]) => cid >= low && cid <= high);
+    return range ? range[2] : undefined;
+  };
 }
 
-// Text extraction endpoint
-app.post('/api/extract-text', async (req, res) => {
-  try {
-    if (!req.files || !req.files.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+// Code ranges of an embedded CMap: [{ length, low: [bytes], high: [bytes] }]
+function parseCMapCodespaces(stream) {
+  const text = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+  const ranges = [];
+  for (const [, block] of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const [, low, high] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g)) {
+      if (low.length !== high.length || low.length % 2) continue;
+      ranges.push({ length: low.length / 2, low: Array.from(Buffer.from(low, 'hex')), high: Array.from(Buffer.from(high, 'hex')) });
     }
+  }
+  return ranges;
+}
 
-    const pdfFile = req.files.file;
-    const pdfDoc = await PDFDocument.load(pdfFile.data);
-    const pageCount = pdfDoc.getPageCount();
+// Split a string into character codes by codespace ranges (shortest matching length first)
+function splitCharacterCodes(bytes, ranges) {
+  const lengths = Array.from(new Set(ranges.map(range => range.length))).sort((a, b) => a - b);
+  const codes = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    let length = lengths.find(n => pos + n <= bytes.length && ranges.some(range => range.length === n &&
+      range.low.every((low, i) => bytes[pos + i] >= low && bytes[pos + i] <= range.high[i])));
+    if (!length) length = Math.min(lengths[0], bytes.length - pos);
+    codes.push(bytes.subarray(pos, pos + length));
+    pos += length;
+  }
+  return codes;
+}
 
-    const extractedText = [];
-    
-    for (let i = 0; i < pageCount; i++) {
-      const pageText = `=== Page ${i + 1} ===
-Sample extracted text from page ${i + 1}.
-This is a demonstration of OCR text extraction.
-In a full implementation, this would contain the actual text
-from your PDF document using Tesseract.js or similar OCR engine.
-
-Document: ${pdfFile.name}
-Page: ${i + 1} of ${pageCount}
-Processing Date: ${new Date().toLocaleString()}
-
-[This is simulated OCR output. Real implementation would use:
-- Tesseract.js for text recognition
-- Google Cloud Vision OCR
-- AWS Textract
-- Azure Computer Vision]
-
-For best results:
-1. Use high-quality PDFs with clear text
-2. Ensure proper lighting in scanned documents
-3. Use 300+ DPI resolution for scanned pages
-4. Choose the correct language for your text
-
-Confidence Score: ${Math.round(70 + Math.random() * 25)}%
-Words Detected: ${Math.round(50 + Math.random() * 100)}
-Characters: ${Math.round(200 + Math.random() * 500)}`;
-      
-      extractedText.push(pageText);
-    }
-
-    const fullText = extractedText.join('\n\n');
-    
-    res.json({
-      success: true,
-      text: fullText,
-      summary: {
-        totalPages: pageCount,
-        totalCharacters: fullText.length,
-        totalWords: fullText.split(/\s+/).length,
-        estimatedAccuracy: '85-95%'
-      },
-      filename: pdfFile.name,
-      note: "This is a demonstration. For full OCR capabilities, upgrade to our advanced version."
-    });
+// code (lowercase hex) -> text, from a ToUnicode CMap's bfchar and bfrange sections
+function parseToUnicodeCMap(stream) {
+  const map = new Map();
+  if (!(stream instanceof PDFRawStream)) return map;
 
-  } catch (error) {
-    res.status(500).json({ error: 'Text extraction failed: ' + error.message });
+  const text = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+  const decode = hex => (hex.length <= 2 ? String.fromCharCode(parseInt(hex || '0', 16)) : utf16BeToString(Buffer.from(hex, 'hex')));
+
+  for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(code.toLowerCase(), decode(target));
+    }
   }
-});
+  for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+      const first = parseInt(low, 16);
+      const last = Math.min(parseInt(high, 16), first + 0xffff);
+      const targets = list !== undefined ? Array.from(list.matchAll(/<([0-9a-fA-F]*)>/g), match => match[1]) : null;
+      for (let code = first; code <= last; code++) {
+        const key = code.toString(16).padStart(low.length, '0');
+        if (targets) {
+          if (code - first < targets.length) map.set(key, decode(targets[code - first]));
+        } else if (target) {
+          // Only the last byte pair counts up through the range
+          const tail = target.length >= 4 ? 4 : target.length;
+          const value = parseInt(target.slice(-tail), 16) + (code - first);
+          map.set(key, decode(target.slice(0, -tail) + value.toString(16).padStart(tail, '0')));
+        }
+      }
+    }
+  }
+  return map;
+}
+
+function utf16BeToString(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  return text;
+}
 
 // ========== DEMO API ENDPOINTS FOR OTHER TOOLS ========== //
 
@@ -851,4 +18670,13 @@ app.listen(PORT, () => {
   console.log(`🎨 36 DEMO Tools: Beautiful frontend ready`);
   console.log(`🌐 Server running on port ${PORT}`);
   console.log(`📍 Live at: http://localhost:${PORT}`);
+
+  // OCR (and auto-rotation) only read local language data, so say at startup when it is missing
+  getAvailableOcrLanguages().then(languages => {
+    if (languages.includes('eng')) {
+      console.log(`🔤 OCR languages: ${languages.join(', ')}`);
+    } else {
+      console.warn(`⚠️  No English OCR data: run npm install, or put eng.traineddata(.gz) in ${OCR_LANG_PATH} (set TESSDATA_DIR to use another directory)`);
+    }
+  });
 });